@@ -1,6 +1,7 @@
-import { assignDefaults } from '../utils'
+import { assignDefaults, extendSchema } from '../utils'
 import { CameraContext } from './context'
 import * as defaults from './defaults'
+import { schema } from './schema'
 import { Entity } from '../core'
 
 /**
@@ -13,5 +14,10 @@ import { Entity } from '../core'
  */
 export function Camera(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState, CameraContext(ctx, initialState))
+  const cameraSchema = extendSchema(initialState, schema)
+  return Entity.own(ctx, () => {
+    return Entity(ctx,
+      { displayName: 'Camera', ...initialState, schema: cameraSchema },
+      CameraContext(ctx, initialState))
+  })
 }
@@ -17,12 +17,12 @@ import { Entity } from '../../core'
  */
 export function CameraContext(ctx, initialState) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
+  return Entity.own(ctx, () => Entity(ctx, initialState,
     Object3DContext(ctx, initialState),
     CameraInfoContext(ctx, initialState),
 
     isolate(CameraViewContext(ctx, initialState)),
     CameraInverseViewContext(ctx, initialState),
     CameraEyeContext(ctx, initialState),
-  )
+  ))
 }
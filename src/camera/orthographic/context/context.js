@@ -1,9 +1,10 @@
 import { OrthographicCameraProjectionContext } from './projection'
 import { OrthographicCameraInfoContext } from './info'
 import { OrthographicCameraViewContext } from './view'
-import { assignDefaults, isolate } from '../../../utils'
+import { assignDefaults, extendSchema, isolate } from '../../../utils'
 import { Object3DContext } from '../../../object3d'
 import * as defaults from '../defaults'
+import { schema } from '../../schema'
 import { Entity } from '../../../core'
 
 import {
@@ -14,7 +15,9 @@ import {
 
 export function OrthographicCameraContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
+  const cameraSchema = extendSchema(initialState, schema)
+  return Entity.own(ctx, () => Entity(ctx,
+    { ...initialState, schema: cameraSchema },
     Object3DContext(ctx, initialState),
     CameraInfoContext(ctx, initialState),
     OrthographicCameraInfoContext(ctx, initialState),
@@ -23,5 +26,5 @@ export function OrthographicCameraContext(ctx, initialState = {}) {
     CameraInverseViewContext(ctx, initialState),
     OrthographicCameraProjectionContext(ctx, initialState),
     CameraEyeContext(ctx, initialState),
-  )
+  ))
 }
@@ -6,7 +6,7 @@ import { Entity } from '../../../core'
 
 export function OrthographicCameraInfoContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
+  return Entity.own(ctx, () => Entity(ctx, initialState,
     PerspectiveCameraInfoContext(ctx, initialState),
     ScopedContext(ctx, {
       viewport(ctx, args) {
@@ -18,5 +18,5 @@ export function OrthographicCameraInfoContext(ctx, initialState = {}) {
         return viewport || [-far, -far, far, far]
       }
     })
-  )
+  ))
 }
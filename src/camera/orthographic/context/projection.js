@@ -1,24 +1,31 @@
-import { assignDefaults, pick } from '../../../utils'
+import { assignDefaults, listen, pick } from '../../../utils'
 import { ScopedContext } from '../../../scope'
 import * as defaults from '../defaults'
 import mat4 from 'gl-mat4'
 
-const scratchMatrix = mat4.identity([])
-
 export function OrthographicCameraProjectionContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
+  const matrix = mat4.identity([])
+  let previous = null
+
+  // the projection is computed again after the context is resized
+  listen(ctx, 'resize', () => { previous = null })
+
   return ScopedContext(ctx, initialState, {
     projection(ctx, args) {
-      const projection = mat4.identity(scratchMatrix)
       const viewport = pick('viewport', [args, ctx, initialState])
       const near = pick('near', [args, ctx, initialState])
       const far = pick('far', [args, ctx, initialState])
-      const left = viewport[0]
-      const bottom = viewport[1]
-      const right = viewport[2]
-      const top = viewport[3]
-      mat4.ortho(projection, left, right, bottom, top, near, far)
-      return projection
+      const current = [ ...viewport, near, far ].join()
+      if (previous != current) {
+        previous = current
+        const left = viewport[0]
+        const bottom = viewport[1]
+        const right = viewport[2]
+        const top = viewport[3]
+        mat4.ortho(matrix, left, right, bottom, top, near, far)
+      }
+      return matrix
     }
   })
 }
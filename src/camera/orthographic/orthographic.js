@@ -4,5 +4,7 @@ import * as defaults from './defaults'
 
 export function OrthographicCamera(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return OrthographicCameraContext(ctx, initialState)
+  return Object.assign(OrthographicCameraContext(ctx, initialState), {
+    displayName: initialState.displayName || 'OrthographicCamera'
+  })
 }
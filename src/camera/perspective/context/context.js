@@ -1,9 +1,10 @@
 import { PerspectiveCameraProjectionContext } from './projection'
 import { PerspectiveCameraInfoContext } from './info'
 import { PerspectiveCameraViewContext } from './view'
-import { assignDefaults, isolate } from '../../../utils'
+import { assignDefaults, extendSchema, isolate } from '../../../utils'
 import { Object3DContext } from '../../../object3d'
 import * as defaults from '../defaults'
+import { schema } from '../../schema'
 import { Entity } from '../../../core'
 
 import {
@@ -14,7 +15,9 @@ import {
 
 export function PerspectiveCameraContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
+  const cameraSchema = extendSchema(initialState, schema)
+  return Entity.own(ctx, () => Entity(ctx,
+    { ...initialState, schema: cameraSchema },
     Object3DContext(ctx, initialState),
     CameraInfoContext(ctx, initialState),
     PerspectiveCameraInfoContext(ctx, initialState),
@@ -23,5 +26,5 @@ export function PerspectiveCameraContext(ctx, initialState = {}) {
     CameraInverseViewContext(ctx, initialState),
     PerspectiveCameraProjectionContext(ctx, initialState),
     CameraEyeContext(ctx, initialState),
-  )
+  ))
 }
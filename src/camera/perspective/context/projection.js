@@ -1,4 +1,4 @@
-import { assignDefaults, pick } from '../../../utils'
+import { assignDefaults, listen, pick } from '../../../utils'
 import { ScopedContext } from '../../../scope'
 import * as defaults from '../defaults'
 import mat4 from 'gl-mat4'
@@ -10,6 +10,10 @@ export function PerspectiveCameraProjectionContext (ctx, initialState = {}) {
   let previousNear = 0
   let previousFar = 0
   let previousFov = 0
+
+  // the projection is computed again after the context is resized
+  listen(ctx, 'resize', () => { previousAspect = 0 })
+
   return ScopedContext(ctx, initialState, {
     projection(ctx, args) {
       if ('projection' in args && args.projection) {
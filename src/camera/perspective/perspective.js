@@ -4,5 +4,7 @@ import * as defaults from './defaults'
 
 export function PerspectiveCamera (ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return PerspectiveCameraContext(ctx, initialState)
+  return Object.assign(PerspectiveCameraContext(ctx, initialState), {
+    displayName: initialState.displayName || 'PerspectiveCamera'
+  })
 }
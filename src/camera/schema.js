@@ -0,0 +1,20 @@
+import { schema as object3dSchema } from '../object3d/schema'
+
+// argument schema of camera entities
+export const schema = {
+  ...object3dSchema,
+  direction: 'vec3',
+  target: 'vec3',
+  up: 'vec3',
+  near: 'number',
+  far: 'number',
+  fov: 'number',
+  aspect: 'number',
+  projection: 'mat4',
+  view: 'mat4',
+  viewport: ['array', 'object'],
+  viewportWidth: 'number',
+  viewportHeight: 'number',
+  viewportLeft: 'number',
+  viewportTop: 'number',
+}
@@ -0,0 +1,133 @@
+import window from 'global/window'
+
+// WebGL enums used to query shader precision formats
+const GL_VERTEX_SHADER = 0x8B31
+const GL_FRAGMENT_SHADER = 0x8B30
+const GL_LOW_FLOAT = 0x8DF0
+const GL_MEDIUM_FLOAT = 0x8DF1
+const GL_HIGH_FLOAT = 0x8DF2
+const GL_LOW_INT = 0x8DF3
+const GL_MEDIUM_INT = 0x8DF4
+const GL_HIGH_INT = 0x8DF5
+
+// precision qualifiers and their WebGL enums
+const kPrecisionTypes = {
+  lowFloat: GL_LOW_FLOAT,
+  mediumFloat: GL_MEDIUM_FLOAT,
+  highFloat: GL_HIGH_FLOAT,
+  lowInt: GL_LOW_INT,
+  mediumInt: GL_MEDIUM_INT,
+  highInt: GL_HIGH_INT,
+}
+
+// precision formats assumed when there isn't a WebGLRenderingContext
+const kDefaultPrecisionFormats = {
+  lowFloat: Object.freeze({ rangeMin: 127, rangeMax: 127, precision: 23 }),
+  mediumFloat: Object.freeze({ rangeMin: 127, rangeMax: 127, precision: 23 }),
+  highFloat: Object.freeze({ rangeMin: 127, rangeMax: 127, precision: 23 }),
+  lowInt: Object.freeze({ rangeMin: 31, rangeMax: 30, precision: 0 }),
+  mediumInt: Object.freeze({ rangeMin: 31, rangeMax: 30, precision: 0 }),
+  highInt: Object.freeze({ rangeMin: 31, rangeMax: 30, precision: 0 }),
+}
+
+// regl limits copied as is to capabilities
+const kLimits = [
+  'maxTextureSize',
+  'maxCubeMapSize',
+  'maxRenderbufferSize',
+  'maxViewportDims',
+  'maxTextureUnits',
+  'maxCombinedTextureUnits',
+  'maxVertexTextureUnits',
+  'maxVertexUniforms',
+  'maxFragmentUniforms',
+  'maxVaryingVectors',
+  'maxAttributes',
+  'maxColorAttachments',
+  'maxDrawbuffers',
+  'maxAnisotropic',
+  'pointSizeDims',
+  'lineWidthDims',
+]
+
+/**
+ * Creates a frozen object describing the capabilities and limits of a
+ * regl instance and its WebGLRenderingContext. Limits are read from
+ * `regl.limits` so they are available for regl stand-ins that do not
+ * have a WebGLRenderingContext.
+ *
+ * getCapabilities(regl: Function, optionalExtensions: Array<String>) -> Object
+ *
+ * @public
+ * @function
+ * @param {Function} regl
+ * @param {?(Array<String>)} [optionalExtensions = []]
+ * @return {Object}
+ */
+export function getCapabilities(regl, optionalExtensions = []) {
+  const gl = regl && regl._gl || null
+  const limits = regl && regl.limits || {}
+  const extensions = (limits.extensions || [])
+    .map((name) => String(name).toLowerCase())
+
+  const hasExtension = (name) => {
+    return -1 != extensions.indexOf(String(name).toLowerCase())
+  }
+
+  const capabilities = {
+    version: getWebGLVersion(gl, limits),
+    glsl: limits.glsl || null,
+    vendor: limits.vendor || null,
+    renderer: limits.renderer || null,
+    extensions,
+    optionalExtensions: {},
+    precision: {
+      vertex: getPrecisionFormats(gl, GL_VERTEX_SHADER),
+      fragment: getPrecisionFormats(gl, GL_FRAGMENT_SHADER),
+    },
+    hasExtension,
+  }
+
+  for (const key of kLimits) {
+    capabilities[key] = null != limits[key] ? limits[key] : null
+  }
+
+  for (const name of optionalExtensions) {
+    capabilities.optionalExtensions[name] = hasExtension(name)
+  }
+
+  Object.freeze(capabilities.optionalExtensions)
+  Object.freeze(capabilities.extensions)
+  return Object.freeze(capabilities)
+}
+
+/**
+ * getWebGLVersion(gl: WebGLRenderingContext, limits: Object) -> Number
+ */
+function getWebGLVersion(gl, limits) {
+  const {WebGL2RenderingContext} = window
+  if (gl && 'function' == typeof WebGL2RenderingContext) {
+    return gl instanceof WebGL2RenderingContext ? 2 : 1
+  }
+  return /webgl 2/i.test(limits.version || '') ? 2 : 1
+}
+
+/**
+ * getPrecisionFormats(gl: WebGLRenderingContext, shaderType: Number) -> Object
+ */
+function getPrecisionFormats(gl, shaderType) {
+  const formats = {}
+  for (const key in kPrecisionTypes) {
+    let format = null
+    if (gl && 'function' == typeof gl.getShaderPrecisionFormat) {
+      format = gl.getShaderPrecisionFormat(shaderType, kPrecisionTypes[key])
+    }
+    if (format) {
+      const {rangeMin, rangeMax, precision} = format
+      formats[key] = Object.freeze({rangeMin, rangeMax, precision})
+    } else {
+      formats[key] = kDefaultPrecisionFormats[key]
+    }
+  }
+  return Object.freeze(formats)
+}
@@ -1,9 +1,13 @@
+import { ResourceRegistry } from './resources'
+import { Profiler } from './profiler'
+import { getCapabilities } from './capabilities'
+import { createWebGL2Context } from './gl/webgl2'
+import { View } from './view'
 import { EventEmitter } from 'events'
 import coalesce from 'defined'
 import document from 'global/document'
 import combine from 'regl-combine'
 import window from 'global/window'
-import events from 'dom-events'
 import regl from '@littlstar/regl'
 
 /**
@@ -25,7 +29,12 @@ export class Context extends EventEmitter {
    * @type {Array<String>}
    */
   static get kDefaulOptionaltExtensions() {
-    return [ 'OES_vertex_array_object', 'OES_texture_float' ]
+    return [
+      'OES_vertex_array_object',
+      'OES_texture_float',
+      'WEBGL_color_buffer_float',
+      'EXT_color_buffer_float',
+    ]
   }
 
   /**
@@ -35,6 +44,8 @@ export class Context extends EventEmitter {
    * @param {?(Object)} [opts = {}] Context configuration
    * @param {?(Object)} [opts.pixelRatio = window.devicePixelRatio] Device pixel ratio
    * @param {?(Object)} [opts.profile = false] Enable CPU/GPU profiling
+   * @param {?(Object)} [opts.debug = false] Record entity context variables for Entity.inspect()
+   * @param {?(Number)} [opts.version = 1] WebGL version (1 or 2)
    * @param {?(Object)} [opts.gl] WebGL context configuration
    * @param {?(Object)} [opts.gl.context] Existing WebGLRenderingContext instance
    * @param {?(Object)} [opts.gl.attributes] WebGL context attributes
@@ -57,7 +68,19 @@ export class Context extends EventEmitter {
 
     this.setMaxListeners(Infinity)
     this._isDestroyed = false
+    this._isContextLost = false
     this._hasFocus = false
+    this._hasExplicitPixelRatio = null != opts.pixelRatio
+    this._pixelRatio = opts.pixelRatio || window.devicePixelRatio || 1
+    this._previousPixelRatio = 0
+    this._height = 0
+    this._width = 0
+    this._getDrawingBufferSize = null
+    this._resources = new ResourceRegistry()
+    this._profiler = new Profiler({enabled: opts.profile})
+    this._debug = Boolean(opts.debug)
+    this._capabilities = null
+    this._views = []
 
     // coalesce regl options if given as `.gl`
     opts.regl = coalesce(opts.regl, opts.gl || {})
@@ -79,27 +102,65 @@ export class Context extends EventEmitter {
       opts.regl.container = opts.element
     }
 
+    // regl creates WebGL1 contexts so a WebGL2 context is given to it
+    if (2 == opts.version && null == opts.regl.gl) {
+      const canvas = opts.regl.canvas || createCanvas(opts.regl.container)
+      const gl = createWebGL2Context(canvas, opts.regl.attributes)
+      if (gl) {
+        opts.regl.gl = gl
+        delete opts.regl.container
+        delete opts.regl.canvas
+      } else {
+        if (canvas != opts.regl.canvas && canvas && canvas.parentElement) {
+          canvas.parentElement.removeChild(canvas)
+        }
+        console.warn("Context(): WebGL2 is not supported. Using WebGL1 instead.")
+      }
+    }
+
+    this._optionalExtensions = [
+      ...Context.kDefaulOptionaltExtensions,
+      ...(opts.regl.optionalExtensions || [])
+    ]
+
+    // regl measures GPU time of commands with a timer query extension
+    if (this._profiler.enabled) {
+      this._optionalExtensions.push(Profiler.kTimerQueryExtension)
+    }
+
     // call regl initializer
     void createRegl({
-      pixelRatio: opts.pixelRatio || window.devicePixelRatio || 1,
+      pixelRatio: this._pixelRatio,
       profile: Boolean(opts.profile),
       ...opts.regl,
       attributes: { ...(opts.regl.attributes || {}) },
       extensions: [ ...(opts.regl.extensions || []) ],
-      optionalExtensions: [
-        ...Context.kDefaulOptionaltExtensions,
-        ...(opts.regl.optionalExtensions || [])
-      ],
+      optionalExtensions: [ ...this._optionalExtensions ],
 
       onDone: (err, regl) => {
         if (err) { return this.emit('error', err) }
-        this._regl = combine.wrap(regl)
+        this._regl = this._resources.wrap(
+          this._profiler.wrap(wrapDynamicBoxes(regl, combine.wrap)))
         this._isDestroyed = false
         if (regl._gl && regl._gl.canvas) {
           this._domElement = this._regl._gl.canvas
         } else {
           this._domElement = null
         }
+
+        // regl listens for 'webglcontextlost' and 'webglcontextrestored'
+        // and restores its internal state before calling 'restore' listeners
+        if ('function' == typeof regl.on) {
+          regl.on('lost', () => {
+            this._isContextLost = true
+            this.emit('contextlost')
+          })
+          regl.on('restore', () => {
+            this._isContextLost = false
+            this._capabilities = null
+            this.emit('contextrestored')
+          })
+        }
       }
     })
 
@@ -109,8 +170,8 @@ export class Context extends EventEmitter {
       'undefind' != typeof document
     ) {
       const bind = (t, e, f) => {
-        events.on(t, e, f)
-        this.once('beforedestroy', () => events.off(t, e, f))
+        t.addEventListener(e, f, false)
+        this.once('beforedestroy', () => t.removeEventListener(e, f, false))
       }
       // context focus event handlers
       const onblur = () => { this.blur() }
@@ -125,7 +186,50 @@ export class Context extends EventEmitter {
       bind(window, 'blur', onwindowblur)
       bind(document, 'mousedown', onmousedown)
       bind(document, 'touchstart', onmousedown)
+
+      // context resize event handlers
+      const onresize = () => { this.resize() }
+      const container = opts.regl.container && opts.regl.container.nodeName
+        ? opts.regl.container
+        : this._domElement
+      if ('function' == typeof window.ResizeObserver) {
+        const observer = new window.ResizeObserver(onresize)
+        observer.observe(container)
+        this.once('beforedestroy', () => observer.disconnect())
+      } else {
+        bind(window, 'resize', onresize)
+      }
+
+      // device pixel ratio changes when moving between monitors
+      let unwatchPixelRatio = null
+      const watchPixelRatio = () => {
+        const dpr = window.devicePixelRatio || 1
+        const query = window.matchMedia(`(resolution: ${dpr}dppx)`)
+        const onchange = () => {
+          unwatchPixelRatio()
+          if (false == this._hasExplicitPixelRatio) {
+            this._pixelRatio = window.devicePixelRatio || 1
+          }
+          this.resize()
+          watchPixelRatio()
+        }
+        // MediaQueryList.addListener() is deprecated and only used by
+        // browsers without MediaQueryList change events
+        if ('function' == typeof query.addEventListener) {
+          query.addEventListener('change', onchange)
+          unwatchPixelRatio = () => query.removeEventListener('change', onchange)
+        } else {
+          query.addListener(onchange)
+          unwatchPixelRatio = () => query.removeListener(onchange)
+        }
+      }
+      if ('function' == typeof window.matchMedia) {
+        watchPixelRatio()
+        this.once('beforedestroy', () => unwatchPixelRatio())
+      }
     }
+
+    this.resize()
   }
 
   /**
@@ -137,6 +241,15 @@ export class Context extends EventEmitter {
    */
   get isDestroyed() { return Boolean(this._isDestroyed) }
 
+  /**
+   * Boolean value to indicate if the underlying WebGL context is lost.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Boolean}
+   */
+  get isContextLost() { return Boolean(this._isContextLost) }
+
   /**
    * Boolean value to indicate if context instance has focus.
    * @public
@@ -146,6 +259,42 @@ export class Context extends EventEmitter {
    */
   get hasFocus() { return Boolean(this._hasFocus) }
 
+  /**
+   * Width of the context in CSS pixels.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Number}
+   */
+  get width() { return this._width }
+
+  /**
+   * Height of the context in CSS pixels.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Number}
+   */
+  get height() { return this._height }
+
+  /**
+   * Ratio of drawing buffer pixels to CSS pixels. Setting this value
+   * resizes the drawing buffer and stops the context from following
+   * changes to `window.devicePixelRatio`.
+   * @public
+   * @accessor
+   * @type {Number}
+   */
+  get pixelRatio() { return this._pixelRatio }
+  set pixelRatio(pixelRatio) {
+    if ('number' != typeof pixelRatio || !(pixelRatio > 0)) {
+      throw new TypeError("Context(): expecting pixel ratio to be a positive number.")
+    }
+    this._hasExplicitPixelRatio = true
+    this._pixelRatio = pixelRatio
+    this.resize(this._width, this._height)
+  }
+
   /**
    * Underlying canvas DOM element that owns the WebGL context.
    * @public
@@ -164,6 +313,73 @@ export class Context extends EventEmitter {
    */
   get regl() { return this._regl || null }
 
+  /**
+   * Views added to the context with addView().
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Array<View>}
+   */
+  get views() { return this._views.slice() }
+
+  /**
+   * Registry of regl resources created by this context.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {ResourceRegistry}
+   */
+  get resources() { return this._resources }
+
+  /**
+   * Profiler collecting per entity draw counts, CPU time and GPU time
+   * each frame. Stats are only collected if the context was created
+   * with the `profile` option.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Profiler}
+   */
+  get profiler() { return this._profiler }
+
+  /**
+   * Boolean value to indicate if entities record the context variables
+   * and arguments of their last invocation for Entity.inspect().
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Boolean}
+   */
+  get debug() { return this._debug }
+
+  /**
+   * Capabilities and limits of the underlying WebGL context, such as the
+   * WebGL version, maximum texture size, uniform and varying vectors,
+   * supported extensions and shader precision formats.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Object|null}
+   */
+  get capabilities() {
+    if (null == this._capabilities && this._regl) {
+      this._capabilities = getCapabilities(this._regl, this._optionalExtensions)
+    }
+    return this._capabilities
+  }
+
+  /**
+   * WebGL version of the underlying WebGL context.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Number}
+   */
+  get version() {
+    const {capabilities} = this
+    return capabilities ? capabilities.version : 1
+  }
+
   /**
    * Underlying WebGLRenderingContext instance.
    * @public
@@ -218,6 +434,91 @@ export class Context extends EventEmitter {
     return this
   }
 
+  /**
+   * Adds a view that renders into a region of the context's DOM element
+   * given by a DOM element, selector or rectangle in CSS pixels. Views
+   * share the GPU resources of the context.
+   * @public
+   * @method
+   * @param {HTMLElement|String|Object} target DOM element, selector or rectangle
+   * @param {?(Object)} [opts] View configuration
+   * @return {View}
+   */
+  addView(target, opts) {
+    const view = new View(this, target, opts)
+    this._views.push(view)
+    return view
+  }
+
+  /**
+   * Removes a view added with addView().
+   * @public
+   * @method
+   * @param {View} view
+   * @return {Context}
+   */
+  removeView(view) {
+    const index = this._views.indexOf(view)
+    if (-1 != index) {
+      this._views.splice(index, 1)
+      view.destroy()
+    }
+    return this
+  }
+
+  /**
+   * Resizes the drawing buffer to a size in CSS pixels scaled by the
+   * pixel ratio. If a size is not given, then it is measured from the
+   * underlying DOM element, or the current drawing buffer if there isn't
+   * one. The 'resize' event is emitted if the size or pixel ratio changed.
+   * @public
+   * @method
+   * @param {?(Number)} [width] Width in CSS pixels
+   * @param {?(Number)} [height] Height in CSS pixels
+   * @emits resize
+   * @return {Context}
+   */
+  resize(width, height) {
+    const {domElement, pixelRatio} = this
+    const previous = [this._width, this._height, this._previousPixelRatio]
+
+    if (null == width || null == height) {
+      if (domElement && domElement.clientWidth && domElement.clientHeight) {
+        width = domElement.clientWidth
+        height = domElement.clientHeight
+      } else if (this.regl && false == this.isContextLost) {
+        if (null == this._getDrawingBufferSize) {
+          this._getDrawingBufferSize = this.regl({})
+        }
+        this._getDrawingBufferSize(({drawingBufferWidth, drawingBufferHeight}) => {
+          width = drawingBufferWidth / pixelRatio
+          height = drawingBufferHeight / pixelRatio
+        })
+      }
+    }
+
+    if (!width || !height) { return this }
+
+    if (domElement && 'CANVAS' == domElement.nodeName) {
+      domElement.width = Math.floor(width * pixelRatio)
+      domElement.height = Math.floor(height * pixelRatio)
+    }
+
+    this._width = width
+    this._height = height
+    this._previousPixelRatio = pixelRatio
+    this.poll()
+
+    if (
+      previous[0] != width ||
+      previous[1] != height ||
+      previous[2] != pixelRatio
+    ) {
+      this.emit('resize', {width, height, pixelRatio})
+    }
+    return this
+  }
+
   /**
    * Destroys underling regl and gl context instances and removes
    * underling DOM element from its parent element if it exists.
@@ -229,10 +530,26 @@ export class Context extends EventEmitter {
    */
   destroy() {
     this.emit('beforedestroy')
+    const leaks = this._resources.stats()
+    if (leaks.count) {
+      const types = Object.keys(leaks.types)
+        .map((type) => `${type}: ${leaks.types[type].count}`)
+        .join(', ')
+      console.warn(
+        `Context(): Destroying context with ${leaks.count} live resources ` +
+        `(~${leaks.bytes} bytes, ${types}).`)
+    }
+
     if (this._regl && 'function' == typeof this._regl.destroy) {
       this._regl.destroy()
       delete this._regl
+      this._getDrawingBufferSize = null
     }
+    this._resources.clear()
+    this._profiler.clear()
+    this._capabilities = null
+
+    for (const view of this.views) { this.removeView(view) }
 
     if (this._domElement) {
       if (this._domElement.parentElement) {
@@ -247,6 +564,17 @@ export class Context extends EventEmitter {
     return this
   }
 
+  /**
+   * Returns live resource counts and estimated bytes in total, by type
+   * and by the id of the entity that owns them.
+   * @public
+   * @method
+   * @return {Object}
+   */
+  stats() {
+    return this._resources.stats()
+  }
+
   /**
    * Refreshes regl state. This method shouldn't be called unless
    * there has been direct manipulation of the underlying WebGLRenderingContext
@@ -289,3 +617,75 @@ export class Context extends EventEmitter {
     return this
   }
 }
+
+/**
+ * Creates a canvas that fills a container like regl does when it creates
+ * one itself. The container may be a DOM element or a selector string.
+ *
+ * createCanvas(container: HTMLElement|String) -> HTMLCanvasElement|null
+ */
+function createCanvas(container) {
+  if (!document || 'function' != typeof document.createElement) {
+    return null
+  }
+
+  if ('string' == typeof container) {
+    container = document.querySelector(container)
+  }
+
+  const canvas = document.createElement('canvas')
+  if (!canvas || 'function' != typeof canvas.getContext) {
+    return null
+  }
+
+  container = container || document.body
+  Object.assign(canvas.style, {border: 0, margin: 0, padding: 0, top: 0, left: 0})
+  if (container == document.body) {
+    Object.assign(canvas.style, {position: 'absolute', width: '100%', height: '100%'})
+    Object.assign(container.style, {margin: 0, padding: 0})
+  } else {
+    Object.assign(canvas.style, {width: '100%', height: '100%'})
+  }
+  if (container) { container.appendChild(canvas) }
+  return canvas
+}
+
+/**
+ * Wraps regl with `wrap` so dynamic viewport and scissor boxes given as
+ * functions reach regl. regl-combine extends command options with
+ * regl-extend, which only copies the fields of static boxes, so dynamic
+ * boxes are set aside before the options are extended and given back
+ * when the command is created.
+ *
+ * wrapDynamicBoxes(regl: Function, wrap: Function) -> Function
+ */
+function wrapDynamicBoxes(regl, wrap) {
+  let boxes = null
+  const wrapped = wrap(Object.assign((opts) => {
+    if (boxes && boxes.viewport) {
+      opts = { ...opts, viewport: boxes.viewport }
+    }
+    if (boxes && boxes.scissor) {
+      opts = { ...opts, scissor: { ...opts.scissor, box: boxes.scissor } }
+    }
+    return regl(opts)
+  }, regl))
+
+  return Object.assign((opts = {}) => {
+    const {viewport, scissor} = opts
+    const previous = boxes
+    boxes = {}
+    if ('function' == typeof viewport) {
+      boxes.viewport = viewport
+      opts = { ...opts }
+      delete opts.viewport
+    }
+    if (scissor && 'function' == typeof scissor.box) {
+      boxes.scissor = scissor.box
+      opts = { ...opts, scissor: { ...scissor } }
+      delete opts.scissor.box
+    }
+    try { return wrapped(opts) }
+    finally { boxes = previous }
+  }, wrapped)
+}
@@ -1,24 +1,89 @@
 import coalesce from 'defined'
 
+// counters created with DynamicValue.createCounter()
+const counters = []
+
 /**
  * The DynamicValue class represents an object accessor values
  * that can be dynamically accessed while also providing initial,
  * or default state. Function values are evaluated with a regl context
  * object and an arguments object with default state merged in.
+ * Values that are set or unset are versioned per key, marked dirty and
+ * emitted to 'change' event listeners so dependent components can skip
+ * recomputing values that did not change.
  * @public
  * @class DynamicValue
  */
 export class DynamicValue {
 
   /**
-   * Creates a new DynamicValueCounter
+   * Creates a new DynamicValueCounter. The name is part of the keys of
+   * the values it counts in context snapshots.
    * @public
    * @static
    * @method
+   * @param {?(String)} [name]
    * @return {DynamicValueCounter}
    */
-  static createCounter() {
-    return new DynamicValueCounter()
+  static createCounter(name = String(counters.length)) {
+    const counter = new DynamicValueCounter(name)
+    counters.push(counter)
+    return counter
+  }
+
+  /**
+   * Creates a snapshot of every DynamicValue registered for a context
+   * with a counter created by DynamicValue.createCounter(), such as
+   * shader uniforms and attributes and the values of ScopedContext and
+   * UpdateContext components. Values are keyed by the id of the entity
+   * that owns them, the name of their counter, their prefix and their
+   * position among values with the same entity, counter and prefix, so
+   * the keys are the same for scenes created in the same way.
+   * @public
+   * @static
+   * @method
+   * @param {Context} ctx
+   * @return {Object}
+   */
+  static snapshotContext(ctx) {
+    const values = {}
+    for (const [key, value] of getContextValues(ctx)) {
+      values[key] = value.toJSON()
+    }
+    return {values}
+  }
+
+  /**
+   * Restores a snapshot created with DynamicValue.snapshotContext(). The
+   * snapshot must have a value for every key of the context and no other
+   * keys, nothing is restored otherwise.
+   * @public
+   * @static
+   * @method
+   * @param {Context} ctx
+   * @param {Object} snapshot
+   * @throws TypeError
+   */
+  static restoreContext(ctx, snapshot) {
+    const {values} = snapshot || {}
+    if (!values || 'object' != typeof values || Array.isArray(values)) {
+      throw new TypeError("DynamicValue(): Expecting snapshot with values object.")
+    }
+    const entries = getContextValues(ctx)
+    for (const [key] of entries) {
+      if (!(key in values)) {
+        throw new TypeError(
+          `DynamicValue(): Snapshot is missing value '${key}' of context.`)
+      }
+    }
+    if (Object.keys(values).length != entries.size) {
+      const unknown = Object.keys(values).find((key) => !entries.has(key))
+      throw new TypeError(
+        `DynamicValue(): Snapshot value '${unknown}' is not in context.`)
+    }
+    for (const [key, value] of entries) {
+      value.restore(values[key])
+    }
   }
 
   /**
@@ -45,8 +110,12 @@ export class DynamicValue {
       enumerable: false, get: () => v || def
     })
     define('ctx', ctx, {})
+    define('owner', ctx.resources ? ctx.resources.owner : null, null)
     define('valueState', {}, {})
     define('initialState', initialState, {})
+    define('versions', {}, {})
+    define('dirtyKeys', new Set())
+    define('listeners', [])
     this.set(props)
   }
 
@@ -88,14 +157,151 @@ export class DynamicValue {
   unset(key) {
     if ('string' == typeof key && key in this.valueState) {
       delete this.valueState[key]
+      change(this, key)
+    }
+    return this
+  }
+
+  /**
+   * Returns a JSON serializable snapshot of the initial state and value
+   * state. Functions and values that are not numbers, strings, booleans,
+   * arrays, typed arrays or plain objects of them are left out.
+   * @public
+   * @method
+   * @return {Object}
+   */
+  toJSON() {
+    return {
+      initialState: serializeState(this.initialState),
+      valueState: serializeState(this.valueState),
+    }
+  }
+
+  /**
+   * Restores a snapshot created with toJSON(). Initial state values in
+   * the snapshot are assigned to the initial state object. Values that
+   * are set are restored, values that were not set when the snapshot was
+   * created are unset unless they are functions. Arrays with the same
+   * length are restored in place as they may be shared with the state
+   * of other components and entities.
+   * @public
+   * @method
+   * @param {Object} snapshot
+   * @return {DynamicValue}
+   * @throws TypeError
+   */
+  restore(snapshot) {
+    if (!snapshot || 'object' != typeof snapshot) {
+      throw new TypeError("DynamicValue(): Expecting snapshot object.")
+    }
+    const {initialState, valueState} = this
+    const initial = snapshot.initialState || {}
+    const values = snapshot.valueState || {}
+
+    for (const key of Object.keys(initial)) {
+      if (!isSameValue(initialState[key], initial[key])) {
+        initialState[key] = deserialize(initial[key], initialState[key])
+        if (!(key in valueState)) { change(this, key) }
+      }
+    }
+
+    for (const key of Object.keys(valueState)) {
+      if (!(key in values) && 'function' != typeof valueState[key]) {
+        this.unset(key)
+      }
+    }
+
+    for (const key of Object.keys(values)) {
+      if (!(key in valueState) || !isSameValue(valueState[key], values[key])) {
+        this.set(key, deserialize(values[key], valueState[key]))
+      }
+    }
+    return this
+  }
+
+  /**
+   * Returns the number of times a value was changed by key name.
+   * @public
+   * @method
+   * @param {String} key Value key name
+   * @return {Number}
+   */
+  getVersion(key) {
+    return this.versions[key] || 0
+  }
+
+  /**
+   * Predicate to determine if a value changed since it was last
+   * marked clean. Any value is checked if a key is not given.
+   * @public
+   * @method
+   * @param {?(String)} [key] Value key name
+   * @return {Boolean}
+   */
+  isDirty(key) {
+    return null == key ? this.dirtyKeys.size > 0 : this.dirtyKeys.has(key)
+  }
+
+  /**
+   * Marks a value as clean, or every value if a key is not given.
+   * @public
+   * @method
+   * @param {?(String)} [key] Value key name
+   * @return {DynamicValue}
+   */
+  clean(key) {
+    if (null == key) { this.dirtyKeys.clear() }
+    else { this.dirtyKeys.delete(key) }
+    return this
+  }
+
+  /**
+   * Adds a listener for an event. 'change' listeners are called with
+   * the key, value and version of a value that changed. A key can be
+   * given to only listen for changes of that value.
+   * @public
+   * @method
+   * @param {String} event Event name
+   * @param {?(String)} [key] Value key name
+   * @param {Function} callback
+   * @return {DynamicValue}
+   * @throws TypeError
+   */
+  on(event, key, callback) {
+    if ('function' == typeof key) {
+      callback = key
+      key = null
+    }
+    if ('function' != typeof callback) {
+      throw new TypeError("DynamicValue(): Expecting callback to be a function.")
+    }
+    this.listeners.push({event, key, callback})
+    return this
+  }
+
+  /**
+   * Removes a listener for an event.
+   * @public
+   * @method
+   * @param {String} event Event name
+   * @param {Function} callback
+   * @return {DynamicValue}
+   */
+  off(event, callback) {
+    const {listeners} = this
+    for (let i = listeners.length - 1; i >= 0; --i) {
+      if (event == listeners[i].event && callback == listeners[i].callback) {
+        listeners.splice(i, 1)
+      }
     }
     return this
   }
 }
 
 class DynamicValueCounter {
-  constructor() {
+  constructor(name) {
     Object.defineProperties(this, {
+      name: { enumerable: false, value: name },
       contexts: { enumerable: false, value: new Set() },
       map: { enumerable: false, value: new WeakMap() },
     })
@@ -150,13 +356,150 @@ function getPrimitiveValue(v) {
   return value
 }
 
+/**
+ * Returns the dynamic values registered for a context by all counters
+ * keyed by their owning entity id, counter name, prefix and position.
+ *
+ * getContextValues(ctx: Context) -> Map<String, DynamicValue>
+ */
+function getContextValues(ctx) {
+  const values = new Map()
+  const positions = {}
+  for (const counter of counters) {
+    for (const value of counter.listSetForContext(ctx)) {
+      const base = [
+        getOwnerId(value.owner), counter.name, value.prefix || ''
+      ].join(':')
+      const position = positions[base] || 0
+      positions[base] = position + 1
+      values.set(`${base}:${position}`, value)
+    }
+  }
+  return values
+}
+
+/**
+ * Owners entered with Entity.own() resolve to the id of the entity
+ * they were created for.
+ *
+ * getOwnerId(owner: Any) -> String
+ */
+function getOwnerId(owner) {
+  if (owner && 'object' == typeof owner) { owner = owner.entityId }
+  return null == owner ? 'unowned' : String(owner)
+}
+
+/**
+ * serializeState(state: Object) -> Object
+ */
+function serializeState(state) {
+  const serialized = {}
+  for (const key of Object.keys(state || {})) {
+    const value = serialize(state[key])
+    if (undefined !== value) { serialized[key] = value }
+  }
+  return serialized
+}
+
+/**
+ * Converts a value into a JSON serializable value, or undefined
+ * if it cannot be serialized.
+ *
+ * serialize(value: Any) -> Any
+ */
+function serialize(value) {
+  if (null == value) {
+    return null
+  } else if ('number' == typeof value) {
+    return isFinite(value) ? value : undefined
+  } else if ('string' == typeof value || 'boolean' == typeof value) {
+    return value
+  } else if (ArrayBuffer.isView(value) && 'number' == typeof value.length) {
+    return Array.from(value)
+  } else if (Array.isArray(value)) {
+    const array = value.map(serialize)
+    return array.some((v) => undefined === v) ? undefined : array
+  } else if ('object' == typeof value) {
+    const proto = Object.getPrototypeOf(value)
+    if (null == proto || Object.prototype == proto) {
+      return serializeState(value)
+    }
+  }
+  return undefined
+}
+
+/**
+ * Converts a serialized value back into the type of the value it
+ * replaces. Values are copied into array like values of the same
+ * length.
+ *
+ * deserialize(value: Any, current: Any) -> Any
+ */
+function deserialize(value, current) {
+  if (Array.isArray(value) && current && 'object' == typeof current) {
+    if (value.length == current.length && !Object.isFrozen(current)) {
+      for (let i = 0; i < value.length; ++i) { current[i] = value[i] }
+      return current
+    } else if (ArrayBuffer.isView(current)) {
+      return new current.constructor(value)
+    }
+  }
+  return value
+}
+
+/**
+ * Bumps the version of a value, marks it dirty and calls
+ * 'change' listeners.
+ *
+ * change(object: DynamicValue, key: String) -> void
+ */
+function change(object, key) {
+  const version = (object.versions[key] || 0) + 1
+  const value = object.valueState[key]
+  object.versions[key] = version
+  object.dirtyKeys.add(key)
+  for (const listener of object.listeners.slice()) {
+    if ('change' == listener.event) {
+      if (null == listener.key || key == listener.key) {
+        listener.callback(key, value, version)
+      }
+    }
+  }
+}
+
+/**
+ * Predicate to determine if a value is unchanged. Objects set again
+ * are changed as they may have been mutated, array like values with
+ * the same elements are unchanged.
+ *
+ * isSameValue(a: Any, b: Any) -> Boolean
+ */
+function isSameValue(a, b) {
+  if (a && b && 'object' == typeof a && 'object' == typeof b) {
+    if (a == b || 'number' != typeof a.length || a.length != b.length) {
+      return false
+    }
+    for (let i = 0; i < a.length; ++i) {
+      if (a[i] !== b[i]) { return false }
+    }
+    return true
+  }
+  return a === b
+}
+
 function createAccessor(object, key) {
   if (!(key in object)) {
     return Object.defineProperty(object, key, {enumerable: true, set, get })
   }
 
   function set(value) {
-    object.valueState[key] = value
+    const {valueState} = object
+    const isSet = key in valueState
+    const previous = valueState[key]
+    valueState[key] = value
+    if (!isSet || !isSameValue(previous, value)) {
+      change(object, key)
+    }
   }
 
   function get() {
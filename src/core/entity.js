@@ -1,8 +1,102 @@
 import { MissingContextError, BadArgumentError } from '../errors'
 import { Context } from './context'
 import { combine } from 'regl-combine'
+import { recordEntity, inspectEntity, formatEntityTree } from './inspect'
+import { normalizeSchema, validateArguments } from './schema'
 import extend from 'extend'
 
+Object.assign(Entity, {
+  /**
+   * Creates a tree describing the components of an entity, the context
+   * variables, uniforms and attributes they inject and the order they
+   * are combined in. Context variable values and arguments of the last
+   * invocation are included if the context was created with
+   * `{debug: true}`.
+   *
+   * Entity.inspect(entity: Function) -> Object
+   *
+   * @public
+   * @static
+   * @param {Function} entity
+   * @return {Object}
+   * @throws BadArgumentError
+   */
+  inspect(entity) {
+    if ('function' != typeof entity || null == entity.entityId) {
+      throw new BadArgumentError(0, 'entity', entity, 'entity')
+    }
+    return inspectEntity(entity)
+  },
+
+  /**
+   * Names a component so it can be replaced, removed or have components
+   * inserted next to it with `entity.setSlot()`, `entity.removeSlot()`
+   * and `entity.insertSlot()` after the entity is created.
+   *
+   * Entity.slot(name: String, component: Function) -> Object
+   *
+   * @public
+   * @static
+   * @param {String} name
+   * @param {Function} component
+   * @return {Object}
+   * @throws BadArgumentError
+   */
+  slot(name, component) {
+    return new ComponentSlot(name, component)
+  },
+
+  /**
+   * Prints the tree created by Entity.inspect() and returns it as text.
+   *
+   * Entity.dump(entity: Function) -> String
+   *
+   * @public
+   * @static
+   * @param {Function} entity
+   * @return {String}
+   * @throws BadArgumentError
+   */
+  dump(entity) {
+    const tree = formatEntityTree(Entity.inspect(entity))
+    console.log(tree)
+    return tree
+  },
+
+  /**
+   * Calls a function that creates the components of an entity and
+   * returns the entity. Resources, context listeners and entities
+   * created while the function runs are owned by the returned entity and
+   * destroyed with it. They are destroyed right away if the function
+   * throws.
+   *
+   * Entity.own(ctx: Context, create: Function) -> Function
+   *
+   * @public
+   * @static
+   * @param {Context} ctx
+   * @param {Function} create
+   * @return {Function}
+   */
+  own(ctx, create) {
+    const {resources} = ctx || {}
+    if (!resources) { return create() }
+    // values created along with the components resolve their entity id
+    // through the owner once the entity exists
+    const owner = { entityId: null }
+    let entity = null
+    resources.enter(owner)
+    try { entity = create() }
+    finally {
+      resources.exit()
+      if (null == entity) { resources.release(owner) }
+    }
+    owner.entityId = entity.entityId
+    resources.transfer(owner, entity.entityId)
+    return resources.adopt(entity)
+  },
+})
+
 /**
  * Creates a function with initial (default) state that is given
  * to optional components when invoked as default argument state.
@@ -12,10 +106,44 @@ import extend from 'extend'
  * Entity(ctx, ...components) -> (args, scope) -> Any
  * Entity(ctx, [...components]) -> (args, scope) -> Any
  *
+ * Components given with Entity.slot(name, component) are named slots
+ * that can be swapped with `entity.setSlot(name, component)`, inserted
+ * with `entity.insertSlot(name, component, {before, after})` and removed
+ * with `entity.removeSlot(name)`. The components are combined again on
+ * the next invocation, so components that were not changed keep the
+ * resources they created.
+ *
+ * An argument schema can be given as `initialState.schema`. It maps
+ * argument names to a type name, a constructor, an array of either or
+ * an object with `type`, `length` and `required` properties. In
+ * development builds invocation arguments are validated against it and
+ * unknown keys that are not in the initial state are rejected. It is
+ * ignored in production builds.
+ *
+ * The `initialState.displayName` string names the entity in argument
+ * errors and inspected component trees.
+ *
+ * Entities created with `initialState.batch` set to `true` run their
+ * components once when invoked with an array of argument objects and no
+ * scope function. The objects, merged with the initial state, are given
+ * to the components as `args.batch` so they can draw them with a single
+ * regl batch call.
+ *
+ * Lifecycle hooks can be given in the initial state. `onmount(ctx, args)`
+ * is called on the first invocation and `onupdate(ctx, args)` on every
+ * invocation with the regl context and arguments. `ondestroy(entity)` is
+ * called when `entity.destroy()` is called.
+ *
  * @public
  * @function
  * @param {Context} ctx
  * @param {Object} initialState
+ * @param {?Function} initialState.onmount
+ * @param {?Function} initialState.onupdate
+ * @param {?Function} initialState.ondestroy
+ * @param {?Object} initialState.schema
+ * @param {?String} initialState.displayName
+ * @param {?Boolean} initialState.batch
  * @return {Function}
  * @throws MissingContextError
  * @throws BadArgumentError
@@ -33,6 +161,10 @@ export function Entity(ctx, initialState, ...components) {
       initialState = {}
     } else if ('function' == typeof initialState) {
       components.unshift(initialState)
+      initialState = {}
+    } else if (initialState instanceof ComponentSlot) {
+      components.unshift(initialState)
+      initialState = {}
     } else if ('object' != typeof initialState) {
       throw new BadArgumentError(1, 'initialState', initialState, 'object')
     }
@@ -43,25 +175,212 @@ export function Entity(ctx, initialState, ...components) {
   }
 
   initialState = { ...initialState }
+  components = [ ...components ]
+
+  const hooks = {}
+  for (const hook of kLifecycleHooks) {
+    hooks[hook] = initialState[hook]
+    delete initialState[hook]
+  }
+
+  // components of batch entities are run once for arrays of arguments
+  const isBatch = true === initialState.batch
+  delete initialState.batch
+
+  // argument schemas are only validated in development builds, the
+  // environment is read here so the bundler of the application decides
+  let rules = null
+  if ('production' != process.env.NODE_ENV && null != initialState.schema) {
+    rules = normalizeSchema(initialState.schema)
+  }
+  delete initialState.schema
+
+  // names the entity in argument errors and inspected trees
+  const displayName = initialState.displayName || null
+  delete initialState.displayName
 
   const entityId = generateEntityId()
   const entityContext = ctx.regl({context: new EntityContext(entityId)})
-  const flatComponents = flattenComponents(initialState, components)
-  const combinedComponents = combine(ctx.regl, flatComponents.components)
+  const {resources, profiler, debug} = ctx
+
+  let flatComponents = { components: [], entities: [] }
+  let isMounted = false
+  let isDestroyed = false
+  let warnedDestroyed = false
+  let needsBuild = true
+  let builtRevision = 0
+  let revision = 0
 
-  return Object.assign((...vargs) => {
-    const [kargs, next] = parseArguments(initialState, ...vargs)
+  const entity = Object.assign((...vargs) => {
+    if (isDestroyed) {
+      // entities invoked in a frame loop would warn on every frame
+      if (false == warnedDestroyed) {
+        warnedDestroyed = true
+        console.warn("Entity(): Invoking destroyed entity %d.", entityId)
+      }
+      return
+    }
+    if (needsBuild || builtRevision != getRevision()) { build() }
+    if (rules) { validate(vargs[0]) }
+    const {combinedComponents} = entity
+    const [kargs, next] = isBatch
+      ? parseBatchArguments(initialState, ...vargs)
+      : parseArguments(initialState, ...vargs)
     return entityContext(kargs, ({}, args, batchId) => {
-      return combinedComponents(args, (ctx, cargs) => {
-        return next(ctx, cargs, batchId)
+      return runAs(resources, entityId, () => {
+        return profile(profiler, entityId, () => {
+          return combinedComponents(args, (ctx, cargs) => {
+            if (false == isMounted) {
+              isMounted = true
+              call(hooks.onmount, ctx, cargs)
+            }
+            call(hooks.onupdate, ctx, cargs)
+            if (debug) { recordEntity(entity, ctx, cargs) }
+            return runAs(resources, null, () => next(ctx, cargs, batchId))
+          })
+        })
       })
     })
   }, {
-    combinedComponents,
+    combinedComponents: null,
+    displayName,
     initialState,
     components,
     entityId,
+    destroy,
+    getSlot,
+    setSlot,
+    insertSlot,
+    removeSlot,
   })
+
+  Object.defineProperties(entity, {
+    isMounted: { get: () => isMounted },
+    isDestroyed: { get: () => isDestroyed },
+    revision: { get: () => getRevision() },
+    slots: {
+      get: () => components
+        .filter((c) => c instanceof ComponentSlot)
+        .map(({name}) => name)
+    },
+  })
+
+  // entities created along with the components of another entity or
+  // while it runs are owned and destroyed by it
+  if (resources) { resources.adopt(entity) }
+
+  build()
+  return entity
+
+  // flattens and combines components
+  function build() {
+    flatComponents = flattenComponents(initialState, components)
+    entity.combinedComponents = combine(ctx.regl, flatComponents.components)
+    needsBuild = false
+    builtRevision = getRevision()
+  }
+
+  // validates object arguments or each object of batched arguments
+  function validate(args) {
+    const label = entity.displayName || 'Entity'
+    const knownKeys = Object.keys(initialState)
+    for (const object of [].concat(args)) {
+      if (object && 'object' == typeof object && !ArrayBuffer.isView(object)) {
+        validateArguments(label, rules, object,
+          { ...initialState, ...object }, knownKeys)
+      }
+    }
+    if (null == args || 'function' == typeof args) {
+      validateArguments(label, rules, {}, initialState, knownKeys)
+    }
+  }
+
+  // changes to slots of this entity and of flattened entities
+  function getRevision() {
+    return flatComponents.entities.reduce((sum, child) => {
+      return sum + (child.revision || 0)
+    }, revision)
+  }
+
+  // marks the combined components to be rebuilt on the next invocation
+  function invalidate() {
+    revision = revision + 1
+    needsBuild = true
+    return entity
+  }
+
+  function indexOfSlot(name) {
+    return components.findIndex((component) => {
+      return component instanceof ComponentSlot && name === component.name
+    })
+  }
+
+  function getSlot(name) {
+    const index = indexOfSlot(name)
+    return -1 == index ? null : components[index].component
+  }
+
+  function setSlot(name, component) {
+    const slot = new ComponentSlot(name, component)
+    const index = indexOfSlot(name)
+    if (-1 == index) { components.push(slot) }
+    else { components[index] = slot }
+    return invalidate()
+  }
+
+  function insertSlot(name, component, {before, after} = {}) {
+    const slot = new ComponentSlot(name, component)
+    let index = components.length
+    if (-1 != indexOfSlot(name)) {
+      throw new BadArgumentError(0, 'name', name, 'an unused slot name')
+    } else if (null != before || null != after) {
+      const sibling = null != before ? before : after
+      index = indexOfSlot(sibling)
+      if (-1 == index) {
+        throw new BadArgumentError(2, 'position', sibling, 'a slot name')
+      } else if (null == before) {
+        index = index + 1
+      }
+    }
+    components.splice(index, 0, slot)
+    return invalidate()
+  }
+
+  function removeSlot(name) {
+    const index = indexOfSlot(name)
+    if (-1 == index) { return entity }
+    components.splice(index, 1)
+    return invalidate()
+  }
+
+  // calls the destroy hook and then destroys the entities, regl
+  // resources and listeners owned by this entity, flattened entities
+  // created elsewhere may be shared and are left alone
+  function destroy() {
+    if (isDestroyed) { return entity }
+    isDestroyed = true
+    call(hooks.ondestroy, entity)
+    if (resources) { resources.release(entityId) }
+    return entity
+  }
+}
+
+// lifecycle hooks picked from the initial state of an entity
+const kLifecycleHooks = [ 'onmount', 'onupdate', 'ondestroy' ]
+
+/**
+ * A component with a name given with Entity.slot() that can be replaced
+ * or removed after an entity is created.
+ */
+class ComponentSlot {
+  constructor(name, component) {
+    if ('string' != typeof name) {
+      throw new BadArgumentError(0, 'name', name, 'string')
+    } else if ('function' != typeof component) {
+      throw new BadArgumentError(1, 'component', component, 'function')
+    }
+    Object.assign(this, {name, component})
+  }
 }
 
 /**
@@ -83,6 +402,39 @@ class EntityContext {
  */
 const noop = () => void 0
 
+/**
+ * Calls a lifecycle hook if it is a function.
+ *
+ * call(hook: ?Function, ...args: Array<Any>) -> Any
+ */
+function call(hook, ...args) {
+  if ('function' == typeof hook) { return hook(...args) }
+}
+
+/**
+ * Runs a function with an owner for resources created while it runs.
+ *
+ * runAs(resources: ResourceRegistry, owner: Any, fn: Function) -> Any
+ */
+function runAs(resources, owner, fn) {
+  if (!resources) { return fn() }
+  resources.enter(owner)
+  try { return fn() }
+  finally { resources.exit() }
+}
+
+/**
+ * Measures a function as an invocation of an entity.
+ *
+ * profile(profiler: Profiler, entityId: Number, fn: Function) -> Any
+ */
+function profile(profiler, entityId, fn) {
+  if (!profiler || !profiler.enabled) { return fn() }
+  profiler.begin(entityId)
+  try { return fn() }
+  finally { profiler.end() }
+}
+
 /**
  * Generates an unique entity id.
  *
@@ -94,26 +446,33 @@ function generateEntityId() {
 }
 
 /**
- * Flatten and filter compoments into a single array.
+ * Flatten and filter compoments into a single array. Entities that are
+ * flattened are collected so they can be destroyed with their parent.
  *
  * flattenComponents(components: [...Function|[Function]) -> [...Function]
  */
 function flattenComponents(initialState = {}, ...components){
   components = Array.isArray(components[0]) ? components[0] : components
+  const entities = []
   return {
     initialState,
-    components: components.filter(filter).map(map).reduce(reduce, [])
+    components: components.filter(filter).map(map).reduce(reduce, []),
+    entities,
   }
 
   function filter(component) {
-    return 'function' == typeof component
+    return 'function' == typeof component || component instanceof ComponentSlot
   }
 
   function map(component) {
+    if (component instanceof ComponentSlot) {
+      component = component.component
+    }
     if ('entityId' in component && Array.isArray(component.components)) {
       if (component.initialState && 'object' == typeof component.initialState) {
         extend(true, initialState, component.initialState)
       }
+      entities.push(component)
       return flattenComponents(initialState, component.components).components
     } else {
       return component
@@ -125,6 +484,47 @@ function flattenComponents(initialState = {}, ...components){
   }
 }
 
+/**
+ * Predicate to determine if entity arguments are an array of objects
+ * without a scope function.
+ *
+ * isBatchArguments(args: Any, scope: ?Function) -> Boolean
+ */
+function isBatchArguments(args, scope) {
+  return Array.isArray(args) && 'function' != typeof scope
+    && args.every(isPlainArguments)
+}
+
+/**
+ * Normalizes invokation arguments of batch entities. Arrays of objects
+ * without a scope function become arguments with initial state and a
+ * `batch` array. Objects in arrays are merged with initial state one by
+ * one, as every object is drawn on its own.
+ *
+ * parseBatchArguments(defaults: Object, args: Any, scope: ?Function)
+ *   -> [Any, Function]
+ */
+function parseBatchArguments(defaults, args, scope) {
+  if (false == Array.isArray(args)) {
+    return parseArguments(defaults, args, scope)
+  }
+  const items = args.map((item) => isPlainArguments(item)
+    ? { ...defaults, ...item }
+    : item)
+  if (isBatchArguments(args, scope)) {
+    return [ { ...defaults, batch: items }, noop ]
+  }
+  return parseArguments(defaults, items, scope)
+}
+
+/**
+ * isPlainArguments(args: Any) -> Boolean
+ */
+function isPlainArguments(args) {
+  return Boolean(args) && 'object' == typeof args
+    && !Array.isArray(args) && !ArrayBuffer.isView(args)
+}
+
 /**
  * Normalizes entity invokation arguments.
  * parseArguments(args, scope) -> [Any, Function]
@@ -1,10 +1,20 @@
+import { projectUVs, kUVModes } from './uv'
+import { generateTangents } from './tangent'
+import { exportOBJ } from '../exporter/obj'
+import { exportSTL } from '../exporter/stl'
+
 import getBoundingBox from 'bound-points'
 import coalesce from 'defined'
 import flatten from 'array-flatten'
 import reindex from 'mesh-reindex'
 import unindex from 'unindex-mesh'
 import normals from 'normals'
-import vec2 from 'gl-vec2'
+import mat3 from 'gl-mat3'
+import mat4 from 'gl-mat4'
+import vec3 from 'gl-vec3'
+
+// per vertex attributes of a complex
+const kVertexAttributes = [ 'positions', 'normals', 'uvs', 'tangents', 'colors' ]
 
 /**
  * The Geometry class wraps an object describing a simplicial complex. The
@@ -17,6 +27,58 @@ import vec2 from 'gl-vec2'
  */
 export class Geometry {
 
+  /**
+   * Merges geometries into a new geometry that can be drawn in a single
+   * draw call. Each geometry is transformed by the matrix at the same
+   * index in `opts.matrices`, if given. Normals, UVs, tangents and colors
+   * are only kept if every geometry has them.
+   * @public
+   * @static
+   * @method
+   * @param {Array<Geometry>} geometries
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Array<Array<Number>>)} [opts.matrices] 4x4 matrices of each geometry
+   * @return {Geometry}
+   * @throws TypeError
+   */
+  static merge(geometries, opts = {}) {
+    const matrices = opts && opts.matrices || []
+    if (!Array.isArray(geometries) || geometries.some((geometry) => {
+      return !(geometry instanceof Geometry) || !geometry.positions
+    })) {
+      throw new TypeError(
+        "Geometry.merge(): Expecting array of geometries with positions.")
+    } else if (!Array.isArray(matrices)) {
+      throw new TypeError("Geometry.merge(): Expecting matrices to be an array.")
+    }
+
+    const parts = geometries.map((geometry, i) => {
+      return matrices[i] ? geometry.clone().applyMatrix(matrices[i]) : geometry
+    })
+
+    const complex = { cells: [] }
+    for (const name of kVertexAttributes) {
+      if (parts.every((part) => part[name])) { complex[name] = [] }
+    }
+
+    for (const part of parts) {
+      const offset = complex.positions.length
+      for (const name of kVertexAttributes) {
+        if (complex[name]) {
+          for (const vector of part[name]) { complex[name].push(vector.slice()) }
+        }
+      }
+      for (const cell of part.cells || []) {
+        complex.cells.push(cell.map((index) => index + offset))
+      }
+    }
+
+    return new Geometry({
+      complex,
+      uvMode: parts.length ? parts[0].uvMode : 'box',
+    })
+  }
+
   /**
    * Geometry class constructor.
    * @public
@@ -24,6 +86,7 @@ export class Geometry {
    * @param {?(Object|Geometry)} [opts = {}] Context configuration, simplicial complex or Geometry instance
    * @param {?(Object)} [opts.complex] Simplicial complex object
    * @param {?(Boolean)} [opts.complex] Simplicial complex object
+   * @param {?(String)} [opts.uvMode = 'box'] UV projection mode for complexes without UVs
    */
   constructor(opts = {}) {
     if (null != opts && 'object' != typeof opts || Array.isArray(opts)) {
@@ -35,8 +98,14 @@ export class Geometry {
     if (opts.positions) { complex = opts }
     else if ('complex' in opts) { complex = opts.complex }
     let flatten = coalesce(opts.flatten, complex.flatten, false)
+    let uvMode = coalesce(opts.uvMode, complex && complex.uvMode, 'box')
+    if (-1 == kUVModes.indexOf(uvMode)) {
+      throw new TypeError(
+        `Geometry(): Expecting uvMode to be one of ${kUVModes.join(', ')}.`)
+    }
     Object.defineProperty(this, '_complex', {enumerable: false, value: {}})
     this.flatten = Boolean(flatten)
+    this.uvMode = uvMode
     this.complex = complex || null
   }
 
@@ -53,6 +122,8 @@ export class Geometry {
     if (complex) {
       if (complex.positions) { ensure3D(complex.positions) }
       if (complex.normals) { ensure3D(complex.normals) }
+      if (complex.tangents) { ensure4D(complex.tangents) }
+      if (complex.colors) { ensure4D(complex.colors) }
       if (this.flatten && complex.cells) {
         const cells = complex.cells.map((cell) => cell.slice())
         const flattened = reindex(unindex(complex.positions, cells))
@@ -81,9 +152,9 @@ export class Geometry {
       if (Array.isArray(complex.uvs)) {
         ensure2D(complex.uvs)
       } else if (Array.isArray(complex.positions)) {
-        complex.uvs = complex.positions.map((p) => {
-          return vec2.normalize([], p.slice(0, 2))
-        })
+        complex.uvs = projectUVs(this.uvMode || 'box',
+          complex.positions,
+          complex.normals)
       }
     }
 
@@ -128,6 +199,24 @@ export class Geometry {
    */
   get uvs() { return this.complex && this.complex.uvs || null }
 
+  /**
+   * Geometry vertex tangents with handedness in the fourth component.
+   * @public
+   * @accessor
+   * @readonly
+   * @type {Array<Array<Number>>|null}
+   */
+  get tangents() { return this.complex && this.complex.tangents || null }
+
+  /**
+   * Geometry vertex colors as RGBA in the range [0, 1].
+   * @public
+   * @accessor
+   * @readonly
+   * @type {Array<Array<Number>>|null}
+   */
+  get colors() { return this.complex && this.complex.colors || null }
+
   /**
    * Computes and returns the bounding box of the geometry
    * @public
@@ -137,6 +226,233 @@ export class Geometry {
   computeBoundingBox() {
     return this.positions ? getBoundingBox(this.positions) : null
   }
+
+  /**
+   * Computes and returns the smallest sphere around the bounding box
+   * center that contains every vertex.
+   * @public
+   * @method
+   * @return {Object|null} An object with a `center` and `radius`
+   */
+  computeBoundingSphere() {
+    if (!this.positions || 0 == this.positions.length) { return null }
+    const [min, max] = getBoundingBox(this.positions)
+    const center = min.map((m, i) => 0.5*(m + max[i]))
+    let radius = 0
+    for (const position of this.positions) {
+      radius = Math.max(radius, vec3.distance(center, position))
+    }
+    return {center, radius}
+  }
+
+  /**
+   * Transforms the vertices of the geometry by a 4x4 matrix. The
+   * transformed vertex data replaces the arrays of the geometry.
+   * Normals are transformed by the inverse transpose of the matrix and
+   * tangents by its upper 3x3 matrix. Matrices that mirror the geometry
+   * reverse the winding of cells and the handedness of tangents so
+   * front faces stay front facing.
+   * @public
+   * @method
+   * @param {Array<Number>} matrix
+   * @return {Geometry}
+   * @throws TypeError
+   */
+  applyMatrix(matrix) {
+    if (null == matrix || 16 != matrix.length) {
+      throw new TypeError("Geometry(): Expecting matrix to be a 4x4 matrix.")
+    }
+
+    const {positions, normals, tangents, cells} = this
+    const linear = mat3.fromMat4([], matrix)
+    const normalMatrix = mat3.normalFromMat4([], matrix) || linear
+    const mirrored = mat3.determinant(linear) < 0
+
+    // new arrays are written so vertex data shared with the complex the
+    // geometry was created from is left untouched
+    if (positions) {
+      this._complex.positions = positions.map((position) => {
+        return vec3.transformMat4([], position, matrix)
+      })
+    }
+
+    if (normals) {
+      this._complex.normals = normals.map((normal) => {
+        const n = vec3.transformMat3([], normal, normalMatrix)
+        return vec3.normalize(n, n)
+      })
+    }
+
+    if (tangents) {
+      this._complex.tangents = tangents.map((tangent) => {
+        const t = vec3.transformMat3([], tangent, linear)
+        vec3.normalize(t, t)
+        return [ t[0], t[1], t[2], mirrored ? -tangent[3] : tangent[3] ]
+      })
+    }
+
+    if (cells && mirrored) {
+      this._complex.cells = cells.map((cell) => Array.from(cell).reverse())
+    }
+    return this
+  }
+
+  /**
+   * Translates the vertices of the geometry in place.
+   * @public
+   * @method
+   * @param {Array<Number>} vector
+   * @return {Geometry}
+   */
+  translate(vector) {
+    return this.applyMatrix(mat4.fromTranslation([], vector))
+  }
+
+  /**
+   * Rotates the vertices of the geometry by a quaternion in place.
+   * @public
+   * @method
+   * @param {Array<Number>} quaternion
+   * @return {Geometry}
+   */
+  rotate(quaternion) {
+    return this.applyMatrix(mat4.fromQuat([], quaternion))
+  }
+
+  /**
+   * Scales the vertices of the geometry in place by a vector or a
+   * uniform scalar.
+   * @public
+   * @method
+   * @param {Array<Number>|Number} vector
+   * @return {Geometry}
+   */
+  scale(vector) {
+    if ('number' == typeof vector) { vector = [ vector, vector, vector ] }
+    return this.applyMatrix(mat4.fromScaling([], vector))
+  }
+
+  /**
+   * Translates the geometry so the center of its bounding box is at the
+   * origin.
+   * @public
+   * @method
+   * @return {Geometry}
+   */
+  center() {
+    const aabb = this.positions && this.positions.length
+      ? this.computeBoundingBox()
+      : null
+    if (null == aabb) { return this }
+    const [min, max] = aabb
+    return this.translate(min.map((m, i) => -0.5*(m + max[i])))
+  }
+
+  /**
+   * Returns a copy of the geometry that does not share vertex data with
+   * it.
+   * @public
+   * @method
+   * @return {Geometry}
+   */
+  clone() {
+    const complex = {}
+    for (const key of Object.keys(this._complex || {})) {
+      const value = this._complex[key]
+      complex[key] = Array.isArray(value)
+        ? value.map((node) => Array.isArray(node) ? node.slice() : node)
+        : value
+    }
+    const geometry = new Geometry({complex, flatten: false, uvMode: this.uvMode})
+    geometry.flatten = this.flatten
+    return geometry
+  }
+
+  /**
+   * Serializes the geometry into Wavefront OBJ text.
+   * @public
+   * @method
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.name] Object name
+   * @return {String}
+   * @throws TypeError
+   */
+  toOBJ(opts = {}) {
+    return exportOBJ(this, opts)
+  }
+
+  /**
+   * Serializes the geometry into ASCII STL text or a binary STL
+   * ArrayBuffer.
+   * @public
+   * @method
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Boolean)} [opts.binary = false] Write binary STL
+   * @param {?(String)} [opts.name = 'geometry'] Solid name
+   * @return {String|ArrayBuffer}
+   * @throws TypeError
+   */
+  toSTL(opts = {}) {
+    return exportSTL(this, opts)
+  }
+
+  /**
+   * Generates, stores and returns vertex UVs with a projection mode.
+   * The `planar` mode looks down `opts.axis`, the `box` mode projects
+   * vertices onto the face of the bounding box their normals face, and
+   * the `spherical` and `cylindrical` modes wrap around `opts.axis`
+   * through `opts.center`.
+   * @public
+   * @method
+   * @param {?(String)} [mode = this.uvMode] One of planar, box, spherical or cylindrical
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.axis] Projection axis, `'z'` for planar, otherwise `'y'`
+   * @param {?(Array<Number>)} [opts.center] Center of spherical and cylindrical projections
+   * @return {Array<Array<Number>>|null}
+   * @throws TypeError
+   */
+  projectUVs(mode = this.uvMode, opts = {}) {
+    const uvs = projectUVs(mode, this.positions, this.normals, opts || {})
+    if (!this.positions) { return null }
+    this._complex.uvs = uvs
+    return uvs
+  }
+
+  /**
+   * Computes, stores and returns MikkTSpace vertex tangents from the
+   * positions, normals, UVs and cells of the geometry, so normal maps
+   * baked with MikkTSpace shade as they were baked. Tangents point along
+   * increasing U and the fourth component holds the handedness of the
+   * tangent frame so a bitangent is `cross(normal, tangent.xyz) *
+   * tangent.w`. Vertices shared by triangles with mirrored UVs are split
+   * into new vertex and cell arrays. Returns null if the geometry is
+   * missing any of the attributes.
+   * @public
+   * @method
+   * @return {Array<Array<Number>>|null}
+   * @see {@link http://www.mikktspace.com}
+   */
+  computeTangents() {
+    const {positions, normals, uvs, cells} = this
+    if (!positions || !normals || !uvs || !cells) { return null }
+    const computed = generateTangents({positions, normals, uvs, cells})
+    const {tangents, indices} = computed
+
+    // new arrays are written for split vertices so vertex data shared
+    // with the complex the geometry was created from is left untouched
+    if (indices.length > positions.length) {
+      for (const name of kVertexAttributes) {
+        if ('tangents' != name && this[name]) {
+          const vectors = this[name]
+          this._complex[name] = indices.map((i) => vectors[i].slice())
+        }
+      }
+      this._complex.cells = computed.cells
+    }
+
+    this._complex.tangents = tangents
+    return tangents
+  }
 }
 
 /**
@@ -147,6 +463,17 @@ function ensure3D(nodes) {
   return nodes
 }
 
+/**
+ * ensure4D(nodes: Array<Array<Number>>) -> Array
+ */
+function ensure4D(nodes) {
+  for (const node of nodes) {
+    if (null == node[3]) { node[3] = 1 }
+    ensureVectorLength(4, node)
+  }
+  return nodes
+}
+
 /**
  * ensure2D(nodes: Array<Array<Number>>) -> Array
  */
@@ -1,6 +1,6 @@
 import { DynamicValue } from '../dynamic'
 
-const shaderAttributesCounter = DynamicValue.createCounter()
+const shaderAttributesCounter = DynamicValue.createCounter('attributes')
 
 /**
  * WebGLShaderAttributes representskj,n
@@ -1,2 +1,3 @@
 export * from './attributes'
 export * from './uniforms'
+export * from './webgl2'
@@ -1,6 +1,6 @@
 import { DynamicValue } from '../dynamic'
 
-const shaderUniformsCounter = DynamicValue.createCounter()
+const shaderUniformsCounter = DynamicValue.createCounter('uniforms')
 
 export class WebGLShaderUniforms extends DynamicValue {
   static counter() { return shaderUniformsCounter }
@@ -44,6 +44,7 @@ export class WebGLShaderUniforms extends DynamicValue {
       delete props[key]
     }
     super(ctx, initialState, props)
+    Object.defineProperty(this, 'prefix', { enumerable: false, value: prefix })
     shaderUniformsCounter.addValueForContext(ctx, this)
   }
 }
@@ -0,0 +1,109 @@
+import document from 'global/document'
+
+// WebGL1 extensions that are part of WebGL2 and the functions they map to.
+// The enums they define have the same values in WebGL2.
+const kWebGL2CoreExtensions = {
+  ANGLE_instanced_arrays: (gl) => ({
+    VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: gl.VERTEX_ATTRIB_ARRAY_DIVISOR,
+    drawArraysInstancedANGLE: gl.drawArraysInstanced.bind(gl),
+    drawElementsInstancedANGLE: gl.drawElementsInstanced.bind(gl),
+    vertexAttribDivisorANGLE: gl.vertexAttribDivisor.bind(gl),
+  }),
+
+  OES_vertex_array_object: (gl) => ({
+    VERTEX_ARRAY_BINDING_OES: gl.VERTEX_ARRAY_BINDING,
+    createVertexArrayOES: gl.createVertexArray.bind(gl),
+    deleteVertexArrayOES: gl.deleteVertexArray.bind(gl),
+    isVertexArrayOES: gl.isVertexArray.bind(gl),
+    bindVertexArrayOES: gl.bindVertexArray.bind(gl),
+  }),
+
+  WEBGL_draw_buffers: (gl) => ({
+    MAX_COLOR_ATTACHMENTS_WEBGL: gl.MAX_COLOR_ATTACHMENTS,
+    MAX_DRAW_BUFFERS_WEBGL: gl.MAX_DRAW_BUFFERS,
+    drawBuffersWEBGL: gl.drawBuffers.bind(gl),
+  }),
+
+  WEBGL_depth_texture: (gl) => ({
+    UNSIGNED_INT_24_8_WEBGL: gl.UNSIGNED_INT_24_8,
+  }),
+
+  EXT_blend_minmax: (gl) => ({
+    MIN_EXT: gl.MIN,
+    MAX_EXT: gl.MAX,
+  }),
+
+  OES_standard_derivatives: (gl) => ({
+    FRAGMENT_SHADER_DERIVATIVE_HINT_OES: gl.FRAGMENT_SHADER_DERIVATIVE_HINT,
+  }),
+
+  OES_element_index_uint: () => ({}),
+  EXT_shader_texture_lod: () => ({}),
+  EXT_frag_depth: () => ({}),
+}
+
+/**
+ * Creates a WebGL2RenderingContext for a canvas that reports the WebGL1
+ * extensions regl depends on that are core features in WebGL2, such as
+ * instancing, vertex array objects and multiple draw buffers. Returns
+ * null if WebGL2 is not supported.
+ *
+ * createWebGL2Context(canvas: HTMLCanvasElement, attributes: Object) -> WebGL2RenderingContext|null
+ *
+ * @public
+ * @function
+ * @param {?(HTMLCanvasElement)} [canvas] Canvas to create the context for
+ * @param {?(Object)} [attributes = {}] WebGL context attributes
+ * @return {WebGL2RenderingContext|null}
+ */
+export function createWebGL2Context(canvas, attributes = {}) {
+  if (null == canvas && document && 'function' == typeof document.createElement) {
+    canvas = document.createElement('canvas')
+  }
+
+  if (!canvas || 'function' != typeof canvas.getContext) {
+    return null
+  }
+
+  let gl = null
+  try { gl = canvas.getContext('webgl2', attributes) }
+  catch (err) { gl = null }
+  if (!gl) { return null }
+
+  const getSupportedExtensions = gl.getSupportedExtensions.bind(gl)
+  const getExtension = gl.getExtension.bind(gl)
+  const extensions = {}
+
+  gl.getExtension = (name) => {
+    const key = getCoreExtensionName(name)
+    const extension = getExtension(name)
+    if (extension || null == key) {
+      return extension
+    } else if (null == extensions[key]) {
+      extensions[key] = kWebGL2CoreExtensions[key](gl)
+    }
+    return extensions[key]
+  }
+
+  gl.getSupportedExtensions = () => {
+    const supported = getSupportedExtensions() || []
+    const names = supported.map((name) => name.toLowerCase())
+    for (const key in kWebGL2CoreExtensions) {
+      if (-1 == names.indexOf(key.toLowerCase())) { supported.push(key) }
+    }
+    return supported
+  }
+
+  return gl
+}
+
+/**
+ * getCoreExtensionName(name: String) -> String|null
+ */
+function getCoreExtensionName(name) {
+  name = String(name).toLowerCase()
+  for (const key in kWebGL2CoreExtensions) {
+    if (name == key.toLowerCase()) { return key }
+  }
+  return null
+}
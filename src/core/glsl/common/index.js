@@ -3,4 +3,5 @@ import glslify from 'glslify'
 
 Object.assign(exports, {
   [__dirname + '/common']: glslify(__dirname + '/common.glsl'),
+  [__dirname + '/version']: glslify(__dirname + '/version.glsl'),
 })
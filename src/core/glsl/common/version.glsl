@@ -0,0 +1,25 @@
+#ifndef GLSL_COMMON_VERSION
+#define GLSL_COMMON_VERSION
+
+#ifndef GLSL_VERSION
+#define GLSL_VERSION 100
+#endif
+
+#if GLSL_VERSION < 300
+#define GLSL_ATTRIBUTE_QUALIFIER attribute
+#define GLSL_VARYING_QUALIFIER varying
+#endif
+
+#if GLSL_VERSION >= 300
+#define GLSL_ATTRIBUTE_QUALIFIER in
+#endif
+
+#if GLSL_VERSION >= 300 && defined(GLSL_FRAGMENT_SHADER)
+#define GLSL_VARYING_QUALIFIER in
+#endif
+
+#if GLSL_VERSION >= 300 && !defined(GLSL_FRAGMENT_SHADER)
+#define GLSL_VARYING_QUALIFIER out
+#endif
+
+#endif
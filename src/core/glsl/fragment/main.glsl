@@ -1,9 +1,21 @@
 #ifndef GLSL_FRAGMENT_MAIN
 #define GLSL_FRAGMENT_MAIN
 
+#include "../common/version"
 #include "../varying/data"
 #include "../varying/read"
 
+#if GLSL_VERSION >= 300
+#ifndef GLSL_FRAGMENT_COLOR_VARIABLE
+#define GLSL_FRAGMENT_COLOR_VARIABLE fragmentColor
+#endif
+out vec4 GLSL_FRAGMENT_COLOR_VARIABLE;
+#endif
+
+#ifndef GLSL_FRAGMENT_COLOR_VARIABLE
+#define GLSL_FRAGMENT_COLOR_VARIABLE gl_FragColor
+#endif
+
 void InitVarying(inout VaryingData varyingData);
 void BeforeMain(inout vec4 fragColor, inout VaryingData varyingData);
 void Main(inout vec4 fragColor, inout VaryingData data);
@@ -13,10 +25,10 @@ void AfterMain(inout vec4 fragColor, inout VaryingData varyingData);
 void main() {
   VaryingData varyingData = ReadVaryingData();
   InitVarying(varyingData);
-  BeforeMain(gl_FragColor, varyingData);
-  Main(gl_FragColor, varyingData);
-  TransformMain(gl_FragColor, varyingData);
-  AfterMain(gl_FragColor, varyingData);
+  BeforeMain(GLSL_FRAGMENT_COLOR_VARIABLE, varyingData);
+  Main(GLSL_FRAGMENT_COLOR_VARIABLE, varyingData);
+  TransformMain(GLSL_FRAGMENT_COLOR_VARIABLE, varyingData);
+  AfterMain(GLSL_FRAGMENT_COLOR_VARIABLE, varyingData);
 }
 
 #ifdef GLSL_FRAGMENT_MAIN_BEFORE
@@ -4,6 +4,7 @@ export * as texture from './texture'
 export * as varying from './varying'
 export * as vertex from './vertex'
 export * as camera from './camera'
+export * as picking from './picking'
 export * as common from './common'
 export * as frame from './frame'
 export * as mesh from './mesh'
@@ -13,6 +13,10 @@
 #include "../../varying/normal"
 #endif
 
+#ifdef GLSL_MESH_HAS_TANGENT
+#include "../../varying/tangent"
+#endif
+
 #include "../../mesh/fragment"
 #include "../../fragment/main"
 #include "../../varying/read"
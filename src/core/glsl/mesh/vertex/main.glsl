@@ -24,6 +24,16 @@
 #include "../../varying/uv"
 #endif
 
+#ifdef GLSL_MESH_HAS_TANGENT
+#include "../../vertex/attributes/tangent"
+#include "../../varying/tangent"
+#endif
+
+// only the picking pass emits the instance id varying
+#ifdef GLSL_PICKING_ENABLED
+#include "../../picking/vertex"
+#endif
+
 #include "../../varying/emit"
 #include "../../vertex/main"
 
@@ -35,6 +45,9 @@ void Main(inout vec4 vertexPosition, inout VaryingData data) {
       GLSL_MESH_UNIFORM_VARIABLE.model,
       GLSL_VERTEX_ATTRIBUTES_POSITION_VARIABLE);
 #endif
+#ifdef GLSL_PICKING_ENABLED
+  EmitPickingInstanceId();
+#endif
 }
 
 #endif
@@ -0,0 +1,44 @@
+#ifndef GLSL_PICKING_FRAGMENT
+#define GLSL_PICKING_FRAGMENT
+
+#include "./variables"
+#include "./picking"
+
+GLSL_VARYING_QUALIFIER float GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE;
+
+float ReadPickingInstanceId() {
+  return floor(GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE + 0.5);
+}
+
+// float color buffers hold ids and depth as is
+#ifdef GLSL_PICKING_ENCODE_FLOAT
+vec4 EncodePicking(Picking picking, float instanceId, float depth) {
+  return vec4(picking.entityId, picking.batchId, instanceId, depth);
+}
+#endif
+
+// byte color buffers hold a 24 bit entity id in the first pass
+#if !defined(GLSL_PICKING_ENCODE_FLOAT) && !defined(GLSL_PICKING_ENCODE_INSTANCE)
+vec4 EncodePicking(Picking picking, float instanceId, float depth) {
+  float id = picking.entityId;
+  return vec4(
+    mod(floor(id / 65536.0), 256.0),
+    mod(floor(id / 256.0), 256.0),
+    mod(id, 256.0),
+    255.0) / 255.0;
+}
+#endif
+
+// and 16 bit instance and batch ids in the second pass
+#ifdef GLSL_PICKING_ENCODE_INSTANCE
+vec4 EncodePicking(Picking picking, float instanceId, float depth) {
+  float id = picking.batchId;
+  return vec4(
+    mod(floor(instanceId / 256.0), 256.0),
+    mod(instanceId, 256.0),
+    mod(floor(id / 256.0), 256.0),
+    mod(id, 256.0)) / 255.0;
+}
+#endif
+
+#endif
@@ -0,0 +1,17 @@
+#ifndef GLSL_PICKING_FRAGMENT_MAIN
+#define GLSL_PICKING_FRAGMENT_MAIN
+
+#include "../picking"
+#include "../variables"
+#include "../uniforms"
+#include "../fragment"
+#include "../../fragment/main"
+
+void Main(inout vec4 fragColor, inout VaryingData data) {
+  fragColor = EncodePicking(
+    GLSL_PICKING_UNIFORM_VARIABLE,
+    ReadPickingInstanceId(),
+    gl_FragCoord.z);
+}
+
+#endif
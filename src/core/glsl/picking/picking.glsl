@@ -0,0 +1,10 @@
+#pragma glslify: export(Picking)
+#ifndef GLSL_PICKING
+#define GLSL_PICKING
+
+struct Picking {
+  float entityId;
+  float batchId;
+};
+
+#endif
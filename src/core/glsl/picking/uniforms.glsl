@@ -0,0 +1,9 @@
+#ifndef GLSL_PICKING_UNIFORMS
+#define GLSL_PICKING_UNIFORMS
+
+#include "./variables"
+#include "./picking"
+
+uniform Picking GLSL_PICKING_UNIFORM_VARIABLE;
+
+#endif
@@ -0,0 +1,18 @@
+#ifndef GLSL_PICKING_VARIABLES
+#define GLSL_PICKING_VARIABLES
+
+#include "../common/version"
+
+#ifndef GLSL_PICKING_UNIFORM_VARIABLE
+#define GLSL_PICKING_UNIFORM_VARIABLE picking
+#endif
+
+#ifndef GLSL_PICKING_INSTANCE_ID_VARIABLE
+#define GLSL_PICKING_INSTANCE_ID_VARIABLE instanceId
+#endif
+
+#ifndef GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE
+#define GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE vPickingInstanceId
+#endif
+
+#endif
@@ -0,0 +1,24 @@
+#ifndef GLSL_PICKING_VERTEX
+#define GLSL_PICKING_VERTEX
+
+#include "./variables"
+
+#ifdef GLSL_MESH_HAS_INSTANCE_ID
+GLSL_ATTRIBUTE_QUALIFIER float GLSL_PICKING_INSTANCE_ID_VARIABLE;
+#endif
+
+GLSL_VARYING_QUALIFIER float GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE;
+
+// instances are identified by an 'instanceId' attribute, or
+// gl_InstanceID in GLSL 300 es if there isn't one
+void EmitPickingInstanceId() {
+  GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE = 0.0;
+#ifdef GLSL_MESH_HAS_INSTANCE_ID
+  GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE = GLSL_PICKING_INSTANCE_ID_VARIABLE;
+#endif
+#if GLSL_VERSION >= 300 && !defined(GLSL_MESH_HAS_INSTANCE_ID)
+  GLSL_PICKING_VARYING_INSTANCE_ID_VARIABLE = float(gl_InstanceID);
+#endif
+}
+
+#endif
@@ -3,6 +3,6 @@
 
 #include "./variables"
 
-varying vec4 GLSL_VARYING_COLOR_VARIABLE;
+GLSL_VARYING_QUALIFIER vec4 GLSL_VARYING_COLOR_VARIABLE;
 
 #endif
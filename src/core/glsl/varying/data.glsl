@@ -10,6 +10,8 @@ struct VaryingData {
   vec3 normal;
   vec4 color;
   vec2 uv;
+  vec4 localTangent;
+  vec4 tangent;
 
   // private
   mat3 modelNormal;
@@ -24,6 +26,8 @@ VaryingData CreateVaryingData() {
   data.normal = vec3(0.0);
   data.color = vec4(0.0);
   data.uv = vec2(0.0);
+  data.localTangent = vec4(0.0);
+  data.tangent = vec4(0.0);
 
   data.modelNormal = mat3(1.0);
   data.model = mat4(1.0);
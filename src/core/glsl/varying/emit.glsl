@@ -5,6 +5,7 @@
 #include "./emit/normal"
 #include "./emit/color"
 #include "./emit/uv"
+#include "./emit/tangent"
 #include "./data"
 
 void EmitVaryingData(const in VaryingData data) {
@@ -23,6 +24,10 @@ void EmitVaryingData(const in VaryingData data) {
 #if defined(GLSL_VARYING_UV) && defined(GLSL_VARYING_EMIT_UV)
   EmitVaryingUvs(data.uv);
 #endif
+
+#if defined(GLSL_VARYING_TANGENT) && defined(GLSL_VARYING_EMIT_TANGENT)
+  EmitVaryingTangents(data.model, data.tangent);
+#endif
 }
 
 #endif
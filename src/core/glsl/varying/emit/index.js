@@ -5,4 +5,5 @@ Object.assign(exports, {
   [__dirname + '/normal']: glslify(__dirname + '/normal.glsl'),
   [__dirname + '/color']: glslify(__dirname + '/color.glsl'),
   [__dirname + '/uv']: glslify(__dirname + '/uv.glsl'),
+  [__dirname + '/tangent']: glslify(__dirname + '/tangent.glsl'),
 })
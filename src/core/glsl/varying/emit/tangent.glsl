@@ -0,0 +1,22 @@
+#ifndef GLSL_VARYING_EMIT_TANGENT
+#define GLSL_VARYING_EMIT_TANGENT
+#ifdef GLSL_VARYING_TANGENT
+
+#include "../variables"
+
+void EmitVaryingLocalTangent(vec4 tangent) {
+  GLSL_VARYING_LOCAL_TANGENT_VARIABLE = vec4(normalize(tangent.xyz), tangent.w);
+}
+
+void EmitVaryingTangent(mat4 model, vec4 tangent) {
+  vec3 worldTangent = normalize((model * vec4(tangent.xyz, 0.0)).xyz);
+  GLSL_VARYING_TANGENT_VARIABLE = vec4(worldTangent, tangent.w);
+}
+
+void EmitVaryingTangents(mat4 model, vec4 tangent) {
+  EmitVaryingTangent(model, tangent);
+  EmitVaryingLocalTangent(tangent);
+}
+
+#endif
+#endif
@@ -11,4 +11,5 @@ Object.assign(exports, {
   [__dirname + '/emit']: glslify(__dirname + '/emit.glsl'),
   [__dirname + '/read']: glslify(__dirname + '/read.glsl'),
   [__dirname + '/uv']: glslify(__dirname + '/uv.glsl'),
+  [__dirname + '/tangent']: glslify(__dirname + '/tangent.glsl'),
 })
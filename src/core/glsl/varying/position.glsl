@@ -3,7 +3,7 @@
 
 #include "./variables"
 
-varying vec3 GLSL_VARYING_LOCAL_POSITION_VARIABLE;
-varying vec3 GLSL_VARYING_POSITION_VARIABLE;
+GLSL_VARYING_QUALIFIER vec3 GLSL_VARYING_LOCAL_POSITION_VARIABLE;
+GLSL_VARYING_QUALIFIER vec3 GLSL_VARYING_POSITION_VARIABLE;
 
 #endif
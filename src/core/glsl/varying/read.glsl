@@ -5,6 +5,7 @@
 #include "./read/normal"
 #include "./read/color"
 #include "./read/uv"
+#include "./read/tangent"
 #include "./data"
 
 VaryingData ReadVaryingData() {
@@ -26,6 +27,11 @@ VaryingData ReadVaryingData() {
 #if defined(GLSL_VARYING_UV) && defined(GLSL_VARYING_READ_UV)
   data.uv = ReadVaryingUv();
 #endif
+
+#if defined(GLSL_VARYING_TANGENT) && defined(GLSL_VARYING_READ_TANGENT)
+  data.localTangent = ReadVaryingLocalTangent();
+  data.tangent = ReadVaryingTangent();
+#endif
   return data;
 }
 
@@ -0,0 +1,16 @@
+#ifndef GLSL_VARYING_READ_TANGENT
+#define GLSL_VARYING_READ_TANGENT
+#ifdef GLSL_VARYING_TANGENT
+
+#include "../variables"
+
+vec4 ReadVaryingLocalTangent() {
+  return vec4(GLSL_VARYING_LOCAL_TANGENT_VARIABLE);
+}
+
+vec4 ReadVaryingTangent() {
+  return vec4(GLSL_VARYING_TANGENT_VARIABLE);
+}
+
+#endif
+#endif
@@ -0,0 +1,9 @@
+#ifndef GLSL_VARYING_TANGENT
+#define GLSL_VARYING_TANGENT
+
+#include "./variables"
+
+GLSL_VARYING_QUALIFIER vec4 GLSL_VARYING_LOCAL_TANGENT_VARIABLE;
+GLSL_VARYING_QUALIFIER vec4 GLSL_VARYING_TANGENT_VARIABLE;
+
+#endif
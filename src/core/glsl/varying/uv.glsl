@@ -3,6 +3,6 @@
 
 #include "./variables"
 
-varying vec2 GLSL_VARYING_UV_VARIABLE;
+GLSL_VARYING_QUALIFIER vec2 GLSL_VARYING_UV_VARIABLE;
 
 #endif
@@ -1,6 +1,8 @@
 #ifndef GLSL_VARYING_VARIABLES
 #define GLSL_VARYING_VARIABLES
 
+#include "../common/version"
+
 #ifndef GLSL_VARYING_COLOR_VARIABLE
 #define GLSL_VARYING_COLOR_VARIABLE vColor
 #endif
@@ -25,4 +27,12 @@
 #define GLSL_VARYING_UV_VARIABLE vUv
 #endif
 
+#ifndef GLSL_VARYING_TANGENT_VARIABLE
+#define GLSL_VARYING_TANGENT_VARIABLE vTangent
+#endif
+
+#ifndef GLSL_VARYING_LOCAL_TANGENT_VARIABLE
+#define GLSL_VARYING_LOCAL_TANGENT_VARIABLE vLocalTangent
+#endif
+
 #endif
@@ -3,6 +3,6 @@
 
 #include "./variables"
 
-attribute vec4 GLSL_VERTEX_ATTRIBUTES_COLOR_VARIABLE;
+GLSL_ATTRIBUTE_QUALIFIER vec4 GLSL_VERTEX_ATTRIBUTES_COLOR_VARIABLE;
 
 #endif
@@ -3,6 +3,6 @@
 
 #include "./variables"
 
-attribute vec3 GLSL_VERTEX_ATTRIBUTES_POSITION_VARIABLE;
+GLSL_ATTRIBUTE_QUALIFIER vec3 GLSL_VERTEX_ATTRIBUTES_POSITION_VARIABLE;
 
 #endif
@@ -0,0 +1,8 @@
+#ifndef GLSL_VERTEX_ATTRIBUTES_TANGENT
+#define GLSL_VERTEX_ATTRIBUTES_TANGENT
+
+#include "./variables"
+
+GLSL_ATTRIBUTE_QUALIFIER vec4 GLSL_VERTEX_ATTRIBUTES_TANGENT_VARIABLE;
+
+#endif
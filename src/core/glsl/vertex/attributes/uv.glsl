@@ -3,6 +3,6 @@
 
 #include "./variables"
 
-attribute vec2 GLSL_VERTEX_ATTRIBUTES_UV_VARIABLE;
+GLSL_ATTRIBUTE_QUALIFIER vec2 GLSL_VERTEX_ATTRIBUTES_UV_VARIABLE;
 
 #endif
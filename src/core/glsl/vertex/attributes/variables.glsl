@@ -1,6 +1,8 @@
 #ifndef GLSL_VERTEX_ATTRIBUTES_VARIABLES
 #define GLSL_VERTEX_ATTRIBUTES_VARIABLES
 
+#include "../../common/version"
+
 #ifndef GLSL_VERTEX_ATTRIBUTES_POSITION_VARIABLE
 #define GLSL_VERTEX_ATTRIBUTES_POSITION_VARIABLE position
 #endif
@@ -17,4 +19,8 @@
 #define GLSL_VERTEX_ATTRIBUTES_UV_VARIABLE uv
 #endif
 
+#ifndef GLSL_VERTEX_ATTRIBUTES_TANGENT_VARIABLE
+#define GLSL_VERTEX_ATTRIBUTES_TANGENT_VARIABLE tangent
+#endif
+
 #endif
@@ -75,6 +75,10 @@ void InitVarying(inout VaryingData varyingData) {
     varyingData.uv = uv;
   #endif
 
+  #ifdef GLSL_VERTEX_ATTRIBUTES_TANGENT
+    varyingData.tangent = tangent;
+  #endif
+
   #if defined(GLSL_MESH) && defined(GLSL_MESH_UNIFORMS)
     varyingData.modelNormal = mesh.modelNormal;
     varyingData.model = mesh.model;
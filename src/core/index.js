@@ -2,6 +2,11 @@ export * as libglsl from './glsl'
 export * from './shaderlib'
 export * from './geometry'
 export * from './dynamic'
+export * from './capabilities'
 export * from './context'
+export * from './recording'
+export * from './resources'
+export * from './profiler'
 export * from './entity'
+export * from './view'
 export * from './gl'
@@ -0,0 +1,245 @@
+// property regl-combine assigns to commands with their constructor options
+const kReglOptions = '__reglOptions'
+
+// regl command options listed on their own in an inspected tree
+const kCommandOptionKeys = [ 'context', 'uniforms', 'attributes' ]
+
+// maximum length of a formatted value in a tree dump
+const kMaxValueLength = 48
+
+// context variables and arguments recorded for entities in debug mode
+const records = new WeakMap()
+
+/**
+ * Records the context variables injected by the components of an
+ * entity and the arguments of its last invocation.
+ *
+ * recordEntity(entity: Function, reglContext: Object, args: Object) -> void
+ *
+ * @function
+ * @param {Function} entity
+ * @param {Object} reglContext
+ * @param {Object} args
+ */
+export function recordEntity(entity, reglContext, args) {
+  const record = records.get(entity) || { calls: 0, args: null, context: {} }
+  record.calls = record.calls + 1
+  record.args = snapshot(args)
+  for (const key of getFlatContextKeys(entity)) {
+    record.context[key] = snapshot(reglContext[key])
+  }
+  records.set(entity, record)
+}
+
+/**
+ * Creates a tree describing an entity, its components in the order they
+ * are given and the entities nested in it. Components that are regl
+ * commands list the context variables, uniforms and attributes they
+ * inject along with the other regl options they set. Leaf components
+ * are numbered in the order they are combined. Context variable values
+ * and arguments are included if the entity was invoked with a debug
+ * context. Components in named slots include the slot name.
+ *
+ * inspectEntity(entity: Function) -> Object
+ *
+ * @function
+ * @param {Function} entity
+ * @return {Object}
+ */
+export function inspectEntity(entity) {
+  let index = 0
+  return inspect(entity, null, null)
+
+  function inspect(component, parentRecord, slot) {
+    if (component && 'function' == typeof component.component) {
+      return inspect(component.component, parentRecord, component.name)
+    }
+
+    if (isEntity(component)) {
+      const record = parentRecord || records.get(component) || null
+      return {
+        type: 'entity',
+        name: getName(component, 'Entity'),
+        slot,
+        entityId: component.entityId,
+        initialState: component.initialState,
+        calls: record && !parentRecord ? record.calls : null,
+        args: record && !parentRecord ? record.args : null,
+        children: component.components
+          .filter((c) => c && ('function' == typeof c || c.component))
+          .map((c) => inspect(c, record, null)),
+      }
+    }
+
+    const opts = component[kReglOptions]
+    const node = {
+      type: opts ? 'command' : 'function',
+      name: opts
+        ? component.displayName || 'Command'
+        : getName(component, 'Function'),
+      slot,
+      index: index++,
+      context: {},
+      uniforms: [],
+      attributes: [],
+      state: [],
+      children: [],
+    }
+
+    if (opts) {
+      for (const key of getKeys(opts.context)) {
+        node.context[key] = parentRecord && key in parentRecord.context
+          ? parentRecord.context[key]
+          : undefined
+      }
+      node.uniforms = getKeys(opts.uniforms)
+      node.attributes = getKeys(opts.attributes)
+      node.state = getKeys(opts)
+        .filter((key) => -1 == kCommandOptionKeys.indexOf(key))
+    }
+    return node
+  }
+}
+
+/**
+ * Formats a tree created with inspectEntity() as text.
+ *
+ * formatEntityTree(node: Object) -> String
+ *
+ * @function
+ * @param {Object} node
+ * @return {String}
+ */
+export function formatEntityTree(node) {
+  const lines = []
+  format(node, '', '')
+  return lines.join('\n')
+
+  function format(node, prefix, childPrefix) {
+    lines.push(prefix + formatNode(node))
+    const details = getDetails(node)
+    const {children} = node
+    for (const detail of details) {
+      lines.push(childPrefix + (children.length ? '│  ' : '   ') + detail)
+    }
+    children.forEach((child, i) => {
+      const last = i == children.length - 1
+      format(child,
+        childPrefix + (last ? '└─ ' : '├─ '),
+        childPrefix + (last ? '   ' : '│  '))
+    })
+  }
+
+  function formatNode(node) {
+    const slot = null == node.slot ? '' : ` slot=${node.slot}`
+    if ('entity' == node.type) {
+      const calls = null == node.calls ? '' : ` (${node.calls} calls)`
+      return `<${node.name} entityId=${node.entityId}${slot}>${calls}`
+    }
+    return `[${node.index}] ${node.name}${slot}`
+  }
+
+  function getDetails(node) {
+    const details = []
+    if ('entity' == node.type) {
+      const keys = getKeys(node.initialState)
+      if (keys.length) { details.push(`initialState: ${keys.join(', ')}`) }
+      if (node.args) { details.push(`args: ${formatValue(node.args)}`) }
+    } else {
+      for (const key of getKeys(node.context)) {
+        const value = node.context[key]
+        details.push(undefined === value
+          ? `context.${key}`
+          : `context.${key} = ${formatValue(value)}`)
+      }
+      if (node.uniforms.length) {
+        details.push(`uniforms: ${node.uniforms.join(', ')}`)
+      }
+      if (node.attributes.length) {
+        details.push(`attributes: ${node.attributes.join(', ')}`)
+      }
+      if (node.state.length) {
+        details.push(`state: ${node.state.join(', ')}`)
+      }
+    }
+    return details
+  }
+}
+
+/**
+ * isEntity(component: Function) -> Boolean
+ */
+function isEntity(component) {
+  return 'entityId' in component && Array.isArray(component.components)
+}
+
+/**
+ * getName(component: Function, fallback: String) -> String
+ */
+function getName(component, fallback) {
+  return component.displayName || component.name || fallback
+}
+
+/**
+ * getKeys(object: ?Object) -> Array<String>
+ */
+function getKeys(object) {
+  return object && 'object' == typeof object ? Object.keys(object) : []
+}
+
+/**
+ * Returns the context variable names injected by the flattened
+ * components of an entity.
+ *
+ * getFlatContextKeys(entity: Function) -> Array<String>
+ */
+function getFlatContextKeys(entity) {
+  const keys = new Set()
+  for (const component of entity.combinedComponents.commands || []) {
+    const opts = component && component[kReglOptions]
+    if (opts) {
+      for (const key of getKeys(opts.context)) { keys.add(key) }
+    }
+  }
+  return [ ...keys ]
+}
+
+/**
+ * Copies array like values so recorded values are not mutated later.
+ *
+ * snapshot(value: Any) -> Any
+ */
+function snapshot(value) {
+  if (ArrayBuffer.isView(value) && 'number' == typeof value.length) {
+    return Array.from(value)
+  } else if (Array.isArray(value)) {
+    return value.slice()
+  } else if (value && 'object' == typeof value) {
+    return Object.assign({}, value)
+  }
+  return value
+}
+
+/**
+ * formatValue(value: Any) -> String
+ */
+function formatValue(value) {
+  let string = null
+  if ('function' == typeof value) {
+    string = value.name ? `[Function ${value.name}]` : '[Function]'
+  } else {
+    try { string = JSON.stringify(value, replace) }
+    catch (err) { string = String(value) }
+  }
+  if (undefined === string) { string = String(value) }
+  return string.length > kMaxValueLength
+    ? string.slice(0, kMaxValueLength - 3) + '...'
+    : string
+
+  function replace(key, value) {
+    if ('number' == typeof value && value != Math.round(value)) {
+      return Number(value.toFixed(3))
+    }
+    return value
+  }
+}
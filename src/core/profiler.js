@@ -0,0 +1,317 @@
+import window from 'global/window'
+
+// extension regl uses to measure GPU time of commands
+const kTimerQueryExtension = 'EXT_disjoint_timer_query'
+
+/**
+ * The Profiler class collects draw counts, CPU time and GPU time for every
+ * Entity invoked during a frame, keyed by entity id. CPU time is measured
+ * around each entity invocation. GPU time is read from the stats regl
+ * keeps for its commands when profiling is enabled and the
+ * EXT_disjoint_timer_query extension is available. GPU timer queries
+ * resolve asynchronously so GPU time is reported in the frame it resolved.
+ * regl measures GPU time per command, so the time of a command drawn by
+ * more than one entity is split between them by their draw counts.
+ * @public
+ * @class Profiler
+ */
+export class Profiler {
+
+  /**
+   * WebGL extension used to measure GPU time.
+   * @public
+   * @static
+   * @readonly
+   * @accessor
+   * @type {String}
+   */
+  static get kTimerQueryExtension() { return kTimerQueryExtension }
+
+  /**
+   * Profiler class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}] Profiler configuration
+   * @param {?(Boolean)} [opts.enabled = false] Enable profiling
+   */
+  constructor(opts = {}) {
+    opts = opts || {}
+    Object.defineProperties(this, {
+      stack: { enumerable: false, value: [] },
+      owners: { enumerable: false, value: new Map() },
+      gpuTimes: { enumerable: false, value: new WeakMap() },
+    })
+    this._enabled = Boolean(opts.enabled)
+    this._hasGPUTimer = false
+    this._current = createFrameStats(null)
+    this._last = null
+  }
+
+  /**
+   * Boolean value to indicate if profiling is enabled.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Boolean}
+   */
+  get enabled() { return this._enabled }
+
+  /**
+   * Boolean value to indicate if GPU time is measured.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Boolean}
+   */
+  get hasGPUTimer() { return this._hasGPUTimer }
+
+  /**
+   * Stats collected so far for the current frame.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Object}
+   */
+  get current() { return this._current }
+
+  /**
+   * Stats of the last complete frame, or null if a frame has
+   * not completed yet.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Object|null}
+   */
+  get last() { return this._last }
+
+  /**
+   * Wraps a regl instance so draws of commands it creates are counted
+   * for the entity that is running. The regl instance is returned as is
+   * if profiling is not enabled.
+   * @public
+   * @method
+   * @param {Function} regl
+   * @return {Function}
+   */
+  wrap(regl) {
+    if (false == this._enabled) { return regl }
+    this._hasGPUTimer = 'function' == typeof regl.hasExtension
+      && Boolean(regl.hasExtension(kTimerQueryExtension))
+    return Object.assign((opts) => this.instrument(regl(opts)), regl)
+  }
+
+  /**
+   * Wraps a regl command so its draws are counted.
+   * @public
+   * @method
+   * @param {Function} command
+   * @return {Function}
+   */
+  instrument(command) {
+    if ('function' != typeof command) { return command }
+    const profiler = this
+    return Object.assign(function (args, block) {
+      if ('function' != typeof args && 'function' != typeof block) {
+        const count = 'number' == typeof args ? Math.max(0, args | 0)
+          : Array.isArray(args) ? args.length
+          : 1
+        if (count) { profiler.draw(count, command.stats) }
+      }
+      return command.apply(this, arguments)
+    }, command)
+  }
+
+  /**
+   * Begins measuring an entity invocation.
+   * @public
+   * @method
+   * @param {Number} entityId
+   * @return {Profiler}
+   */
+  begin(entityId) {
+    const entity = getEntityStats(this._current, entityId)
+    entity.calls = entity.calls + 1
+    this.stack.push({ entity, start: now(), children: 0 })
+    return this
+  }
+
+  /**
+   * Ends measuring the entity invocation started with begin().
+   * @public
+   * @method
+   * @return {Profiler}
+   */
+  end() {
+    const {stack} = this
+    const top = stack.pop()
+    if (null == top) { return this }
+    const time = now() - top.start
+    const parent = stack[stack.length - 1]
+    top.entity.cpuTime = top.entity.cpuTime + time
+    top.entity.selfTime = top.entity.selfTime + time - top.children
+    if (parent) {
+      parent.children = parent.children + time
+    } else {
+      this._current.cpuTime = this._current.cpuTime + time
+    }
+    return this
+  }
+
+  /**
+   * Counts draws for the running entity. GPU time reported by regl for
+   * the command stats given is split between the entities that drew the
+   * command by their draw counts.
+   * @public
+   * @method
+   * @param {?(Number)} [count = 1]
+   * @param {?(Object)} [stats] regl command stats
+   * @return {Profiler}
+   */
+  draw(count = 1, stats = null) {
+    const {stack} = this
+    const top = stack[stack.length - 1]
+    this._current.draws = this._current.draws + count
+    if (top) {
+      top.entity.draws = top.entity.draws + count
+      if (stats && 'object' == typeof stats) {
+        if (false == this.owners.has(stats)) {
+          this.owners.set(stats, { draws: new Map(), previous: new Map() })
+          this.gpuTimes.set(stats, stats.gpuTime || 0)
+        }
+        const {draws} = this.owners.get(stats)
+        const {entityId} = top.entity
+        draws.set(entityId, (draws.get(entityId) || 0) + count)
+      }
+    }
+    return this
+  }
+
+  /**
+   * Completes the current frame if the tick given differs from the tick
+   * of the current frame. It is safe to call this more than once a frame.
+   * @public
+   * @method
+   * @param {Number} tick
+   * @return {Profiler}
+   */
+  frame(tick) {
+    if (tick === this._current.tick) { return this }
+    if (null != this._current.tick) {
+      this.collectGPUTimes(this._current)
+      this._last = this._current
+    }
+    this._current = createFrameStats(tick)
+    return this
+  }
+
+  /**
+   * Attributes GPU time resolved since the last call to the entities
+   * that drew the commands. Time that resolves after the entities drew
+   * nothing more is split by the draws it was last split by.
+   * @private
+   * @method
+   * @param {Object} stats Frame stats
+   * @return {Profiler}
+   */
+  collectGPUTimes(stats) {
+    if (false == this._hasGPUTimer) { return this }
+    stats.gpuTime = 0
+    for (const key in stats.entities) { stats.entities[key].gpuTime = 0 }
+    for (const [commandStats, owners] of this.owners) {
+      const previous = this.gpuTimes.get(commandStats) || 0
+      const time = (commandStats.gpuTime || 0) - previous
+      this.gpuTimes.set(commandStats, commandStats.gpuTime || 0)
+      if (time > 0) {
+        const draws = owners.draws.size ? owners.draws : owners.previous
+        let total = 0
+        for (const count of draws.values()) { total = total + count }
+        for (const [entityId, count] of draws) {
+          const entity = getEntityStats(stats, entityId)
+          entity.gpuTime = entity.gpuTime + time*count/total
+        }
+        stats.gpuTime = stats.gpuTime + time
+        if (owners.draws.size) {
+          owners.previous = owners.draws
+          owners.draws = new Map()
+        }
+      }
+    }
+    return this
+  }
+
+  /**
+   * Returns a row for each entity in the last complete frame, or the
+   * current frame if one has not completed yet, sorted by CPU time.
+   * @public
+   * @method
+   * @return {Array<Object>}
+   */
+  table() {
+    const stats = this._last || this._current
+    return Object.keys(stats.entities)
+      .map((key) => ({ ...stats.entities[key] }))
+      .sort((a, b) => b.cpuTime - a.cpuTime)
+  }
+
+  /**
+   * Prints the rows returned by table() with console.table().
+   * @public
+   * @method
+   * @return {Profiler}
+   */
+  dump() {
+    const rows = this.table()
+    if ('function' == typeof console.table) { console.table(rows) }
+    else { console.log(rows) }
+    return this
+  }
+
+  /**
+   * Removes all collected stats.
+   * @public
+   * @method
+   * @return {Profiler}
+   */
+  clear() {
+    this.stack.splice(0, this.stack.length)
+    this.owners.clear()
+    this._current = createFrameStats(null)
+    this._last = null
+    return this
+  }
+}
+
+/**
+ * now() -> Number
+ */
+function now() {
+  const {performance} = window
+  if (performance && 'function' == typeof performance.now) {
+    return performance.now()
+  }
+  return Date.now()
+}
+
+/**
+ * createFrameStats(tick: Number) -> Object
+ */
+function createFrameStats(tick) {
+  return { tick, draws: 0, cpuTime: 0, gpuTime: null, entities: {} }
+}
+
+/**
+ * getEntityStats(stats: Object, entityId: Number) -> Object
+ */
+function getEntityStats(stats, entityId) {
+  if (null == stats.entities[entityId]) {
+    stats.entities[entityId] = {
+      entityId,
+      calls: 0,
+      draws: 0,
+      cpuTime: 0,
+      selfTime: 0,
+      gpuTime: null,
+    }
+  }
+  return stats.entities[entityId]
+}
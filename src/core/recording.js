@@ -0,0 +1,611 @@
+import { Context } from './context'
+
+const kDefaultRecordingWidth = 640
+const kDefaultRecordingHeight = 480
+const kDefaultRecordingFrameRate = 60
+
+// command options resolved before context variables are injected
+const kRecordingPreContextKeys = [ 'framebuffer', 'viewport' ]
+
+// command options that are always resolved with nested dynamic values
+const kRecordingNestedKeys = [ 'uniforms', 'attributes' ]
+
+/**
+ * The RecordingContext class is a Context that is backed by a headless
+ * regl stand-in created with createRecordingRegl(). Nothing is drawn,
+ * instead every draw call and clear is recorded with its resolved
+ * uniforms, attributes, state, and shader sources. This allows scenes to
+ * be tested in plain Node without a GPU.
+ * @public
+ * @class RecordingContext
+ * @extends Context
+ */
+export class RecordingContext extends Context {
+
+  /**
+   * RecordingContext class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}] Context configuration
+   * @param {?(Number)} [opts.width = 640] Drawing buffer width
+   * @param {?(Number)} [opts.height = 480] Drawing buffer height
+   * @param {?(Number)} [opts.frameRate = 60] Frames per second used by step()
+   * @param {?(Object)} [opts.limits] Overrides for reported regl limits
+   * @param {?(Number)} [opts.version = 1] Reported WebGL version (1 or 2)
+   */
+  constructor(opts = {}) {
+    if (null != opts && 'object' != typeof opts || Array.isArray(opts)) {
+      throw new TypeError("RecordingContext(): expecting object as first argument.")
+    }
+    opts = { ...opts }
+    opts.regl = {
+      width: opts.width,
+      height: opts.height,
+      frameRate: opts.frameRate,
+      limits: opts.limits,
+      version: opts.version,
+      ...(opts.regl || opts.gl)
+    }
+    delete opts.version
+    delete opts.gl
+    super(opts, createRecordingRegl)
+  }
+
+  /**
+   * Recorded calls since creation or the last call to reset().
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Array<Object>}
+   */
+  get calls() {
+    return this.regl ? this.regl._recording.calls : []
+  }
+
+  /**
+   * Recorded draw calls since creation or the last call to reset().
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Array<Object>}
+   */
+  get draws() {
+    return this.calls.filter(({type}) => 'draw' == type)
+  }
+
+  /**
+   * Advances the recording clock by a number of frames calling
+   * every callback given to regl.frame() once per frame.
+   * @public
+   * @method
+   * @param {?(Number)} [count = 1] Number of frames to step
+   * @return {RecordingContext}
+   */
+  step(count = 1) {
+    if (this.regl) { this.regl._recording.step(count) }
+    return this
+  }
+
+  /**
+   * Resizes the recorded drawing buffer. A size must be given as there
+   * is no DOM element to measure.
+   * @public
+   * @method
+   * @param {?(Number)} [width] Width in CSS pixels
+   * @param {?(Number)} [height] Height in CSS pixels
+   * @emits resize
+   * @return {RecordingContext}
+   */
+  resize(width, height) {
+    if (this.regl && width && height) {
+      this.regl._recording.resize(
+        Math.floor(width * this.pixelRatio),
+        Math.floor(height * this.pixelRatio))
+    }
+    return super.resize(width, height)
+  }
+
+  /**
+   * Simulates the loss of the WebGL context.
+   * @public
+   * @method
+   * @emits contextlost
+   * @return {RecordingContext}
+   */
+  loseContext() {
+    if (this.regl) { this.regl._recording.lose() }
+    return this
+  }
+
+  /**
+   * Simulates the restoration of a lost WebGL context.
+   * @public
+   * @method
+   * @emits contextrestored
+   * @return {RecordingContext}
+   */
+  restoreContext() {
+    if (this.regl) { this.regl._recording.restore() }
+    return this
+  }
+
+  /**
+   * Clears all recorded calls.
+   * @public
+   * @method
+   * @return {RecordingContext}
+   */
+  reset() {
+    if (this.regl) { this.regl._recording.reset() }
+    return this
+  }
+}
+
+/**
+ * Creates a headless regl stand-in that records draw calls instead
+ * of issuing them to a WebGLRenderingContext. It accepts the same
+ * initialization options given to regl by the Context class, including
+ * the `onDone` callback.
+ *
+ * createRecordingRegl(opts: Object) -> Function
+ *
+ * @public
+ * @function
+ * @param {?(Object)} [opts = {}]
+ * @return {Function}
+ */
+export function createRecordingRegl(opts = {}) {
+  opts = opts || {}
+  const pixelRatio = opts.pixelRatio || 1
+  let width = Math.floor((opts.width || kDefaultRecordingWidth) * pixelRatio)
+  let height = Math.floor((opts.height || kDefaultRecordingHeight) * pixelRatio)
+  const frameRate = opts.frameRate || kDefaultRecordingFrameRate
+  const extensions = [
+    ...(opts.extensions || []),
+    ...(opts.optionalExtensions || [])
+  ].map((name) => String(name).toLowerCase())
+
+  const listeners = { frame: [], lost: [], restore: [], destroy: [] }
+  const resources = new Set()
+  const calls = []
+  const scopes = []
+  const frames = []
+
+  const context = {
+    tick: 0,
+    time: 0,
+    pixelRatio,
+    viewportWidth: width,
+    viewportHeight: height,
+    framebufferWidth: width,
+    framebufferHeight: height,
+    drawingBufferWidth: width,
+    drawingBufferHeight: height,
+  }
+
+  let resourceCount = 0
+  let commandCount = 0
+
+  const recording = {
+    calls,
+    resources,
+    context,
+    isContextLost: false,
+    reset() { calls.splice(0, calls.length) },
+    resize(w, h) {
+      width = context.drawingBufferWidth = w
+      height = context.drawingBufferHeight = h
+      poll()
+    },
+    lose() {
+      if (recording.isContextLost) { return }
+      recording.isContextLost = true
+      for (const callback of listeners.lost.slice()) { callback() }
+    },
+    restore() {
+      if (!recording.isContextLost) { return }
+      recording.isContextLost = false
+      for (const callback of listeners.restore.slice()) { callback() }
+    },
+    step(count = 1) {
+      // like requestAnimationFrame, frames are paused while the context is lost
+      if (recording.isContextLost) { return }
+      for (let i = 0; i < count; ++i) {
+        poll()
+        for (const frame of frames.slice()) {
+          if (false == frame.cancelled) { frame.callback(context) }
+        }
+        for (const callback of listeners.frame.slice()) { callback() }
+        context.tick = context.tick + 1
+        context.time = context.tick / frameRate
+      }
+    },
+  }
+
+  const regl = Object.assign(createCommand, {
+    _gl: null,
+    _recording: recording,
+    limits: {
+      extensions,
+      maxTextureSize: 4096,
+      maxCubeMapSize: 4096,
+      maxRenderbufferSize: 4096,
+      maxViewportDims: [ 4096, 4096 ],
+      maxTextureUnits: 16,
+      maxCombinedTextureUnits: 32,
+      maxVertexTextureUnits: 16,
+      maxVertexUniforms: 1024,
+      maxFragmentUniforms: 1024,
+      maxVaryingVectors: 15,
+      maxAttributes: 16,
+      maxColorAttachments: 1,
+      maxDrawbuffers: 1,
+      maxAnisotropic: 1,
+      pointSizeDims: [ 1, 1024 ],
+      lineWidthDims: [ 1, 1 ],
+      glsl: 2 == opts.version
+        ? 'WebGL GLSL ES 3.00 (Recording)'
+        : 'WebGL GLSL ES 1.0 (Recording)',
+      renderer: 'Recording',
+      vendor: 'axis3d',
+      version: 2 == opts.version
+        ? 'WebGL 2.0 (Recording)'
+        : 'WebGL 1.0 (Recording)',
+      ...opts.limits,
+    },
+    buffer: createResourceFactory('buffer'),
+    elements: createResourceFactory('elements'),
+    texture: createResourceFactory('texture2d'),
+    cube: createResourceFactory('textureCube'),
+    renderbuffer: createResourceFactory('renderbuffer'),
+    framebuffer: createResourceFactory('framebuffer'),
+    framebufferCube: createResourceFactory('framebufferCube'),
+    prop: (name) => new RecordingDynamicVariable('prop', name),
+    context: (name) => new RecordingDynamicVariable('context', name),
+    this: (name) => new RecordingDynamicVariable('this', name),
+    hasExtension(name) {
+      const {extensions} = regl.limits
+      return -1 != extensions.indexOf(String(name).toLowerCase())
+    },
+    now() { return context.time },
+    on(type, callback) {
+      const list = listeners[type] || (listeners[type] = [])
+      list.push(callback)
+      return {
+        cancel() {
+          const index = list.indexOf(callback)
+          if (-1 != index) { list.splice(index, 1) }
+        }
+      }
+    },
+    frame(callback) {
+      const frame = { callback, cancelled: false }
+      frames.push(frame)
+      return {
+        cancel() {
+          frame.cancelled = true
+          if (-1 != frames.indexOf(frame)) {
+            frames.splice(frames.indexOf(frame), 1)
+          }
+        }
+      }
+    },
+    clear(opts = {}) {
+      calls.push({
+        type: 'clear',
+        color: snapshot(opts.color),
+        depth: snapshot(opts.depth),
+        stencil: snapshot(opts.stencil),
+        framebuffer: snapshot(opts.framebuffer || currentFramebuffer()),
+      })
+    },
+    read(opts = {}) {
+      const w = opts.width || context.framebufferWidth
+      const h = opts.height || context.framebufferHeight
+      return opts.data || new Uint8Array(4 * w * h)
+    },
+    poll,
+    destroy() {
+      for (const resource of [ ...resources ]) { resource.destroy() }
+      frames.splice(0, frames.length)
+      for (const callback of listeners.destroy.slice()) { callback() }
+    },
+    _refresh() { },
+  })
+
+  if ('function' == typeof opts.onDone) {
+    opts.onDone(null, regl)
+  }
+
+  return regl
+
+  function poll() {
+    context.viewportWidth = context.framebufferWidth = width
+    context.viewportHeight = context.framebufferHeight = height
+  }
+
+  function currentFramebuffer() {
+    for (let i = scopes.length - 1; i >= 0; --i) {
+      if (scopes[i].framebuffer) { return scopes[i].framebuffer }
+    }
+    return null
+  }
+
+  function createCommand(opts = {}) {
+    const id = ++ commandCount
+    const stats = { gpuTime: 0, cpuTime: 0, count: 0 }
+    return Object.assign(command, {stats})
+    function command(args, block) {
+      if (recording.isContextLost) {
+        throw new Error("(regl) context lost")
+      } else if ('function' == typeof args) {
+        return scope({}, args, 0)
+      } else if ('number' == typeof args) {
+        let result
+        for (let i = 0; i < args; ++i) {
+          if ('function' == typeof block) { result = scope({}, block, i) }
+          else { draw({}, i) }
+        }
+        return result
+      } else if (Array.isArray(args)) {
+        let result
+        for (let i = 0; i < args.length; ++i) {
+          if ('function' == typeof block) { result = scope(args[i], block, i) }
+          else { draw(args[i], i) }
+        }
+        return result
+      } else if ('function' == typeof block) {
+        return scope(args || {}, block, 0)
+      } else {
+        draw(args || {}, 0)
+      }
+    }
+
+    function scope(props, block, batchId) {
+      return enter(props, batchId, () => block(context, props, batchId))
+    }
+
+    function draw(props, batchId) {
+      return enter(props, batchId, () => {
+        const state = {}
+        for (const resolved of scopes) {
+          for (const key in resolved) {
+            if (-1 != kRecordingNestedKeys.indexOf(key)) {
+              state[key] = { ...state[key], ...resolved[key] }
+            } else {
+              state[key] = resolved[key]
+            }
+          }
+        }
+
+        const {
+          vert = null, frag = null,
+          uniforms = {}, attributes = {},
+          elements = null, framebuffer = null,
+          primitive = 'triangles',
+          count = 0, offset = 0, instances = -1,
+          ...rest
+        } = state
+
+        stats.count = stats.count + 1
+        calls.push({
+          type: 'draw',
+          command: id,
+          batchId,
+          props: snapshot(props),
+          vert, frag,
+          uniforms, attributes,
+          elements, framebuffer,
+          primitive, count, offset, instances,
+          state: rest,
+        })
+      })
+    }
+
+    function enter(props, batchId, block) {
+      const saved = {}
+      const resolved = {}
+      const save = (key) => {
+        if (!(key in saved)) {
+          saved[key] = { has: key in context, value: context[key] }
+        }
+      }
+      const inject = (key, value) => {
+        save(key)
+        context[key] = value
+      }
+
+      for (const key of kRecordingPreContextKeys) {
+        if (key in opts) {
+          resolved[key] = resolve(opts[key], props, batchId)
+        }
+      }
+
+      if (resolved.framebuffer) {
+        inject('framebufferWidth', resolved.framebuffer.width)
+        inject('framebufferHeight', resolved.framebuffer.height)
+        inject('viewportWidth', resolved.framebuffer.width)
+        inject('viewportHeight', resolved.framebuffer.height)
+      }
+
+      if (resolved.viewport && 'object' == typeof resolved.viewport) {
+        const {width: w, height: h} = resolved.viewport
+        if (null != w) { inject('viewportWidth', w) }
+        if (null != h) { inject('viewportHeight', h) }
+      }
+
+      if (opts.context && 'object' == typeof opts.context) {
+        for (const key of Object.keys(opts.context)) {
+          const value = opts.context[key]
+          // dynamic values may write to the shared context object directly
+          save(key)
+          inject(key, isDynamic(value)
+            ? resolveDynamic(value, props, batchId)
+            : value)
+        }
+      }
+
+      for (const key of Object.keys(opts)) {
+        if ('context' == key || key in resolved) { continue }
+        resolved[key] = snapshot(resolve(opts[key], props, batchId))
+      }
+
+      scopes.push(resolved)
+      try {
+        return block()
+      } finally {
+        scopes.pop()
+        for (const key of Object.keys(saved)) {
+          if (saved[key].has) { context[key] = saved[key].value }
+          else { delete context[key] }
+        }
+      }
+    }
+  }
+
+  function resolve(value, props, batchId) {
+    if (isDynamic(value)) {
+      return resolve(resolveDynamic(value, props, batchId), props, batchId)
+    } else if (isPlainObject(value)) {
+      const resolved = {}
+      for (const key of Object.keys(value)) {
+        resolved[key] = resolve(value[key], props, batchId)
+      }
+      return resolved
+    }
+    return value
+  }
+
+  function resolveDynamic(value, props, batchId) {
+    if (value instanceof RecordingDynamicVariable) {
+      return value.resolve(context, props)
+    }
+    return value(context, props, batchId)
+  }
+
+  function createResourceFactory(type) {
+    return function createResource(data) {
+      const resource = Object.assign(function update(data) {
+        configure(data)
+        return resource
+      }, {
+        _reglType: type,
+        id: ++ resourceCount,
+        data: null,
+        width: 0,
+        height: 0,
+        destroyed: false,
+        subdata(data, offset = 0) {
+          calls.push({type: 'subdata', resource, offset, data: snapshot(data)})
+          return resource
+        },
+        subimage(data, x = 0, y = 0, level = 0) {
+          calls.push({type: 'subimage', resource, x, y, level, data: snapshot(data)})
+          return resource
+        },
+        resize(w, h = w) {
+          resource.width = w
+          resource.height = h
+          return resource
+        },
+        use(block) {
+          return createCommand({framebuffer: resource})(block)
+        },
+        destroy() {
+          resource.destroyed = true
+          resources.delete(resource)
+        },
+        toJSON() {
+          return { type, id: resource.id }
+        },
+      })
+      resources.add(resource)
+      configure(data)
+      return resource
+
+      function configure(data) {
+        if (isPlainObject(data)) {
+          const shape = data.shape || []
+          resource.data = null != data.data ? data.data : null
+          resource.width = data.width || data.radius || shape[0] || resource.width || 0
+          resource.height = data.height || data.radius || shape[1] || resource.height || 0
+          if ('color' in data) { resource.color = [].concat(data.color) }
+          if (Array.isArray(data.faces)) { resource.faces = data.faces.slice() }
+        } else if ('number' == typeof data) {
+          resource.width = resource.height = data
+        } else if (null != data) {
+          resource.data = data
+          if ('number' == typeof data.width) { resource.width = data.width }
+          if ('number' == typeof data.height) { resource.height = data.height }
+        }
+        if ('framebuffer' == type && !resource.width) {
+          resource.width = width
+          resource.height = height
+        }
+      }
+    }
+  }
+}
+
+/**
+ * The RecordingDynamicVariable class represents the values returned by
+ * regl.prop(), regl.context() and regl.this() on a recording regl.
+ * @private
+ * @class RecordingDynamicVariable
+ */
+class RecordingDynamicVariable {
+  constructor(type, path) {
+    this.type = type
+    this.path = String(path).split('.')
+  }
+
+  resolve(context, props) {
+    let value = 'context' == this.type ? context : props
+    for (const key of this.path) {
+      value = null != value ? value[key] : undefined
+    }
+    return value
+  }
+}
+
+/**
+ * Predicate to determine if a command value should be evaluated. Regl
+ * resources are functions too, but are always treated as static values.
+ *
+ * isDynamic(value: Any) -> Boolean
+ */
+function isDynamic(value) {
+  if (value instanceof RecordingDynamicVariable) { return true }
+  return 'function' == typeof value && null == value._reglType
+}
+
+/**
+ * isPlainObject(value: Any) -> Boolean
+ */
+function isPlainObject(value) {
+  if (!value || 'object' != typeof value || Array.isArray(value)) {
+    return false
+  } else if (ArrayBuffer.isView(value)) {
+    return false
+  }
+  return true
+}
+
+/**
+ * Copies array and typed array values so recorded calls are not
+ * mutated by components reusing scratch buffers.
+ *
+ * snapshot(value: Any) -> Any
+ */
+function snapshot(value) {
+  if (ArrayBuffer.isView(value)) {
+    return value.slice()
+  } else if (Array.isArray(value)) {
+    return value.map(snapshot)
+  } else if (isPlainObject(value) && null == value._reglType) {
+    const copy = {}
+    for (const key of Object.keys(value)) { copy[key] = snapshot(value[key]) }
+    return copy
+  }
+  return value
+}
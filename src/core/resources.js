@@ -0,0 +1,345 @@
+// regl resource factories tracked by a ResourceRegistry
+const kResourceFactories = [
+  'buffer',
+  'elements',
+  'texture',
+  'cube',
+  'renderbuffer',
+  'framebuffer',
+  'framebufferCube',
+]
+
+// bytes per channel for regl texture types
+const kTextureTypeBytes = {
+  'uint8': 1,
+  'uint16': 2,
+  'half float': 2,
+  'float': 4,
+  'float32': 4,
+  'uint32': 4,
+}
+
+// channels per texel for regl texture formats
+const kTextureFormatChannels = {
+  'alpha': 1,
+  'luminance': 1,
+  'luminance alpha': 2,
+  'rgb': 3,
+  'srgb': 3,
+  'rgba': 4,
+  'srgba': 4,
+}
+
+/**
+ * The ResourceRegistry class keeps track of the regl resources (buffers,
+ * elements, textures, cubes, renderbuffers and framebuffers) created
+ * by a Context. Resources are owned by the owner entered with enter()
+ * when they are created, usually the id of an entity, so live counts and
+ * estimated sizes can be reported per entity. Context event listeners
+ * added with listen() and entities added with adopt() are owned the same
+ * way and removed or destroyed when their owner is released.
+ * @public
+ * @class ResourceRegistry
+ */
+export class ResourceRegistry {
+
+  /**
+   * ResourceRegistry class constructor.
+   * @public
+   * @constructor
+   */
+  constructor() {
+    Object.defineProperties(this, {
+      entries: { enumerable: false, value: new Map() },
+      entities: { enumerable: false, value: new Map() },
+      owners: { enumerable: false, value: [] },
+      listeners: { enumerable: false, value: [] },
+    })
+  }
+
+  /**
+   * The owner entered last with enter(), or null.
+   * @public
+   * @accessor
+   * @type {Mixed}
+   */
+  get owner() {
+    const {owners} = this
+    return owners.length ? owners[owners.length - 1] : null
+  }
+
+  /**
+   * Wraps the resource factories of a regl instance so every
+   * resource they create is tracked by this registry.
+   * @public
+   * @method
+   * @param {Function} regl
+   * @return {Function}
+   */
+  wrap(regl) {
+    const wrapped = Object.assign((opts) => regl(opts), regl)
+    for (const type of kResourceFactories) {
+      if ('function' == typeof regl[type]) {
+        wrapped[type] = (...args) => this.track(type, regl[type](...args))
+      }
+    }
+    return wrapped
+  }
+
+  /**
+   * Tracks a resource owned by the current owner. Resources created
+   * outside of enter() and exit() are unowned.
+   * @public
+   * @method
+   * @param {String} type
+   * @param {Function|Object} resource
+   * @return {Function|Object}
+   */
+  track(type, resource) {
+    if (!resource || this.entries.has(resource)) { return resource }
+    const {owner, entries} = this
+    const entry = { type, resource, owner }
+    const {destroy} = resource
+    entries.set(resource, entry)
+    if ('function' == typeof destroy) {
+      resource.destroy = (...args) => {
+        entries.delete(resource)
+        return destroy.apply(resource, args)
+      }
+    }
+    return resource
+  }
+
+  /**
+   * Adds an event listener to an emitter or DOM event target and tracks
+   * it like a resource. The listener is removed when its owner is
+   * released.
+   * @public
+   * @method
+   * @param {EventEmitter|EventTarget} emitter
+   * @param {String} event
+   * @param {Function} listener
+   * @return {Function}
+   */
+  listen(emitter, event, listener) {
+    const {owner, listeners} = this
+    if ('function' == typeof emitter.on) {
+      emitter.on(event, listener)
+    } else {
+      emitter.addEventListener(event, listener, false)
+    }
+    listeners.push({ emitter, event, listener, owner })
+    return listener
+  }
+
+  /**
+   * Tracks an entity owned by the current owner so it is destroyed when
+   * the owner is released. Adopting an entity again changes its owner.
+   * @public
+   * @method
+   * @param {Function} entity
+   * @return {Function}
+   */
+  adopt(entity) {
+    const {owner, entities} = this
+    if (!entities.has(entity) && 'function' == typeof entity.destroy) {
+      const {destroy} = entity
+      entity.destroy = (...args) => {
+        entities.delete(entity)
+        return destroy.apply(entity, args)
+      }
+    }
+    entities.set(entity, owner)
+    return entity
+  }
+
+  /**
+   * Gives the resources, listeners and entities of an owner to another
+   * owner.
+   * @public
+   * @method
+   * @param {Mixed} from
+   * @param {Mixed} to
+   * @return {ResourceRegistry}
+   */
+  transfer(from, to) {
+    for (const entry of [ ...this.entries.values(), ...this.listeners ]) {
+      if (from == entry.owner) { entry.owner = to }
+    }
+    for (const [entity, owner] of this.entities) {
+      if (from == owner) { this.entities.set(entity, to) }
+    }
+    return this
+  }
+
+  /**
+   * Pushes an owner for resources created until exit() is called.
+   * @public
+   * @method
+   * @param {Mixed} owner
+   * @return {ResourceRegistry}
+   */
+  enter(owner) {
+    this.owners.push(owner)
+    return this
+  }
+
+  /**
+   * Pops the owner pushed with enter().
+   * @public
+   * @method
+   * @return {ResourceRegistry}
+   */
+  exit() {
+    this.owners.pop()
+    return this
+  }
+
+  /**
+   * Destroys the entities and live resources and removes the listeners
+   * owned by an owner. Framebuffers are destroyed before the attachments
+   * and buffers they may reference. Returns the number of destroyed
+   * resources.
+   * @public
+   * @method
+   * @param {Mixed} owner
+   * @return {Number}
+   */
+  release(owner) {
+    if (null == owner) { return 0 }
+    for (const [entity, entityOwner] of [ ...this.entities ]) {
+      if (owner == entityOwner) { entity.destroy() }
+    }
+    const entries = [ ...this.entries.values() ]
+      .filter((entry) => owner == entry.owner)
+      .sort((a, b) => {
+        return kResourceFactories.indexOf(b.type)
+          - kResourceFactories.indexOf(a.type)
+      })
+    for (const {resource} of entries) {
+      this.entries.delete(resource)
+      if ('function' == typeof resource.destroy) { resource.destroy() }
+    }
+    const {listeners} = this
+    for (let i = listeners.length - 1; i >= 0; --i) {
+      const {emitter, event, listener, owner: listenerOwner} = listeners[i]
+      if (owner == listenerOwner) {
+        if ('function' == typeof emitter.removeListener) {
+          emitter.removeListener(event, listener)
+        } else {
+          emitter.removeEventListener(event, listener, false)
+        }
+        listeners.splice(i, 1)
+      }
+    }
+    return entries.length
+  }
+
+  /**
+   * Returns a list of tracked resource entries.
+   * @public
+   * @method
+   * @return {Array<Object>}
+   */
+  list() {
+    return [ ...this.entries.values() ].map((entry) => ({
+      ...entry, bytes: estimateResourceBytes(entry, this.entries)
+    }))
+  }
+
+  /**
+   * Removes all tracked resources, listeners and entities without
+   * destroying or removing them.
+   * @public
+   * @method
+   * @return {ResourceRegistry}
+   */
+  clear() {
+    this.entries.clear()
+    this.entities.clear()
+    this.listeners.splice(0, this.listeners.length)
+    this.owners.splice(0, this.owners.length)
+    return this
+  }
+
+  /**
+   * Computes live resource counts and estimated bytes in total, by
+   * resource type and by owner.
+   * @public
+   * @method
+   * @return {Object}
+   */
+  stats() {
+    const stats = { count: 0, bytes: 0, types: {}, owners: {} }
+    for (const {type, owner, bytes} of this.list()) {
+      const key = null == owner ? 'unowned' : owner
+      stats.types[type] = stats.types[type] || { count: 0, bytes: 0 }
+      stats.owners[key] = stats.owners[key] || { count: 0, bytes: 0 }
+      for (const summary of [ stats, stats.types[type], stats.owners[key] ]) {
+        summary.count = summary.count + 1
+        summary.bytes = summary.bytes + bytes
+      }
+    }
+    return stats
+  }
+}
+
+/**
+ * Estimates the number of bytes a resource occupies in GPU memory.
+ *
+ * estimateResourceBytes(entry: Object, entries: Map) -> Number
+ */
+function estimateResourceBytes({type, resource}, entries) {
+  switch (type) {
+    case 'buffer':
+      if (resource._buffer) { return resource._buffer.byteLength || 0 }
+      return estimateDataBytes(resource.data, 4)
+
+    case 'elements':
+      if (resource._elements && resource._elements.buffer) {
+        return resource._elements.buffer.byteLength || 0
+      }
+      return estimateDataBytes(resource.data, 2)
+
+    case 'texture':
+    case 'cube':
+      return (type == 'cube' ? 6 : 1)
+        * (resource.width || 0) * (resource.height || 0)
+        * (kTextureFormatChannels[resource.format] || 4)
+        * (kTextureTypeBytes[resource.type] || 1)
+
+    case 'renderbuffer':
+      return 4 * (resource.width || 0) * (resource.height || 0)
+
+    case 'framebuffer':
+    case 'framebufferCube': {
+      // tracked color attachments are counted on their own
+      const pixels = (resource.width || 0) * (resource.height || 0)
+      const colors = [].concat(resource.color || [ null ])
+        .filter((color) => !color || !entries.has(color))
+      return 4 * pixels * (1 + colors.length) * ('framebufferCube' == type ? 6 : 1)
+    }
+
+    default: return 0
+  }
+}
+
+/**
+ * estimateDataBytes(data: Any, bytesPerElement: Number) -> Number
+ */
+function estimateDataBytes(data, bytesPerElement) {
+  if (!data) {
+    return 0
+  } else if (ArrayBuffer.isView(data)) {
+    return data.byteLength
+  } else if (Array.isArray(data)) {
+    return data.reduce((sum, value) => {
+      return sum + estimateDataBytes(value, bytesPerElement)
+    }, 0)
+  } else if ('number' == typeof data) {
+    return bytesPerElement
+  } else if (data.data) {
+    return estimateDataBytes(data.data, bytesPerElement)
+  }
+  return 0
+}
@@ -0,0 +1,187 @@
+import { BadArgumentError, UnknownArgumentError } from '../errors'
+
+// lengths of array like vector and matrix types
+const kVectorTypeLengths = {
+  vec2: 2,
+  vec3: 3,
+  vec4: 4,
+  quat: 4,
+  mat3: 9,
+  mat4: 16,
+}
+
+// predicates for named types
+const kTypePredicates = {
+  any: () => true,
+  array: isArrayLike,
+  boolean: (value) => 'boolean' == typeof value,
+  function: (value) => 'function' == typeof value,
+  number: (value) => 'number' == typeof value,
+  object: (value) => value && 'object' == typeof value && !isArrayLike(value),
+  string: (value) => 'string' == typeof value,
+}
+
+// maximum edit distance of a suggested key
+const kMaxSuggestionDistance = 2
+
+/**
+ * Normalizes an argument schema into a map of keys to rules. A rule is
+ * a type name, a constructor, an array of either or an object with
+ * `type`, `length` and `required` properties. Type names are `any`,
+ * `array`, `boolean`, `function`, `number`, `object`, `string` and the
+ * array like `vec2`, `vec3`, `vec4`, `quat`, `mat3` and `mat4` types.
+ *
+ * normalizeSchema(schema: Object) -> Object
+ *
+ * @function
+ * @param {Object} schema
+ * @return {Object}
+ * @throws BadArgumentError
+ */
+export function normalizeSchema(schema) {
+  if (!schema || 'object' != typeof schema || Array.isArray(schema)) {
+    throw new BadArgumentError(1, 'initialState.schema', schema, 'object')
+  }
+
+  const rules = {}
+  for (const key of Object.keys(schema)) {
+    let rule = schema[key]
+    if ('string' == typeof rule || 'function' == typeof rule || Array.isArray(rule)) {
+      rule = { type: rule }
+    }
+
+    const types = [].concat(rule && null != rule.type ? rule.type : 'any')
+    for (const type of types) {
+      if ('function' != typeof type && !(type in kTypePredicates)
+          && !(type in kVectorTypeLengths)) {
+        throw new BadArgumentError(1, `initialState.schema.${key}`, type,
+          'a type name or constructor')
+      }
+    }
+
+    rules[key] = {
+      types,
+      length: null != rule.length ? rule.length : null,
+      required: true === rule.required,
+    }
+  }
+  return rules
+}
+
+/**
+ * Validates the keys, types and lengths of arguments given to an
+ * entity against a normalized schema. Keys given in `args` that are not
+ * in the schema or in `knownKeys` are unknown and throw an
+ * UnknownArgumentError.
+ *
+ * validateArguments(label: String,
+ *                   rules: Object,
+ *                   args: Object,
+ *                   merged: Object,
+ *                   knownKeys: Array<String>) -> void
+ *
+ * @function
+ * @param {String} label
+ * @param {Object} rules
+ * @param {Object} args Arguments given to the entity
+ * @param {Object} merged Arguments merged with initial state
+ * @param {Array<String>} knownKeys
+ * @throws BadArgumentError
+ * @throws UnknownArgumentError
+ */
+export function validateArguments(label, rules, args, merged, knownKeys) {
+  const keys = Object.keys(rules)
+  for (const key of Object.keys(args || {})) {
+    if (!(key in rules) && -1 == knownKeys.indexOf(key)) {
+      const suggestion = suggest(key, keys.concat(knownKeys))
+      throw new UnknownArgumentError(0, `${label} args.${key}`, args[key],
+        suggestion, keys)
+    }
+  }
+
+  for (const key of keys) {
+    const {types, length, required} = rules[key]
+    const value = merged[key]
+    if (null == value) {
+      if (required) {
+        throw new BadArgumentError(0, `${label} args.${key}`, value,
+          describe(rules[key]))
+      }
+    } else if (!types.some((type) => test(type, length, value))) {
+      throw new BadArgumentError(0, `${label} args.${key}`, value,
+        describe(rules[key])
+          + (isArrayLike(value) ? `, not length ${value.length}` : ''))
+    }
+  }
+}
+
+/**
+ * test(type: String|Function, length: ?Number, value: Any) -> Boolean
+ */
+function test(type, length, value) {
+  if ('function' == typeof type) {
+    return value instanceof type
+  } else if (type in kVectorTypeLengths) {
+    return isArrayLike(value) && kVectorTypeLengths[type] == value.length
+  } else if (kTypePredicates[type](value)) {
+    return null == length || !isArrayLike(value) || length == value.length
+  }
+  return false
+}
+
+/**
+ * describe(rule: Object) -> String
+ */
+function describe({types, length}) {
+  return types.map((type) => {
+    if ('function' == typeof type) { return type.name || 'instance' }
+    if ('array' == type && null != length) { return `array of length ${length}` }
+    return type
+  }).join(' or ')
+}
+
+/**
+ * isArrayLike(value: Any) -> Boolean
+ */
+function isArrayLike(value) {
+  return Array.isArray(value)
+    || ArrayBuffer.isView(value) && 'number' == typeof value.length
+}
+
+/**
+ * Returns the closest key to a misspelled key, or null.
+ *
+ * suggest(key: String, keys: Array<String>) -> String|null
+ */
+function suggest(key, keys) {
+  let best = null
+  let bestDistance = kMaxSuggestionDistance + 1
+  for (const candidate of keys) {
+    const d = distance(key.toLowerCase(), candidate.toLowerCase())
+    if (d < bestDistance) {
+      best = candidate
+      bestDistance = d
+    }
+  }
+  return best
+}
+
+/**
+ * Levenshtein distance of two strings.
+ *
+ * distance(a: String, b: String) -> Number
+ */
+function distance(a, b) {
+  let previous = Array(b.length + 1).fill(0).map((_, i) => i)
+  for (let i = 1; i <= a.length; ++i) {
+    const current = [ i ]
+    for (let j = 1; j <= b.length; ++j) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
@@ -24,14 +24,18 @@ const kGLSLTokenEOF = 'eof'
 
 export const kDefaultShaderLibPrecision = 'mediump float'
 export const kDefaultShaderLibVersion = '100'
+export const kWebGL2ShaderLibVersion = '300 es'
 export const kDefaultShaderName = '<anonymous>'
 
 export class ShaderLib {
-  static defaults() {
+  static defaults(ctx) {
+    const version = ctx && 2 == ctx.version
+      ? kWebGL2ShaderLibVersion
+      : kDefaultShaderLibVersion
     return {
       precision: kDefaultShaderLibPrecision,
       shaderName: kDefaultShaderName,
-      version: kDefaultShaderLibVersion,
+      version,
       defines: {},
       name: kDefaultShaderName,
     }
@@ -81,6 +85,14 @@ export class ShaderLib {
     return `${header}\n${source}`
   }
 
+  injectShaderVersion(source) {
+    const {version = kDefaultShaderLibVersion} = this
+    const regex = /[\s|\t]?#version\s+[0-9]+(\s+es)?[\s|\t|\r]?\n?/g
+    source = source.replace(regex, '')
+    if (kDefaultShaderLibVersion == version) { return source }
+    return `#version ${version}\n${source}`
+  }
+
   add(name, source) {
     if ('string' == typeof name && 'string' == typeof source) {
       name = name.replace(/[\/]+/g, '/')
@@ -132,18 +144,23 @@ export class ShaderLib {
       .split('\n')
       .filter((line) => false == /^\s*$/.test(line))
       .join('\n')
-    return source
+    // the preprocessor removes the version directive
+    return this.injectShaderVersion(source)
   }
 
-  compile(name, source) {
+  compile(name, source, opts = {}) {
     if (!source && name) { source = name; name = null }
     if (!name) { name = kDefaultShaderName }
     if (!source) { return null }
-    const hash = this.hash(source)
+    opts = !opts || 'object' != typeof opts ? {} : opts
+    const hash = opts.defines
+      ? this.hash(JSON.stringify(opts.defines) + source)
+      : this.hash(source)
     if (this.cache[hash]) { return this.cache[hash] }
     source = this.injectShaderNameDefine(name, source)
-    source = this.preprocessor.process(name, source)
+    source = this.preprocessor.process(name, source, opts)
     source = this.injectShaderPrecision(source)
+    source = this.injectShaderVersion(source)
     source = source
       .split('\n')
       .filter((line) => line.length)
@@ -180,13 +197,9 @@ export class ShaderLibPreprocessor {
       else if (false === value) { value = 0 }
       if (null != value) {
         // any -> string
-        value = String(value)
-        if (value != this.defines[key]) {
-          this.defines.set(key, value)
-          return true
-        } else {
-          return false
-        }
+        const version = this.defines.getVersion(key)
+        this.defines.set(key, String(value))
+        return version != this.defines.getVersion(key)
       }
     }
     return false
@@ -204,7 +217,11 @@ export class ShaderLibPreprocessor {
     const stack = []
     opts = !opts || 'object' != typeof opts ? {} : opts
     if ('string' == typeof source) {
-      source = injectDefines(source, { ...defines, ...opts.defines })
+      source = injectDefines(source, {
+        GLSL_VERSION: parseInt(version) || parseInt(kDefaultShaderLibVersion),
+        ...defines,
+        ...opts.defines
+      })
     }
     visit(`\n${source}\n`, stack, name != kDefaultShaderName ? dirname(name) : '/')
     source = glslTokensToString(stack)
@@ -0,0 +1,315 @@
+import vec3 from 'gl-vec3'
+
+// magnitudes at or under this are treated as zero, like mikktspace.c
+const kMinMagnitude = 1.175494351e-38
+
+// squared length under which a tangent has no usable direction
+const kTangentEpsilon = 1e-12
+
+/**
+ * Generates MikkTSpace tangents for the triangles of a simplicial
+ * complex. Vertices with equal positions, normals and UVs are welded.
+ * The triangles sharing a welded vertex are grouped by the orientation
+ * of their UVs across shared edges, and the tangents of each group are
+ * projected onto the vertex normal and averaged weighted by the angle
+ * of each triangle at the vertex. A vertex used by more than one group,
+ * such as a vertex on a UV mirror seam, is split so each group has its
+ * own vertex. The returned `indices` map each vertex to the vertex of
+ * the complex it was split from and `cells` reference the split
+ * vertices. The fourth component of each tangent is `1`, or `-1` for
+ * mirrored UVs. Vertices without a tangent direction are given a unit
+ * vector orthogonal to the normal.
+ *
+ * generateTangents(complex: Object) -> Object
+ *
+ * @function
+ * @param {Object} complex
+ * @param {Array<Array<Number>>} complex.positions
+ * @param {Array<Array<Number>>} complex.normals
+ * @param {Array<Array<Number>>} complex.uvs
+ * @param {Array<Array<Number>>} complex.cells
+ * @return {Object} An object with `tangents`, `indices` and `cells`
+ * @see {@link http://www.mikktspace.com}
+ * @see {@link https://github.com/mmikk/MikkTSpace}
+ */
+export function generateTangents({positions, normals, uvs, cells}) {
+  const shared = weldVertices(positions, normals, uvs)
+  const triangles = cells.map((cell) => {
+    return createTriangle(cell, shared, positions, uvs)
+  })
+  const groups = buildGroups(triangles)
+  for (const group of groups) {
+    group.tangent = evaluateGroup(group, triangles, positions, normals)
+  }
+
+  const tangents = positions.map(() => null)
+  const indices = positions.map((position, i) => i)
+  const splits = {}
+  const split = (index, tangent) => {
+    if (null == tangents[index]) {
+      tangents[index] = tangent
+      return index
+    } else if (equals(tangents[index], tangent)) {
+      return index
+    }
+    const key = `${index}:${tangent.join()}`
+    if (null == splits[key]) {
+      splits[key] = indices.length
+      indices.push(index)
+      tangents.push(tangent)
+    }
+    return splits[key]
+  }
+
+  const splitCells = triangles.map(({cell, degenerate, groups}) => {
+    if (degenerate) { return cell.slice() }
+    return cell.map((index, i) => split(index, groups[i].tangent))
+  })
+
+  // vertices only used by degenerate or other cells
+  for (let i = 0; i < positions.length; ++i) {
+    if (null == tangents[i]) {
+      const t = orthogonal([], normals[i])
+      tangents[i] = [ t[0], t[1], t[2], 1 ]
+    }
+  }
+
+  return {tangents, indices, cells: splitCells}
+}
+
+/**
+ * Returns the index of the first vertex with the same position, normal
+ * and UV for each vertex.
+ *
+ * weldVertices(positions: Array,
+ *              normals: Array,
+ *              uvs: Array) -> Array<Number>
+ */
+function weldVertices(positions, normals, uvs) {
+  const first = {}
+  return positions.map((position, i) => {
+    const key = `${position.join()}|${normals[i].join()}|${uvs[i].join()}`
+    if (null == first[key]) { first[key] = i }
+    return first[key]
+  })
+}
+
+/**
+ * Computes the normalized tangent of a triangle and the orientation of
+ * its UVs. Triangles without UV area or with a tangent or bitangent of
+ * zero length can be grouped with any orientation.
+ *
+ * createTriangle(cell: Array<Number>,
+ *                shared: Array<Number>,
+ *                positions: Array,
+ *                uvs: Array) -> Object
+ */
+function createTriangle(cell, shared, positions, uvs) {
+  const triangle = {
+    cell,
+    shared: cell.map((index) => shared[index]),
+    groups: [ null, null, null ],
+    degenerate: true,
+    orient: false,
+    any: true,
+    os: [ 0, 0, 0 ],
+  }
+
+  if (3 != cell.length) { return triangle }
+  const [a, b, c] = cell
+  const [p0, p1, p2] = [ positions[a], positions[b], positions[c] ]
+  triangle.degenerate = equals(p0, p1) || equals(p1, p2) || equals(p0, p2)
+  if (triangle.degenerate) { return triangle }
+
+  const d1 = vec3.subtract([], p1, p0)
+  const d2 = vec3.subtract([], p2, p0)
+  const t21x = uvs[b][0] - uvs[a][0]
+  const t21y = uvs[b][1] - uvs[a][1]
+  const t31x = uvs[c][0] - uvs[a][0]
+  const t31y = uvs[c][1] - uvs[a][1]
+  const area = t21x*t31y - t21y*t31x
+  const os = vec3.subtract([], vec3.scale([], d1, t31y), vec3.scale([], d2, t21y))
+  const ot = vec3.subtract([], vec3.scale([], d2, t21x), vec3.scale([], d1, t31x))
+
+  triangle.orient = area > 0
+  if (notZero(area)) {
+    const lengthS = vec3.length(os)
+    const lengthT = vec3.length(ot)
+    if (notZero(lengthS)) {
+      vec3.scale(triangle.os, os, (triangle.orient ? 1 : -1)/lengthS)
+    }
+    const magnitudeS = lengthS/Math.abs(area)
+    const magnitudeT = lengthT/Math.abs(area)
+    triangle.any = !(notZero(magnitudeS) && notZero(magnitudeT))
+  }
+  return triangle
+}
+
+/**
+ * Groups the corners of triangles around each welded vertex. Starting
+ * at a triangle, a group grows across the edges at the vertex into
+ * neighbouring triangles with the same UV orientation.
+ *
+ * buildGroups(triangles: Array<Object>) -> Array<Object>
+ */
+function buildGroups(triangles) {
+  const edges = {}
+  const neighbors = triangles.map(() => [ -1, -1, -1 ])
+  const groups = []
+
+  triangles.forEach(({shared, degenerate}, t) => {
+    if (degenerate) { return }
+    for (let i = 0; i < 3; ++i) {
+      const key = `${shared[i]},${shared[(i + 1) % 3]}`
+      if (null == edges[key]) { edges[key] = [] }
+      edges[key].push([ t, i ])
+    }
+  })
+
+  // pair each edge with an unpaired edge of the opposite direction
+  triangles.forEach(({shared, degenerate}, t) => {
+    if (degenerate) { return }
+    for (let i = 0; i < 3; ++i) {
+      if (-1 != neighbors[t][i]) { continue }
+      const opposite = edges[`${shared[(i + 1) % 3]},${shared[i]}`] || []
+      const match = opposite.find(([u, j]) => u != t && -1 == neighbors[u][j])
+      if (match) {
+        neighbors[t][i] = match[0]
+        neighbors[match[0]][match[1]] = t
+      }
+    }
+  })
+
+  triangles.forEach((triangle, t) => {
+    if (!triangle.degenerate && !triangle.any) { start(t) }
+  })
+
+  // triangles that can be grouped with any orientation and were not
+  // reached from another triangle start their own groups
+  triangles.forEach((triangle, t) => {
+    if (!triangle.degenerate) { start(t) }
+  })
+
+  return groups
+
+  function start(t) {
+    const triangle = triangles[t]
+    for (let i = 0; i < 3; ++i) {
+      if (null != triangle.groups[i]) { continue }
+      const group = {
+        vertex: triangle.shared[i],
+        orient: triangle.orient,
+        members: [],
+        tangent: null,
+      }
+      groups.push(group)
+      assign(t, group)
+    }
+  }
+
+  function assign(t, group) {
+    const triangle = triangles[t]
+    const i = triangle.shared.indexOf(group.vertex)
+    if (null != triangle.groups[i]) { return }
+    // the first group a triangle of any orientation joins orients it
+    if (triangle.any && triangle.groups.every((g) => null == g)) {
+      triangle.orient = group.orient
+    }
+    if (triangle.orient != group.orient) { return }
+    triangle.groups[i] = group
+    group.members.push([ t, i ])
+    if (-1 != neighbors[t][i]) { assign(neighbors[t][i], group) }
+    if (-1 != neighbors[t][(i + 2) % 3]) {
+      assign(neighbors[t][(i + 2) % 3], group)
+    }
+  }
+}
+
+/**
+ * Averages the tangents of the triangles in a group projected onto the
+ * vertex normal, weighted by the angle of each triangle at the vertex.
+ *
+ * evaluateGroup(group: Object,
+ *               triangles: Array<Object>,
+ *               positions: Array,
+ *               normals: Array) -> Array<Number>
+ */
+function evaluateGroup(group, triangles, positions, normals) {
+  const tangent = [ 0, 0, 0 ]
+  let normal = null
+  for (const [t, i] of group.members) {
+    const {cell, os, any} = triangles[t]
+    normal = normals[cell[i]]
+    if (any) { continue }
+    const p0 = positions[cell[(i + 2) % 3]]
+    const p1 = positions[cell[i]]
+    const p2 = positions[cell[(i + 1) % 3]]
+    const s = project([], os, normal)
+    const v1 = project([], vec3.subtract([], p0, p1), normal)
+    const v2 = project([], vec3.subtract([], p2, p1), normal)
+    const cos = Math.max(-1, Math.min(1, vec3.dot(v1, v2)))
+    vec3.add(tangent, tangent, vec3.scale(s, s, Math.acos(cos)))
+  }
+  if (vec3.squaredLength(tangent) < kTangentEpsilon) {
+    orthogonal(tangent, normal)
+  } else {
+    normalize(tangent, tangent)
+  }
+  return [ tangent[0], tangent[1], tangent[2], group.orient ? 1 : -1 ]
+}
+
+/**
+ * Writes the normalized projection of `vector` onto the plane of
+ * `normal` into `out`.
+ *
+ * project(out: Array<Number>,
+ *         vector: Array<Number>,
+ *         normal: Array<Number>) -> Array
+ */
+function project(out, vector, normal) {
+  vec3.subtract(out, vector, vec3.scale([], normal, vec3.dot(normal, vector)))
+  return normalize(out, out)
+}
+
+/**
+ * Divides a vector by its length unless the length is zero.
+ *
+ * normalize(out: Array<Number>, vector: Array<Number>) -> Array
+ */
+function normalize(out, vector) {
+  const length = vec3.length(vector)
+  if (notZero(length)) {
+    out[0] = vector[0]/length
+    out[1] = vector[1]/length
+    out[2] = vector[2]/length
+  } else {
+    vec3.copy(out, vector)
+  }
+  return out
+}
+
+/**
+ * Writes a unit vector orthogonal to `normal` into `out` for vertices
+ * without a tangent direction.
+ *
+ * orthogonal(out: Array<Number>, normal: Array<Number>) -> Array
+ */
+function orthogonal(out, normal) {
+  const axis = Math.abs(normal[0]) < 0.9 ? [ 1, 0, 0 ] : [ 0, 1, 0 ]
+  vec3.subtract(out, axis, vec3.scale([], normal, vec3.dot(normal, axis)))
+  return vec3.normalize(out, out)
+}
+
+/**
+ * notZero(value: Number) -> Boolean
+ */
+function notZero(value) {
+  return Math.abs(value) > kMinMagnitude
+}
+
+/**
+ * equals(a: Array<Number>, b: Array<Number>) -> Boolean
+ */
+function equals(a, b) {
+  return a.every((value, i) => value == b[i])
+}
@@ -0,0 +1,131 @@
+import getBoundingBox from 'bound-points'
+
+// axis names to vector component indices
+const kAxisIndices = { x: 0, y: 1, z: 2 }
+
+// vector component indices the angle around an axis is measured in
+const kAxisAngleIndices = { x: [ 2, 1 ], y: [ 0, 2 ], z: [ 0, 1 ] }
+
+// UV projection functions keyed by mode
+const kUVProjections = {
+  planar: projectPlanar,
+  box: projectBox,
+  spherical: projectSpherical,
+  cylindrical: projectCylindrical,
+}
+
+// supported UV projection modes
+export const kUVModes = Object.keys(kUVProjections)
+
+/**
+ * Generates texture coordinates for vertex positions with a projection
+ * mode. Coordinates are fit to the bounding box of the positions.
+ * Spherical and cylindrical projections wrap around `opts.axis` (Y by
+ * default) through `opts.center` (the bounding box center by default).
+ * Planar projections look down `opts.axis` (Z by default). Box
+ * projections project each vertex onto the box face its normal faces.
+ *
+ * projectUVs(mode: String,
+ *            positions: Array<Array<Number>>,
+ *            normals: ?Array<Array<Number>>,
+ *            opts: ?Object) -> Array<Array<Number>>
+ *
+ * @function
+ * @param {String} mode
+ * @param {Array<Array<Number>>} positions
+ * @param {?Array<Array<Number>>} normals
+ * @param {?Object} opts
+ * @param {?String} [opts.axis]
+ * @param {?Array<Number>} [opts.center]
+ * @return {Array<Array<Number>>}
+ * @throws TypeError
+ */
+export function projectUVs(mode, positions, normals, opts = {}) {
+  if (!(mode in kUVProjections)) {
+    throw new TypeError(
+      `Geometry(): Expecting UV mode to be one of ${kUVModes.join(', ')}.`)
+  } else if (null != opts.axis && !(opts.axis in kAxisIndices)) {
+    throw new TypeError("Geometry(): Expecting UV axis to be x, y or z.")
+  }
+  if (!positions || 0 == positions.length) { return [] }
+  const [min, max] = getBoundingBox(positions)
+  const center = opts.center || min.map((m, i) => 0.5*(m + max[i]))
+  const fit = (p) => p.map((c, i) => {
+    return max[i] == min[i] ? 0.5 : (c - min[i]) / (max[i] - min[i])
+  })
+  return kUVProjections[mode]({
+    positions, normals, center, fit, axis: opts.axis
+  })
+}
+
+/**
+ * projectPlanar(state: Object) -> Array<Array<Number>>
+ */
+function projectPlanar({positions, fit, axis = 'z'}) {
+  const index = kAxisIndices[axis]
+  return positions.map((p) => projectFace(index, 1, fit(p)))
+}
+
+/**
+ * projectBox(state: Object) -> Array<Array<Number>>
+ */
+function projectBox({positions, normals, center, fit}) {
+  return positions.map((p, i) => {
+    const direction = normals && normals[i]
+      ? normals[i]
+      : p.map((c, j) => c - center[j])
+    let index = 0
+    for (let j = 1; j < 3; ++j) {
+      if (Math.abs(direction[j]) > Math.abs(direction[index])) { index = j }
+    }
+    return projectFace(index, direction[index] < 0 ? -1 : 1, fit(p))
+  })
+}
+
+/**
+ * projectSpherical(state: Object) -> Array<Array<Number>>
+ */
+function projectSpherical({positions, center, axis = 'y'}) {
+  const up = kAxisIndices[axis]
+  return positions.map((p) => {
+    const d = p.map((c, i) => c - center[i])
+    const length = Math.sqrt(d[0]*d[0] + d[1]*d[1] + d[2]*d[2])
+    const sin = length ? Math.max(-1, Math.min(1, d[up] / length)) : 0
+    return [ angle(axis, d), 0.5 + Math.asin(sin)/Math.PI ]
+  })
+}
+
+/**
+ * projectCylindrical(state: Object) -> Array<Array<Number>>
+ */
+function projectCylindrical({positions, center, fit, axis = 'y'}) {
+  const up = kAxisIndices[axis]
+  return positions.map((p) => {
+    const d = p.map((c, i) => c - center[i])
+    return [ angle(axis, d), fit(p)[up] ]
+  })
+}
+
+/**
+ * Returns the angle around an axis in the range [0, 1].
+ *
+ * angle(axis: String, direction: Array<Number>) -> Number
+ */
+function angle(axis, direction) {
+  const [s, t] = kAxisAngleIndices[axis]
+  return 0.5 + Math.atan2(direction[s], direction[t]) / (2*Math.PI)
+}
+
+/**
+ * Projects a position fit into the unit cube onto the face of the cube
+ * facing `sign` on the axis at `index`, as seen from outside the cube.
+ *
+ * projectFace(index: Number, sign: Number, p: Array<Number>) -> Array<Number>
+ */
+function projectFace(index, sign, [x, y, z]) {
+  switch (index) {
+    case 0: return [ sign > 0 ? 1 - z : z, y ]
+    case 1: return [ x, sign > 0 ? 1 - z : z ]
+    default: return [ sign > 0 ? x : 1 - x, y ]
+  }
+}
@@ -0,0 +1,277 @@
+import { MissingContextError, BadArgumentError } from '../errors'
+import document from 'global/document'
+import window from 'global/window'
+
+let viewCount = 0
+
+/**
+ * The View class represents a region of the page that a Context renders
+ * into. The region is the bounding box of a DOM element, or a rectangle in
+ * CSS pixels relative to the context's DOM element. Views share the GPU
+ * resources of the context they are added to. A Frame callback given a view
+ * renders with a viewport and scissor box set to the view's region.
+ * Views are measured again when the context is resized, when the page
+ * scrolls and when their DOM element is resized.
+ * @public
+ * @class View
+ */
+export class View {
+
+  /**
+   * View class constructor.
+   * @public
+   * @constructor
+   * @param {Context} ctx
+   * @param {HTMLElement|String|Object} target DOM element, selector or rectangle
+   * @param {?(Object)} [opts = {}] View configuration
+   * @param {?(String)} [opts.name] View name
+   * @throws MissingContextError
+   * @throws BadArgumentError
+   */
+  constructor(ctx, target, opts = {}) {
+    if (undefined === ctx) {
+      throw new MissingContextError('View')
+    } else if (null === ctx || 'object' != typeof ctx) {
+      throw new BadArgumentError(0, 'ctx', ctx, 'object')
+    }
+
+    if ('string' == typeof target) {
+      target = document.querySelector(target)
+    }
+
+    if (null == target || 'object' != typeof target || Array.isArray(target)) {
+      throw new BadArgumentError(1, 'target', target, 'object')
+    }
+
+    opts = opts || {}
+
+    this._ctx = ctx
+    this._id = ++viewCount
+    this._name = opts.name || `view${this._id}`
+    this._isDestroyed = false
+    this._viewport = { x: 0, y: 0, width: 0, height: 0 }
+    this._scissor = { x: 0, y: 0, width: 0, height: 0 }
+    this._width = 0
+    this._height = 0
+
+    if ('function' == typeof target.getBoundingClientRect) {
+      this._element = target
+      this._rect = null
+    } else {
+      this._element = null
+      this._rect = { x: 0, y: 0, width: 0, height: 0 }
+      this.setRect(target)
+    }
+
+    this._unwatch = watchView(this)
+    this.update()
+  }
+
+  /**
+   * Unique view id.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Number}
+   */
+  get id() { return this._id }
+
+  /**
+   * View name.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {String}
+   */
+  get name() { return this._name }
+
+  /**
+   * Context the view belongs to.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Context}
+   */
+  get ctx() { return this._ctx }
+
+  /**
+   * DOM element the view follows, if any.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {HTMLElement|null}
+   */
+  get element() { return this._element }
+
+  /**
+   * Boolean value to indicate if the view was destroyed.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Boolean}
+   */
+  get isDestroyed() { return this._isDestroyed }
+
+  /**
+   * Boolean value to indicate if any part of the view is in the
+   * drawing buffer.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Boolean}
+   */
+  get isVisible() {
+    const {width, height} = this._scissor
+    return false == this._isDestroyed && width > 0 && height > 0
+  }
+
+  /**
+   * Viewport box of the view in drawing buffer pixels with the origin
+   * in the bottom left corner. It may extend past the drawing buffer.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Object}
+   */
+  get viewport() { return this._viewport }
+
+  /**
+   * Scissor box of the view in drawing buffer pixels. It is the viewport
+   * box clipped to the drawing buffer.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Object}
+   */
+  get scissor() { return this._scissor }
+
+  /**
+   * Width of the view in CSS pixels.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Number}
+   */
+  get width() { return this._width }
+
+  /**
+   * Height of the view in CSS pixels.
+   * @public
+   * @readonly
+   * @accessor
+   * @type {Number}
+   */
+  get height() { return this._height }
+
+  /**
+   * Sets the rectangle of a view that does not follow a DOM element.
+   * @public
+   * @method
+   * @param {Object} rect Rectangle in CSS pixels
+   * @param {?(Number)} [rect.x = 0] Left offset from the context's DOM element
+   * @param {?(Number)} [rect.y = 0] Top offset from the context's DOM element
+   * @param {Number} rect.width
+   * @param {Number} rect.height
+   * @return {View}
+   */
+  setRect({x = 0, y = 0, width = 0, height = 0} = {}) {
+    if (null == this._rect) {
+      throw new TypeError("View(): Cannot set the rectangle of a view with an element.")
+    }
+    Object.assign(this._rect, {x, y, width, height})
+    return this.update()
+  }
+
+  /**
+   * Measures the view and computes its viewport box. This is called
+   * when the context is resized, the page scrolls or the DOM element of
+   * the view is resized. Call it after moving the DOM element otherwise.
+   * @public
+   * @method
+   * @return {View}
+   */
+  update() {
+    const {domElement, pixelRatio = 1} = this._ctx
+    const bounds = domElement && 'function' == typeof domElement.getBoundingClientRect
+      ? domElement.getBoundingClientRect()
+      : { left: 0, top: 0, width: this._ctx.width, height: this._ctx.height }
+
+    let rect = this._rect
+    if (this._element) {
+      const {left, top, width, height} = this._element.getBoundingClientRect()
+      rect = { x: left - bounds.left, y: top - bounds.top, width, height }
+    }
+
+    // flip to a bottom left origin and clip the scissor box
+    const left = Math.max(0, rect.x)
+    const top = Math.max(0, rect.y)
+    const right = Math.min(bounds.width, rect.x + rect.width)
+    const bottom = Math.min(bounds.height, rect.y + rect.height)
+    this._width = rect.width
+    this._height = rect.height
+    Object.assign(this._viewport, {
+      x: Math.floor(rect.x * pixelRatio),
+      y: Math.floor((bounds.height - rect.y - rect.height) * pixelRatio),
+      width: Math.floor(rect.width * pixelRatio),
+      height: Math.floor(rect.height * pixelRatio),
+    })
+    Object.assign(this._scissor, {
+      x: Math.floor(left * pixelRatio),
+      y: Math.floor((bounds.height - bottom) * pixelRatio),
+      width: Math.max(0, Math.floor((right - left) * pixelRatio)),
+      height: Math.max(0, Math.floor((bottom - top) * pixelRatio)),
+    })
+    return this
+  }
+
+  /**
+   * Removes the view from its context.
+   * @public
+   * @method
+   * @return {View}
+   */
+  destroy() {
+    if (this._isDestroyed) { return this }
+    this._isDestroyed = true
+    this._unwatch()
+    if ('function' == typeof this._ctx.removeView) {
+      this._ctx.removeView(this)
+    }
+    return this
+  }
+}
+
+/**
+ * Updates a view when the context is resized, the page scrolls or the
+ * DOM element of the view is resized and returns a function that stops
+ * watching the view.
+ *
+ * watchView(view: View) -> Function
+ */
+function watchView(view) {
+  const {ctx, element} = view
+  const onchange = () => { view.update() }
+  const unwatch = []
+
+  if ('function' == typeof ctx.on) {
+    ctx.on('resize', onchange)
+    unwatch.push(() => ctx.removeListener('resize', onchange))
+  }
+
+  if (element && 'function' == typeof window.addEventListener) {
+    // scroll events do not bubble, so they are captured to include
+    // scrolling containers of the element
+    window.addEventListener('scroll', onchange, true)
+    unwatch.push(() => window.removeEventListener('scroll', onchange, true))
+    if ('function' == typeof window.ResizeObserver) {
+      const observer = new window.ResizeObserver(onchange)
+      observer.observe(element)
+      unwatch.push(() => observer.disconnect())
+    } else {
+      window.addEventListener('resize', onchange, false)
+      unwatch.push(() => window.removeEventListener('resize', onchange, false))
+    }
+  }
+
+  return () => { for (const fn of unwatch) { fn() } }
+}
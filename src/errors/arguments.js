@@ -54,6 +54,38 @@ export class BadArgumentError extends TypeError {
   }
 }
 
+/**
+ * The UnknownArgumentError class represents an error for a key of an
+ * argument object that is not expected. The error message suggests a
+ * known key or lists the expected keys.
+ * @public
+ * @class UnknownArgumentError
+ * @extends BadArgumentError
+ */
+export class UnknownArgumentError extends BadArgumentError {
+
+  /**
+   * UnknownArgumentError class constructor.
+   * @public
+   * @constructor
+   * @param {Number} index
+   * @param {String} name Name of the argument key
+   * @param {Mixed} value
+   * @param {?(String)} suggestion Known key closest to the key
+   * @param {?(Array<String>)} [keys = []] Expected keys
+   * @throws TypeError
+   */
+  constructor(index, name, value, suggestion, keys = []) {
+    super(index, name, value, 'a known key')
+    this.suggestion = suggestion || null
+    this.message =
+      `Unknown key in ${toOrdinalString(index).toLowerCase()} ` +
+      `argument ${name} (` + (this.suggestion
+        ? `did you mean '${this.suggestion}'?`
+        : `expecting one of ${keys.join(', ')}`) + ').'
+  }
+}
+
 /**
  * Get normalized ordinal value for an index.
  * toOrdinalString(index: Number) -> String
@@ -1,2 +1,3 @@
 export * from './context'
 export * from './arguments'
+export * from './parse'
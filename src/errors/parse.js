@@ -0,0 +1,33 @@
+/**
+ * The ParseError class represents an error that provides information
+ * about malformed data given to a loader. The constructor to this class
+ * accepts a label, a message and an optional line number used in the
+ * error message.
+ * @public
+ * @class ParseError
+ * @extends SyntaxError
+ */
+export class ParseError extends SyntaxError {
+
+  get name() { return this.constructor.name }
+  get code() { return this.constructor.name }
+
+  /**
+   * ParseError class constructor.
+   * @public
+   * @constructor
+   * @param {?(String)} label
+   * @param {String} message
+   * @param {?(Number)} line
+   */
+  constructor(label, message, line) {
+    super(`${label || 'Unknown'}: ${message}` +
+      (null != line ? ` (line ${line}).` : '.'))
+    this.line = null != line ? line : null
+    if ('function' == typeof Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor)
+    } else {
+      this.stack = (new Error(this.message)).stack
+    }
+  }
+}
@@ -0,0 +1,338 @@
+import { encodeText } from '../loader/utils'
+import { getComplex } from './utils'
+
+// binary glTF magic number ('glTF') and chunk types
+const kGLBMagic = 0x46546C67
+const kGLBChunkJSON = 0x4E4F534A
+const kGLBChunkBIN = 0x004E4942
+
+// accessor component types
+const kComponentFloat = 5126
+const kComponentUnsignedShort = 5123
+const kComponentUnsignedInt = 5125
+
+// buffer view targets
+const kTargetArrayBuffer = 34962
+const kTargetElementArrayBuffer = 34963
+
+// accessor types of vectors by their number of components
+const kAccessorTypes = { 2: 'VEC2', 3: 'VEC3', 4: 'VEC4' }
+
+// primitive modes
+const kModePoints = 0
+const kModeTriangles = 4
+
+// Material map names mapped to glTF material texture slots
+const kTextureSlots = {
+  diffuse: [ 'pbrMetallicRoughness', 'baseColorTexture' ],
+  metallicRoughness: [ 'pbrMetallicRoughness', 'metallicRoughnessTexture' ],
+  normal: [ null, 'normalTexture' ],
+  occlusion: [ null, 'occlusionTexture' ],
+  emissive: [ null, 'emissiveTexture' ],
+}
+
+/**
+ * The GLTFExporter class serializes a Geometry, and optionally Material
+ * initial state and the translation, rotation and scale of an Object3D,
+ * into a binary glTF 2.0 (`.glb`) ArrayBuffer. Texture coordinates and
+ * tangents are converted to the glTF conventions, so the result loads
+ * back with the GLTFLoader.
+ * @public
+ * @class GLTFExporter
+ * @see {@link https://github.com/KhronosGroup/glTF/tree/master/specification/2.0}
+ */
+export class GLTFExporter {
+
+  /**
+   * GLTFExporter class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.generator = 'Axis3D'] Generator written to the asset
+   */
+  constructor(opts = {}) {
+    this.generator = opts && opts.generator || 'Axis3D'
+  }
+
+  /**
+   * Serializes a geometry into a binary glTF asset with a single scene,
+   * node, mesh and primitive.
+   * @public
+   * @method
+   * @param {Geometry} geometry
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.name] Name of the node and mesh
+   * @param {?(Object)} [opts.material] Material initial state
+   * @param {?(Array<Number>)} [opts.position] Node translation
+   * @param {?(Array<Number>)} [opts.rotation] Node rotation quaternion
+   * @param {?(Array<Number>)} [opts.scale] Node scale
+   * @return {ArrayBuffer}
+   * @throws TypeError
+   */
+  serialize(geometry, opts = {}) {
+    opts = opts || {}
+    const {positions, cells} = getComplex('GLTFExporter', geometry)
+    const json = {
+      asset: { version: '2.0', generator: this.generator },
+      scene: 0,
+      scenes: [ { nodes: [ 0 ] } ],
+      nodes: [ createNode(opts) ],
+      meshes: [ { primitives: [ { attributes: {} } ] } ],
+      buffers: [],
+      bufferViews: [],
+      accessors: [],
+    }
+
+    const [primitive] = json.meshes[0].primitives
+    const chunks = []
+    const count = positions.length
+    const hasVertexData = (data) => Array.isArray(data) && data.length == count
+
+    if (opts.name) { json.meshes[0].name = opts.name }
+
+    primitive.attributes.POSITION =
+      addVectors(json, chunks, positions, 3, true)
+
+    if (hasVertexData(geometry.normals)) {
+      primitive.attributes.NORMAL =
+        addVectors(json, chunks, geometry.normals, 3)
+    }
+
+    // glTF texture coordinates start at the top left of an image
+    if (hasVertexData(geometry.uvs)) {
+      primitive.attributes.TEXCOORD_0 = addVectors(json, chunks,
+        geometry.uvs.map(([u, v]) => [ u, 1 - v ]), 2)
+    }
+
+    // bitangents flip with the V axis
+    if (hasVertexData(geometry.tangents)) {
+      primitive.attributes.TANGENT = addVectors(json, chunks,
+        geometry.tangents.map(([x, y, z, w]) => [ x, y, z, -w ]), 4)
+    }
+
+    if (hasVertexData(geometry.colors)) {
+      primitive.attributes.COLOR_0 =
+        addVectors(json, chunks, geometry.colors, 4)
+    }
+
+    // accessors cannot be empty, so geometry without triangles is
+    // written as points without indices
+    const indices = triangulate(cells)
+    if (indices.length) {
+      primitive.mode = kModeTriangles
+      primitive.indices = addIndices(json, chunks, indices, count)
+    } else {
+      primitive.mode = kModePoints
+    }
+
+    if (opts.material) {
+      json.materials = [ createMaterial(json, opts.material) ]
+      primitive.material = 0
+    }
+
+    const binary = concat(chunks)
+    json.buffers.push({ byteLength: binary.length })
+    return writeBinaryAsset(json, binary)
+  }
+}
+
+/**
+ * createNode(opts: Object) -> Object
+ */
+function createNode({name, position, rotation, scale}) {
+  const node = { mesh: 0 }
+  if (name) { node.name = name }
+  if (position) { node.translation = Array.from(position).slice(0, 3) }
+  if (rotation) { node.rotation = Array.from(rotation).slice(0, 4) }
+  if (scale) { node.scale = Array.from(scale).slice(0, 3) }
+  return node
+}
+
+/**
+ * Adds a buffer view of bytes aligned to four bytes and returns its
+ * index.
+ *
+ * addBufferView(json: Object,
+ *               chunks: Array<Uint8Array>,
+ *               bytes: Uint8Array,
+ *               target: Number) -> Number
+ */
+function addBufferView(json, chunks, bytes, target) {
+  const byteOffset = chunks.reduce((length, chunk) => length + chunk.length, 0)
+  chunks.push(pad(bytes, 0))
+  json.bufferViews.push({
+    buffer: 0,
+    byteOffset,
+    byteLength: bytes.length,
+    target,
+  })
+  return json.bufferViews.length - 1
+}
+
+/**
+ * Adds a float accessor of vectors and returns its index. The bounds
+ * of the vectors are written for positions.
+ *
+ * addVectors(json: Object,
+ *            chunks: Array<Uint8Array>,
+ *            vectors: Array<Array<Number>>,
+ *            size: Number,
+ *            bounds: ?Boolean) -> Number
+ */
+function addVectors(json, chunks, vectors, size, bounds = false) {
+  const array = new Float32Array(vectors.length*size)
+  vectors.forEach((vector, i) => {
+    for (let j = 0; j < size; ++j) { array[i*size + j] = vector[j] || 0 }
+  })
+
+  const bytes = new Uint8Array(array.buffer)
+  const accessor = {
+    bufferView: addBufferView(json, chunks, bytes, kTargetArrayBuffer),
+    componentType: kComponentFloat,
+    count: vectors.length,
+    type: kAccessorTypes[size],
+  }
+
+  if (bounds && vectors.length) {
+    accessor.min = Array(size).fill(Infinity)
+    accessor.max = Array(size).fill(-Infinity)
+    for (let i = 0; i < array.length; ++i) {
+      accessor.min[i % size] = Math.min(accessor.min[i % size], array[i])
+      accessor.max[i % size] = Math.max(accessor.max[i % size], array[i])
+    }
+  }
+
+  json.accessors.push(accessor)
+  return json.accessors.length - 1
+}
+
+/**
+ * Returns the triangle indices of cells triangulated as fans.
+ *
+ * triangulate(cells: Array<Array<Number>>) -> Array<Number>
+ */
+function triangulate(cells) {
+  const indices = []
+  for (const cell of cells) {
+    for (let i = 1; i + 1 < cell.length; ++i) {
+      indices.push(cell[0], cell[i], cell[i + 1])
+    }
+  }
+  return indices
+}
+
+/**
+ * Adds an accessor of triangle indices and returns its index.
+ *
+ * addIndices(json: Object,
+ *            chunks: Array<Uint8Array>,
+ *            indices: Array<Number>,
+ *            count: Number) -> Number
+ */
+function addIndices(json, chunks, indices, count) {
+  const short = count <= 0xFFFF
+  const array = short ? new Uint16Array(indices) : new Uint32Array(indices)
+  const bytes = new Uint8Array(array.buffer)
+  json.accessors.push({
+    bufferView: addBufferView(json, chunks, bytes, kTargetElementArrayBuffer),
+    componentType: short ? kComponentUnsignedShort : kComponentUnsignedInt,
+    count: indices.length,
+    type: 'SCALAR',
+  })
+  return json.accessors.length - 1
+}
+
+/**
+ * Maps Material initial state into a glTF material. Texture map URIs
+ * are written as images.
+ *
+ * createMaterial(json: Object, state: Object) -> Object
+ */
+function createMaterial(json, state) {
+  const [r = 1, g = 1, b = 1, a = 1] = state.color || []
+  const opacity = null == state.opacity ? a : state.opacity
+  const pbr = { baseColorFactor: [ r, g, b, opacity ] }
+  const material = { pbrMetallicRoughness: pbr }
+
+  if (state.name) { material.name = state.name }
+  if (null != state.metallic) { pbr.metallicFactor = state.metallic }
+  if (null != state.roughness) { pbr.roughnessFactor = state.roughness }
+  if (state.emissive) {
+    material.emissiveFactor = Array.from(state.emissive).slice(0, 3)
+  }
+  if (state.culling && false === state.culling.enable) {
+    material.doubleSided = true
+  }
+
+  if (null != state.alphaCutoff) {
+    material.alphaMode = 'MASK'
+    material.alphaCutoff = state.alphaCutoff
+  } else if (state.blending && state.blending.enable || opacity < 1) {
+    material.alphaMode = 'BLEND'
+  }
+
+  for (const name of Object.keys(state.maps || {})) {
+    const slot = kTextureSlots[name]
+    const uri = state.maps[name]
+    if (null == slot || 'string' != typeof uri) { continue }
+    json.images = json.images || []
+    json.textures = json.textures || []
+    json.images.push({ uri })
+    json.textures.push({ source: json.images.length - 1 })
+    const [parent, key] = slot
+    const target = parent ? material[parent] : material
+    target[key] = { index: json.textures.length - 1 }
+  }
+  return material
+}
+
+/**
+ * Pads bytes to a multiple of four bytes with a fill value.
+ *
+ * pad(bytes: Uint8Array, fill: Number) -> Uint8Array
+ */
+function pad(bytes, fill) {
+  const length = Math.ceil(bytes.length / 4)*4
+  if (length == bytes.length) { return bytes }
+  const padded = new Uint8Array(length).fill(fill)
+  padded.set(bytes)
+  return padded
+}
+
+/**
+ * concat(chunks: Array<Uint8Array>) -> Uint8Array
+ */
+function concat(chunks) {
+  const length = chunks.reduce((total, chunk) => total + chunk.length, 0)
+  const bytes = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  }
+  return bytes
+}
+
+/**
+ * Writes the header, JSON chunk and binary chunk of a binary glTF
+ * asset.
+ *
+ * writeBinaryAsset(json: Object, binary: Uint8Array) -> ArrayBuffer
+ */
+function writeBinaryAsset(json, binary) {
+  // the JSON chunk is padded with spaces
+  const text = pad(encodeText(JSON.stringify(json)), 0x20)
+  const length = 12 + 8 + text.length + 8 + binary.length
+  const bytes = new Uint8Array(length)
+  const view = new DataView(bytes.buffer)
+  view.setUint32(0, kGLBMagic, true)
+  view.setUint32(4, 2, true)
+  view.setUint32(8, length, true)
+  view.setUint32(12, text.length, true)
+  view.setUint32(16, kGLBChunkJSON, true)
+  bytes.set(text, 20)
+  view.setUint32(20 + text.length, binary.length, true)
+  view.setUint32(24 + text.length, kGLBChunkBIN, true)
+  bytes.set(binary, 28 + text.length)
+  return bytes.buffer
+}
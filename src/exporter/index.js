@@ -0,0 +1,3 @@
+export * from './gltf'
+export * from './obj'
+export * from './stl'
@@ -0,0 +1,45 @@
+import { getComplex } from './utils'
+
+/**
+ * Serializes a geometry into Wavefront OBJ text with vertex positions,
+ * texture coordinates and normals. Cells with more than three vertices
+ * are written as polygons.
+ *
+ * exportOBJ(geometry: Geometry, opts: ?Object) -> String
+ *
+ * @public
+ * @function
+ * @param {Geometry} geometry
+ * @param {?(Object)} [opts = {}]
+ * @param {?(String)} [opts.name] Object name written with `o`
+ * @return {String}
+ * @throws TypeError
+ * @see {@link http://paulbourke.net/dataformats/obj/}
+ */
+export function exportOBJ(geometry, opts = {}) {
+  const {positions, cells} = getComplex('exportOBJ', geometry)
+  const {uvs, normals} = geometry
+  const hasUvs = Array.isArray(uvs) && uvs.length == positions.length
+  const hasNormals = Array.isArray(normals) && normals.length == positions.length
+  const lines = [ '# Axis3D' ]
+
+  if (opts && opts.name) { lines.push(`o ${opts.name}`) }
+  for (const p of positions) { lines.push(`v ${p[0]} ${p[1]} ${p[2]}`) }
+  if (hasUvs) {
+    for (const uv of uvs) { lines.push(`vt ${uv[0]} ${uv[1]}`) }
+  }
+  if (hasNormals) {
+    for (const n of normals) { lines.push(`vn ${n[0]} ${n[1]} ${n[2]}`) }
+  }
+
+  for (const cell of cells) {
+    lines.push('f ' + cell.map((index) => {
+      const i = index + 1
+      if (hasUvs && hasNormals) { return `${i}/${i}/${i}` }
+      else if (hasNormals) { return `${i}//${i}` }
+      else if (hasUvs) { return `${i}/${i}` }
+      return String(i)
+    }).join(' '))
+  }
+  return lines.join('\n') + '\n'
+}
@@ -0,0 +1,79 @@
+import { computeTriangleNormal, getComplex } from './utils'
+
+// sizes of the binary STL header and triangle records in bytes
+const kBinaryHeaderSize = 84
+const kBinaryTriangleSize = 50
+
+/**
+ * Serializes a geometry into ASCII STL text, or a binary STL
+ * ArrayBuffer when `opts.binary` is set. Cells are triangulated as fans
+ * and each facet is written with its face normal.
+ *
+ * exportSTL(geometry: Geometry, opts: ?Object) -> String|ArrayBuffer
+ *
+ * @public
+ * @function
+ * @param {Geometry} geometry
+ * @param {?(Object)} [opts = {}]
+ * @param {?(Boolean)} [opts.binary = false] Write binary STL
+ * @param {?(String)} [opts.name = 'geometry'] Solid name of ASCII STL
+ * @return {String|ArrayBuffer}
+ * @throws TypeError
+ * @see {@link https://en.wikipedia.org/wiki/STL_(file_format)}
+ */
+export function exportSTL(geometry, opts = {}) {
+  opts = opts || {}
+  const {positions, cells} = getComplex('exportSTL', geometry)
+  const triangles = []
+  for (const cell of cells) {
+    for (let i = 1; i + 1 < cell.length; ++i) {
+      triangles.push([
+        positions[cell[0]],
+        positions[cell[i]],
+        positions[cell[i + 1]],
+      ])
+    }
+  }
+  return opts.binary
+    ? writeBinary(triangles)
+    : writeText(triangles, opts.name || 'geometry')
+}
+
+/**
+ * writeText(triangles: Array<Array<Array<Number>>>, name: String) -> String
+ */
+function writeText(triangles, name) {
+  const lines = [ `solid ${name}` ]
+  for (const triangle of triangles) {
+    const n = computeTriangleNormal(...triangle)
+    lines.push(`  facet normal ${n[0]} ${n[1]} ${n[2]}`)
+    lines.push('    outer loop')
+    for (const v of triangle) {
+      lines.push(`      vertex ${v[0]} ${v[1]} ${v[2]}`)
+    }
+    lines.push('    endloop')
+    lines.push('  endfacet')
+  }
+  lines.push(`endsolid ${name}`)
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * writeBinary(triangles: Array<Array<Array<Number>>>) -> ArrayBuffer
+ */
+function writeBinary(triangles) {
+  const size = kBinaryHeaderSize + triangles.length*kBinaryTriangleSize
+  const buffer = new ArrayBuffer(size)
+  const view = new DataView(buffer)
+  view.setUint32(80, triangles.length, true)
+  triangles.forEach((triangle, i) => {
+    const offset = kBinaryHeaderSize + i*kBinaryTriangleSize
+    const values = [ computeTriangleNormal(...triangle), ...triangle ]
+    values.forEach((vector, j) => {
+      for (let k = 0; k < 3; ++k) {
+        view.setFloat32(offset + 12*j + 4*k, vector[k], true)
+      }
+    })
+  })
+  return buffer
+}
@@ -0,0 +1,34 @@
+/**
+ * Returns the positions and cells of a geometry, or throws when the
+ * geometry has nothing to export.
+ *
+ * getComplex(label: String, geometry: Geometry) -> Object
+ */
+export function getComplex(label, geometry) {
+  const positions = geometry && geometry.positions
+  if (!Array.isArray(positions)) {
+    throw new TypeError(`${label}: Expecting geometry with positions.`)
+  }
+  const cells = geometry.cells || []
+  return { positions, cells: cells.filter((cell) => cell.length >= 3) }
+}
+
+/**
+ * Computes the unit normal of a triangle, or a zero vector for
+ * degenerate triangles.
+ *
+ * computeTriangleNormal(a: Array<Number>,
+ *                       b: Array<Number>,
+ *                       c: Array<Number>) -> Array<Number>
+ */
+export function computeTriangleNormal(a, b, c) {
+  const u = [ b[0] - a[0], b[1] - a[1], b[2] - a[2] ]
+  const v = [ c[0] - a[0], c[1] - a[1], c[2] - a[2] ]
+  const n = [
+    u[1]*v[2] - u[2]*v[1],
+    u[2]*v[0] - u[0]*v[2],
+    u[0]*v[1] - u[1]*v[0],
+  ]
+  const length = Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2])
+  return length ? n.map((c) => c / length) : [ 0, 0, 0 ]
+}
@@ -8,6 +8,8 @@ export function FrameContext(ctx, initialState) {
     // props
     regl() { return ctx ? ctx.regl : null },
     gl() { return ctx ? ctx.gl : null },
+    pixelRatio() { return ctx ? ctx.pixelRatio : 1 },
+    profiler() { return ctx ? ctx.profiler : null },
 
     // functions
     clear(ctx, args) {
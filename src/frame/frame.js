@@ -1,6 +1,6 @@
 //import 'babel-polyfill'
 
-import { assignDefaults } from '../utils'
+import { assignDefaults, listen } from '../utils'
 import { ScopedContext } from '../scope'
 import { UpdateContext } from '../update'
 import { FrameContext } from './context'
@@ -14,6 +14,9 @@ const noop = () => void 0
 /**
  * Frame(ctx, initialState = {}) -> (args, scope) -> Any
  *
+ * Frame loops pause while the context is lost. The context listeners
+ * are removed and the loop is cancelled with `frame.destroy()`.
+ *
  * @public
  * @param {Context} ctx
  * @param {?Object} initialState
@@ -21,11 +24,16 @@ const noop = () => void 0
  */
 export function Frame(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  const injectFrame = Entity(ctx, initialState,
-    ScopedContext(ctx, { frames: () => frames, loop: () => loop }),
-    FrameContext(ctx, initialState),
-    FrameState(ctx, initialState),
-  )
+  const injectFrame = Entity.own(ctx, () => {
+    listen(ctx, 'contextlost', pauseFrameLoop)
+    listen(ctx, 'contextrestored', resumeFrameLoop)
+    listen(ctx, 'resize', redrawFrame)
+    return Entity(ctx, { displayName: 'Frame', ...initialState },
+      ScopedContext(ctx, { frames: () => frames, loop: () => loop }),
+      FrameContext(ctx, initialState),
+      FrameState(ctx, initialState),
+    )
+  })
 
   const {frames = []} = initialState
   const getContext = ctx.regl({})
@@ -40,23 +48,59 @@ export function Frame(ctx, initialState = {}) {
   })
 
   let loop = null // for all frames
-  return (args, callback) => {
+  let injectView = null // for all views
+  let paused = false // while the context is lost
+
+  return Object.assign((args, callback) => {
+    // destroyed frames warn once like other destroyed entities
+    if (injectFrame.isDestroyed) { return injectFrame() }
     ensureFrameLoopIsCreated()
     if ('function' == typeof args) {
       callback = args
       args = {}
     }
     return enqueueFrameCallback(args, callback)
+  }, {destroy})
+
+  function destroy() {
+    destroyFrameLoop()
+    paused = false
+    injectFrame.destroy()
   }
 
   function ensureFrameLoopIsCreated() {
-    if (null == loop) {
+    if (ctx.isContextLost) {
+      paused = true
+    } else if (null == loop) {
       return createFrameLoop()
     }
   }
 
+  function pauseFrameLoop() {
+    if (null == loop) { return }
+    try { loop.cancel() } catch (err) { }
+    loop = null
+    paused = true
+  }
+
+  function resumeFrameLoop() {
+    if (false == paused) { return }
+    paused = false
+    if (frames.length) { createFrameLoop() }
+  }
+
+  // a resized drawing buffer is cleared, so frames are drawn again right
+  // away instead of showing an empty canvas until the next animation frame
+  function redrawFrame() {
+    if (null != loop && false == paused && false == ctx.isContextLost) {
+      injectFrame(dequeue)
+    }
+  }
+
   function enqueueFrameCallback(args, callback) {
+    const {view = null} = args || {}
     const injectContext = ScopedContext(ctx, {
+      view: () => view,
       frame: () => frame,
       cancel({frames}) {
         return () => {
@@ -79,18 +123,39 @@ export function Frame(ctx, initialState = {}) {
         }
       }
     })
-    const frame = createFrameCallback(callback, injectContext)
+    const scope = view ? createViewScope() : null
+    const components = scope
+      ? (callback) => injectContext(() => scope(callback))
+      : injectContext
+    const frame = createFrameCallback(callback, components, view)
     return frames.push(frame)
   }
 
-  function createFrameCallback(callback, components) {
+  function createViewScope() {
+    // boxes are read from the view in the context of each frame
+    // callback, so one command serves every view of the frame
+    if (null == injectView) {
+      injectView = ctx.regl({
+        viewport: ({view}) => view.viewport,
+        scissor: { enable: true, box: ({view}) => view.scissor },
+      })
+    }
+    return injectView
+  }
+
+  function createFrameCallback(callback, components, view) {
     let cancelled = null
     let frame = null
     return frame = {
       cancel() { cancelled = true },
       onframe() {
+        if (view && view.isDestroyed) { cancelled = true }
         if (cancelled) {
-          return frames.splice(frames.indexOf(frame, 1))
+          const index = frames.indexOf(frame)
+          if (-1 != index) { frames.splice(index, 1) }
+          return
+        } else if (view && false == view.isVisible) {
+          return
         } else return components(callback)
       }
     }
@@ -98,17 +163,21 @@ export function Frame(ctx, initialState = {}) {
 
   function createFrameLoop() {
     if (loop) { destroyFrameLoop() }
-    return loop = ctx.regl.frame(() => injectFrame(dequeue))
-    function dequeue() {
-      autoClear(noop)
-      const callbacks = frames.map(({onframe}) => onframe)
-      try { for (let i = 0; i < callbacks.length; ++i) { callbacks[i]() } }
-      catch (err) {
-        ctx.emit('error', err)
-        try { for (const {cancel} of frames) { cancel() } }
-        catch (err) { ctx.emit('error', err); }
-        return destroyFrameLoop()
-      }
+    return loop = ctx.regl.frame(({tick}) => {
+      if (ctx.profiler && ctx.profiler.enabled) { ctx.profiler.frame(tick) }
+      return injectFrame(dequeue)
+    })
+  }
+
+  function dequeue() {
+    autoClear(noop)
+    const callbacks = frames.map(({onframe}) => onframe)
+    try { for (let i = 0; i < callbacks.length; ++i) { callbacks[i]() } }
+    catch (err) {
+      ctx.emit('error', err)
+      try { for (const {cancel} of frames) { cancel() } }
+      catch (err) { ctx.emit('error', err); }
+      return destroyFrameLoop()
     }
   }
 
@@ -1,43 +1,72 @@
 import { framebuffer as extend } from 'regl-extend'
-import { assignDefaults } from '../utils'
+import { assignDefaults, listen } from '../utils'
 import { ScopedContext } from '../scope'
 import { Entity } from '../core'
 
 export function FrameBuffer(ctx, initialState = {}) {
   assignDefaults(initialState, {depth: true})
-  const getContext = ctx.regl({})
-  const fbo = ctx.regl.framebuffer(extend(initialState))
-  const framebuffer = ctx.regl({framebuffer: fbo})
-  let previousTexture = null
-  let previousWidth = 0
-  let previousHeight = 0
-  return Entity(ctx, initialState,
-    ScopedContext(ctx, { framebufferPointer() { return framebuffer } }),
-    (args, next) => {
-      getContext(args, update)
-      framebuffer(({clear}) => {
-        clear()
-        next()
-      })
-    }
-  )
+  return Entity.own(ctx, () => {
+    const getContext = ctx.regl({})
+    const fbo = ctx.regl.framebuffer(extend(initialState))
+    const framebuffer = ctx.regl({framebuffer: fbo})
+    let previousTexture = null
+    let previousWidth = 0
+    let previousHeight = 0
+    let hasWidth = false
+    let hasHeight = false
+
+    // attachments are recreated and resized on the next update after
+    // the context is restored
+    listen(ctx, 'contextrestored', () => {
+      previousTexture = null
+      previousWidth = 0
+      previousHeight = 0
+    })
 
-  function update({texturePointer, drawingBufferWidth, drawingBufferHeight}, args) {
-    const width = args.width || drawingBufferWidth
-    const height = args.height || drawingBufferHeight
-    if (texturePointer && previousTexture != texturePointer) {
-      previousTexture = texturePointer
-      texturePointer({
-        width, height, wrap: 'clamp', min: 'linear', mag: 'linear',
-        ...args.texture
+    // attachments without a given size follow the drawing buffer size
+    listen(ctx, 'resize', () => {
+      if (0 == previousWidth || ctx.isContextLost) { return }
+      getContext(({drawingBufferWidth, drawingBufferHeight}) => {
+        resize(
+          hasWidth ? previousWidth : drawingBufferWidth,
+          hasHeight ? previousHeight : drawingBufferHeight)
       })
-      fbo({color: texturePointer})
+    })
+
+    return Entity(ctx, { displayName: 'FrameBuffer', ...initialState },
+      ScopedContext(ctx, { framebufferPointer() { return framebuffer } }),
+      (args, next) => {
+        getContext(args, update)
+        framebuffer(({clear}) => {
+          clear()
+          next()
+        })
+      }
+    )
+
+    function update({texturePointer, drawingBufferWidth, drawingBufferHeight}, args) {
+      const width = args.width || drawingBufferWidth
+      const height = args.height || drawingBufferHeight
+      hasWidth = Boolean(args.width)
+      hasHeight = Boolean(args.height)
+      if (texturePointer && previousTexture != texturePointer) {
+        previousTexture = texturePointer
+        texturePointer({
+          width, height, wrap: 'clamp', min: 'linear', mag: 'linear',
+          ...args.texture
+        })
+        fbo({color: texturePointer})
+      }
+
+      resize(width, height)
     }
 
-    if (previousWidth != width || previousHeight != height) {
-      previousWidth = width
-      previousHeight = height
-      fbo.resize(width, height)
+    function resize(width, height) {
+      if (previousWidth != width || previousHeight != height) {
+        previousWidth = width
+        previousHeight = height
+        fbo.resize(width, height)
+      }
     }
-  }
+  })
 }
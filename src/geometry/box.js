@@ -0,0 +1,55 @@
+import { Geometry } from '../core/geometry'
+import {
+  normalizeDimension,
+  normalizeSegments,
+  normalizeOptions,
+  createComplex,
+  grid,
+} from './utils'
+
+/**
+ * The BoxGeometry class creates the geometry of an axis aligned box
+ * centered at the origin. Each face is a grid of quads with its own
+ * normals and UVs spanning the whole texture.
+ * @public
+ * @class BoxGeometry
+ * @extends Geometry
+ */
+export class BoxGeometry extends Geometry {
+
+  /**
+   * BoxGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.x = 1] Width along the X axis
+   * @param {?(Number)} [opts.y = 1] Height along the Y axis
+   * @param {?(Number)} [opts.z = 1] Depth along the Z axis
+   * @param {?(Number|Object)} [opts.segments = 1] Segments for all or each of the `x`, `y` and `z` axes
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('BoxGeometry', opts)
+    super({complex: createBoxComplex(opts), flatten: opts.flatten})
+  }
+}
+
+/**
+ * createBoxComplex(opts: Object) -> Object
+ */
+function createBoxComplex(opts) {
+  const x = normalizeDimension('BoxGeometry', 'x', opts.x, 1)
+  const y = normalizeDimension('BoxGeometry', 'y', opts.y, 1)
+  const z = normalizeDimension('BoxGeometry', 'z', opts.z, 1)
+  const segments = normalizeSegments('BoxGeometry', opts.segments,
+    {x: 1, y: 1, z: 1})
+  const complex = createComplex()
+  // +x, -x, +y, -y, +z, -z
+  grid(complex, 2, 1, 0, -1, -1, z, y, x, {x: segments.z, y: segments.y})
+  grid(complex, 2, 1, 0, 1, -1, z, y, -x, {x: segments.z, y: segments.y})
+  grid(complex, 0, 2, 1, 1, 1, x, z, y, {x: segments.x, y: segments.z})
+  grid(complex, 0, 2, 1, 1, -1, x, z, -y, {x: segments.x, y: segments.z})
+  grid(complex, 0, 1, 2, 1, -1, x, y, z, {x: segments.x, y: segments.y})
+  grid(complex, 0, 1, 2, -1, -1, x, y, -z, {x: segments.x, y: segments.y})
+  return complex
+}
@@ -0,0 +1,84 @@
+import { Geometry } from '../core/geometry'
+import {
+  normalizeDimension,
+  normalizeSegments,
+  normalizeOptions,
+  createComplex,
+  lathe,
+} from './utils'
+
+/**
+ * The CapsuleGeometry class creates the geometry of a capsule centered
+ * at the origin along the Y axis. A capsule is a cylinder of `height`
+ * capped with hemispheres of `radius`, so its total height is
+ * `height + 2*radius`.
+ * @public
+ * @class CapsuleGeometry
+ * @extends Geometry
+ */
+export class CapsuleGeometry extends Geometry {
+
+  /**
+   * CapsuleGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.radius = 0.5]
+   * @param {?(Number)} [opts.height = 1] Height of the cylindrical section
+   * @param {?(Number|Object)} [opts.segments] Segments for all or each of `radial` (32), `height` (1) and `cap` (8)
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('CapsuleGeometry', opts)
+    super({complex: createCapsuleComplex(opts), flatten: opts.flatten})
+  }
+}
+
+/**
+ * createCapsuleComplex(opts: Object) -> Object
+ */
+function createCapsuleComplex(opts) {
+  const radius = normalizeDimension('CapsuleGeometry', 'radius', opts.radius, 0.5)
+  const height = normalizeDimension('CapsuleGeometry', 'height', opts.height, 1)
+  const segments = normalizeSegments('CapsuleGeometry', opts.segments,
+    {radial: 32, height: 1, cap: 8}, {radial: 3})
+  // V coordinates are distributed by arc length along the profile
+  const length = Math.PI*radius + height
+  const profile = []
+
+  for (let i = 0; i <= segments.cap; ++i) {
+    const angle = 0.5*Math.PI*i/segments.cap
+    const sin = 0 == i ? 0 : Math.sin(angle)
+    const cos = Math.cos(angle)
+    profile.push({
+      radius: radius*sin,
+      y: 0.5*height + radius*cos,
+      normal: [ sin, cos ],
+      v: length ? radius*angle/length : 0,
+    })
+  }
+
+  for (let i = 1; i <= segments.height; ++i) {
+    const t = i/segments.height
+    profile.push({
+      radius,
+      y: 0.5*height - t*height,
+      normal: [ 1, 0 ],
+      v: length ? (0.5*Math.PI*radius + t*height)/length : 0,
+    })
+  }
+
+  for (let i = 1; i <= segments.cap; ++i) {
+    const angle = 0.5*Math.PI + 0.5*Math.PI*i/segments.cap
+    const sin = segments.cap == i ? 0 : Math.sin(angle)
+    const cos = Math.cos(angle)
+    profile.push({
+      radius: radius*sin,
+      y: -0.5*height + radius*cos,
+      normal: [ sin, cos ],
+      v: length ? (radius*angle + height)/length : 0,
+    })
+  }
+
+  return lathe(createComplex(), profile, segments.radial)
+}
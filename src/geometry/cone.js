@@ -0,0 +1,34 @@
+import { Geometry } from '../core/geometry'
+import { normalizeDimension, normalizeOptions } from './utils'
+import { createCylinderComplex } from './cylinder'
+
+/**
+ * The ConeGeometry class creates the geometry of a cone centered at the
+ * origin along the Y axis with its apex pointing up. It is a cylinder
+ * with a top radius of zero.
+ * @public
+ * @class ConeGeometry
+ * @extends Geometry
+ */
+export class ConeGeometry extends Geometry {
+
+  /**
+   * ConeGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.radius = 1] Radius of the base
+   * @param {?(Number)} [opts.height = 1]
+   * @param {?(Number|Object)} [opts.segments] Segments for both or each of `radial` (32) and `height` (1)
+   * @param {?(Boolean)} [opts.capped = true]
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('ConeGeometry', opts)
+    const radius = normalizeDimension('ConeGeometry', 'radius', opts.radius, 1)
+    const complex = createCylinderComplex({
+      ...opts, radiusTop: 0, radiusBottom: radius
+    }, 'ConeGeometry')
+    super({complex, flatten: opts.flatten})
+  }
+}
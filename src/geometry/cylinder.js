@@ -0,0 +1,108 @@
+import { Geometry } from '../core/geometry'
+import {
+  normalizeDimension,
+  normalizeSegments,
+  normalizeOptions,
+  createComplex,
+  lathe,
+} from './utils'
+
+/**
+ * The CylinderGeometry class creates the geometry of a cylinder, or a
+ * truncated cone, centered at the origin along the Y axis. The top and
+ * bottom radii can differ and the ends are capped unless `capped` is
+ * `false`.
+ * @public
+ * @class CylinderGeometry
+ * @extends Geometry
+ */
+export class CylinderGeometry extends Geometry {
+
+  /**
+   * CylinderGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.radiusTop = 1]
+   * @param {?(Number)} [opts.radiusBottom = 1]
+   * @param {?(Number)} [opts.height = 1]
+   * @param {?(Number|Object)} [opts.segments] Segments for both or each of `radial` (32) and `height` (1)
+   * @param {?(Boolean)} [opts.capped = true]
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('CylinderGeometry', opts)
+    super({complex: createCylinderComplex(opts), flatten: opts.flatten})
+  }
+}
+
+/**
+ * createCylinderComplex(opts: Object, name: ?String) -> Object
+ */
+export function createCylinderComplex(opts, name = 'CylinderGeometry') {
+  const radiusTop = normalizeDimension(name, 'radiusTop', opts.radiusTop, 1)
+  const radiusBottom =
+    normalizeDimension(name, 'radiusBottom', opts.radiusBottom, 1)
+  const height = normalizeDimension(name, 'height', opts.height, 1)
+  const segments = normalizeSegments(name, opts.segments,
+    {radial: 32, height: 1}, {radial: 3})
+  const slope = height ? (radiusBottom - radiusTop) / height : 0
+  const length = Math.sqrt(1 + slope*slope)
+  const complex = createComplex()
+  const profile = []
+
+  for (let iy = 0; iy <= segments.height; ++iy) {
+    const v = iy / segments.height
+    profile.push({
+      radius: radiusTop + v*(radiusBottom - radiusTop),
+      y: 0.5*height - v*height,
+      normal: [ 1/length, slope/length ],
+      v,
+    })
+  }
+
+  lathe(complex, profile, segments.radial)
+  if (false !== opts.capped) {
+    if (radiusTop > 0) { cap(complex, radiusTop, 0.5*height, 1, segments.radial) }
+    if (radiusBottom > 0) { cap(complex, radiusBottom, -0.5*height, -1, segments.radial) }
+  }
+  return complex
+}
+
+/**
+ * Appends a disc facing `sign` on the Y axis with a center vertex for
+ * each segment so UVs do not bunch up at the center.
+ *
+ * cap(complex: Object,
+ *     radius: Number,
+ *     y: Number,
+ *     sign: Number,
+ *     radialSegments: Number) -> Object
+ */
+function cap(complex, radius, y, sign, radialSegments) {
+  const {positions, normals, uvs, cells} = complex
+  const centers = positions.length
+  const ring = centers + radialSegments
+
+  for (let x = 0; x < radialSegments; ++x) {
+    positions.push([ 0, y, 0 ])
+    normals.push([ 0, sign, 0 ])
+    uvs.push([ 0.5, 0.5 ])
+  }
+
+  for (let x = 0; x <= radialSegments; ++x) {
+    const theta = 2*Math.PI*x/radialSegments
+    const sin = Math.sin(theta)
+    const cos = Math.cos(theta)
+    positions.push([ radius*sin, y, radius*cos ])
+    normals.push([ 0, sign, 0 ])
+    uvs.push([ 0.5 + 0.5*cos, 0.5 + 0.5*sin*sign ])
+  }
+
+  for (let x = 0; x < radialSegments; ++x) {
+    const center = centers + x
+    const i = ring + x
+    cells.push(sign > 0 ? [ i, i + 1, center ] : [ i + 1, i, center ])
+  }
+  return complex
+}
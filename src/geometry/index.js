@@ -0,0 +1,7 @@
+export { BoxGeometry } from './box'
+export { CapsuleGeometry } from './capsule'
+export { ConeGeometry } from './cone'
+export { CylinderGeometry } from './cylinder'
+export { PlaneGeometry } from './plane'
+export { SphereGeometry } from './sphere'
+export { TorusGeometry } from './torus'
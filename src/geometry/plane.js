@@ -0,0 +1,44 @@
+import { Geometry } from '../core/geometry'
+import {
+  normalizeDimension,
+  normalizeSegments,
+  normalizeOptions,
+  createComplex,
+  grid,
+} from './utils'
+
+/**
+ * The PlaneGeometry class creates the geometry of a rectangle in the XY
+ * plane centered at the origin and facing the positive Z axis.
+ * @public
+ * @class PlaneGeometry
+ * @extends Geometry
+ */
+export class PlaneGeometry extends Geometry {
+
+  /**
+   * PlaneGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.x = 1] Width along the X axis
+   * @param {?(Number)} [opts.y = 1] Height along the Y axis
+   * @param {?(Number|Object)} [opts.segments = 1] Segments for both or each of the `x` and `y` axes
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('PlaneGeometry', opts)
+    super({complex: createPlaneComplex(opts), flatten: opts.flatten})
+  }
+}
+
+/**
+ * createPlaneComplex(opts: Object) -> Object
+ */
+function createPlaneComplex(opts) {
+  const x = normalizeDimension('PlaneGeometry', 'x', opts.x, 1)
+  const y = normalizeDimension('PlaneGeometry', 'y', opts.y, 1)
+  const segments = normalizeSegments('PlaneGeometry', opts.segments,
+    {x: 1, y: 1})
+  return grid(createComplex(), 0, 1, 2, 1, -1, x, y, 0, segments)
+}
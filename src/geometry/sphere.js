@@ -0,0 +1,51 @@
+import { Geometry } from '../core/geometry'
+import {
+  normalizeDimension,
+  normalizeSegments,
+  normalizeOptions,
+  createComplex,
+  lathe,
+} from './utils'
+
+/**
+ * The SphereGeometry class creates the geometry of a UV sphere centered
+ * at the origin with its poles on the Y axis.
+ * @public
+ * @class SphereGeometry
+ * @extends Geometry
+ */
+export class SphereGeometry extends Geometry {
+
+  /**
+   * SphereGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.radius = 1]
+   * @param {?(Number|Object)} [opts.segments = 32] Segments for both or each of `x` (around the Y axis) and `y` (pole to pole)
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('SphereGeometry', opts)
+    super({complex: createSphereComplex(opts), flatten: opts.flatten})
+  }
+}
+
+/**
+ * createSphereComplex(opts: Object) -> Object
+ */
+function createSphereComplex(opts) {
+  const radius = normalizeDimension('SphereGeometry', 'radius', opts.radius, 1)
+  const segments = normalizeSegments('SphereGeometry', opts.segments,
+    {x: 32, y: 16}, {x: 3, y: 2})
+  const profile = []
+  for (let iy = 0; iy <= segments.y; ++iy) {
+    const v = iy / segments.y
+    const phi = v*Math.PI
+    // snap the poles onto the Y axis
+    const sin = iy == 0 || iy == segments.y ? 0 : Math.sin(phi)
+    const cos = Math.cos(phi)
+    profile.push({radius: radius*sin, y: radius*cos, normal: [ sin, cos ], v})
+  }
+  return lathe(createComplex(), profile, segments.x)
+}
@@ -0,0 +1,75 @@
+import { Geometry } from '../core/geometry'
+import {
+  normalizeDimension,
+  normalizeSegments,
+  normalizeOptions,
+  createComplex,
+} from './utils'
+
+/**
+ * The TorusGeometry class creates the geometry of a torus centered at
+ * the origin lying in the XY plane.
+ * @public
+ * @class TorusGeometry
+ * @extends Geometry
+ */
+export class TorusGeometry extends Geometry {
+
+  /**
+   * TorusGeometry class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Number)} [opts.radius = 1] Distance from the center to the center of the tube
+   * @param {?(Number)} [opts.tube = 0.25] Radius of the tube
+   * @param {?(Number|Object)} [opts.segments] Segments for both or each of `radial` (16, around the tube) and `tubular` (48, along the tube)
+   * @param {?(Boolean)} [opts.flatten = false]
+   */
+  constructor(opts = {}) {
+    opts = normalizeOptions('TorusGeometry', opts)
+    super({complex: createTorusComplex(opts), flatten: opts.flatten})
+  }
+}
+
+/**
+ * createTorusComplex(opts: Object) -> Object
+ */
+function createTorusComplex(opts) {
+  const radius = normalizeDimension('TorusGeometry', 'radius', opts.radius, 1)
+  const tube = normalizeDimension('TorusGeometry', 'tube', opts.tube, 0.25)
+  const segments = normalizeSegments('TorusGeometry', opts.segments,
+    {radial: 16, tubular: 48}, {radial: 3, tubular: 3})
+  const complex = createComplex()
+  const {positions, normals, uvs, cells} = complex
+  const stride = segments.tubular + 1
+
+  for (let j = 0; j <= segments.radial; ++j) {
+    const v = 2*Math.PI*j/segments.radial
+    for (let i = 0; i <= segments.tubular; ++i) {
+      const u = 2*Math.PI*i/segments.tubular
+      const ring = radius + tube*Math.cos(v)
+      positions.push([
+        ring*Math.cos(u),
+        ring*Math.sin(u),
+        tube*Math.sin(v),
+      ])
+      normals.push([
+        Math.cos(v)*Math.cos(u),
+        Math.cos(v)*Math.sin(u),
+        Math.sin(v),
+      ])
+      uvs.push([ i/segments.tubular, j/segments.radial ])
+    }
+  }
+
+  for (let j = 1; j <= segments.radial; ++j) {
+    for (let i = 1; i <= segments.tubular; ++i) {
+      const a = stride*j + i - 1
+      const b = stride*(j - 1) + i - 1
+      const c = stride*(j - 1) + i
+      const d = stride*j + i
+      cells.push([ a, b, d ], [ b, c, d ])
+    }
+  }
+  return complex
+}
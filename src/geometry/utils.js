@@ -0,0 +1,158 @@
+/**
+ * Ensures options given to a primitive geometry constructor are an
+ * object.
+ *
+ * normalizeOptions(name: String, opts: ?Object) -> Object
+ */
+export function normalizeOptions(name, opts) {
+  if (null == opts) {
+    return {}
+  } else if ('object' != typeof opts || Array.isArray(opts)) {
+    throw new TypeError(`${name}(): Expecting object as first argument.`)
+  }
+  return opts
+}
+
+/**
+ * Normalizes a segment count or an object of segment counts into an
+ * object of integer segment counts keyed like `defaults`. Counts are
+ * clamped to the values given in `minimums`.
+ *
+ * normalizeSegments(name: String,
+ *                   segments: ?(Number|Object),
+ *                   defaults: Object,
+ *                   minimums: ?Object) -> Object
+ */
+export function normalizeSegments(name, segments, defaults, minimums = {}) {
+  const normalized = {}
+  for (const key of Object.keys(defaults)) {
+    let count = defaults[key]
+    if ('number' == typeof segments) {
+      count = segments
+    } else if (segments && null != segments[key]) {
+      count = segments[key]
+    } else if (null != segments && 'object' != typeof segments) {
+      count = NaN
+    }
+
+    if ('number' != typeof count || !isFinite(count) || count < 1) {
+      throw new TypeError(
+        `${name}(): Expecting segments.${key} to be a positive number.`)
+    }
+    normalized[key] = Math.max(minimums[key] || 1, Math.floor(count))
+  }
+  return normalized
+}
+
+/**
+ * Ensures a primitive dimension is a number, or returns a default.
+ *
+ * normalizeDimension(name: String,
+ *                    key: String,
+ *                    value: ?Number,
+ *                    defaultValue: Number) -> Number
+ */
+export function normalizeDimension(name, key, value, defaultValue) {
+  if (null == value) { return defaultValue }
+  if ('number' != typeof value || !isFinite(value) || value < 0) {
+    throw new TypeError(
+      `${name}(): Expecting ${key} to be a non-negative number.`)
+  }
+  return value
+}
+
+/**
+ * Creates an empty simplicial complex with normals and UVs.
+ *
+ * createComplex() -> Object
+ */
+export function createComplex() {
+  return { positions: [], normals: [], uvs: [], cells: [] }
+}
+
+/**
+ * Revolves a profile around the Y axis into a complex. Each point in
+ * the profile has a `radius`, a `y` coordinate, a `normal` with radial
+ * and Y components and a `v` texture coordinate. Profiles are given from
+ * top to bottom. Triangles collapsed onto the Y axis are skipped.
+ *
+ * lathe(complex: Object,
+ *       profile: Array<Object>,
+ *       radialSegments: Number) -> Object
+ */
+export function lathe(complex, profile, radialSegments) {
+  const {positions, normals, uvs, cells} = complex
+  const offset = positions.length
+  const stride = radialSegments + 1
+
+  for (const {radius, y, normal, v} of profile) {
+    for (let x = 0; x <= radialSegments; ++x) {
+      const u = x / radialSegments
+      const theta = 2*Math.PI*u
+      const sin = Math.sin(theta)
+      const cos = Math.cos(theta)
+      positions.push([ radius*sin, y, radius*cos ])
+      normals.push([ normal[0]*sin, normal[1], normal[0]*cos ])
+      uvs.push([ u, 1 - v ])
+    }
+  }
+
+  for (let j = 0; j < profile.length - 1; ++j) {
+    for (let x = 0; x < radialSegments; ++x) {
+      const a = offset + j*stride + x
+      const b = offset + (j + 1)*stride + x
+      const c = b + 1
+      const d = a + 1
+      if (0 != profile[j].radius) { cells.push([ a, b, d ]) }
+      if (0 != profile[j + 1].radius) { cells.push([ b, c, d ]) }
+    }
+  }
+  return complex
+}
+
+/**
+ * Appends a grid of `segments.x * segments.y` quads to a complex. The
+ * `u` and `v` axes (0, 1 or 2) span the grid from `-width/2` to
+ * `width/2` and `-height/2` to `height/2` scaled by `udir` and `vdir`.
+ * The grid is placed at `depth/2` on the remaining axis and faces the
+ * direction of the sign of `depth`.
+ *
+ * grid(complex: Object,
+ *      u: Number, v: Number, w: Number,
+ *      udir: Number, vdir: Number,
+ *      width: Number, height: Number, depth: Number,
+ *      segments: Object) -> Object
+ */
+export function grid(complex, u, v, w, udir, vdir, width, height, depth, segments) {
+  const {positions, normals, uvs, cells} = complex
+  const offset = positions.length
+  const stride = segments.x + 1
+  const direction = depth < 0 ? -1 : 1
+
+  for (let iy = 0; iy <= segments.y; ++iy) {
+    const y = iy*height/segments.y - 0.5*height
+    for (let ix = 0; ix <= segments.x; ++ix) {
+      const x = ix*width/segments.x - 0.5*width
+      const position = [ 0, 0, 0 ]
+      const normal = [ 0, 0, 0 ]
+      position[u] = x*udir
+      position[v] = y*vdir
+      position[w] = 0.5*depth
+      normal[w] = direction
+      positions.push(position)
+      normals.push(normal)
+      uvs.push([ ix/segments.x, 1 - iy/segments.y ])
+    }
+  }
+
+  for (let iy = 0; iy < segments.y; ++iy) {
+    for (let ix = 0; ix < segments.x; ++ix) {
+      const a = offset + ix + stride*iy
+      const b = offset + ix + stride*(iy + 1)
+      const c = offset + ix + 1 + stride*(iy + 1)
+      const d = offset + ix + 1 + stride*iy
+      cells.push([ a, b, d ], [ b, c, d ])
+    }
+  }
+  return complex
+}
@@ -1,10 +1,15 @@
 export * from './camera'
 export * from './core'
+export * from './exporter'
 export * from './frame'
 export * from './framebuffer'
+export * from './geometry'
+export * from './input'
+export * from './loader'
 export * from './material'
 export * from './mesh'
 export * from './object3d'
+export * from './picker'
 export * from './scissor'
 export * from './scope'
 export * from './shader'
@@ -0,0 +1,59 @@
+import document from 'global/document'
+import { listen } from '../utils'
+
+/**
+ * Adds DOM event listeners to a target that are only called while the
+ * context has focus. Listeners are removed when the entity owning them
+ * or the context is destroyed.
+ *
+ * bindInputEvents(ctx: Context, target: EventTarget, listeners: Object) -> void
+ */
+export function bindInputEvents(ctx, target, listeners) {
+  if (!target || 'function' != typeof target.addEventListener) { return }
+  const bound = []
+  for (const type in listeners) {
+    bound.push([ type, listen(ctx, type, (e) => {
+      if (ctx.hasFocus) { return listeners[type](e) }
+    }, target) ])
+  }
+
+  // listeners are not removed from targets outliving a destroyed context
+  listen(ctx, 'beforedestroy', () => {
+    for (const [type, listener] of bound) {
+      target.removeEventListener(type, listener, false)
+    }
+  })
+}
+
+/**
+ * Returns the DOM event target used by input components. The target
+ * defaults to the document so input is received after the context has
+ * updated its focus.
+ *
+ * getInputTarget(initialState: Object) -> EventTarget|null
+ */
+export function getInputTarget(initialState) {
+  return initialState.element || document || null
+}
+
+/**
+ * Converts client coordinates to a position in CSS pixels relative to
+ * the context's DOM element and normalized device coordinates.
+ *
+ * getPointer(ctx: Context, clientX: Number, clientY: Number) -> Object
+ */
+export function getPointer(ctx, clientX, clientY) {
+  const {domElement} = ctx
+  const bounds = domElement && 'function' == typeof domElement.getBoundingClientRect
+    ? domElement.getBoundingClientRect()
+    : { left: 0, top: 0, width: ctx.width, height: ctx.height }
+  const x = (clientX || 0) - bounds.left
+  const y = (clientY || 0) - bounds.top
+  return {
+    position: [ x, y ],
+    ndc: [
+      bounds.width ? 2*x/bounds.width - 1 : 0,
+      bounds.height ? 1 - 2*y/bounds.height : 0,
+    ],
+  }
+}
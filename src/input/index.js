@@ -0,0 +1,3 @@
+export * from './keyboard'
+export * from './mouse'
+export * from './touch'
@@ -0,0 +1,68 @@
+import { bindInputEvents, getInputTarget } from './events'
+import { MissingContextError } from '../errors'
+import { ScopedContext } from '../scope'
+import { Entity } from '../core'
+import { listen } from '../utils'
+
+/**
+ * Keyboard(ctx, initialState = {}) -> (args, scope) -> Any
+ *
+ * Injects a `keyboard` context variable with the keys that are pressed
+ * while the context has focus. Keys are released when the context
+ * loses focus.
+ *
+ * @public
+ * @param {Context} ctx
+ * @param {?Object} initialState
+ * @param {?EventTarget} [initialState.element = document]
+ * @return {Function}
+ * @throws MissingContextError
+ */
+export function Keyboard(ctx, initialState = {}) {
+  if (null == ctx) { throw new MissingContextError('Keyboard') }
+
+  const keyboard = {
+    keys: {},
+    codes: {},
+    pressed: [],
+    alt: false,
+    ctrl: false,
+    meta: false,
+    shift: false,
+    isKeyDown(name) {
+      name = String(name)
+      return Boolean(keyboard.keys[name.toLowerCase()] || keyboard.codes[name])
+    },
+  }
+
+  return Entity.own(ctx, () => {
+    bindInputEvents(ctx, getInputTarget(initialState), {
+      keydown(e) { update(e, true) },
+      keyup(e) { update(e, false) },
+    })
+
+    listen(ctx, 'blur', reset)
+
+    return Entity(ctx, { displayName: 'Keyboard', ...initialState },
+      ScopedContext(ctx, { keyboard() { return keyboard } }))
+  })
+
+  function update(e, isDown) {
+    const key = null != e.key ? String(e.key).toLowerCase() : null
+    if (null != key) { keyboard.keys[key] = isDown }
+    if (null != e.code) { keyboard.codes[e.code] = isDown }
+    keyboard.alt = Boolean(e.altKey)
+    keyboard.ctrl = Boolean(e.ctrlKey)
+    keyboard.meta = Boolean(e.metaKey)
+    keyboard.shift = Boolean(e.shiftKey)
+    keyboard.pressed = Object.keys(keyboard.keys)
+      .filter((name) => keyboard.keys[name])
+  }
+
+  function reset() {
+    keyboard.keys = {}
+    keyboard.codes = {}
+    keyboard.pressed = []
+    keyboard.alt = keyboard.ctrl = keyboard.meta = keyboard.shift = false
+  }
+}
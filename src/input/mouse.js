@@ -0,0 +1,99 @@
+import { bindInputEvents, getInputTarget, getPointer } from './events'
+import { MissingContextError } from '../errors'
+import { ScopedContext } from '../scope'
+import { Entity } from '../core'
+import { listen } from '../utils'
+
+// pixels scrolled for a wheel event in lines
+const kWheelLineHeight = 16
+
+/**
+ * Mouse(ctx, initialState = {}) -> (args, scope) -> Any
+ *
+ * Injects a `mouse` context variable with the pointer position in CSS
+ * pixels relative to the context's DOM element and in normalized device
+ * coordinates, the buttons that are pressed, and the movement and wheel
+ * deltas since the previous frame. Mouse events are ignored while the
+ * context does not have focus.
+ *
+ * @public
+ * @param {Context} ctx
+ * @param {?Object} initialState
+ * @param {?EventTarget} [initialState.element = document]
+ * @return {Function}
+ * @throws MissingContextError
+ */
+export function Mouse(ctx, initialState = {}) {
+  if (null == ctx) { throw new MissingContextError('Mouse') }
+
+  const mouse = {
+    position: [ 0, 0 ],
+    ndc: [ 0, 0 ],
+    delta: [ 0, 0 ],
+    wheel: [ 0, 0 ],
+    buttons: [ false, false, false ],
+    isDown: false,
+  }
+
+  // movement and wheel deltas accumulated until the next frame
+  const delta = [ 0, 0 ]
+  const wheel = [ 0, 0 ]
+  let previousTick = null
+  let hasPosition = false
+
+  return Entity.own(ctx, () => {
+    bindInputEvents(ctx, getInputTarget(initialState), {
+      mousedown(e) {
+        move(e)
+        mouse.buttons[e.button || 0] = true
+        mouse.isDown = true
+      },
+
+      mouseup(e) {
+        move(e)
+        mouse.buttons[e.button || 0] = false
+        mouse.isDown = mouse.buttons.some(Boolean)
+      },
+
+      mousemove(e) { move(e) },
+
+      wheel(e) {
+        const scale = 1 == e.deltaMode ? kWheelLineHeight
+          : 2 == e.deltaMode ? ctx.height || 1
+          : 1
+        wheel[0] = wheel[0] + (e.deltaX || 0) * scale
+        wheel[1] = wheel[1] + (e.deltaY || 0) * scale
+      },
+    })
+
+    listen(ctx, 'blur', release)
+
+    return Entity(ctx, { displayName: 'Mouse', ...initialState },
+      ScopedContext(ctx, {
+        mouse({tick}) {
+          if (tick !== previousTick) {
+            previousTick = tick
+            mouse.delta = delta.splice(0, 2, 0, 0)
+            mouse.wheel = wheel.splice(0, 2, 0, 0)
+          }
+          return mouse
+        }
+      }))
+  })
+
+  function move(e) {
+    const {position, ndc} = getPointer(ctx, e.clientX, e.clientY)
+    if (hasPosition) {
+      delta[0] = delta[0] + position[0] - mouse.position[0]
+      delta[1] = delta[1] + position[1] - mouse.position[1]
+    }
+    hasPosition = true
+    mouse.position = position
+    mouse.ndc = ndc
+  }
+
+  function release() {
+    mouse.buttons = [ false, false, false ]
+    mouse.isDown = false
+  }
+}
@@ -0,0 +1,120 @@
+import { bindInputEvents, getInputTarget, getPointer } from './events'
+import { MissingContextError } from '../errors'
+import { ScopedContext } from '../scope'
+import { Entity } from '../core'
+import { listen } from '../utils'
+
+/**
+ * Touch(ctx, initialState = {}) -> (args, scope) -> Any
+ *
+ * Injects a `touch` context variable with the active touches, their
+ * center in CSS pixels relative to the context's DOM element and in
+ * normalized device coordinates, the movement of the center and the
+ * pinch scale since the previous frame. Touch events are ignored while
+ * the context does not have focus.
+ *
+ * @public
+ * @param {Context} ctx
+ * @param {?Object} initialState
+ * @param {?EventTarget} [initialState.element = document]
+ * @return {Function}
+ * @throws MissingContextError
+ */
+export function Touch(ctx, initialState = {}) {
+  if (null == ctx) { throw new MissingContextError('Touch') }
+
+  const touch = {
+    touches: [],
+    count: 0,
+    position: [ 0, 0 ],
+    ndc: [ 0, 0 ],
+    delta: [ 0, 0 ],
+    pinch: 1,
+    isTouching: false,
+  }
+
+  // center movement and pinch scale accumulated until the next frame
+  const delta = [ 0, 0 ]
+  let pinch = 1
+  let distance = 0
+  let previousTick = null
+
+  return Entity.own(ctx, () => {
+    bindInputEvents(ctx, getInputTarget(initialState), {
+      touchstart(e) { update(e, false) },
+      touchmove(e) { update(e, true) },
+      touchend(e) { update(e, false) },
+      touchcancel(e) { update(e, false) },
+    })
+
+    listen(ctx, 'blur', release)
+
+    return Entity(ctx, { displayName: 'Touch', ...initialState },
+      ScopedContext(ctx, {
+        touch({tick}) {
+          if (tick !== previousTick) {
+            previousTick = tick
+            touch.delta = delta.splice(0, 2, 0, 0)
+            touch.pinch = pinch
+            pinch = 1
+          }
+          return touch
+        }
+      }))
+  })
+
+  function update(e, isMove) {
+    const touches = Array.from(e.touches || []).map((t) => ({
+      id: t.identifier,
+      ...getPointer(ctx, t.clientX, t.clientY),
+    }))
+
+    const center = touches.length
+      ? getPointer(ctx,
+          average(e.touches, 'clientX'),
+          average(e.touches, 'clientY'))
+      : { position: touch.position, ndc: touch.ndc }
+
+    // the center and distance jump when fingers are added or removed
+    // so they are only accumulated for moves
+    const current = 2 <= touches.length ? spread(touches) : 0
+    if (isMove && touches.length == touch.count) {
+      delta[0] = delta[0] + center.position[0] - touch.position[0]
+      delta[1] = delta[1] + center.position[1] - touch.position[1]
+      if (distance && current) { pinch = pinch * current / distance }
+    }
+
+    distance = current
+    touch.touches = touches
+    touch.count = touches.length
+    touch.position = center.position
+    touch.ndc = center.ndc
+    touch.isTouching = touches.length > 0
+  }
+
+  function release() {
+    touch.touches = []
+    touch.count = 0
+    touch.isTouching = false
+    distance = 0
+  }
+}
+
+/**
+ * average(list: TouchList, key: String) -> Number
+ */
+function average(list, key) {
+  const values = Array.from(list).map((t) => t[key] || 0)
+  return values.reduce((a, b) => a + b, 0) / values.length
+}
+
+/**
+ * Distance between the first two touches.
+ *
+ * spread(touches: Array<Object>) -> Number
+ */
+function spread([a, b]) {
+  const dx = b.position[0] - a.position[0]
+  const dy = b.position[1] - a.position[1]
+  return Math.sqrt(dx*dx + dy*dy)
+}
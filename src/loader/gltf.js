@@ -0,0 +1,623 @@
+import { MissingContextError, ParseError } from '../errors'
+import { Entity, Geometry } from '../core'
+import { Material } from '../material'
+import { Object3D } from '../object3d'
+import { Mesh } from '../mesh'
+
+import {
+  decodeDataUri,
+  encodeBase64,
+  resolvePath,
+  dirname,
+  toBytes,
+  toText,
+} from './utils'
+
+import quat from 'gl-quat'
+import mat3 from 'gl-mat3'
+
+// binary glTF magic number ('glTF') and chunk types
+const kGLBMagic = 0x46546C67
+const kGLBChunkJSON = 0x4E4F534A
+const kGLBChunkBIN = 0x004E4942
+
+// typed array constructors for accessor component types
+const kComponentTypes = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+}
+
+// maximum values of normalized integer component types
+const kNormalizedDivisors = {
+  5120: 127,
+  5121: 255,
+  5122: 32767,
+  5123: 65535,
+}
+
+// number of components of accessor types
+const kAccessorTypeSizes = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+}
+
+// primitive modes
+const kModeTriangles = 4
+const kModeTriangleStrip = 5
+const kModeTriangleFan = 6
+
+/**
+ * The GLTFLoader class loads glTF 2.0 assets (`.gltf` with embedded or
+ * external buffers and binary `.glb`) into a scene of Axis3D components.
+ * Each primitive becomes a Geometry drawn by a Mesh, each glTF material
+ * becomes a Material and each node becomes an Object3D with the
+ * translation, rotation and scale of the node. External buffers and
+ * images are fetched with a pluggable `fetch` function.
+ * @public
+ * @class GLTFLoader
+ * @see {@link https://github.com/KhronosGroup/glTF/tree/master/specification/2.0}
+ */
+export class GLTFLoader {
+
+  /**
+   * GLTFLoader class constructor.
+   * @public
+   * @constructor
+   * @param {Context} ctx
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Function)} [opts.fetch] Function returning a promise of an ArrayBuffer for a URL
+   * @param {?(String)} [opts.baseUrl] Base URL or directory external resources are resolved against
+   * @throws MissingContextError
+   */
+  constructor(ctx, opts = {}) {
+    if (null == ctx) {
+      throw new MissingContextError('GLTFLoader')
+    }
+    opts = opts || {}
+    this.ctx = ctx
+    this.baseUrl = opts.baseUrl || null
+    this.fetch = opts.fetch || defaultFetch
+  }
+
+  /**
+   * Fetches a glTF or binary glTF asset and loads it into a scene.
+   * Resources referenced by the asset are resolved against the URL of
+   * the asset.
+   * @public
+   * @method
+   * @param {String} url
+   * @return {Promise<Function>}
+   */
+  load(url) {
+    return Promise.resolve(this.fetch(resolvePath(this.baseUrl, url)))
+      .then((data) => this.parse(data, {baseUrl: dirname(url)}))
+  }
+
+  /**
+   * Parses a glTF JSON string or object, or a binary glTF buffer, and
+   * resolves a scene function that draws the default scene. The scene
+   * function accepts Object3D arguments that transform the whole scene
+   * and a block that is called in its scope.
+   * @public
+   * @method
+   * @param {String|Object|ArrayBuffer|ArrayBufferView} data
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.baseUrl]
+   * @param {?(Number)} [opts.scene] Index of the scene to load
+   * @return {Promise<Function>}
+   */
+  parse(data, opts = {}) {
+    opts = opts || {}
+    const baseUrl = resolvePath(this.baseUrl, opts.baseUrl || '') || null
+    return Promise.resolve()
+      .then(() => {
+        const {json, binary} = readAsset(data)
+        return loadBuffers(json, binary, baseUrl, this.fetch)
+          .then((buffers) => ({json, buffers}))
+      })
+      .then(({json, buffers}) => {
+        return createScene(this.ctx, json, buffers, baseUrl, opts.scene)
+      })
+  }
+}
+
+/**
+ * defaultFetch(url: String) -> Promise<ArrayBuffer>
+ */
+function defaultFetch(url) {
+  if ('function' != typeof fetch) {
+    return Promise.reject(new TypeError(
+      "GLTFLoader(): fetch() is not available. Please provide opts.fetch."))
+  }
+  return fetch(url).then((res) => {
+    if (false === res.ok) {
+      throw new Error(`GLTFLoader(): Failed to fetch ${url} (${res.status}).`)
+    }
+    return res.arrayBuffer()
+  })
+}
+
+/**
+ * Reads the JSON and binary chunk of a glTF asset.
+ *
+ * readAsset(data: Any) -> Object
+ */
+function readAsset(data) {
+  if (data && 'object' == typeof data
+      && !(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
+    return { json: validateAsset(data), binary: null }
+  }
+
+  if ('string' != typeof data) {
+    const bytes = toBytes('GLTFLoader', data)
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    if (bytes.length >= 12 && kGLBMagic == view.getUint32(0, true)) {
+      return readBinaryAsset(bytes, view)
+    }
+    data = toText('GLTFLoader', bytes)
+  }
+
+  let json = null
+  try { json = JSON.parse(data) }
+  catch (err) { throw new ParseError('GLTFLoader', 'Malformed JSON') }
+  return { json: validateAsset(json), binary: null }
+}
+
+/**
+ * readBinaryAsset(bytes: Uint8Array, view: DataView) -> Object
+ */
+function readBinaryAsset(bytes, view) {
+  const version = view.getUint32(4, true)
+  if (2 != version) {
+    throw new ParseError('GLTFLoader', `Unsupported binary glTF version ${version}`)
+  }
+
+  const length = Math.min(view.getUint32(8, true), bytes.length)
+  let json = null
+  let binary = null
+  for (let offset = 12; offset + 8 <= length;) {
+    const chunkLength = view.getUint32(offset, true)
+    const chunkType = view.getUint32(offset + 4, true)
+    const chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength)
+    if (kGLBChunkJSON == chunkType) {
+      try { json = JSON.parse(toText('GLTFLoader', chunk)) }
+      catch (err) { throw new ParseError('GLTFLoader', 'Malformed JSON chunk') }
+    } else if (kGLBChunkBIN == chunkType && null == binary) {
+      binary = chunk
+    }
+    offset += 8 + chunkLength
+  }
+
+  if (null == json) {
+    throw new ParseError('GLTFLoader', 'Missing JSON chunk')
+  }
+  return { json: validateAsset(json), binary }
+}
+
+/**
+ * validateAsset(json: Object) -> Object
+ */
+function validateAsset(json) {
+  const version = json && json.asset && String(json.asset.version)
+  if (!version || '2' != version.split('.')[0]) {
+    throw new ParseError('GLTFLoader',
+      `Unsupported glTF version ${version || 'unknown'}`)
+  }
+  return json
+}
+
+/**
+ * Resolves the bytes of every buffer of an asset.
+ *
+ * loadBuffers(json: Object,
+ *             binary: ?Uint8Array,
+ *             baseUrl: ?String,
+ *             fetch: Function) -> Promise<Array<Uint8Array>>
+ */
+function loadBuffers(json, binary, baseUrl, fetch) {
+  return Promise.all((json.buffers || []).map((buffer, index) => {
+    if (null == buffer.uri) {
+      if (0 == index && binary) { return binary }
+      throw new ParseError('GLTFLoader', `Missing data for buffer ${index}`)
+    }
+    const embedded = decodeDataUri(buffer.uri)
+    if (embedded) { return embedded }
+    return Promise.resolve(fetch(resolvePath(baseUrl, buffer.uri)))
+      .then((data) => toBytes('GLTFLoader', data))
+  }))
+}
+
+/**
+ * Reads the elements of an accessor into an array of arrays, or an
+ * array of numbers for scalar accessors.
+ *
+ * readAccessor(json: Object, buffers: Array<Uint8Array>, index: Number) -> Array
+ */
+function readAccessor(json, buffers, index) {
+  const accessor = json.accessors && json.accessors[index]
+  if (null == accessor) {
+    throw new ParseError('GLTFLoader', `Missing accessor ${index}`)
+  }
+
+  const size = kAccessorTypeSizes[accessor.type]
+  const ArrayType = kComponentTypes[accessor.componentType]
+  if (null == size || null == ArrayType) {
+    throw new ParseError('GLTFLoader', `Unsupported accessor ${index}`)
+  }
+
+  const {count} = accessor
+  const values = new Float64Array(count*size)
+  if (null != accessor.bufferView) {
+    readElements(json, buffers, accessor.bufferView, accessor.byteOffset || 0,
+      ArrayType, size, count, values)
+  }
+
+  if (accessor.sparse) {
+    const {indices, values: sparseValues} = accessor.sparse
+    const sparseCount = accessor.sparse.count
+    const targets = new Float64Array(sparseCount)
+    const replacements = new Float64Array(sparseCount*size)
+    readElements(json, buffers, indices.bufferView, indices.byteOffset || 0,
+      kComponentTypes[indices.componentType], 1, sparseCount, targets)
+    readElements(json, buffers, sparseValues.bufferView,
+      sparseValues.byteOffset || 0, ArrayType, size, sparseCount, replacements)
+    for (let i = 0; i < sparseCount; ++i) {
+      for (let j = 0; j < size; ++j) {
+        values[targets[i]*size + j] = replacements[i*size + j]
+      }
+    }
+  }
+
+  const divisor = accessor.normalized
+    ? kNormalizedDivisors[accessor.componentType]
+    : null
+  const elements = []
+  for (let i = 0; i < count; ++i) {
+    const element = []
+    for (let j = 0; j < size; ++j) {
+      const value = values[i*size + j]
+      // normalized signed values are clamped to -1
+      element.push(divisor ? Math.max(value / divisor, -1) : value)
+    }
+    elements.push(1 == size ? element[0] : element)
+  }
+  return elements
+}
+
+/**
+ * Reads `count` elements of `size` components from a buffer view into
+ * an output array, honouring the byte stride of the view.
+ *
+ * readElements(json: Object,
+ *              buffers: Array<Uint8Array>,
+ *              bufferViewIndex: Number,
+ *              byteOffset: Number,
+ *              ArrayType: Function,
+ *              size: Number,
+ *              count: Number,
+ *              out: Float64Array) -> Float64Array
+ */
+function readElements(json, buffers, bufferViewIndex, byteOffset,
+                      ArrayType, size, count, out) {
+  const bufferView = json.bufferViews && json.bufferViews[bufferViewIndex]
+  const bytes = bufferView && buffers[bufferView.buffer]
+  if (null == bytes) {
+    throw new ParseError('GLTFLoader', `Missing buffer view ${bufferViewIndex}`)
+  }
+
+  const elementSize = ArrayType.BYTES_PER_ELEMENT
+  const stride = bufferView.byteStride || elementSize*size
+  const start = bytes.byteOffset + (bufferView.byteOffset || 0) + byteOffset
+  const end = start + stride*(count - 1) + elementSize*size
+  if (count && end > bytes.byteOffset + bytes.byteLength) {
+    throw new ParseError('GLTFLoader',
+      `Buffer view ${bufferViewIndex} is out of range`)
+  }
+
+  const view = new DataView(bytes.buffer)
+  const read = getReader(view, ArrayType)
+  for (let i = 0; i < count; ++i) {
+    for (let j = 0; j < size; ++j) {
+      out[i*size + j] = read(start + i*stride + j*elementSize)
+    }
+  }
+  return out
+}
+
+/**
+ * getReader(view: DataView, ArrayType: Function) -> (offset: Number) -> Number
+ */
+function getReader(view, ArrayType) {
+  switch (ArrayType) {
+    case Int8Array: return (offset) => view.getInt8(offset)
+    case Uint8Array: return (offset) => view.getUint8(offset)
+    case Int16Array: return (offset) => view.getInt16(offset, true)
+    case Uint16Array: return (offset) => view.getUint16(offset, true)
+    case Uint32Array: return (offset) => view.getUint32(offset, true)
+    default: return (offset) => view.getFloat32(offset, true)
+  }
+}
+
+/**
+ * Creates a Geometry for a mesh primitive, or null for primitives that
+ * are not made of triangles.
+ *
+ * createGeometry(json: Object,
+ *                buffers: Array<Uint8Array>,
+ *                primitive: Object) -> Geometry|null
+ */
+function createGeometry(json, buffers, primitive) {
+  const {attributes = {}} = primitive
+  const mode = null == primitive.mode ? kModeTriangles : primitive.mode
+  if (null == attributes.POSITION
+      || -1 == [ kModeTriangles, kModeTriangleStrip, kModeTriangleFan ].indexOf(mode)) {
+    return null
+  }
+
+  const positions = readAccessor(json, buffers, attributes.POSITION)
+  const indices = null == primitive.indices
+    ? positions.map((_, i) => i)
+    : readAccessor(json, buffers, primitive.indices)
+  const complex = { positions, cells: triangulate(indices, mode) }
+
+  if (null != attributes.NORMAL) {
+    complex.normals = readAccessor(json, buffers, attributes.NORMAL)
+  }
+
+  // glTF texture coordinates start at the top left of an image
+  if (null != attributes.TEXCOORD_0) {
+    complex.uvs = readAccessor(json, buffers, attributes.TEXCOORD_0)
+      .map(([u, v]) => [ u, 1 - v ])
+  }
+
+  // bitangents flip with the V axis
+  if (null != attributes.TANGENT) {
+    complex.tangents = readAccessor(json, buffers, attributes.TANGENT)
+      .map(([x, y, z, w]) => [ x, y, z, -w ])
+  }
+
+  if (null != attributes.COLOR_0) {
+    complex.colors = readAccessor(json, buffers, attributes.COLOR_0)
+  }
+
+  return new Geometry({complex})
+}
+
+/**
+ * triangulate(indices: Array<Number>, mode: Number) -> Array<Array<Number>>
+ */
+function triangulate(indices, mode) {
+  const cells = []
+  if (kModeTriangleStrip == mode) {
+    for (let i = 0; i + 2 < indices.length; ++i) {
+      cells.push(i % 2
+        ? [ indices[i + 1], indices[i], indices[i + 2] ]
+        : [ indices[i], indices[i + 1], indices[i + 2] ])
+    }
+  } else if (kModeTriangleFan == mode) {
+    for (let i = 1; i + 1 < indices.length; ++i) {
+      cells.push([ indices[0], indices[i], indices[i + 1] ])
+    }
+  } else {
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+      cells.push([ indices[i], indices[i + 1], indices[i + 2] ])
+    }
+  }
+  return cells
+}
+
+/**
+ * Maps a glTF material into Material initial state.
+ *
+ * createMaterialState(json: Object,
+ *                     buffers: Array<Uint8Array>,
+ *                     material: Object,
+ *                     baseUrl: ?String) -> Object
+ */
+function createMaterialState(json, buffers, material, baseUrl) {
+  const pbr = material.pbrMetallicRoughness || {}
+  const [r, g, b, a] = pbr.baseColorFactor || [ 1, 1, 1, 1 ]
+  const state = {
+    name: material.name || null,
+    color: [ r, g, b ],
+    opacity: 'OPAQUE' == (material.alphaMode || 'OPAQUE') ? 1 : a,
+    metallic: null == pbr.metallicFactor ? 1 : pbr.metallicFactor,
+    roughness: null == pbr.roughnessFactor ? 1 : pbr.roughnessFactor,
+    emissive: material.emissiveFactor || [ 0, 0, 0 ],
+    culling: { enable: true !== material.doubleSided, face: 'back' },
+    maps: {},
+  }
+
+  if ('BLEND' == material.alphaMode) {
+    state.blending = { enable: true }
+  } else if ('MASK' == material.alphaMode) {
+    state.alphaCutoff = null == material.alphaCutoff ? 0.5 : material.alphaCutoff
+  }
+
+  const textures = {
+    diffuse: pbr.baseColorTexture,
+    metallicRoughness: pbr.metallicRoughnessTexture,
+    normal: material.normalTexture,
+    occlusion: material.occlusionTexture,
+    emissive: material.emissiveTexture,
+  }
+
+  for (const name of Object.keys(textures)) {
+    const uri = textures[name]
+      ? getTextureUri(json, buffers, textures[name].index, baseUrl)
+      : null
+    if (uri) { state.maps[name] = uri }
+  }
+  return state
+}
+
+/**
+ * Returns the URI of the image of a texture. Images stored in buffer
+ * views are returned as data URIs.
+ *
+ * getTextureUri(json: Object,
+ *               buffers: Array<Uint8Array>,
+ *               index: Number,
+ *               baseUrl: ?String) -> String|null
+ */
+function getTextureUri(json, buffers, index, baseUrl) {
+  const texture = json.textures && json.textures[index]
+  const image = texture && json.images && json.images[texture.source]
+  if (null == image) {
+    return null
+  } else if (null != image.uri) {
+    return /^data:/.test(image.uri) ? image.uri : resolvePath(baseUrl, image.uri)
+  }
+
+  const bufferView = json.bufferViews && json.bufferViews[image.bufferView]
+  const bytes = bufferView && buffers[bufferView.buffer]
+  if (null == bytes) { return null }
+  const offset = bufferView.byteOffset || 0
+  const data = bytes.subarray(offset, offset + bufferView.byteLength)
+  return `data:${image.mimeType || 'image/png'};base64,${encodeBase64(data)}`
+}
+
+/**
+ * Decomposes a column major matrix into translation, rotation and scale.
+ *
+ * decompose(matrix: Array<Number>) -> Object
+ */
+function decompose(m) {
+  const position = [ m[12], m[13], m[14] ]
+  const scale = [
+    Math.hypot(m[0], m[1], m[2]),
+    Math.hypot(m[4], m[5], m[6]),
+    Math.hypot(m[8], m[9], m[10]),
+  ]
+  const determinant = mat3.determinant([
+    m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]
+  ])
+  if (determinant < 0) { scale[0] = -scale[0] }
+
+  const basis = mat3.identity([])
+  for (let column = 0; column < 3; ++column) {
+    for (let row = 0; row < 3; ++row) {
+      basis[column*3 + row] = scale[column]
+        ? m[column*4 + row] / scale[column]
+        : 0
+    }
+  }
+  const rotation = quat.normalize([], quat.fromMat3([], basis))
+  return { position, rotation, scale }
+}
+
+/**
+ * Creates the components of a scene and returns an entity that draws
+ * it.
+ *
+ * createScene(ctx: Context,
+ *             json: Object,
+ *             buffers: Array<Uint8Array>,
+ *             baseUrl: ?String,
+ *             sceneIndex: ?Number) -> Function
+ */
+function createScene(ctx, json, buffers, baseUrl, sceneIndex) {
+  const materialStates = (json.materials || []).map((material) => {
+    return createMaterialState(json, buffers, material, baseUrl)
+  })
+
+  const materials = materialStates.map((state) => Material(ctx, { ...state }))
+  let defaultMaterial = null
+  const geometries = []
+  const meshes = []
+  const entities = [ ...materials ]
+
+  const primitivesByMesh = (json.meshes || []).map((mesh) => {
+    return (mesh.primitives || []).map((primitive) => {
+      const geometry = createGeometry(json, buffers, primitive)
+      if (null == geometry) { return null }
+      let material = materials[primitive.material]
+      if (null == material) {
+        material = defaultMaterial = defaultMaterial || Material(ctx)
+        if (-1 == entities.indexOf(material)) { entities.push(material) }
+      }
+      const draw = Mesh(ctx, {geometry})
+      geometries.push(geometry)
+      meshes.push(draw)
+      entities.push(draw)
+      return { name: mesh.name || null, geometry, mesh: draw, material }
+    }).filter(Boolean)
+  })
+
+  const nodes = (json.nodes || []).map((node) => {
+    const trs = node.matrix
+      ? decompose(node.matrix)
+      : {
+        position: node.translation || [ 0, 0, 0 ],
+        rotation: node.rotation || [ 0, 0, 0, 1 ],
+        scale: node.scale || [ 1, 1, 1 ],
+      }
+    const object = Object3D(ctx, { ...trs })
+    entities.push(object)
+    return {
+      name: node.name || null,
+      ...trs,
+      object,
+      primitives: primitivesByMesh[node.mesh] || [],
+      children: [],
+    }
+  })
+
+  nodes.forEach((node, i) => {
+    for (const child of json.nodes[i].children || []) {
+      if (null == nodes[child]) {
+        throw new ParseError('GLTFLoader', `Missing node ${child}`)
+      }
+      node.children.push(nodes[child])
+    }
+  })
+
+  const scenes = json.scenes || []
+  const index = null != sceneIndex ? sceneIndex : json.scene || 0
+  const roots = scenes[index]
+    ? (scenes[index].nodes || []).map((i) => nodes[i])
+    : nodes.filter((node) => !nodes.some(({children}) => -1 != children.indexOf(node)))
+
+  const scene = Entity(ctx, {
+    ondestroy() {
+      for (const entity of entities) { entity.destroy() }
+    },
+  },
+    Object3D(ctx),
+    (args, next) => {
+      for (const node of roots) { drawNode(node) }
+      return next()
+    })
+
+  return Object.assign(scene, {
+    gltf: json,
+    nodes,
+    roots,
+    geometries,
+    materials: materialStates,
+    meshes,
+  })
+}
+
+/**
+ * drawNode(node: Object) -> void
+ */
+function drawNode(node) {
+  node.object(() => {
+    for (const {mesh, material} of node.primitives) {
+      material(() => mesh())
+    }
+    for (const child of node.children) {
+      drawNode(child)
+    }
+  })
+}
@@ -0,0 +1,5 @@
+export * from './gltf'
+export * from './mtl'
+export * from './obj'
+export * from './ply'
+export * from './stl'
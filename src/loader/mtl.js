@@ -0,0 +1,164 @@
+import { resolvePath, splitLines, toText } from './utils'
+import { ParseError } from '../errors'
+
+// MTL statements mapped to texture map names
+const kMapStatements = {
+  map_Kd: 'diffuse',
+  map_Ka: 'ambient',
+  map_Ks: 'specular',
+  map_Ke: 'emissive',
+  map_Ns: 'shininess',
+  map_d: 'alpha',
+  map_bump: 'bump',
+  map_Bump: 'bump',
+  bump: 'bump',
+  map_Kn: 'normal',
+  norm: 'normal',
+  disp: 'displacement',
+  refl: 'reflection',
+}
+
+// MTL statements mapped to color names
+const kColorStatements = {
+  Kd: 'color',
+  Ka: 'ambient',
+  Ks: 'specular',
+  Ke: 'emissive',
+}
+
+// texture map options and the number of arguments they take, options
+// taking up to three numbers are given as negative counts
+const kMapOptionArguments = {
+  '-blendu': 1,
+  '-blendv': 1,
+  '-boost': 1,
+  '-bm': 1,
+  '-cc': 1,
+  '-clamp': 1,
+  '-imfchan': 1,
+  '-texres': 1,
+  '-type': 1,
+  '-mm': 2,
+  '-o': -3,
+  '-s': -3,
+  '-t': -3,
+}
+
+/**
+ * The MTLLoader class parses Wavefront MTL material libraries into
+ * Material initial state objects keyed by material name. Diffuse colors
+ * become `color`, dissolve becomes `opacity` and texture map paths are
+ * collected in `maps`.
+ * @public
+ * @class MTLLoader
+ * @see {@link http://paulbourke.net/dataformats/mtl/}
+ */
+export class MTLLoader {
+
+  /**
+   * MTLLoader class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.baseUrl] Base URL or directory texture map paths are resolved against
+   */
+  constructor(opts = {}) {
+    this.baseUrl = opts && opts.baseUrl || null
+  }
+
+  /**
+   * Parses MTL text into Material initial state objects keyed by name.
+   * @public
+   * @method
+   * @param {String|ArrayBuffer|ArrayBufferView} data
+   * @return {Object}
+   * @throws TypeError
+   * @throws ParseError
+   */
+  parse(data) {
+    const text = toText('MTLLoader', data)
+    const materials = {}
+    let material = null
+
+    for (const {line, number} of splitLines(text)) {
+      const [keyword, ...args] = line.split(/\s+/)
+      const rest = line.slice(keyword.length).trim()
+
+      if ('newmtl' == keyword) {
+        material = { name: rest || 'default', maps: {} }
+        materials[material.name] = material
+        continue
+      } else if (null == material) {
+        throw new ParseError('MTLLoader',
+          `Unexpected '${keyword}' before 'newmtl'`, number)
+      }
+
+      if (keyword in kColorStatements) {
+        material[kColorStatements[keyword]] =
+          parseColor(args, number)
+      } else if (keyword in kMapStatements) {
+        const path = parseMapPath(args)
+        if (!path) {
+          throw new ParseError('MTLLoader',
+            `Missing texture path for '${keyword}'`, number)
+        }
+        material.maps[kMapStatements[keyword]] =
+          resolvePath(this.baseUrl, path)
+      } else if ('d' == keyword) {
+        material.opacity = parseNumber(args[0], number)
+      } else if ('Tr' == keyword) {
+        material.opacity = 1 - parseNumber(args[0], number)
+      } else if ('Ns' == keyword) {
+        material.shininess = parseNumber(args[0], number)
+      } else if ('Ni' == keyword) {
+        material.refraction = parseNumber(args[0], number)
+      } else if ('illum' == keyword) {
+        material.illumination = parseNumber(args[0], number)
+      }
+    }
+    return materials
+  }
+}
+
+/**
+ * parseColor(args: Array<String>, line: Number) -> Array<Number>
+ */
+function parseColor(args, line) {
+  if ('spectral' == args[0] || 'xyz' == args[0]) {
+    throw new ParseError('MTLLoader',
+      `Unsupported color type '${args[0]}'`, line)
+  }
+  const r = parseNumber(args[0], line)
+  const g = null == args[1] ? r : parseNumber(args[1], line)
+  const b = null == args[2] ? r : parseNumber(args[2], line)
+  return [ r, g, b ]
+}
+
+/**
+ * Skips texture map options and returns the path of a map statement.
+ *
+ * parseMapPath(args: Array<String>) -> String
+ */
+function parseMapPath(args) {
+  let i = 0
+  while (i < args.length && args[i] in kMapOptionArguments) {
+    const count = kMapOptionArguments[args[i++]]
+    if (count > 0) {
+      i += count
+    } else {
+      for (let j = 0; j < -count && isFinite(parseFloat(args[i])); ++j) { ++i }
+    }
+  }
+  return args.slice(i).join(' ')
+}
+
+/**
+ * parseNumber(value: String, line: Number) -> Number
+ */
+function parseNumber(value, line) {
+  const number = parseFloat(value)
+  if (!isFinite(number)) {
+    throw new ParseError('MTLLoader', `Expecting number, got '${value}'`, line)
+  }
+  return number
+}
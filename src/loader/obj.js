@@ -0,0 +1,292 @@
+import { splitLines, toText } from './utils'
+import { Geometry } from '../core/geometry'
+import { ParseError } from '../errors'
+import { MTLLoader } from './mtl'
+
+/**
+ * The OBJLoader class parses Wavefront OBJ text into one Geometry for
+ * each group. Faces with more than three vertices are triangulated as
+ * fans and negative indices are resolved relative to the vertices read
+ * so far. Faces without normals are shaded flat unless they are in a
+ * smoothing group, in which case normals are averaged across the faces
+ * of the group sharing a vertex. A group that uses more than one
+ * material is split into one geometry per material.
+ * @public
+ * @class OBJLoader
+ * @see {@link http://paulbourke.net/dataformats/obj/}
+ */
+export class OBJLoader {
+
+  /**
+   * OBJLoader class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.baseUrl] Base URL or directory texture map paths are resolved against
+   * @param {?(String)} [opts.uvMode] UV projection mode for groups without texture coordinates
+   */
+  constructor(opts = {}) {
+    opts = opts || {}
+    this.baseUrl = opts.baseUrl || null
+    this.uvMode = opts.uvMode || null
+  }
+
+  /**
+   * Parses OBJ text and an optional MTL material library. Returns the
+   * parsed groups, each with a `name`, a `geometry`, the `materialName`
+   * given with `usemtl` and the Material initial state of that name in
+   * `material`, along with the `materials` parsed from the library and
+   * the `materialLibraries` named with `mtllib`.
+   * @public
+   * @method
+   * @param {String|ArrayBuffer|ArrayBufferView} data OBJ text
+   * @param {?(String|ArrayBuffer|ArrayBufferView)} mtl MTL text
+   * @return {Object}
+   * @throws TypeError
+   * @throws ParseError
+   */
+  parse(data, mtl = null) {
+    const text = toText('OBJLoader', data)
+    const materials = null == mtl
+      ? {}
+      : new MTLLoader({baseUrl: this.baseUrl}).parse(mtl)
+    const state = {
+      positions: [],
+      normals: [],
+      uvs: [],
+      groups: [],
+      group: null,
+      name: 'default',
+      materialName: null,
+      smoothing: 0,
+      materialLibraries: [],
+    }
+
+    for (const {line, number} of splitLines(text)) {
+      const [keyword, ...args] = line.split(/\s+/)
+      switch (keyword) {
+        case 'v':
+          state.positions.push(parseVector(args, 3, number))
+          break
+
+        case 'vn':
+          state.normals.push(parseVector(args, 3, number))
+          break
+
+        case 'vt':
+          state.uvs.push(parseVector(args, 2, number))
+          break
+
+        case 'f':
+          parseFace(state, args, number)
+          break
+
+        case 'g':
+        case 'o':
+          state.name = args.join(' ') || 'default'
+          state.group = null
+          break
+
+        case 'usemtl':
+          state.materialName = args.join(' ') || null
+          state.group = null
+          break
+
+        case 's':
+          state.smoothing = parseSmoothingGroup(args[0])
+          break
+
+        case 'mtllib':
+          state.materialLibraries.push(...args)
+          break
+      }
+    }
+
+    const groups = state.groups
+      .filter((group) => group.cells.length)
+      .map((group) => ({
+        name: group.name,
+        materialName: group.materialName,
+        material: materials[group.materialName] || null,
+        geometry: createGeometry(group, this.uvMode),
+      }))
+
+    return {
+      groups,
+      materials,
+      materialLibraries: state.materialLibraries,
+    }
+  }
+}
+
+/**
+ * parseVector(args: Array<String>, length: Number, line: Number) -> Array<Number>
+ */
+function parseVector(args, length, line) {
+  const vector = []
+  for (let i = 0; i < length; ++i) {
+    const value = null == args[i] && i > 0 ? 0 : parseFloat(args[i])
+    if (!isFinite(value)) {
+      throw new ParseError('OBJLoader',
+        `Expecting number, got '${args[i]}'`, line)
+    }
+    vector.push(value)
+  }
+  return vector
+}
+
+/**
+ * Maps the argument of an `s` statement to a smoothing group. `off` and
+ * `0` turn smoothing off and `on` is smoothing group 1.
+ *
+ * parseSmoothingGroup(value: String) -> Number
+ */
+function parseSmoothingGroup(value) {
+  const name = String(value).toLowerCase()
+  if ('off' == name) { return 0 }
+  if ('on' == name) { return 1 }
+  return parseInt(value, 10) || 0
+}
+
+/**
+ * Resolves a one based or negative relative index into a zero based
+ * index.
+ *
+ * resolveIndex(value: String, count: Number, line: Number) -> Number|null
+ */
+function resolveIndex(value, count, line) {
+  if (null == value || '' == value) { return null }
+  const index = parseInt(value, 10)
+  const resolved = index < 0 ? count + index : index - 1
+  if (!isFinite(index) || 0 == index || resolved < 0 || resolved >= count) {
+    throw new ParseError('OBJLoader', `Index '${value}' out of range`, line)
+  }
+  return resolved
+}
+
+/**
+ * Returns the group faces are currently added to, creating it if
+ * needed.
+ *
+ * getGroup(state: Object) -> Object
+ */
+function getGroup(state) {
+  if (null == state.group) {
+    state.group = {
+      name: state.name,
+      materialName: state.materialName,
+      vertices: new Map(),
+      positions: [],
+      normals: [],
+      uvs: [],
+      computed: [],
+      hasUvs: false,
+      cells: [],
+    }
+    state.groups.push(state.group)
+  }
+  return state.group
+}
+
+/**
+ * Adds a face to the current group as a triangle fan.
+ *
+ * parseFace(state: Object, args: Array<String>, line: Number) -> void
+ */
+function parseFace(state, args, line) {
+  if (args.length < 3) {
+    throw new ParseError('OBJLoader',
+      'Expecting at least three vertices in face', line)
+  }
+
+  const group = getGroup(state)
+  const corners = args.map((arg) => {
+    const [v, vt, vn] = arg.split('/')
+    return {
+      position: resolveIndex(v, state.positions.length, line),
+      uv: resolveIndex(vt, state.uvs.length, line),
+      normal: resolveIndex(vn, state.normals.length, line),
+    }
+  })
+
+  if (corners.some(({position}) => null == position)) {
+    throw new ParseError('OBJLoader', 'Missing vertex index in face', line)
+  }
+
+  const normal = computeFaceNormal(corners.map(({position}) => {
+    return state.positions[position]
+  }))
+  const face = group.cells.length
+
+  const indices = corners.map((corner) => {
+    // vertices without normals are shared within a smoothing group and
+    // are unique to their face otherwise
+    const scope = null != corner.normal
+      ? ''
+      : state.smoothing ? `s${state.smoothing}` : `f${face}`
+    const key = `${corner.position}/${corner.uv}/${corner.normal}/${scope}`
+    let index = group.vertices.get(key)
+    if (null == index) {
+      index = group.positions.length
+      group.vertices.set(key, index)
+      group.positions.push(state.positions[corner.position].slice())
+      group.uvs.push(null != corner.uv ? state.uvs[corner.uv].slice() : [ 0, 0 ])
+      group.hasUvs = group.hasUvs || null != corner.uv
+      if (null != corner.normal) {
+        group.normals.push(state.normals[corner.normal].slice())
+        group.computed.push(false)
+      } else {
+        group.normals.push([ 0, 0, 0 ])
+        group.computed.push(true)
+      }
+    }
+
+    if (group.computed[index]) {
+      const n = group.normals[index]
+      n[0] += normal[0]
+      n[1] += normal[1]
+      n[2] += normal[2]
+    }
+    return index
+  })
+
+  for (let i = 1; i < indices.length - 1; ++i) {
+    group.cells.push([ indices[0], indices[i], indices[i + 1] ])
+  }
+}
+
+/**
+ * Computes the normal of a polygon with Newell's method. The length of
+ * the normal is twice the area of the polygon so larger faces weigh
+ * more in averaged normals.
+ *
+ * computeFaceNormal(points: Array<Array<Number>>) -> Array<Number>
+ */
+function computeFaceNormal(points) {
+  const normal = [ 0, 0, 0 ]
+  for (let i = 0; i < points.length; ++i) {
+    const a = points[i]
+    const b = points[(i + 1) % points.length]
+    normal[0] += (a[1] - b[1])*(a[2] + b[2])
+    normal[1] += (a[2] - b[2])*(a[0] + b[0])
+    normal[2] += (a[0] - b[0])*(a[1] + b[1])
+  }
+  return normal
+}
+
+/**
+ * createGeometry(group: Object, uvMode: ?String) -> Geometry
+ */
+function createGeometry(group, uvMode) {
+  const normals = group.normals.map((n) => {
+    const length = Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2])
+    return length ? [ n[0]/length, n[1]/length, n[2]/length ] : [ 0, 0, 1 ]
+  })
+  const complex = {
+    positions: group.positions,
+    normals,
+    cells: group.cells,
+  }
+  if (group.hasUvs) { complex.uvs = group.uvs }
+  return new Geometry(uvMode ? {complex, uvMode} : {complex})
+}
@@ -0,0 +1,302 @@
+import { toBytes, toText } from './utils'
+import { Geometry } from '../core/geometry'
+import { ParseError } from '../errors'
+
+// bytes of the keyword ending the header
+const kEndHeader = Array.from('end_header').map((c) => c.charCodeAt(0))
+
+// PLY property types mapped to their size in bytes and DataView getter
+const kPropertyTypes = {
+  char: [ 1, 'getInt8' ],
+  int8: [ 1, 'getInt8' ],
+  uchar: [ 1, 'getUint8' ],
+  uint8: [ 1, 'getUint8' ],
+  short: [ 2, 'getInt16' ],
+  int16: [ 2, 'getInt16' ],
+  ushort: [ 2, 'getUint16' ],
+  uint16: [ 2, 'getUint16' ],
+  int: [ 4, 'getInt32' ],
+  int32: [ 4, 'getInt32' ],
+  uint: [ 4, 'getUint32' ],
+  uint32: [ 4, 'getUint32' ],
+  float: [ 4, 'getFloat32' ],
+  float32: [ 4, 'getFloat32' ],
+  double: [ 8, 'getFloat64' ],
+  float64: [ 8, 'getFloat64' ],
+}
+
+// maximum values of integer color types
+const kColorDivisors = {
+  char: 127,
+  int8: 127,
+  uchar: 255,
+  uint8: 255,
+  short: 32767,
+  int16: 32767,
+  ushort: 65535,
+  uint16: 65535,
+}
+
+// vertex property names of texture coordinates
+const kUVProperties = [ [ 's', 't' ], [ 'u', 'v' ], [ 'texture_u', 'texture_v' ] ]
+
+/**
+ * The PLYLoader class parses ASCII and binary (little and big endian)
+ * PLY files into a Geometry. Vertex positions, normals, texture
+ * coordinates and colors are read from the vertex element, and faces are
+ * triangulated as fans.
+ * @public
+ * @class PLYLoader
+ * @see {@link http://paulbourke.net/dataformats/ply/}
+ */
+export class PLYLoader {
+
+  /**
+   * PLYLoader class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(String)} [opts.uvMode] UV projection mode for files without texture coordinates
+   */
+  constructor(opts = {}) {
+    opts = opts || {}
+    this.uvMode = opts.uvMode || null
+  }
+
+  /**
+   * Parses ASCII or binary PLY data into a Geometry.
+   * @public
+   * @method
+   * @param {String|ArrayBuffer|ArrayBufferView} data
+   * @return {Geometry}
+   * @throws TypeError
+   * @throws ParseError
+   */
+  parse(data) {
+    const bytes = 'string' == typeof data ? null : toBytes('PLYLoader', data)
+    const header = bytes ? readHeader(bytes) : parseHeader(data)
+    const elements = 'ascii' == header.format
+      ? parseText(header, bytes ? toText('PLYLoader', bytes) : data)
+      : parseBinary(header, bytes)
+    const opts = {complex: createComplex(header, elements)}
+    if (this.uvMode) { opts.uvMode = this.uvMode }
+    return new Geometry(opts)
+  }
+}
+
+/**
+ * Parses the header at the start of a buffer. The bytes are scanned for
+ * the line starting with `end_header` so the length of the header is a
+ * byte offset, whatever the size of the header or the characters in its
+ * comments.
+ *
+ * readHeader(bytes: Uint8Array) -> Object
+ */
+function readHeader(bytes) {
+  const {length} = kEndHeader
+  for (let i = 0; i + length <= bytes.length; ++i) {
+    if (i > 0 && 0x0a != bytes[i - 1] && 0x0d != bytes[i - 1]) { continue }
+    if (kEndHeader.every((code, j) => code == bytes[i + j])) {
+      const newline = bytes.indexOf(0x0a, i + length)
+      if (-1 == newline) { break }
+      const end = newline + 1
+      const header = parseHeader(toText('PLYLoader', bytes.subarray(0, end)))
+      header.length = end
+      return header
+    }
+  }
+  throw new ParseError('PLYLoader', "Missing 'end_header'")
+}
+
+/**
+ * Parses the header into the format, the length of the header text and
+ * the elements with their properties.
+ *
+ * parseHeader(text: String) -> Object
+ */
+function parseHeader(text) {
+  const lines = text.split(/\r\n|\r|\n/)
+  if ('ply' != lines[0].trim()) {
+    throw new ParseError('PLYLoader', "Expecting 'ply'", 1)
+  }
+
+  const header = { format: null, elements: [], length: 0, lines: 0 }
+  let element = null
+  for (let i = 1; i < lines.length; ++i) {
+    const [keyword, ...args] = lines[i].trim().split(/\s+/)
+    const number = i + 1
+    if ('format' == keyword) {
+      header.format = args[0]
+      if (-1 == [ 'ascii', 'binary_little_endian', 'binary_big_endian' ].indexOf(args[0])) {
+        throw new ParseError('PLYLoader', `Unsupported format '${args[0]}'`, number)
+      }
+    } else if ('element' == keyword) {
+      element = { name: args[0], count: parseInt(args[1], 10), properties: [] }
+      if (!(element.count >= 0)) {
+        throw new ParseError('PLYLoader', `Malformed element '${args[0]}'`, number)
+      }
+      header.elements.push(element)
+    } else if ('property' == keyword) {
+      if (null == element) {
+        throw new ParseError('PLYLoader', "Unexpected 'property'", number)
+      }
+      const property = 'list' == args[0]
+        ? { list: true, countType: args[1], type: args[2], name: args[3] }
+        : { list: false, type: args[0], name: args[1] }
+      for (const type of [ property.type, property.countType ]) {
+        if (null != type && !(type in kPropertyTypes)) {
+          throw new ParseError('PLYLoader', `Unknown type '${type}'`, number)
+        }
+      }
+      element.properties.push(property)
+    } else if ('end_header' == keyword) {
+      const match = /end_header[^\n]*(\n|$)/.exec(text)
+      header.lines = i + 1
+      header.length = match.index + match[0].length
+      break
+    }
+  }
+
+  if (0 == header.lines) {
+    throw new ParseError('PLYLoader', "Missing 'end_header'")
+  } else if (null == header.format) {
+    throw new ParseError('PLYLoader', "Missing 'format'")
+  }
+  return header
+}
+
+/**
+ * Parses the body of an ASCII file into records of each element.
+ *
+ * parseText(header: Object, text: String) -> Object
+ */
+function parseText(header, text) {
+  const lines = text.split(/\r\n|\r|\n/)
+  const elements = {}
+  let line = header.lines
+  for (const element of header.elements) {
+    const records = elements[element.name] = []
+    for (let i = 0; i < element.count; ++i, ++line) {
+      while (line < lines.length && '' == lines[line].trim()) { ++line }
+      if (line >= lines.length) {
+        throw new ParseError('PLYLoader',
+          `Expecting ${element.count} ${element.name} elements`, line)
+      }
+      const values = lines[line].trim().split(/\s+/).map(parseFloat)
+      let offset = 0
+      const record = {}
+      for (const property of element.properties) {
+        if (property.list) {
+          const count = values[offset++]
+          record[property.name] = values.slice(offset, offset + count)
+          offset += count
+        } else {
+          record[property.name] = values[offset++]
+        }
+      }
+      if (offset > values.length || values.some((value) => !isFinite(value))) {
+        throw new ParseError('PLYLoader', `Malformed ${element.name}`, line + 1)
+      }
+      records.push(record)
+    }
+  }
+  return elements
+}
+
+/**
+ * Parses the body of a binary file into records of each element.
+ *
+ * parseBinary(header: Object, bytes: Uint8Array) -> Object
+ */
+function parseBinary(header, bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const littleEndian = 'binary_little_endian' == header.format
+  const elements = {}
+  let offset = header.length
+
+  const read = (type) => {
+    const [size, getter] = kPropertyTypes[type]
+    if (offset + size > bytes.length) {
+      throw new ParseError('PLYLoader', 'Unexpected end of data')
+    }
+    const value = view[getter](offset, littleEndian)
+    offset += size
+    return value
+  }
+
+  for (const element of header.elements) {
+    const records = elements[element.name] = []
+    for (let i = 0; i < element.count; ++i) {
+      const record = {}
+      for (const property of element.properties) {
+        if (property.list) {
+          const count = read(property.countType)
+          const values = []
+          for (let j = 0; j < count; ++j) { values.push(read(property.type)) }
+          record[property.name] = values
+        } else {
+          record[property.name] = read(property.type)
+        }
+      }
+      records.push(record)
+    }
+  }
+  return elements
+}
+
+/**
+ * Creates a simplicial complex from the vertex and face elements.
+ *
+ * createComplex(header: Object, elements: Object) -> Object
+ */
+function createComplex(header, elements) {
+  const vertexElement = header.elements.find(({name}) => 'vertex' == name)
+  const vertices = elements.vertex || []
+  if (null == vertexElement) {
+    throw new ParseError('PLYLoader', "Missing 'vertex' element")
+  }
+
+  const types = {}
+  for (const property of vertexElement.properties) {
+    types[property.name] = property.type
+  }
+  const has = (...names) => names.every((name) => name in types)
+
+  const complex = {
+    positions: vertices.map(({x, y, z}) => [ x, y, z ]),
+    cells: [],
+  }
+
+  if (has('nx', 'ny', 'nz')) {
+    complex.normals = vertices.map(({nx, ny, nz}) => [ nx, ny, nz ])
+  }
+
+  const uvNames = kUVProperties.find((names) => has(...names))
+  if (uvNames) {
+    const [u, v] = uvNames
+    complex.uvs = vertices.map((vertex) => [ vertex[u], vertex[v] ])
+  }
+
+  const colorNames = [ 'red', 'green', 'blue', 'alpha' ].filter((name) => has(name))
+  if (colorNames.length >= 3) {
+    complex.colors = vertices.map((vertex) => {
+      return colorNames.map((name) => {
+        const divisor = kColorDivisors[types[name]]
+        return divisor ? vertex[name] / divisor : vertex[name]
+      })
+    })
+  }
+
+  for (const face of elements.face || []) {
+    const indices = face.vertex_indices || face.vertex_index || []
+    for (const index of indices) {
+      if (!(index >= 0 && index < vertices.length)) {
+        throw new ParseError('PLYLoader', `Index '${index}' out of range`)
+      }
+    }
+    for (let i = 1; i + 1 < indices.length; ++i) {
+      complex.cells.push([ indices[0], indices[i], indices[i + 1] ])
+    }
+  }
+  return complex
+}
@@ -0,0 +1,135 @@
+import { deduplicate, toBytes, toText } from './utils'
+import { Geometry } from '../core/geometry'
+import { ParseError } from '../errors'
+import reindex from 'mesh-reindex'
+
+// sizes of the binary STL header and triangle records in bytes
+const kBinaryHeaderSize = 84
+const kBinaryTriangleSize = 50
+
+/**
+ * The STLLoader class parses ASCII and binary STL files into a Geometry.
+ * The format is detected from the data. Facets are merged into indexed
+ * cells sharing vertices with identical positions, and vertex normals
+ * are computed by Geometry.
+ * @public
+ * @class STLLoader
+ * @see {@link https://en.wikipedia.org/wiki/STL_(file_format)}
+ */
+export class STLLoader {
+
+  /**
+   * STLLoader class constructor.
+   * @public
+   * @constructor
+   * @param {?(Object)} [opts = {}]
+   * @param {?(Boolean)} [opts.flatten = false] Flatten the geometry for faceted shading
+   * @param {?(String)} [opts.uvMode] UV projection mode of the geometry
+   */
+  constructor(opts = {}) {
+    opts = opts || {}
+    this.flatten = Boolean(opts.flatten)
+    this.uvMode = opts.uvMode || null
+  }
+
+  /**
+   * Parses ASCII or binary STL data into a Geometry.
+   * @public
+   * @method
+   * @param {String|ArrayBuffer|ArrayBufferView} data
+   * @return {Geometry}
+   * @throws TypeError
+   * @throws ParseError
+   */
+  parse(data) {
+    const triangles = 'string' == typeof data
+      ? parseText(data)
+      : parseBytes(toBytes('STLLoader', data))
+    const complex = deduplicate(reindex(triangles))
+    const opts = {complex, flatten: this.flatten}
+    if (this.uvMode) { opts.uvMode = this.uvMode }
+    return new Geometry(opts)
+  }
+}
+
+/**
+ * Parses binary data, or ASCII data stored in a buffer.
+ *
+ * parseBytes(bytes: Uint8Array) -> Array<Number>
+ */
+function parseBytes(bytes) {
+  if (isBinary(bytes)) {
+    return parseBinary(bytes)
+  }
+  return parseText(toText('STLLoader', bytes))
+}
+
+/**
+ * Binary files start with an 80 byte header that may begin with 'solid'
+ * too, so the size implied by the triangle count is checked first.
+ *
+ * isBinary(bytes: Uint8Array) -> Boolean
+ */
+function isBinary(bytes) {
+  if (bytes.length < kBinaryHeaderSize) { return false }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const count = view.getUint32(80, true)
+  if (kBinaryHeaderSize + count*kBinaryTriangleSize == bytes.length) {
+    return true
+  }
+  const head = toText('STLLoader', bytes.subarray(0, Math.min(bytes.length, 512)))
+  return !/^\s*solid/.test(head) || !/facet|endsolid/.test(head)
+}
+
+/**
+ * parseBinary(bytes: Uint8Array) -> Array<Number>
+ */
+function parseBinary(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const count = view.getUint32(80, true)
+  if (kBinaryHeaderSize + count*kBinaryTriangleSize > bytes.length) {
+    throw new ParseError('STLLoader',
+      `Expecting ${count} triangles, data is too short`)
+  }
+
+  const triangles = []
+  for (let i = 0; i < count; ++i) {
+    // skip the facet normal and read three vertices
+    const offset = kBinaryHeaderSize + i*kBinaryTriangleSize + 12
+    for (let j = 0; j < 9; ++j) {
+      triangles.push(view.getFloat32(offset + j*4, true))
+    }
+  }
+  return triangles
+}
+
+/**
+ * parseText(text: String) -> Array<Number>
+ */
+function parseText(text) {
+  if (!/^\s*solid/.test(text)) {
+    throw new ParseError('STLLoader', "Expecting 'solid'", 1)
+  }
+
+  const triangles = []
+  const lines = text.split(/\r\n|\r|\n/)
+  let vertices = 0
+  lines.forEach((line, i) => {
+    const [keyword, ...args] = line.trim().split(/\s+/)
+    if ('vertex' == keyword) {
+      for (let j = 0; j < 3; ++j) {
+        const value = parseFloat(args[j])
+        if (!isFinite(value)) {
+          throw new ParseError('STLLoader',
+            `Expecting number, got '${args[j]}'`, i + 1)
+        }
+        triangles.push(value)
+      }
+      ++vertices
+    } else if ('endloop' == keyword && 0 != vertices % 3) {
+      throw new ParseError('STLLoader',
+        'Expecting three vertices in facet', i + 1)
+    }
+  })
+  return triangles
+}
@@ -0,0 +1,177 @@
+/**
+ * Decodes a string, ArrayBuffer or typed array of UTF-8 text into a
+ * string.
+ *
+ * toText(label: String, data: String|ArrayBuffer|ArrayBufferView) -> String
+ */
+export function toText(label, data) {
+  if ('string' == typeof data) {
+    return data
+  }
+
+  const bytes = toBytes(label, data)
+  if ('function' == typeof TextDecoder) {
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+
+  let string = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    string += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+  }
+  try { return decodeURIComponent(escape(string)) }
+  catch (err) { return string }
+}
+
+/**
+ * Returns a byte view of an ArrayBuffer or typed array.
+ *
+ * toBytes(label: String, data: ArrayBuffer|ArrayBufferView) -> Uint8Array
+ */
+export function toBytes(label, data) {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data)
+  } else if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  }
+  throw new TypeError(
+    `${label}: Expecting string, ArrayBuffer or typed array.`)
+}
+
+/**
+ * Splits text into lines. Lines ending with a backslash are joined with
+ * the next line. Each line is returned with its line number.
+ *
+ * splitLines(text: String) -> Array<Object>
+ */
+export function splitLines(text) {
+  const lines = []
+  const raw = text.split(/\r\n|\r|\n/)
+  for (let i = 0; i < raw.length; ++i) {
+    const number = i + 1
+    let line = raw[i]
+    while (/\\\s*$/.test(line) && i + 1 < raw.length) {
+      line = line.replace(/\\\s*$/, ' ') + raw[++i]
+    }
+    line = line.replace(/#.*$/, '').trim()
+    if (line) { lines.push({line, number}) }
+  }
+  return lines
+}
+
+/**
+ * Resolves a path relative to a base URL or directory. Absolute paths,
+ * URLs and data URIs are returned as they are.
+ *
+ * resolvePath(base: ?String, path: String) -> String
+ */
+export function resolvePath(base, path) {
+  if (!base || /^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) {
+    return path
+  }
+  return base.replace(/\/?$/, '/') + path.replace(/^\.\//, '')
+}
+
+// base64 alphabet for decoding and encoding data URIs
+const kBase64Alphabet =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Decodes a base64 string into bytes.
+ *
+ * decodeBase64(string: String) -> Uint8Array
+ */
+export function decodeBase64(string) {
+  const clean = string.replace(/[^A-Za-z0-9+/]/g, '')
+  const bytes = new Uint8Array(Math.floor(clean.length*3/4))
+  let buffer = 0
+  let bits = 0
+  let offset = 0
+  for (let i = 0; i < clean.length; ++i) {
+    buffer = (buffer << 6) | kBase64Alphabet.indexOf(clean[i])
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      bytes[offset++] = (buffer >> bits) & 0xff
+    }
+  }
+  return bytes
+}
+
+/**
+ * Encodes bytes as a base64 string.
+ *
+ * encodeBase64(bytes: Uint8Array) -> String
+ */
+export function encodeBase64(bytes) {
+  let string = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0)
+    string += kBase64Alphabet[(n >> 18) & 63] + kBase64Alphabet[(n >> 12) & 63]
+    string += i + 1 < bytes.length ? kBase64Alphabet[(n >> 6) & 63] : '='
+    string += i + 2 < bytes.length ? kBase64Alphabet[n & 63] : '='
+  }
+  return string
+}
+
+/**
+ * Decodes a base64 data URI into bytes, or returns null for other URIs.
+ *
+ * decodeDataUri(uri: String) -> Uint8Array|null
+ */
+export function decodeDataUri(uri) {
+  const match = /^data:[^,]*?(;base64)?,(.*)$/.exec(uri)
+  if (null == match) { return null }
+  if (match[1]) { return decodeBase64(match[2]) }
+  return encodeText(decodeURIComponent(match[2]))
+}
+
+/**
+ * Encodes a string as UTF-8 bytes.
+ *
+ * encodeText(string: String) -> Uint8Array
+ */
+export function encodeText(string) {
+  if ('function' == typeof TextEncoder) {
+    return new TextEncoder().encode(string)
+  }
+  const binary = unescape(encodeURIComponent(string))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; ++i) { bytes[i] = binary.charCodeAt(i) }
+  return bytes
+}
+
+/**
+ * Returns the directory of a URL or path with a trailing slash.
+ *
+ * dirname(url: String) -> String
+ */
+export function dirname(url) {
+  const index = url.lastIndexOf('/')
+  return -1 == index ? '' : url.slice(0, index + 1)
+}
+
+/**
+ * Merges vertices with identical positions in a complex created with
+ * `mesh-reindex` and remaps its cells.
+ *
+ * deduplicate(complex: Object) -> Object
+ */
+export function deduplicate({positions, cells}) {
+  const indices = new Map()
+  const remap = []
+  const unique = []
+  for (const position of positions) {
+    const key = position.join(',')
+    let index = indices.get(key)
+    if (null == index) {
+      index = unique.length
+      indices.set(key, index)
+      unique.push(position)
+    }
+    remap.push(index)
+  }
+  return {
+    positions: unique,
+    cells: cells.map((cell) => cell.map((index) => remap[index])),
+  }
+}
@@ -8,11 +8,14 @@ import { Entity } from '../core'
 
 export function Material(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
-    MaterialContext(ctx, initialState),
-    MaterialState(ctx, initialState),
-    MaterialShaderUniforms(ctx, initialState),
-    FrameShaderUniforms(ctx, initialState),
-    MaterialShader(ctx, initialState),
-  )
+  const {slot} = Entity
+  return Entity.own(ctx, () => {
+    return Entity(ctx, { displayName: 'Material', ...initialState },
+      slot('context', MaterialContext(ctx, initialState)),
+      slot('state', MaterialState(ctx, initialState)),
+      slot('uniforms', MaterialShaderUniforms(ctx, initialState)),
+      slot('frame', FrameShaderUniforms(ctx, initialState)),
+      slot('shader', MaterialShader(ctx, initialState)),
+    )
+  })
 }
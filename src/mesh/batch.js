@@ -0,0 +1,59 @@
+import { assignDefaults, normalizeScaleVector, pick } from '../utils'
+import * as object3dDefaults from '../object3d/defaults'
+import * as pickingDefaults from '../picker/defaults'
+import * as defaults from './defaults'
+
+import mat4 from 'gl-mat4'
+import mat3 from 'gl-mat3'
+
+/**
+ * MeshBatch(ctx, initialState = {}) -> (batch: Array<Object>) -> void
+ *
+ * Creates a regl command that draws a mesh once for every object in
+ * `batch` with regl's batch mode. The scope the command is called in is
+ * entered once, while the model matrices are computed for each object
+ * from its position, rotation and scale relative to the parent transform.
+ * The `batchId` context variable and the picking batch id uniform are set
+ * for each object.
+ *
+ * @public
+ * @param {Context} ctx
+ * @param {?Object} initialState
+ * @return {Function}
+ */
+export function MeshBatch(ctx, initialState = {}) {
+  assignDefaults(initialState, defaults.shader)
+  const {uniformName} = initialState
+  const picking = { ...pickingDefaults, ...initialState.picking }
+  const parentMatrix = new Float32Array(16)
+  const localMatrix = new Float32Array(16)
+  const transformMatrix = new Float32Array(16)
+  const normalMatrix = new Float32Array(9)
+
+  return ctx.regl({
+    ...initialState.regl,
+    context: {
+      batchId: ({}, args, batchId) => batchId,
+      transform: ({parentTransform}, args) => {
+        const position = pick('position', [args, initialState, object3dDefaults])
+        const rotation = pick('rotation', [args, initialState, object3dDefaults])
+        const scale = normalizeScaleVector(
+          pick('scale', [args, initialState, object3dDefaults]))
+        // M' = Mp * T * R * S
+        mat4.fromRotationTranslation(localMatrix, rotation, position)
+        mat4.scale(localMatrix, localMatrix, scale)
+        mat4.copy(parentMatrix, parentTransform || mat4.identity(parentMatrix))
+        return mat4.multiply(transformMatrix, parentMatrix, localMatrix)
+      },
+    },
+
+    uniforms: {
+      [`${uniformName}.model`]: ({transform}) => transform,
+      [`${uniformName}.modelNormal`]: ({transform}) => {
+        return mat3.normalFromMat4(normalMatrix, transform)
+          || mat3.identity(normalMatrix)
+      },
+      [`${picking.uniformName}.batchId`]: ({}, args, batchId) => batchId,
+    },
+  })
+}
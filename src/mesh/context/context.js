@@ -8,10 +8,10 @@ import { Entity } from '../../core'
 
 export function MeshContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
+  return Entity.own(ctx, () => Entity(ctx, initialState,
     Object3DContext(ctx, initialState),
     MeshGeometryContext(ctx, initialState),
     MeshBoundingBoxContext(ctx, initialState),
     isolate(MeshSizeContext(ctx, initialState)),
-  )
+  ))
 }
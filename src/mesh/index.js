@@ -1,5 +1,6 @@
 export * from './context'
 export * from './shader'
 export * from './state'
+export * from './batch'
 export * from './mesh'
 
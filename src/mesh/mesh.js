@@ -1,12 +1,15 @@
-import { assignDefaults, isolate } from '../utils'
+import { assignDefaults, extendSchema, isolate } from '../utils'
 import { CameraShaderUniforms } from '../camera'
 import { FrameShaderUniforms } from '../frame'
+import { PickingShaderUniforms } from '../picker'
 import * as defaults from './defaults'
+import { schema } from './schema'
 import { Object3D } from '../object3d'
 import { Geometry } from '../core'
 import { Entity } from '../core'
 
 import { MeshContext } from './context'
+import { MeshBatch } from './batch'
 import { MeshState } from './state'
 import {
   MeshShaderAttributes,
@@ -19,26 +22,38 @@ export function Mesh(ctx, initialState = {}) {
   if (null == initialState.geometry.complex) {
     initialState.geometry = new Geometry({complex: initialState.geometry})
   }
-  const getContext = ctx.regl({})
-  const draw = ctx.regl({ ...initialState.regl })
-  return Entity(ctx, initialState,
-    //mesh
-    MeshContext(ctx, initialState),
-    MeshState(ctx, initialState),
+  const meshSchema = extendSchema(initialState, schema)
+  return Entity.own(ctx, () => {
+    const getContext = ctx.regl({})
+    const draw = ctx.regl({ ...initialState.regl })
+    const {slot} = Entity
+    let drawBatch = null
+    return Entity(ctx,
+      { displayName: 'Mesh', ...initialState, schema: meshSchema, batch: true },
+      //mesh
+      slot('context', MeshContext(ctx, initialState)),
+      slot('state', MeshState(ctx, initialState)),
 
-    // shader
-    MeshShaderAttributes(ctx, initialState),
-    MeshShaderUniforms(ctx, initialState),
-    MeshShader(ctx, initialState),
+      // shader
+      slot('attributes', MeshShaderAttributes(ctx, initialState)),
+      slot('uniforms', MeshShaderUniforms(ctx, initialState)),
+      slot('shader', MeshShader(ctx, initialState)),
 
-    // uniforms
-    CameraShaderUniforms(ctx, initialState.camera),
-    FrameShaderUniforms(ctx, initialState.frame),
+      // uniforms
+      slot('camera', CameraShaderUniforms(ctx, initialState.camera)),
+      slot('frame', FrameShaderUniforms(ctx, initialState.frame)),
+      slot('picking', PickingShaderUniforms(ctx, initialState.picking)),
 
-    // draw
-    (args, next) => {
-      if (false !== draw.args) { draw() }
-      return next()
-    },
-  )
+      // draw
+      slot('draw', (args, next) => {
+        if (Array.isArray(args.batch)) {
+          drawBatch = drawBatch || MeshBatch(ctx, initialState)
+          if (args.batch.length) { drawBatch(args.batch) }
+        } else if (false !== draw.args) {
+          draw()
+        }
+        return next()
+      }),
+    )
+  })
 }
@@ -0,0 +1,13 @@
+import { schema as object3dSchema } from '../object3d/schema'
+
+// argument schema of Mesh entities
+export const schema = {
+  ...object3dSchema,
+  boundingBox: 'any',
+  count: 'number',
+  forceCompile: 'boolean',
+  lineWidth: 'number',
+  primitive: 'string',
+  wireframe: 'boolean',
+  wireframePrimitive: 'string',
+}
@@ -1,5 +1,5 @@
 import { ShaderAttributes } from '../../shader'
-import { assignDefaults } from '../../utils'
+import { assignDefaults, listen } from '../../utils'
 import * as defaults from '../defaults'
 
 export function MeshShaderAttributes(ctx, initialState) {
@@ -18,6 +18,18 @@ export function MeshShaderAttributes(ctx, initialState) {
     if (geometry.uvs) {
       attributes.uv = ctx.regl.buffer(geometry.uvs)
     }
+
+    if (geometry.tangents) {
+      attributes.tangent = ctx.regl.buffer(geometry.tangents)
+    }
+
+    // buffer contents do not survive a lost context, upload them again
+    listen(ctx, 'contextrestored', () => {
+      if (geometry.positions) { attributes.position(geometry.positions) }
+      if (geometry.normals) { attributes.normal(geometry.normals) }
+      if (geometry.uvs) { attributes.uv(geometry.uvs) }
+      if (geometry.tangents) { attributes.tangent(geometry.tangents) }
+    })
   }
   return ShaderAttributes(ctx, attributes)
 }
@@ -36,19 +36,41 @@ export function MeshShader(ctx, initialState = {}) {
 
     if (geometry.uvs) { defines.GLSL_MESH_HAS_UV = true }
     else { defines.GLSL_MESH_NO_UV = true }
+
+    if (geometry.tangents) { defines.GLSL_MESH_HAS_TANGENT = true }
+    else { defines.GLSL_MESH_NO_TANGENT = true }
   }
 
-  return Shader(ctx, {
-    vertexShader({vertexShader: vs}) {
-      return 'string' == typeof vs ? vs : vertexShader
-    },
+  // instances are identified by an 'instanceId' attribute when picking
+  if (initialState.attributes && initialState.attributes.instanceId) {
+    defines.GLSL_MESH_HAS_INSTANCE_ID = true
+  }
 
-    fragmentShader({fragmentShader: fs}) {
+  return Shader(ctx, {
+    fragmentShader({picking, fragmentShader: fs}) {
+      if (picking && 'string' == typeof picking.fragmentShader) {
+        return picking.fragmentShader
+      }
       return 'string' == typeof fs ? fs : fragmentShader
     },
 
     ...initialState,
 
+    // the picking pass enables the instance id varying in the vertex shader
+    vertexShader(reglContext, args) {
+      const {picking, vertexShader: vs} = reglContext
+      let source = vertexShader
+      if (null == initialState.vertexShader && 'string' == typeof vs) {
+        source = vs
+      } else if ('function' == typeof source) {
+        source = source(reglContext, args)
+      }
+      if (picking && 'string' == typeof source) {
+        return `#define GLSL_PICKING_ENABLED\n${source}`
+      }
+      return source
+    },
+
     defines: { ...initialState.defines, ...defines, },
   })
 }
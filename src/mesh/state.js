@@ -1,4 +1,4 @@
-import { assignDefaults, pick } from '../utils'
+import { assignDefaults, listen, pick } from '../utils'
 import * as defaults from './defaults'
 import clamp from 'defined'
 
@@ -21,6 +21,7 @@ export function MeshState(ctx, initialState = {}) {
 
   if (geometry.cells) {
     elements = ctx.regl.elements({data: geometry.cells})
+    listen(ctx, 'contextrestored', () => elements({data: geometry.cells}))
     Object.assign(opts, {
       elements,
       count(ctx, args) {
@@ -18,8 +18,8 @@ import { Entity } from '../../core'
  */
 export function Object3DContext(ctx, initialState = {}) {
   assertComponentArguments('Object3DContext', ctx, initialState)
-  return Entity(ctx, initialState,
+  return Entity.own(ctx, () => Entity(ctx, initialState,
     Object3DTRSContext(ctx, initialState),
     Object3DMatrixContext(ctx, initialState),
-  )
+  ))
 }
@@ -11,7 +11,9 @@ import {
 /**
  * The Object3DMatrixContext component maps input position, rotation, and scale
  * arguments into a matrix and transform context variables. Default values are
- * used if not provided as input arguments to this component function.
+ * used if not provided as input arguments to this component function. The
+ * transform of the parent scope is injected as the parentTransform context
+ * variable.
  *
  * Object3DMatrixContext(ctx) -> ScopedContext(ctx) -> (args, scope) -> Any
  *
@@ -26,6 +28,7 @@ export function Object3DMatrixContext(ctx, initialState = {}) {
   assertComponentArguments('Object3DMatrixContext', ctx, initialState)
   const transformMatrix = mat4.identity(new Float32Array(16))
   const localMatrix = mat4.identity(new Float32Array(16))
+  const parentMatrix = mat4.identity(new Float32Array(16))
   return ScopedContext(ctx, initialState, {
     matrix(ctx, args) {
       const position = pick('position', [args, initialState, defaults])
@@ -40,12 +43,19 @@ export function Object3DMatrixContext(ctx, initialState = {}) {
     transform(ctx, args) {
       const {transform: parentTransformMatrix} = ctx
       mat4.copy(transformMatrix, localMatrix)
+      mat4.identity(parentMatrix)
       // M' = Mp * M
       if (parentTransformMatrix) {
+        mat4.copy(parentMatrix, parentTransformMatrix)
         mat4.multiply(transformMatrix, parentTransformMatrix, localMatrix)
       }
       return transformMatrix
     },
+
+    // parent transform read while computing the transform above
+    parentTransform() {
+      return parentMatrix
+    },
   })
 }
 
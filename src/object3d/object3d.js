@@ -1,6 +1,7 @@
-import { assertComponentArguments, } from '../utils'
+import { assertComponentArguments, extendSchema } from '../utils'
 import { Object3DContext } from './context'
 import * as defaults from './defaults'
+import { schema } from './schema'
 import { Entity } from '../core'
 
 /**
@@ -17,6 +18,10 @@ import { Entity } from '../core'
  */
 export function Object3D(ctx, initialState = {}) {
   assertComponentArguments('Object3D', ctx, initialState)
-  return Object3DContext(ctx, initialState)
+  initialState = { ...initialState }
+  initialState.schema = extendSchema(initialState, schema)
+  return Object.assign(Object3DContext(ctx, initialState), {
+    displayName: initialState.displayName || 'Object3D'
+  })
 }
 
@@ -0,0 +1,6 @@
+// argument schema of Object3D entities
+export const schema = {
+  position: 'vec3',
+  rotation: 'quat',
+  scale: ['number', 'array'],
+}
@@ -0,0 +1 @@
+export const uniformName = 'picking'
@@ -0,0 +1,2 @@
+export * from './uniforms'
+export * from './picker'
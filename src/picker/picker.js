@@ -0,0 +1,194 @@
+import { MissingContextError } from '../errors'
+import { assignDefaults, listen } from '../utils'
+import * as defaults from './defaults'
+import { Entity } from '../core'
+
+// picking passes of each encoding, byte color buffers need a second
+// pass for instance and batch ids
+const kPickingPasses = {
+  float: [ 'float' ],
+  uint8: [ 'entity', 'instance' ],
+}
+
+Object.assign(Picker, {
+  createFragmentShader({uniformName, encoding, pass = encoding} = {}) {
+    return `
+    #define GLSL_PICKING_UNIFORM_VARIABLE ${uniformName}
+    ${'float' == pass ? '#define GLSL_PICKING_ENCODE_FLOAT' : ''}
+    ${'instance' == pass ? '#define GLSL_PICKING_ENCODE_INSTANCE' : ''}
+    #include <picking/fragment/main>
+    `
+  }
+})
+
+/**
+ * Picker(ctx, initialState = {}) -> (args, scope) -> Any
+ *
+ * Renders the meshes drawn in a block into an offscreen framebuffer with
+ * a color encoding their entity id, batch id, instance id and depth so
+ * the mesh under a point can be found with `picker.pick(x, y)`. Ids and
+ * depth are stored as is if float color buffers are supported.
+ * Otherwise the block is drawn twice, once into a framebuffer holding a
+ * 24 bit entity id and once into a framebuffer holding 16 bit instance
+ * and batch ids, and depth is not stored.
+ *
+ * @public
+ * @param {Context} ctx
+ * @param {?Object} initialState
+ * @param {?Array<Function>} [initialState.entities = []] Entities to resolve hits to
+ * @return {Function}
+ * @throws MissingContextError
+ */
+export function Picker(ctx, initialState = {}) {
+  if (null == ctx) { throw new MissingContextError('Picker') }
+  assignDefaults(initialState, defaults)
+  const {uniformName, entities = []} = initialState
+  const getContext = ctx.regl({})
+  const state = {
+    encoding: null,
+    passes: [],
+    width: 0,
+    height: 0,
+  }
+
+  const picker = Entity(ctx, { displayName: 'Picker', ...initialState },
+    (args, next) => {
+      getContext(args, update)
+      let result = null
+      for (const pass of state.passes) {
+        result = pass.injectPicking(args, () => {
+          ctx.regl.clear({
+            color: [0, 0, 0, 0],
+            depth: 1,
+            framebuffer: pass.framebuffer
+          })
+          return next()
+        })
+      }
+      return result
+    })
+
+  return Object.defineProperties(Object.assign(picker, {pick}), {
+    encoding: { get: () => state.encoding },
+    framebuffer: {
+      get: () => state.passes.length ? state.passes[0].framebuffer : null
+    },
+    framebuffers: {
+      get: () => state.passes.map(({framebuffer}) => framebuffer)
+    },
+  })
+
+  function update({drawingBufferWidth, drawingBufferHeight}) {
+    if (0 == state.passes.length) { create() }
+    const width = Math.max(1, drawingBufferWidth)
+    const height = Math.max(1, drawingBufferHeight)
+    if (state.width != width || state.height != height) {
+      state.width = width
+      state.height = height
+      for (const {framebuffer} of state.passes) {
+        framebuffer.resize(width, height)
+      }
+    }
+  }
+
+  // resources are created on the first render so they are owned by the picker
+  function create() {
+    const {regl} = ctx
+    const {capabilities} = ctx
+    let framebuffer = null
+
+    // float textures can only be rendered to with a color buffer extension
+    if (capabilities && capabilities.hasExtension('OES_texture_float') && (
+      capabilities.hasExtension('WEBGL_color_buffer_float') ||
+      capabilities.hasExtension('EXT_color_buffer_float'))) {
+      try {
+        framebuffer = regl.framebuffer({
+          color: regl.texture({width: 1, height: 1, type: 'float'}),
+          depth: true,
+        })
+        state.encoding = 'float'
+      } catch (err) {
+        framebuffer = null
+      }
+    }
+
+    if (null == framebuffer) { state.encoding = 'uint8' }
+
+    state.passes = kPickingPasses[state.encoding].map((pass) => {
+      const target = 'float' == pass ? framebuffer : regl.framebuffer({
+        color: regl.texture({width: 1, height: 1, type: 'uint8'}),
+        depth: true,
+      })
+
+      const picking = {
+        fragmentShader: Picker.createFragmentShader({uniformName, pass})
+      }
+
+      return {
+        framebuffer: target,
+        injectPicking: regl({
+          framebuffer: target,
+          blend: { enable: false },
+          context: {
+            picking: () => picking,
+            blending: () => ({ enable: false }),
+          },
+        }),
+      }
+    })
+
+    // attachments are resized on the next render after the context is restored
+    listen(ctx, 'contextrestored', () => {
+      state.width = 0
+      state.height = 0
+    })
+  }
+
+  function pick(x, y) {
+    if (Array.isArray(x)) { [x, y] = x }
+    const {passes, width, height} = state
+    if (0 == passes.length || ctx.isContextLost) { return null }
+
+    const {pixelRatio = 1} = ctx
+    const px = Math.floor(x * pixelRatio)
+    const py = height - 1 - Math.floor(y * pixelRatio)
+    if (!(px >= 0 && py >= 0 && px < width && py < height)) {
+      return null
+    }
+
+    const data = passes.map(({framebuffer}) => ctx.regl.read({
+      framebuffer, x: px, y: py, width: 1, height: 1,
+      data: 'float' == state.encoding ? new Float32Array(4) : new Uint8Array(4)
+    }))
+
+    const hit = decode(data)
+    if (hit) {
+      Object.assign(hit, {x, y}, {
+        entity: entities.find((e) => e && e.entityId == hit.entityId) || null
+      })
+    }
+    return hit
+  }
+
+  function decode([data, instances]) {
+    if ('float' == state.encoding) {
+      const entityId = Math.round(data[0])
+      if (entityId <= 0) { return null }
+      return {
+        entityId,
+        batchId: Math.round(data[1]),
+        instanceId: Math.round(data[2]),
+        depth: data[3],
+      }
+    } else {
+      const entityId = (data[0] << 16) | (data[1] << 8) | data[2]
+      if (entityId <= 0) { return null }
+      return {
+        entityId,
+        batchId: (instances[2] << 8) | instances[3],
+        instanceId: (instances[0] << 8) | instances[1],
+        depth: null,
+      }
+    }
+  }
+}
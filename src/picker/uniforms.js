@@ -0,0 +1,12 @@
+import { ShaderUniforms } from '../shader'
+import { assignDefaults } from '../utils'
+import * as defaults from './defaults'
+
+export function PickingShaderUniforms(ctx, initialState = {}) {
+  assignDefaults(initialState, defaults)
+  const {uniformName} = initialState
+  return ShaderUniforms(ctx, {prefix: `${uniformName}.`}, {
+    entityId: ({entityId}) => entityId || 0,
+    batchId: ({batchId}) => batchId || 0,
+  })
+}
@@ -1,6 +1,9 @@
 import { command as extend } from 'regl-extend'
 import { DynamicValue } from './core'
 
+// scoped context values are counted so they are part of context snapshots
+const scopedContextCounter = DynamicValue.createCounter('context')
+
 /**
  * ScopedContext(ctx, props = {}) -> (args, scope) -> Any
  *
@@ -14,9 +17,9 @@ export function ScopedContext(ctx, initialState, props) {
     props = initialState
     initialState = {}
   }
-  return ctx.regl({
-    context: new DynamicValue(ctx, initialState, props)
-  })
+  const context = new DynamicValue(ctx, initialState, props)
+  scopedContextCounter.addValueForContext(ctx, context)
+  return ctx.regl({context})
 }
 
 /**
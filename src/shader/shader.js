@@ -13,7 +13,7 @@ import { UpdateContext } from '../update'
  * @return {Function}
  */
 export function Shader(ctx, initialState = {}) {
-  assignDefaults(initialState, ShaderLib.defaults())
+  assignDefaults(initialState, ShaderLib.defaults(ctx))
   const { shaderName = 'shader' } = initialState
   const contextCache = {}
   const shaderCache = {}
@@ -30,13 +30,15 @@ export function Shader(ctx, initialState = {}) {
 
   let hashMap = {}
 
-  return Entity(ctx, initialState,
-    ShaderDefines(ctx, initialState, initialState.defines),
-    (args, next) => {
-      getContext(args, update)
-      return injectContext(args, next)
-    },
-  )
+  return Entity.own(ctx, () => {
+    return Entity(ctx, { displayName: 'Shader', ...initialState },
+      ShaderDefines(ctx, initialState, initialState.defines),
+      (args, next) => {
+        getContext(args, update)
+        return injectContext(args, next)
+      },
+    )
+  })
 
   function update(reglContext, args) {
     args = args || {}
@@ -142,8 +144,11 @@ export function Shader(ctx, initialState = {}) {
       let compiled = null
       let uncompiled = null
       if (isViableShader(shader)) {
+        const defines = 'vertex' == type
+          ? { GLSL_VERTEX_SHADER: 1 }
+          : { GLSL_FRAGMENT_SHADER: 1 }
         uncompiled = getViableShader(reglContext, currentState, shader)
-        compiled = shaderLib.compile(`${shaderName} (${type})`, uncompiled)
+        compiled = shaderLib.compile(`${shaderName} (${type})`, uncompiled, {defines})
         compiled = shaderLib.preprocess(compiled)
         return {compiled, uncompiled}
       }
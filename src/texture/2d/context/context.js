@@ -8,9 +8,9 @@ import { TextureInfoContext } from './info'
 
 export function TextureContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return Entity(ctx, initialState,
+  return Entity.own(ctx, () => Entity(ctx, initialState,
     isolate(TextureDataContext(ctx, initialState)),
     TexturePointerContext(ctx, initialState),
     TextureInfoContext(ctx, initialState),
-  )
+  ))
 }
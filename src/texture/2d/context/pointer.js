@@ -1,5 +1,5 @@
 import { texture as extend } from 'regl-extend'
-import { assignDefaults } from '../../../utils'
+import { assignDefaults, listen } from '../../../utils'
 import { ScopedContext } from '../../../scope'
 import * as defaults from '../defaults'
 
@@ -9,8 +9,21 @@ export function TexturePointerContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
   const defaultTexture = ctx.regl.texture(defaults)
   const textureBuffer = ctx.regl.texture(extend(initialState))
-  const textureMap = new WeakMap()
-  const videoUploadTimestamps = new WeakMap()
+  const textures = new Set()
+  let textureMap = new WeakMap()
+  let videoUploadTimestamps = new WeakMap()
+
+  // textures created from texture data are recreated lazily after the
+  // context is restored, other textures are uploaded again immediately
+  listen(ctx, 'contextrestored', () => {
+    for (const texture of textures) { texture.destroy() }
+    textures.clear()
+    textureMap = new WeakMap()
+    videoUploadTimestamps = new WeakMap()
+    defaultTexture(defaults)
+    textureBuffer(extend(initialState))
+  })
+
   return ScopedContext(ctx, {
     texturePointer({textureData}, args = {}) {
       const {copy = false, buffer = false, subimage = false} = args
@@ -75,6 +88,7 @@ export function TexturePointerContext(ctx, initialState = {}) {
 
       function createTexture() {
         texture = ctx.regl.texture(data)
+        textures.add(texture)
         if (textureData) {
           textureMap.set(textureData, texture)
         }
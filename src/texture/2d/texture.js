@@ -4,5 +4,7 @@ import * as defaults from './defaults'
 
 export function Texture(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return TextureContext(ctx, initialState)
+  return Object.assign(TextureContext(ctx, initialState), {
+    displayName: initialState.displayName || 'Texture'
+  })
 }
@@ -9,9 +9,9 @@ import { CubeTextureInfoContext } from './info'
 export function CubeTextureContext(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
   const {uniformName} = initialState
-  return Entity(ctx, initialState,
+  return Entity.own(ctx, () => Entity(ctx, initialState,
     isolate(CubeTextureDataContext(ctx, initialState)),
     CubeTexturePointerContext(ctx, initialState),
     CubeTextureInfoContext(ctx, initialState),
-  )
+  ))
 }
@@ -1,5 +1,5 @@
 import { texture as extend } from 'regl-extend'
-import { assignDefaults } from '../../../utils'
+import { assignDefaults, listen } from '../../../utils'
 import { ScopedContext } from '../../../scope'
 import { Component } from '../../../core'
 import * as defaults from '../defaults'
@@ -19,6 +19,11 @@ export function CubeTexturePointerContext(ctx, initialState = {}) {
     Object.assign(extend(initialState), {colorSpace: 'browser'})
   )
 
+  // faces are uploaded again on the next access after the context is restored
+  listen(ctx, 'contextrestored', () => {
+    faces = Array(6).fill(null)
+  })
+
   return ScopedContext(ctx, {
     // @TODO - support subimage updates
     cubeTexturePointer({cubeTextureData}) {
@@ -4,5 +4,7 @@ import * as defaults from './defaults'
 
 export function CubeTexture(ctx, initialState = {}) {
   assignDefaults(initialState, defaults)
-  return CubeTextureContext(ctx, initialState)
+  return Object.assign(CubeTextureContext(ctx, initialState), {
+    displayName: initialState.displayName || 'CubeTexture'
+  })
 }
@@ -21,9 +21,12 @@ export {
   HAVE_ENOUGH_DATA,
 }
 
-export const isCanvas = (d) => d instanceof HTMLCanvasElement
-export const isVideo = (d) => d instanceof HTMLVideoElement
-export const isImage = (d) => d instanceof HTMLImageElement
+// DOM constructors are not defined outside of a browser
+const isInstanceOf = (d, T) => 'function' == typeof T && d instanceof T
+
+export const isCanvas = (d) => isInstanceOf(d, HTMLCanvasElement)
+export const isVideo = (d) => isInstanceOf(d, HTMLVideoElement)
+export const isImage = (d) => isInstanceOf(d, HTMLImageElement)
 
 export function isTextureDataReady(data) {
   if (!data) { return false }
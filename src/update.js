@@ -1,6 +1,9 @@
 import { assignDefaults } from './utils'
 import { DynamicValue } from './core'
 
+// update context values are counted so they are part of context snapshots
+const updateContextCounter = DynamicValue.createCounter('update')
+
 /**
  * UpdateContext(ctx, props}) -> (args, scope) -> Any
  *
@@ -19,12 +22,12 @@ export function UpdateContext(ctx, initialState, props) {
     delete initialState.update
   }
   if ('function' == typeof props.update) {
-    return ctx.regl({
-      context: new DynamicValue(
-        ctx,
-        initialState,
-        createUniqueUpdateFunction(initialState, update))
-    })
+    const context = new DynamicValue(
+      ctx,
+      initialState,
+      createUniqueUpdateFunction(initialState, update))
+    updateContextCounter.addValueForContext(ctx, context)
+    return ctx.regl({context})
   } else {
     // noop
     return ctx.regl({})
@@ -50,6 +50,35 @@ export function assignDefaults(object, defaults) {
   return extend(true, object, extend(true, {}, defaults, object))
 }
 
+/**
+ * Removes the argument schema given in the initial state of a built-in
+ * component and returns it merged over the schema of the component.
+ * Nested components share the initial state, so only the outer entity
+ * validates arguments.
+ * extendSchema(initialState: Object, schema: Object) -> Object
+ */
+export function extendSchema(initialState, schema) {
+  const extended = { ...schema, ...initialState.schema }
+  delete initialState.schema
+  return extended
+}
+
+/**
+ * Adds a context event listener, or an event listener to a DOM event
+ * target, that is removed when the entity owning the resources created
+ * along with it is destroyed.
+ * listen(ctx: Context,
+ *        event: String,
+ *        listener: Function,
+ *        target: ?(EventTarget) = ctx) -> Function
+ */
+export function listen(ctx, event, listener, target = ctx) {
+  if (ctx.resources) { return ctx.resources.listen(target, event, listener) }
+  if (target == ctx) { ctx.on(event, listener) }
+  else { target.addEventListener(event, listener, false) }
+  return listener
+}
+
 /**
  * Returns the first value found at key `k` in `i` index of objs`.
  * pick(k: String, objs: Array<Object>) -> Any
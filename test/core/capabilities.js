@@ -0,0 +1,55 @@
+'use strict'
+import { RecordingContext, getCapabilities, Context } from '../../lib/core'
+import test from 'tape'
+
+test("getCapabilities(regl: Function, optionalExtensions: Array) -> Object",
+  ({ok, end}) => {
+    const capabilities = getCapabilities({
+      _gl: null,
+      limits: {
+        extensions: [ 'OES_texture_float' ],
+        maxTextureSize: 2048,
+        version: 'WebGL 2.0',
+      }
+    }, [ 'OES_texture_float', 'ANGLE_instanced_arrays' ])
+
+    ok(Object.isFrozen(capabilities), "Returns a frozen object.")
+    ok(2048 == capabilities.maxTextureSize, "Reads limits from regl.limits.")
+    ok(null === capabilities.maxVaryingVectors, "Missing limits are null.")
+    ok(2 == capabilities.version, "Derives WebGL version.")
+    ok(capabilities.hasExtension('oes_texture_float'),
+      "hasExtension() is case insensitive.")
+    ok(true === capabilities.optionalExtensions.OES_texture_float &&
+       false === capabilities.optionalExtensions.ANGLE_instanced_arrays,
+      "Reports optional extension support.")
+    ok(capabilities.precision.vertex.highFloat &&
+       capabilities.precision.fragment.mediumInt,
+      "Reports shader precision formats without a WebGL context.")
+    end()
+  })
+
+
+test("context.capabilities -> Object",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({
+      limits: { maxTextureSize: 1024, extensions: [ 'oes_texture_float' ] }
+    })
+    const {capabilities} = ctx
+    ok(capabilities == ctx.capabilities, "Is cached.")
+    ok(1 == capabilities.version, "Reports WebGL version.")
+    ok(1024 == capabilities.maxTextureSize, "Reports max texture size.")
+    ok(capabilities.maxVertexUniforms && capabilities.maxFragmentUniforms,
+      "Reports max uniform vectors.")
+    ok(capabilities.maxVaryingVectors, "Reports max varying vectors.")
+    for (const name of Context.kDefaulOptionaltExtensions) {
+      ok(name in capabilities.optionalExtensions,
+        `Reports support for optional extension '${name}'.`)
+    }
+    ok(false === capabilities.optionalExtensions.OES_vertex_array_object,
+      "Reports unsupported optional extensions.")
+    ctx.loseContext()
+    ctx.restoreContext()
+    ok(capabilities != ctx.capabilities,
+      "Is queried again after context is restored.")
+    end()
+  })
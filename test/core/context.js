@@ -183,3 +183,57 @@ test("context.poll() -> Context",
     destroy(ctx)
     end()
   })
+
+
+test("context.width and context.height -> Number",
+  ({ok, end}) => {
+    const ctx = new Context()
+    ok('number' == typeof ctx.width, "Width is a Number.")
+    ok('number' == typeof ctx.height, "Height is a Number.")
+    ok(ctx.width > 0 && ctx.height > 0, "Is sized after instantiation.")
+    destroy(ctx)
+    end()
+  })
+
+
+test("context.pixelRatio -> Number",
+  ({ok, throws, end}) => {
+    const ctx = new Context({pixelRatio: 1})
+    ok(1 == ctx.pixelRatio, "Uses pixel ratio from options.")
+    ctx.pixelRatio = 2
+    ok(2 == ctx.pixelRatio, "Can be changed at runtime.")
+    ok(Math.floor(2*ctx.width) == ctx.domElement.width,
+      "Resizes drawing buffer with new pixel ratio.")
+    throws(() => { ctx.pixelRatio = 0 }, TypeError,
+      "Cannot be set to a non positive number.")
+    destroy(ctx)
+    end()
+  })
+
+
+test("context.resize(width: Number, height: Number) -> Context",
+  ({ok, end}) => {
+    const ctx = new Context({pixelRatio: 1})
+    let event = null
+    ctx.on('resize', (e) => { event = e })
+    ok(ctx == ctx.resize(100, 50), "Returns instance when called.")
+    ok(100 == ctx.width && 50 == ctx.height, "Sets width and height.")
+    ok(event && 100 == event.width && 50 == event.height,
+      "Emits 'resize' event with new size.")
+    destroy(ctx)
+    end()
+  })
+
+
+test("new Context({version: 2}) -> Context",
+  ({ok, end}) => {
+    const ctx = new Context({version: 2})
+    ok(-1 != [1, 2].indexOf(ctx.version),
+      "Creates a WebGL2 context or falls back to WebGL1.")
+    if (2 == ctx.version) {
+      ok(ctx.regl.hasExtension('ANGLE_instanced_arrays'),
+        "Provides instancing without extensions.")
+    }
+    destroy(ctx)
+    end()
+  })
@@ -1,5 +1,11 @@
 import { sharedContext as ctx } from '../utils'
-import { DynamicValue } from '../../lib/core'
+import {
+  DynamicValue,
+  RecordingContext,
+  WebGLShaderUniforms,
+} from '../../lib/core'
+import { Camera, PerspectiveCamera } from '../../lib/camera'
+import { Material } from '../../lib/material'
 import test from 'tape'
 
 test("new DynamicValue(ctx, initialState: Object = {}, props: Object = {}) -> DynamicValue",
@@ -174,3 +180,210 @@ test("dynamic.unset(key, value) -> DynamicValue",
     ok(null == dynamic.value, "Value unset in provided accessor.")
     end()
   })
+
+
+test("dynamic.getVersion(key) -> Number: counts changes.",
+  ({ok, end}) => {
+    const dynamic = new DynamicValue(ctx, {}, {value: 1})
+    ok(1 == dynamic.getVersion('value'), "Initial props are version 1.")
+    ok(0 == dynamic.getVersion('missing'), "Unknown keys are version 0.")
+    dynamic.set('value', 1)
+    ok(1 == dynamic.getVersion('value'), "Setting the same value is no change.")
+    dynamic.set('value', 2)
+    ok(2 == dynamic.getVersion('value'), "Setting a new value is a change.")
+    dynamic.value = 3
+    ok(3 == dynamic.getVersion('value'), "Assigning a new value is a change.")
+    dynamic.set('vector', [1, 2, 3])
+    dynamic.set('vector', [1, 2, 3])
+    ok(1 == dynamic.getVersion('vector'),
+      "Setting an array with the same elements is no change.")
+    const vector = [1, 2, 3]
+    dynamic.set('vector', vector)
+    dynamic.set('vector', vector)
+    ok(2 == dynamic.getVersion('vector'),
+      "Setting the same array again is a change.")
+    dynamic.unset('value')
+    ok(4 == dynamic.getVersion('value'), "Unsetting a value is a change.")
+    end()
+  })
+
+
+test("dynamic.isDirty(key) -> Boolean: tracks changed values.",
+  ({ok, end}) => {
+    const dynamic = new DynamicValue(ctx, {}, {value: 1, other: 2})
+    ok(dynamic.isDirty('value') && dynamic.isDirty(), "Initial props are dirty.")
+    ok(dynamic == dynamic.clean('value'), "clean() returns instance.")
+    ok(!dynamic.isDirty('value') && dynamic.isDirty(),
+      "Cleans value by key.")
+    dynamic.clean()
+    ok(!dynamic.isDirty(), "Cleans every value.")
+    dynamic.set('value', 1)
+    ok(!dynamic.isDirty('value'), "Unchanged values stay clean.")
+    dynamic.set('value', 2)
+    ok(dynamic.isDirty('value'), "Changed values are dirty.")
+    end()
+  })
+
+
+test("dynamic.on('change', [key], callback) -> DynamicValue",
+  ({ok, throws, end}) => {
+    const dynamic = new DynamicValue(ctx)
+    const changes = []
+    const keyed = []
+    const onchange = (key, value, version) => changes.push([key, value, version])
+    ok(dynamic == dynamic.on('change', onchange), "Returns instance.")
+    dynamic.on('change', 'other', (key) => keyed.push(key))
+    dynamic.set('value', 1)
+    dynamic.set('value', 1)
+    dynamic.set('other', 2)
+    dynamic.unset('value')
+    ok(3 == changes.length, "Calls listener for each change.")
+    ok('value' == changes[0][0] && 1 == changes[0][1] && 1 == changes[0][2],
+      "Calls listener with key, value and version.")
+    ok(undefined === changes[2][1] && 2 == changes[2][2],
+      "Calls listener when value is unset.")
+    ok('other' == keyed.join(), "Calls keyed listener for key only.")
+    ok(dynamic == dynamic.off('change', onchange), "off() returns instance.")
+    dynamic.set('value', 3)
+    ok(3 == changes.length, "Removed listener is not called.")
+    ok(-1 == Object.keys(dynamic).indexOf('listeners'),
+      "Tracking state is not enumerable.")
+    throws(() => dynamic.on('change', 'value'), TypeError,
+      "Throws TypeError without callback.")
+    end()
+  })
+
+
+test("dynamic.toJSON() -> Object: serializes initial and value state.",
+  ({ok, end}) => {
+    const dynamic = new DynamicValue(ctx, {
+      color: new Float32Array([1, 0, 0, 1]),
+      geometry: new Map(),
+      visible: true,
+    }, {
+      position: [1, 2, 3],
+      model: () => [],
+    })
+    const json = JSON.parse(JSON.stringify(dynamic))
+    ok('1,0,0,1' == json.initialState.color.join() && json.initialState.visible,
+      "Serializes initial state.")
+    ok(!('geometry' in json.initialState), "Skips non plain objects.")
+    ok('1,2,3' == json.valueState.position.join(), "Serializes value state.")
+    ok(!('model' in json.valueState), "Skips functions.")
+    end()
+  })
+
+
+test("dynamic.restore(snapshot) -> DynamicValue: restores snapshots.",
+  ({ok, throws, end}) => {
+    const model = () => []
+    const color = new Float32Array([1, 0, 0, 1])
+    const dynamic = new DynamicValue(ctx, {color, scale: 1}, {model})
+    const snapshot = dynamic.toJSON()
+
+    dynamic.initialState.color = new Float32Array([0, 1, 0, 1])
+    dynamic.set('scale', 2)
+    dynamic.set('position', [1, 2, 3])
+    const changes = []
+    dynamic.on('change', (key) => changes.push(key))
+
+    ok(dynamic == dynamic.restore(snapshot), "Returns instance.")
+    ok(dynamic.initialState.color instanceof Float32Array &&
+       '1,0,0,1' == Array.from(dynamic.initialState.color).join(),
+      "Restores initial state with typed arrays.")
+    ok(1 == dynamic.scale && !('scale' in dynamic.valueState),
+      "Unsets values that were not set.")
+    ok(!('position' in dynamic.valueState), "Unsets new values.")
+    ok(model == dynamic.valueState.model, "Keeps function values.")
+    ok(-1 != changes.indexOf('color') && -1 != changes.indexOf('scale'),
+      "Emits changes.")
+    throws(() => dynamic.restore(null), TypeError,
+      "Throws TypeError without snapshot.")
+    end()
+  })
+
+
+test("DynamicValue.snapshotContext(ctx) -> Object: snapshots counted values.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const first = new WebGLShaderUniforms(ctx, {prefix: 'camera.'}, {fov: 60})
+    const second = new WebGLShaderUniforms(ctx, {}, {color: [1, 0, 0, 1]})
+    const snapshot = JSON.parse(JSON.stringify(DynamicValue.snapshotContext(ctx)))
+    ok(2 == Object.keys(snapshot.values).length, "Snapshots values of context.")
+    ok(60 == snapshot.values['unowned:uniforms:camera.:0'].valueState['camera.fov'],
+      "Keys values by owner, counter and prefix.")
+
+    first.set('camera.fov', 90)
+    second.set('color', [0, 0, 1, 1])
+    DynamicValue.restoreContext(ctx, snapshot)
+    ok(60 == first['camera.fov'] && '1,0,0,1' == second.color.join(),
+      "Restores values of context.")
+
+    new WebGLShaderUniforms(ctx, {}, {color: [0, 1, 0, 1]})
+    second.set('color', [0, 0, 1, 1])
+    throws(() => DynamicValue.restoreContext(ctx, snapshot), TypeError,
+      "Throws TypeError for snapshots missing values of context.")
+    ok('0,0,1,1' == second.color.join(), "Restores nothing on mismatch.")
+    throws(() => DynamicValue.restoreContext(ctx, {values: []}), TypeError,
+      "Throws TypeError for malformed snapshots.")
+    end()
+  })
+
+
+test("DynamicValue.restoreContext(ctx, snapshot) -> void: restores component state.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const position = [0, 0, 5]
+    const color = [1, 0, 0]
+    const camera = PerspectiveCamera(ctx, {position})
+    const material = Material(ctx, {color})
+    const snapshot = JSON.parse(JSON.stringify(DynamicValue.snapshotContext(ctx)))
+    const keys = Object.keys(snapshot.values)
+    ok(keys.some((key) => 0 == key.indexOf(`${camera.entityId}:context:`)),
+      "Keys component values by entity id.")
+
+    position[2] = 10
+    color[1] = 1
+    DynamicValue.restoreContext(ctx, snapshot)
+    let restored = null
+    camera(({position}) => { restored = position })
+    ok('0,0,5' == Array.from(restored).join(), "Restores camera position.")
+    material(({color}) => { restored = color })
+    ok('1,0,0' == Array.from(restored).slice(0, 3).join(),
+      "Restores material color.")
+
+    const other = new RecordingContext()
+    PerspectiveCamera(other)
+    throws(() => DynamicValue.restoreContext(other, snapshot), TypeError,
+      "Throws TypeError for snapshots of other scenes.")
+    end()
+  })
+
+
+test("CameraViewContext computes the view matrix again when inputs change.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const camera = Camera(ctx)
+    const viewOf = (c, args) => {
+      let matrix = null
+      c(args, ({view}) => { matrix = Array.from(view).join() })
+      return matrix
+    }
+    const turned = {rotation: [0, 0.7071068, 0, 0.7071068]}
+    const moved = {position: [1, 2, 3], rotation: turned.rotation}
+
+    const initial = viewOf(camera, {})
+    ok(initial == viewOf(camera, {}), "Keeps view matrix of same inputs.")
+    ok(viewOf(Camera(ctx), turned) == viewOf(camera, turned),
+      "Computes view matrix for a new rotation.")
+    ok(viewOf(Camera(ctx), moved) == viewOf(camera, moved),
+      "Computes view matrix for a new position.")
+    ok(initial == viewOf(camera, {}), "Computes view matrix of previous inputs.")
+
+    const position = [0, 0, 5]
+    const mutated = viewOf(camera, {position})
+    position[0] = 5
+    ok(mutated != viewOf(camera, {position}),
+      "Computes view matrix for inputs mutated in place.")
+    end()
+  })
@@ -1,6 +1,10 @@
 'use strict'
 import { sharedContext as ctx, xtest } from '../utils'
-import { Entity } from '../../lib/core'
+import { Entity, RecordingContext, Geometry } from '../../lib/core'
+import { Mesh } from '../../lib/mesh'
+import { Object3D } from '../../lib/object3d'
+import { PerspectiveCamera } from '../../lib/camera'
+import { BadArgumentError, UnknownArgumentError } from '../../lib/errors'
 import test from 'tape'
 
 const zeroes = (n) => Array(n).fill(0)
@@ -198,6 +202,18 @@ test("entity(args: Array, scope: Function) -> void: runs batched entity calls.",
   })
 
 
+test("entity(args: Array, scope: Function) -> void: does not merge initial state into items.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const items = []
+    const entity = Entity(ctx, {scale: 2}, (args, next) => next())
+    entity([{k: 1}, {k: 2}], ({}, args) => { items.push(args) })
+    ok(2 == items.length && items.every((item) => !('scale' in item)),
+      "Items of entities that are not batch entities are kept as is.")
+    end()
+  })
+
+
 test("entity(scope: Function) -> void: sets 'context.entityId' property'.",
   ({ok, plan, end}) => {
     plan(2)
@@ -239,3 +255,367 @@ test("Entity(ctx, ...components) -> entity(scope) -> void: " +
 
     end()
   })
+
+
+test("Entity(ctx, {onmount, onupdate}) -> entity(args) -> void: " +
+  "Calls lifecycle hooks.",
+  ({ok, end}) => {
+    const calls = []
+    const entity = Entity(ctx, {
+      value: 1,
+      onmount({entityId}, args) { calls.push(['mount', entityId, args.value]) },
+      onupdate({entityId}, args) { calls.push(['update', entityId, args.value]) },
+    })
+    ok(false == entity.isMounted, "Entity is not mounted before invocation.")
+    ok(null == entity.initialState.onmount,
+      "Hooks are not part of initial state.")
+    entity()
+    entity({value: 2})
+    ok(entity.isMounted, "Entity is mounted after invocation.")
+    ok(3 == calls.length, "Hooks are called on each invocation.")
+    ok('mount' == calls[0][0] && 'update' == calls[1][0] && 'update' == calls[2][0],
+      "onmount() is called once before onupdate().")
+    ok(entity.entityId == calls[0][1] && 2 == calls[2][2],
+      "Hooks are given context and arguments.")
+    end()
+  })
+
+
+test("entity.destroy() -> Function: releases resources owned by entity.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const destroyed = []
+    const ondestroy = (entity) => { destroyed.push(entity) }
+    const shared = Entity(ctx, {ondestroy})
+    let child = null
+    const entity = Entity.own(ctx, () => {
+      let buffer = null
+      child = Entity(ctx, {ondestroy}, (args, next) => {
+        buffer = buffer || ctx.regl.buffer([1, 2, 3])
+        next()
+      })
+      ctx.regl.buffer([4, 5, 6])
+      return Entity(ctx, {ondestroy}, child, shared,
+        (args, next) => { ctx.regl.texture({width: 2, height: 2}); next() })
+    })
+    const unowned = ctx.regl.buffer([1])
+    child()
+    entity()
+    const {owners} = ctx.stats()
+    ok(1 == owners[child.entityId].count,
+      "Entities own resources created while they run.")
+    ok(2 == owners[entity.entityId].count,
+      "Entities own resources created along with their components.")
+
+    const {warn} = console
+    const warnings = []
+    ok(entity == entity.destroy(), "Returns entity.")
+    console.warn = (...args) => warnings.push(args.join(' '))
+    try { entity(); entity() }
+    finally { console.warn = warn }
+
+    ok(entity.isDestroyed && child.isDestroyed,
+      "Destroys entity and entities created along with it.")
+    ok(false == shared.isDestroyed, "Does not destroy shared entities.")
+    ok(entity == destroyed[0] && child == destroyed[1],
+      "Calls ondestroy() before destroying owned entities.")
+    ok(1 == ctx.stats().count && false == unowned.destroyed,
+      "Releases owned resources only.")
+    ok(1 == warnings.length, "Warns once when invoking destroyed entity.")
+    entity.destroy()
+    ok(2 == destroyed.length, "Destroying twice is a no-op.")
+    end()
+  })
+
+
+test("Entity.own(ctx, create) -> Function: destroys resources if create throws.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const error = new Error()
+    throws(() => Entity.own(ctx, () => {
+      ctx.regl.buffer([1, 2, 3])
+      throw error
+    }), Error, "Throws errors of create.")
+    ok(0 == ctx.stats().count, "Destroys resources created before the error.")
+    end()
+  })
+
+
+test("Entity.inspect(entity: Function) -> Object: describes components.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const child = Entity(ctx, {value: 1},
+      ctx.regl({context: {foo: () => 'foo'}}))
+    const entity = Entity(ctx, child, function block(args, next) { next() })
+    const tree = Entity.inspect(entity)
+    ok('entity' == tree.type && entity.entityId == tree.entityId,
+      "Describes entity.")
+    ok(1 == tree.initialState.value, "Includes merged initial state.")
+    ok(2 == tree.children.length && 'entity' == tree.children[0].type,
+      "Describes nested entities.")
+    const [command] = tree.children[0].children
+    ok('command' == command.type && 0 == command.index && 'foo' in command.context,
+      "Describes context variables injected by commands.")
+    ok(undefined === command.context.foo,
+      "Context variable values are not recorded without debug context.")
+    ok('block' == tree.children[1].name && 1 == tree.children[1].index,
+      "Numbers components in combined order.")
+    throws(() => Entity.inspect({}), BadArgumentError,
+      "Throws BadArgumentError for non entities.")
+    end()
+  })
+
+
+test("Entity.dump(entity: Function) -> String: prints recorded values as tree.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({debug: true})
+    const entity = Entity(ctx, {value: 1},
+      ctx.regl({context: {foo: ({}, {value}) => value * 2}}))
+    entity({value: 3})
+
+    const {log} = console
+    const logs = []
+    console.log = (...args) => logs.push(args.join(' '))
+    let tree = null
+    try { tree = Entity.dump(entity) }
+    finally { console.log = log }
+
+    ok(ctx.debug, "context.debug is true.")
+    ok(1 == logs.length && tree == logs[0], "Prints and returns tree.")
+    ok(tree.startsWith(`<Entity entityId=${entity.entityId}> (1 calls)`),
+      "Formats entity with number of recorded calls.")
+    ok(/└─ \[0\] Command/.test(tree), "Formats components as branches.")
+    ok(/context\.foo = 6/.test(tree), "Formats recorded context values.")
+    ok(/args: \{"value":3\}/.test(tree), "Formats recorded arguments.")
+    end()
+  })
+
+
+test("entity.setSlot(name, component) -> Function: swaps named components.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const calls = []
+    const component = (name) => (args, next) => { calls.push(name); next() }
+    const entity = Entity(ctx,
+      Entity.slot('first', component('a')),
+      component('b'),
+      Entity.slot('last', component('c')))
+    const combined = entity.combinedComponents
+
+    ok('first,last' == entity.slots.join(), "Lists slot names in order.")
+    entity()
+    ok('a,b,c' == calls.join(), "Calls slot components in order.")
+
+    calls.splice(0)
+    ok(entity == entity.setSlot('first', component('d')), "Returns entity.")
+    ok(combined == entity.combinedComponents,
+      "Components are combined again lazily.")
+    entity()
+    ok('d,b,c' == calls.join(), "Swaps slot component.")
+    ok(combined != entity.combinedComponents,
+      "Components are combined again on next invocation.")
+
+    calls.splice(0)
+    entity.insertSlot('second', component('e'), {after: 'first'})
+    entity.insertSlot('zeroth', component('f'), {before: 'first'})
+    entity.insertSlot('end', component('g'))
+    entity()
+    ok('f,d,e,b,c,g' == calls.join(), "Inserts slot components.")
+
+    calls.splice(0)
+    entity.removeSlot('first').removeSlot('end').removeSlot('missing')
+    entity()
+    ok('f,e,b,c' == calls.join(), "Removes slot components.")
+    ok(null == entity.getSlot('first') && 'function' == typeof entity.getSlot('last'),
+      "Gets slot components by name.")
+
+    throws(() => entity.insertSlot('last', component('h')), BadArgumentError,
+      "Throws BadArgumentError for used slot names.")
+    throws(() => entity.insertSlot('h', component('h'), {before: 'x'}),
+      BadArgumentError, "Throws BadArgumentError for unknown slot names.")
+    throws(() => Entity.slot('x', null), BadArgumentError,
+      "Throws BadArgumentError for non function components.")
+    end()
+  })
+
+
+test("entity.insertSlot(name, component) -> Function: keeps mesh resources.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const calls = []
+    const child = Entity(ctx, Entity.slot('value', (args, next) => {
+      calls.push('child'); next()
+    }))
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      cells: [[0, 1, 2]],
+    }})})
+    const parent = Entity(ctx, child)
+    const {count} = ctx.stats()
+
+    mesh.insertSlot('outline', (args, next) => { calls.push('outline'); next() },
+      {before: 'draw'})
+    mesh()
+    ok('outline' == calls.join() && 1 == ctx.draws.length,
+      "Inserts component into mesh.")
+    ok(count == ctx.stats().count, "Does not create mesh resources again.")
+
+    calls.splice(0)
+    parent()
+    child.setSlot('value', (args, next) => { calls.push('swapped'); next() })
+    parent()
+    ok('child,swapped' == calls.join(),
+      "Entities flattening a changed entity combine components again.")
+    end()
+  })
+
+
+test("Entity(ctx, {schema}) -> entity(args) -> void: validates arguments.",
+  ({ok, throws, doesNotThrow, end}) => {
+    const ctx = new RecordingContext()
+    const entity = Object.assign(Entity(ctx, {
+      scale: [1, 1, 1],
+      schema: {
+        position: 'vec3',
+        scale: ['number', 'vec3'],
+        color: {type: 'array', length: 4},
+        geometry: {type: Geometry, required: true},
+      }
+    }), {displayName: 'Box'})
+    const geometry = new Geometry({complex: {positions: [], cells: []}})
+    const message = (fn) => { try { fn() } catch (err) { return err.message } }
+
+    ok(null == entity.initialState.schema, "Schema is not part of initial state.")
+    doesNotThrow(() => entity({geometry, position: [1, 2, 3], scale: 2}),
+      "Accepts valid arguments.")
+    doesNotThrow(() => entity([{geometry}, {geometry, scale: [1, 2, 3]}]),
+      "Accepts valid batched arguments.")
+    throws(() => entity({geometry, postion: [1, 2, 3]}), BadArgumentError,
+      "Throws BadArgumentError for unknown keys.")
+    ok(/Box args\.postion/.test(message(() => entity({geometry, postion: []}))),
+      "Error names component and key.")
+    ok(/did you mean 'position'/.test(message(() => entity({geometry, postion: []}))),
+      "Error suggests known keys.")
+    throws(() => entity({geometry, position: [1, 2]}), BadArgumentError,
+      "Throws BadArgumentError for bad vector lengths.")
+    throws(() => entity({geometry, color: [1, 1, 1]}), BadArgumentError,
+      "Throws BadArgumentError for bad array lengths.")
+    throws(() => entity({geometry, scale: 'big'}), BadArgumentError,
+      "Throws BadArgumentError for bad types.")
+    throws(() => entity(), BadArgumentError,
+      "Throws BadArgumentError for missing required keys.")
+    throws(() => entity([{geometry}, {}]), BadArgumentError,
+      "Validates each batched argument.")
+    throws(() => Entity(ctx, {schema: {position: 'vec5'}}), BadArgumentError,
+      "Throws BadArgumentError for unknown schema types.")
+    end()
+  })
+
+
+test("Entity(ctx, {displayName}) -> Function: names the entity.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const entity = Entity(ctx, {displayName: 'Box', schema: {position: 'vec3'}})
+    const message = (fn) => { try { fn() } catch (err) { return err.message } }
+    ok('Box' == entity.displayName, "Sets displayName from initial state.")
+    ok(null == entity.initialState.displayName,
+      "displayName is not part of initial state.")
+    ok(/Box args\.postion/.test(message(() => entity({postion: []}))),
+      "Error names entity.")
+    ok(null == Entity(ctx).displayName, "Entities are unnamed by default.")
+
+    const geometry = new Geometry({complex: {positions: [], cells: []}})
+    ok('Mesh' == Mesh(ctx, {geometry}).displayName, "Names built-in components.")
+    ok('Floor' == Mesh(ctx, {geometry, displayName: 'Floor'}).displayName,
+      "Built-in component names can be overridden.")
+    end()
+  })
+
+
+test("Entity(ctx, {schema}) -> entity(args) -> void: rejects unknown keys.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const entity = Entity(ctx, {displayName: 'Box', schema: {position: 'vec3'}})
+    const message = (fn) => { try { fn() } catch (err) { return err.message } }
+    throws(() => entity({postion: []}), UnknownArgumentError,
+      "Throws UnknownArgumentError for unknown keys.")
+    ok(!/Got/.test(message(() => entity({postion: []}))),
+      "Error does not describe the value.")
+    ok(/expecting one of position/.test(message(() => entity({color: []}))),
+      "Error lists expected keys without a suggestion.")
+    end()
+  })
+
+
+test("Built-in components validate arguments.",
+  ({ok, throws, doesNotThrow, end}) => {
+    const ctx = new RecordingContext()
+    const geometry = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      cells: [[0, 1, 2]],
+    }})
+    const mesh = Mesh(ctx, {geometry})
+    const camera = PerspectiveCamera(ctx)
+    const object = Object3D(ctx)
+
+    doesNotThrow(() => mesh({position: [1, 2, 3], scale: 2, wireframe: true}),
+      "Mesh accepts known arguments.")
+    throws(() => mesh({postion: [1, 2, 3]}), UnknownArgumentError,
+      "Mesh rejects unknown keys.")
+    throws(() => mesh({position: [1, 2]}), BadArgumentError,
+      "Mesh rejects bad vector lengths.")
+    doesNotThrow(() => camera({position: [0, 0, 2], fov: 1}),
+      "PerspectiveCamera accepts known arguments.")
+    throws(() => camera({postion: [0, 0, 2]}), UnknownArgumentError,
+      "PerspectiveCamera rejects unknown keys.")
+    throws(() => object({rotation: [0, 0, 0]}), BadArgumentError,
+      "Object3D rejects bad quaternions.")
+
+    const custom = Mesh(ctx, {geometry, schema: {color: 'vec4'}})
+    doesNotThrow(() => custom({color: [1, 0, 0, 1], position: [0, 0, 0]}),
+      "Schemas in initial state extend built-in schemas.")
+    end()
+  })
+
+
+test("Entity(ctx, {schema}) -> entity(args) -> void: skips validation in production.",
+  ({ok, doesNotThrow, end}) => {
+    const ctx = new RecordingContext()
+    const {NODE_ENV} = process.env
+    process.env.NODE_ENV = 'production'
+    try {
+      const entity = Entity(ctx, {schema: {position: 'vec3'}})
+      ok(null == entity.initialState.schema, "Schema is not part of initial state.")
+      doesNotThrow(() => entity({postion: [1, 2]}),
+        "Does not validate arguments.")
+      doesNotThrow(() => Entity(ctx, {schema: {position: 'vec5'}}),
+        "Does not normalize schema.")
+    } finally {
+      if (undefined === NODE_ENV) { delete process.env.NODE_ENV }
+      else { process.env.NODE_ENV = NODE_ENV }
+    }
+    end()
+  })
+
+
+test("Entity(ctx, {batch: true}) -> entity(args: Array) -> void: " +
+  "runs components once.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const calls = []
+    const entity = Entity(ctx, {batch: true, value: 1}, (args, next) => {
+      calls.push(args)
+      next()
+    })
+    entity([{value: 2}, {}])
+    ok(1 == calls.length, "Components are called once.")
+    ok(null == entity.initialState.batch, "Option is not part of initial state.")
+    ok(2 == calls[0].batch.length && 2 == calls[0].batch[0].value &&
+       1 == calls[0].batch[1].value,
+      "Components are given batched arguments with initial state.")
+    calls.splice(0)
+    entity([{}, {}], () => {})
+    ok(2 == calls.length && null == calls[0].batch,
+      "Components are called for each object with a scope function.")
+    end()
+  })
@@ -3,6 +3,8 @@ import assert from 'assert'
 import bunny from 'bunny'
 import test from 'tape'
 
+const near = (a, b) => a.every((c, i) => Math.abs(c - b[i]) < 1e-6)
+
 test("new Geometry(opts: Object = {}) -> Geometry",
   ({ok, throws, end}) => {
     ok('function' == typeof Geometry,
@@ -114,6 +116,21 @@ test("geometry.uvs -> Array|null",
   })
 
 
+test("geometry.colors -> Array|null",
+  ({ok, deepEqual, end}) => {
+    const geometry = new Geometry()
+    ok(null === geometry.colors, "Is null without complex")
+    geometry.complex = {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      colors: [[1, 0, 0], [0, 1, 0, 0.5], [0, 0, 1]],
+      cells: [[0, 1, 2]],
+    }
+    deepEqual(geometry.colors, [[1, 0, 0, 1], [0, 1, 0, 0.5], [0, 0, 1, 1]],
+      "Defaults alpha to 1.")
+    end()
+  })
+
+
 test("geometry.computeBoundingBox() -> Array|null",
   ({ok, end}) => {
     const geometry = new Geometry()
@@ -124,3 +141,271 @@ test("geometry.computeBoundingBox() -> Array|null",
       "Is an array after complex is set.")
     end()
   })
+
+
+test("geometry.computeTangents() -> Array|null",
+  ({ok, end}) => {
+    ok(null === new Geometry().computeTangents(), "Is null without complex.")
+    const geometry = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]],
+      normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      uvs: [[0, 0], [1, 0], [1, 1], [0, 1]],
+      cells: [[0, 1, 2], [0, 2, 3]],
+    }})
+    ok(null === geometry.tangents, "Tangents are not computed by default.")
+    const tangents = geometry.computeTangents()
+    ok(tangents == geometry.tangents, "Stores tangents in complex.")
+    ok(tangents.every((t) => '1,0,0,1' == t.join()),
+      "Points along increasing U with right handedness.")
+
+    const mirrored = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [1, 1, 0]],
+      normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      uvs: [[1, 0], [0, 0], [0, 1]],
+      cells: [[0, 1, 2]],
+    }})
+    ok(mirrored.computeTangents().every(([x, y, z, w]) => -1 == x && -1 == w),
+      "Stores handedness of mirrored UVs in w.")
+
+    const degenerate = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [1, 1, 0]],
+      normals: [[1, 0, 0], [1, 0, 0], [1, 0, 0]],
+      uvs: [[0, 0], [0, 0], [0, 0]],
+      cells: [[0, 1, 2]],
+    }})
+    ok(degenerate.computeTangents().every(([x, y, z]) => {
+      return 0 == x && 1 == Math.round(Math.sqrt(y*y + z*z))
+    }), "Falls back to a unit vector orthogonal to the normal.")
+
+    const bunnyGeometry = new Geometry(bunny)
+    bunnyGeometry.complex = {uvs: bunnyGeometry.positions.map(([x, y]) => [x, y])}
+    ok(bunnyGeometry.computeTangents().every((t, i) => {
+      const n = bunnyGeometry.normals[i]
+      const dot = n[0]*t[0] + n[1]*t[1] + n[2]*t[2]
+      const length = Math.sqrt(t[0]*t[0] + t[1]*t[1] + t[2]*t[2])
+      return Math.abs(dot) < 1e-6 && Math.abs(1 - length) < 1e-6
+    }), "Tangents are unit vectors orthogonal to normals.")
+
+    const fan = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0], [-1, 1, 0]],
+      normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      uvs: [[0, 0], [1, 0], [0, 1], [-1, 2]],
+      cells: [[0, 1, 2], [0, 2, 3]],
+    }})
+    const [x, y] = [ Math.PI/2 + Math.PI/4/Math.SQRT2, Math.PI/4/Math.SQRT2 ]
+    const length = Math.sqrt(x*x + y*y)
+    ok(near(fan.computeTangents()[0], [x/length, y/length, 0, 1]),
+      "Weights triangle tangents by their angle at the vertex.")
+
+    const complex = {
+      positions: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]],
+      normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      uvs: [[0, 0], [1, 0], [1, 1], [2, 1]],
+      cells: [[0, 1, 2], [0, 2, 3]],
+    }
+    const seam = new Geometry({complex})
+    const seamTangents = seam.computeTangents()
+    ok(6 == seam.positions.length && 6 == seamTangents.length &&
+      6 == seam.uvs.length && 4 == complex.positions.length,
+      "Splits vertices shared by mirrored and unmirrored UVs.")
+    ok(seam.cells[0].every((i) => '1,0,0,1' == seamTangents[i].join()) &&
+      seam.cells[1].every((i) => '-1,0,0,-1' == seamTangents[i].join()),
+      "Gives each side of a UV mirror seam its own tangents.")
+    ok(seam.cells[1].every((i, j) => {
+      return complex.positions[complex.cells[1][j]].join() == seam.positions[i].join()
+    }), "Split vertices keep their vertex data.")
+    end()
+  })
+
+
+test("new Geometry({complex, uvMode}) projects missing UVs.",
+  ({ok, deepEqual, throws, end}) => {
+    const positions = () => [[-1, -1, 0], [1, -1, 0], [1, 1, 0], [-1, 1, 0]]
+    const cells = [[0, 1, 2], [0, 2, 3]]
+    const geometry = new Geometry({complex: {positions: positions(), cells}})
+    ok('box' == geometry.uvMode, "Defaults to box projection.")
+    deepEqual(geometry.uvs, [[0, 0], [1, 0], [1, 1], [0, 1]],
+      "Projects UVs onto bounding box faces.")
+
+    const planar = new Geometry({
+      uvMode: 'planar', complex: {positions: positions(), cells}
+    })
+    deepEqual(planar.uvs, [[0, 0], [1, 0], [1, 1], [0, 1]],
+      "Accepts uvMode option.")
+
+    const uvs = [[0, 0], [0, 0], [0, 0], [0, 0]]
+    ok(uvs == new Geometry({uvMode: 'spherical', complex: {
+      positions: positions(), cells, uvs
+    }}).uvs, "Keeps given UVs.")
+    throws(() => new Geometry({uvMode: 'magic'}), TypeError,
+      "Throws TypeError for unknown UV mode.")
+    end()
+  })
+
+
+test("geometry.projectUVs(mode: String, opts: Object) -> Array|null",
+  ({ok, deepEqual, throws, end}) => {
+    const round = (uvs) => uvs.map((uv) => uv.map((c) => Math.round(c*1000)/1000))
+    ok(null === new Geometry().projectUVs(), "Is null without complex.")
+
+    const geometry = new Geometry({complex: {
+      positions: [[1, 0, 0], [0, 0, 1], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, -1]],
+      cells: [[0, 1, 3], [1, 2, 3], [0, 4, 1], [1, 4, 2]],
+    }})
+    const spherical = geometry.projectUVs('spherical')
+    ok(spherical == geometry.uvs, "Stores UVs in complex.")
+    deepEqual(round(spherical), [[0.75, 0.5], [0.5, 0.5], [0.25, 0.5], [0.5, 1], [0.5, 0], [1, 0.5]],
+      "Projects UVs around a sphere.")
+    deepEqual(round(geometry.projectUVs('cylindrical')).map(([, v]) => v),
+      [0.5, 0.5, 0.5, 1, 0, 0.5],
+      "Projects UVs around a cylinder.")
+    deepEqual(round(geometry.projectUVs('spherical', {center: [0, -1, 0]}))[3],
+      [0.5, 1], "Accepts projection center.")
+    deepEqual(round(geometry.projectUVs('planar', {axis: 'y'})),
+      [[1, 0.5], [0.5, 0], [0, 0.5], [0.5, 0.5], [0.5, 0.5], [0.5, 1]],
+      "Accepts projection axis.")
+
+    const box = new Geometry({complex: {
+      positions: [[1, 0.5, 0.5], [-1, 0.5, 0.5]],
+      normals: [[1, 0, 0], [-1, 0, 0]],
+      cells: [[0, 1, 1]],
+    }})
+    deepEqual(box.projectUVs('box'), [[0.5, 0.5], [0.5, 0.5]],
+      "Projects onto faces normals face.")
+    throws(() => geometry.projectUVs('magic'), TypeError,
+      "Throws TypeError for unknown UV mode.")
+    throws(() => geometry.projectUVs('planar', {axis: 'w'}), TypeError,
+      "Throws TypeError for unknown axis.")
+    end()
+  })
+
+
+// a triangle in the XY plane facing +Z
+const triangle = () => new Geometry({complex: {
+  positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+  cells: [[0, 1, 2]],
+}})
+
+
+
+test("geometry.applyMatrix(matrix: Array) -> Geometry",
+  ({ok, deepEqual, throws, end}) => {
+    const geometry = triangle()
+    ok(geometry == geometry.applyMatrix([
+      2, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      1, 2, 3, 1,
+    ]), "Returns geometry.")
+    deepEqual(geometry.positions, [[1, 2, 3], [3, 2, 3], [1, 3, 3]],
+      "Transforms positions.")
+
+    const sheared = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      normals: [[0.6, 0.8, 0], [0.6, 0.8, 0], [0.6, 0.8, 0]],
+      cells: [[0, 1, 2]],
+    }})
+    sheared.scale([2, 1, 1])
+    ok(near(sheared.normals[0], [0.6/2, 0.8, 0].map((c) => c/Math.hypot(0.3, 0.8))),
+      "Transforms normals by the inverse transpose.")
+
+    const mirrored = triangle()
+    mirrored.computeTangents()
+    const w = mirrored.tangents[0][3]
+    mirrored.scale([-1, 1, 1])
+    deepEqual(mirrored.cells, [[2, 1, 0]], "Reverses winding of mirrored cells.")
+    ok(near(mirrored.normals[0], [0, 0, 1]), "Keeps mirrored normals facing out.")
+    ok(near(mirrored.tangents[0], [-1, 0, 0, -w]),
+      "Transforms tangents and flips mirrored handedness.")
+    throws(() => geometry.applyMatrix([1, 0, 0]), TypeError,
+      "Throws TypeError for malformed matrices.")
+
+    const complex = {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      cells: [[0, 1, 2]],
+    }
+    const source = new Geometry({complex})
+    source.computeTangents()
+    const tangents = source.tangents.map((tangent) => tangent.slice())
+    source.scale([-2, 1, 1])
+    deepEqual(complex.positions, [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      "Does not modify positions of source complex.")
+    deepEqual(complex.normals, [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      "Does not modify normals of source complex.")
+    deepEqual(complex.cells, [[0, 1, 2]],
+      "Does not modify cells of source complex.")
+    ok(tangents[0][3] == -source.tangents[0][3],
+      "Flips handedness of transformed tangents only.")
+    end()
+  })
+
+
+test("geometry.translate/rotate/scale/center() -> Geometry",
+  ({ok, deepEqual, end}) => {
+    const geometry = triangle()
+    deepEqual(geometry.translate([1, 1, 1]).positions,
+      [[1, 1, 1], [2, 1, 1], [1, 2, 1]], "Translates.")
+    deepEqual(triangle().scale(2).positions,
+      [[0, 0, 0], [2, 0, 0], [0, 2, 0]], "Scales uniformly.")
+    const s = Math.SQRT1_2
+    const rotated = triangle().rotate([0, 0, s, s])
+    ok(near(rotated.positions[1], [0, 1, 0]), "Rotates by quaternion.")
+    ok(near(rotated.normals[0], [0, 0, 1]), "Rotates normals.")
+    deepEqual(geometry.center().computeBoundingBox(),
+      [[-0.5, -0.5, 0], [0.5, 0.5, 0]], "Centers bounding box at origin.")
+    const empty = new Geometry()
+    ok(empty == empty.center(), "Centers geometry without positions.")
+    end()
+  })
+
+
+test("geometry.computeBoundingSphere() -> Object|null",
+  ({ok, deepEqual, end}) => {
+    ok(null === new Geometry().computeBoundingSphere(),
+      "Is null without complex.")
+    const {center, radius} = triangle().computeBoundingSphere()
+    deepEqual(center, [0.5, 0.5, 0], "Centers at bounding box center.")
+    ok(Math.abs(radius - Math.SQRT1_2) < 1e-6, "Contains every vertex.")
+    end()
+  })
+
+
+test("geometry.clone() -> Geometry",
+  ({ok, deepEqual, end}) => {
+    const geometry = triangle()
+    geometry.complex.colors = [[1, 0, 0, 1], [0, 1, 0, 1], [0, 0, 1, 1]]
+    const clone = geometry.clone()
+    ok(clone instanceof Geometry && clone != geometry, "Creates a geometry.")
+    deepEqual(clone.complex, geometry.complex, "Copies complex.")
+    clone.translate([1, 0, 0])
+    deepEqual(geometry.positions[0], [0, 0, 0], "Does not share vertex data.")
+    ok(clone.uvMode == geometry.uvMode, "Copies UV mode.")
+    end()
+  })
+
+
+test("Geometry.merge(geometries: Array, opts: Object) -> Geometry",
+  ({ok, deepEqual, throws, end}) => {
+    const a = triangle()
+    const b = triangle()
+    b.complex.colors = [[1, 0, 0, 1], [0, 1, 0, 1], [0, 0, 1, 1]]
+    const merged = Geometry.merge([a, b], {matrices: [
+      null,
+      [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 5, 1],
+    ]})
+    ok(merged instanceof Geometry, "Creates a geometry.")
+    deepEqual(merged.positions,
+      [[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 5], [1, 0, 5], [0, 1, 5]],
+      "Concatenates transformed positions.")
+    deepEqual(merged.cells, [[0, 1, 2], [3, 4, 5]], "Offsets cells.")
+    ok(6 == merged.normals.length && 6 == merged.uvs.length,
+      "Keeps attributes every geometry has.")
+    ok(null === merged.colors, "Drops attributes a geometry is missing.")
+    deepEqual(b.positions[0], [0, 0, 0], "Does not transform inputs.")
+    throws(() => Geometry.merge([a, {}]), TypeError,
+      "Throws TypeError for values that are not geometries.")
+    throws(() => Geometry.merge([a], {matrices: 1}), TypeError,
+      "Throws TypeError for malformed matrices.")
+    end()
+  })
@@ -1,5 +1,10 @@
 import './context'
+import './capabilities'
 import './dynamic'
+import './recording'
+import './resources'
+import './profiler'
+import './view'
 import './entity'
 import './geometry'
 import './shaderlib'
@@ -0,0 +1,156 @@
+'use strict'
+import {
+  RecordingContext,
+  Profiler,
+  Geometry,
+  Entity,
+} from '../../lib/core'
+import { Frame } from '../../lib/frame'
+import { Mesh } from '../../lib/mesh'
+import test from 'tape'
+
+const complex = {
+  positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+  normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+  uvs: [[0, 0], [1, 0], [0, 1]],
+  cells: [[0, 1, 2]],
+}
+
+test("new Profiler(opts: Object = {}) -> Profiler",
+  ({ok, end}) => {
+    ok('function' == typeof Profiler, "Profiler is constructor.")
+    ok(false === new Profiler().enabled, "Is disabled by default.")
+    ok(true === new Profiler({enabled: true}).enabled,
+      "Is enabled with 'enabled' option.")
+    ok(null == new Profiler().last, "Has no complete frame after instantiation.")
+    ok(0 == new Profiler().table().length, "Has empty table after instantiation.")
+    end()
+  })
+
+
+test("context.profiler -> Profiler",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    ok(ctx.profiler instanceof Profiler, "Is a Profiler instance.")
+    ok(false === ctx.profiler.enabled, "Is disabled without 'profile' option.")
+    mesh()
+    ok(0 == ctx.profiler.current.draws, "Does not collect stats when disabled.")
+    end()
+  })
+
+
+test("context.profiler collects draws and CPU time per entity.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({profile: true})
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const group = Entity(ctx, {})
+    const {profiler} = ctx
+    ok(true === profiler.enabled, "Is enabled with 'profile' option.")
+
+    group(() => { mesh(); mesh() })
+    const {entities, draws} = profiler.current
+    ok(2 == draws, "Counts draws in frame.")
+    ok(entities[mesh.entityId] && 2 == entities[mesh.entityId].draws,
+      "Counts draws per entity.")
+    ok(2 == entities[mesh.entityId].calls, "Counts calls per entity.")
+    ok(0 == entities[group.entityId].draws,
+      "Draws are counted for the innermost entity.")
+    ok(entities[group.entityId].cpuTime >= entities[mesh.entityId].cpuTime,
+      "CPU time includes nested entities.")
+    ok(entities[group.entityId].selfTime <= entities[group.entityId].cpuTime,
+      "Self time excludes nested entities.")
+
+    mesh([{}, {}, {}])
+    ok(5 == profiler.current.entities[mesh.entityId].draws,
+      "Counts batch draws.")
+    end()
+  })
+
+
+test("context.profiler.frame(tick: Number) -> Profiler",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({profile: true})
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const {profiler} = ctx
+    profiler.frame(0)
+    mesh()
+    ok(profiler == profiler.frame(0), "Returns instance when called.")
+    ok(null == profiler.last, "Same tick does not complete frame.")
+    profiler.frame(1)
+    ok(profiler.last && 0 == profiler.last.tick && 1 == profiler.last.draws,
+      "New tick completes frame.")
+    ok(0 == profiler.current.draws, "Starts new frame.")
+    end()
+  })
+
+
+test("context.profiler attributes GPU time to entities.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({profile: true})
+    const draw = ctx.regl({})
+    const entity = Entity(ctx, {}, (args, next) => { draw(); next() })
+    const {profiler} = ctx
+    ok(true === profiler.hasGPUTimer,
+      "Measures GPU time with timer query extension.")
+    profiler.frame(0)
+    entity()
+    draw.stats.gpuTime = 2
+    profiler.frame(1)
+    ok(2 == profiler.last.entities[entity.entityId].gpuTime,
+      "Reads GPU time from command stats.")
+    ok(2 == profiler.last.gpuTime, "Sums GPU time in frame.")
+    entity()
+    draw.stats.gpuTime = 3
+    profiler.frame(2)
+    ok(1 == profiler.last.entities[entity.entityId].gpuTime,
+      "Reports GPU time resolved since previous frame.")
+    end()
+  })
+
+
+test("context.profiler splits GPU time of shared commands by draws.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({profile: true})
+    const draw = ctx.regl({})
+    const a = Entity(ctx, {}, (args, next) => { draw(); next() })
+    const b = Entity(ctx, {}, (args, next) => { draw(3); next() })
+    const {profiler} = ctx
+    profiler.frame(0)
+    a()
+    b()
+    draw.stats.gpuTime = 8
+    profiler.frame(1)
+    ok(2 == profiler.last.entities[a.entityId].gpuTime &&
+       6 == profiler.last.entities[b.entityId].gpuTime,
+      "Splits GPU time of a command by draw counts.")
+    ok(8 == profiler.last.gpuTime, "Sums GPU time in frame.")
+    draw.stats.gpuTime = 12
+    profiler.frame(2)
+    ok(1 == profiler.last.entities[a.entityId].gpuTime &&
+       3 == profiler.last.entities[b.entityId].gpuTime,
+      "Splits late GPU time by the last draw counts.")
+    end()
+  })
+
+
+test("Frame callbacks can read profiler stats.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({profile: true})
+    const frame = Frame(ctx)
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const seen = []
+    frame(({profiler}) => {
+      seen.push(profiler && profiler.last ? profiler.last.draws : null)
+      mesh()
+    })
+    ctx.step(3)
+    ok(null == seen[0], "No complete frame in first frame.")
+    ok(1 == seen[1] && 1 == seen[2], "Reads stats of previous frame.")
+    const [row] = ctx.profiler.table()
+    ok(row && row.cpuTime >= 0 && 'number' == typeof row.entityId,
+      "table() returns rows of entity stats.")
+    ok(ctx.profiler == ctx.profiler.clear() && null == ctx.profiler.last,
+      "clear() removes collected stats.")
+    end()
+  })
@@ -0,0 +1,168 @@
+'use strict'
+import { RecordingContext, createRecordingRegl, Context } from '../../lib/core'
+import test from 'tape'
+
+test("new RecordingContext(opts: Object = {}) -> RecordingContext",
+  ({ok, throws, end}) => {
+    ok('function' == typeof RecordingContext,
+      "RecordingContext is constructor.")
+
+    throws(() => { RecordingContext() }, Error,
+      "Must be called with 'new' operator.")
+
+    ok(new RecordingContext() instanceof Context,
+      "Is an instance of Context.")
+
+    ok(new RecordingContext(null),
+      "First argument can be null.")
+
+    throws(() => { new RecordingContext(1) }, Error,
+      "First argument cannot be a Number.")
+
+    throws(() => { new RecordingContext([]) }, Error,
+      "First argument cannot be an Array.")
+
+    end()
+  })
+
+
+test("createRecordingRegl(opts: Object) -> Function",
+  ({ok, end}) => {
+    let done = null
+    const regl = createRecordingRegl({onDone: (err, regl) => { done = regl }})
+    ok('function' == typeof regl, "Returns a function.")
+    ok(done == regl, "Calls onDone() with regl instance.")
+    ok(new Context(null, createRecordingRegl).regl,
+      "Can be given to Context as second argument.")
+    end()
+  })
+
+
+test("recordingContext.regl(opts) -> Function: records draw calls.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 100, height: 50})
+    const scope = ctx.regl({
+      context: { value: ({}, {value}) => value },
+      uniforms: { value: ({value}) => value },
+      depth: { enable: false },
+    })
+    const draw = ctx.regl({
+      vert: 'vertex', frag: 'fragment',
+      uniforms: { other: ctx.regl.prop('other') },
+      attributes: { position: ctx.regl.buffer([[0, 0, 0]]) },
+      count: 1,
+    })
+
+    scope({value: 2}, ({value, viewportWidth}) => {
+      ok(2 == value, "Injects context variables.")
+      ok(100 == viewportWidth, "Injects viewport context variables.")
+      draw({other: 3})
+    })
+
+    const [call] = ctx.draws
+    ok(1 == ctx.draws.length, "Records a single draw call.")
+    ok('vertex' == call.vert && 'fragment' == call.frag,
+      "Records shader sources.")
+    ok(2 == call.uniforms.value && 3 == call.uniforms.other,
+      "Records uniforms resolved from scope and command.")
+    ok('buffer' == call.attributes.position._reglType,
+      "Records attributes.")
+    ok(false === call.state.depth.enable, "Records scoped state.")
+    ok(1 == call.count, "Records count.")
+    ok(ctx == ctx.reset() && 0 == ctx.calls.length,
+      "reset() clears recorded calls.")
+    end()
+  })
+
+
+test("recordingContext.regl(args: Array|Number) -> void: records batch calls.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const draw = ctx.regl({uniforms: {k: ctx.regl.prop('k')}})
+    draw([{k: 1}, {k: 2}])
+    draw(2)
+    ok(4 == ctx.draws.length, "Records a draw call for each batch.")
+    ok(ctx.draws.map(({batchId}) => batchId).join() == '0,1,0,1',
+      "Records batch ids.")
+    ok(1 == ctx.draws[0].uniforms.k && 2 == ctx.draws[1].uniforms.k,
+      "Resolves props per batch.")
+    end()
+  })
+
+
+test("recordingContext.step(count: Number = 1) -> RecordingContext",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const ticks = []
+    const loop = ctx.regl.frame(({tick}) => {
+      ticks.push(tick)
+      ctx.regl.clear({color: [0, 0, 0, 1]})
+    })
+    ok(ctx == ctx.step(3), "Returns instance when called.")
+    ok('0,1,2' == ticks.join(), "Calls frame callbacks once per frame.")
+    ok(3 == ctx.calls.filter(({type}) => 'clear' == type).length,
+      "Records clear calls.")
+    loop.cancel()
+    ctx.step()
+    ok(3 == ticks.length, "Cancelled frame callbacks are not called.")
+    end()
+  })
+
+
+test("recordingContext.loseContext() and recordingContext.restoreContext() " +
+  "emit context loss events.",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    const events = []
+    const draw = ctx.regl({})
+    let frames = 0
+    ctx.on('contextlost', () => events.push('contextlost'))
+    ctx.on('contextrestored', () => events.push('contextrestored'))
+    ctx.regl.frame(() => ++frames)
+
+    ok(false === ctx.isContextLost, "Context is not lost after creation.")
+    ok(ctx == ctx.loseContext(), "Returns instance when called.")
+    ok(true === ctx.isContextLost, "Sets context.isContextLost to true.")
+    throws(() => draw(), Error, "Commands throw while context is lost.")
+    ctx.step()
+    ok(0 == frames, "Frames are paused while context is lost.")
+
+    ok(ctx == ctx.restoreContext(), "Returns instance when called.")
+    ok(false === ctx.isContextLost, "Sets context.isContextLost to false.")
+    ctx.step()
+    ok(1 == frames, "Frames resume after context is restored.")
+    ok('contextlost,contextrestored' == events.join(),
+      "Emits 'contextlost' and 'contextrestored' events.")
+    end()
+  })
+
+
+test("recordingContext.resize(width: Number, height: Number) -> RecordingContext",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 100, height: 50, pixelRatio: 2})
+    const getContext = ctx.regl({})
+    let event = null
+    ok(100 == ctx.width && 50 == ctx.height, "Is sized after instantiation.")
+    ctx.on('resize', (e) => { event = e })
+    ok(ctx == ctx.resize(20, 10), "Returns instance when called.")
+    ok(event && 20 == event.width && 10 == event.height && 2 == event.pixelRatio,
+      "Emits 'resize' event with new size.")
+    getContext(({drawingBufferWidth, drawingBufferHeight}) => {
+      ok(40 == drawingBufferWidth && 20 == drawingBufferHeight,
+        "Resizes drawing buffer.")
+    })
+    ctx.pixelRatio = 1
+    getContext(({drawingBufferWidth}) => {
+      ok(20 == drawingBufferWidth, "Resizes drawing buffer with pixel ratio.")
+    })
+    end()
+  })
+
+
+test("new RecordingContext({version: 2}) -> RecordingContext",
+  ({ok, end}) => {
+    ok(1 == new RecordingContext().version, "Defaults to WebGL1.")
+    ok(2 == new RecordingContext({version: 2}).version,
+      "Reports WebGL2 when 'version' is 2.")
+    end()
+  })
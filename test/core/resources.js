@@ -0,0 +1,193 @@
+'use strict'
+import {
+  RecordingContext,
+  ResourceRegistry,
+  Geometry,
+  Entity,
+} from '../../lib/core'
+import { Mesh } from '../../lib/mesh'
+import { BoxGeometry } from '../../lib/geometry'
+import { Texture, CubeTexture } from '../../lib/texture'
+import { FrameBuffer } from '../../lib/framebuffer'
+import { Picker } from '../../lib/picker'
+import test from 'tape'
+
+test("new ResourceRegistry() -> ResourceRegistry",
+  ({ok, end}) => {
+    const resources = new ResourceRegistry()
+    ok('function' == typeof ResourceRegistry,
+      "ResourceRegistry is constructor.")
+    ok(0 == resources.list().length, "Is empty after instantiation.")
+    ok(0 == resources.stats().count && 0 == resources.stats().bytes,
+      "Has empty stats after instantiation.")
+    end()
+  })
+
+
+test("context.stats() -> Object: counts live resources.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const buffer = ctx.regl.buffer(new Float32Array(8))
+    const texture = ctx.regl.texture({width: 4, height: 2})
+    const stats = ctx.stats()
+    ok(ctx.resources instanceof ResourceRegistry,
+      "context.resources is a ResourceRegistry.")
+    ok(2 == stats.count, "Counts live resources.")
+    ok(1 == stats.types.buffer.count && 32 == stats.types.buffer.bytes,
+      "Estimates buffer bytes.")
+    ok(1 == stats.types.texture.count && 32 == stats.types.texture.bytes,
+      "Estimates texture bytes.")
+    ok(64 == stats.bytes, "Sums estimated bytes.")
+    ok(2 == stats.owners.unowned.count,
+      "Resources created outside of entities are unowned.")
+    buffer.destroy()
+    texture.destroy()
+    ok(0 == ctx.stats().count, "Destroyed resources are untracked.")
+    end()
+  })
+
+
+test("context.stats() -> Object: tags resources by entity.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      uvs: [[0, 0], [1, 0], [0, 1]],
+      cells: [[0, 1, 2]],
+    }})})
+    const lazy = Entity(ctx, {}, () => ctx.regl.buffer([1, 2, 3]))
+    let {owners} = ctx.stats()
+    ok(owners[mesh.entityId] && 4 == owners[mesh.entityId].count,
+      "Resources created with an entity are owned by it.")
+    lazy()
+    owners = ctx.stats().owners
+    ok(owners[lazy.entityId] && 1 == owners[lazy.entityId].count,
+      "Resources created while an entity runs are owned by it.")
+    end()
+  })
+
+
+test("context.destroy() -> void: warns about live resources.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const {warn} = console
+    const warnings = []
+    ctx.regl.buffer([1, 2, 3])
+    console.warn = (...args) => warnings.push(args.join(' '))
+    try { ctx.destroy() }
+    finally { console.warn = warn }
+    ok(1 == warnings.length && /1 live resources/.test(warnings[0]),
+      "Warns with the number of live resources.")
+    ok(0 == ctx.stats().count, "Clears registry.")
+    end()
+  })
+
+
+test("resources.release(owner) -> Number: destroys owned resources.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const {resources} = ctx
+    const unowned = ctx.regl.buffer([1, 2, 3])
+    resources.enter(7)
+    const color = ctx.regl.texture({width: 2, height: 2})
+    const framebuffer = ctx.regl.framebuffer({color})
+    resources.exit()
+    ok(2 == resources.release(7), "Returns number of released resources.")
+    ok(color.destroyed && framebuffer.destroyed && !unowned.destroyed,
+      "Destroys resources of owner only.")
+    ok(1 == ctx.stats().count, "Released resources are untracked.")
+    ok(0 == resources.release(null), "Does not release unowned resources.")
+    end()
+  })
+
+
+test("Entity(ctx, ...components) -> Function: does not own resources of the application.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const command = ctx.regl({})
+    const buffer = ctx.regl.buffer([1, 2, 3])
+    const entity = Entity(ctx, (args, next) => command(next))
+    entity()
+    ok(1 == ctx.stats().owners.unowned.count,
+      "Resources created before the entity are unowned.")
+    entity.destroy()
+    ok(false == buffer.destroyed, "Destroying entity keeps resources.")
+    end()
+  })
+
+
+test("resources.transfer(from, to) -> ResourceRegistry: changes owners.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const {resources} = ctx
+    const before = ctx.regl.buffer([1, 2, 3])
+    resources.enter('pending')
+    const buffer = ctx.regl.buffer([1, 2, 3])
+    resources.listen(ctx, 'transferred', () => void 0)
+    resources.exit()
+    const after = ctx.regl.buffer([1, 2, 3])
+    resources.transfer('pending', 5)
+    ok(1 == resources.release(5) && buffer.destroyed,
+      "Transfers resources created while the owner was entered.")
+    ok(!before.destroyed && !after.destroyed,
+      "Does not transfer resources created around it.")
+    ok(0 == ctx.listenerCount('transferred'), "Transfers listeners.")
+    end()
+  })
+
+
+test("resources.listen(emitter, event, listener) -> Function: removes listeners of released owners.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const {resources} = ctx
+    const calls = []
+    resources.enter(3)
+    resources.listen(ctx, 'resize', () => calls.push('owned'))
+    resources.exit()
+    resources.listen(ctx, 'resize', () => calls.push('unowned'))
+    ctx.emit('resize')
+    ok('owned,unowned' == calls.join(), "Adds listeners to emitter.")
+    resources.release(3)
+    ctx.emit('resize')
+    ok('owned,unowned,unowned' == calls.join(),
+      "Removes listeners of released owner only.")
+    end()
+  })
+
+
+test("entity.destroy() -> Function: removes context listeners of components.",
+  ({ok, doesNotThrow, end}) => {
+    const ctx = new RecordingContext()
+    const count = () => ctx.listenerCount('contextrestored')
+    const baseline = count()
+    const factories = [
+      () => Mesh(ctx, {geometry: new BoxGeometry()}),
+      () => Texture(ctx),
+      () => CubeTexture(ctx),
+      () => FrameBuffer(ctx),
+      // picker resources are created on the first render
+      () => { const picker = Picker(ctx); picker(); return picker },
+    ]
+
+    for (const factory of factories) {
+      const entities = Array(10).fill(0).map(factory)
+      ok(count() > baseline, "Components listen for restored contexts.")
+      for (const entity of entities) { entity.destroy() }
+      ok(baseline == count(), "Listeners are removed when destroyed.")
+    }
+
+    const mesh = Mesh(ctx, {geometry: new BoxGeometry()})
+    mesh()
+    const live = ctx.resources.list().map(({resource}) => resource)
+    Mesh(ctx, {geometry: new BoxGeometry()}).destroy()
+    ctx.loseContext()
+    doesNotThrow(() => ctx.restoreContext(),
+      "Restores context after entities are destroyed.")
+    ok(live.every((resource) => !resource.destroyed),
+      "Keeps resources of live entities.")
+    ctx.reset()
+    mesh()
+    ok(1 == ctx.draws.length, "Draws live entities after restore.")
+    end()
+  })
@@ -0,0 +1,55 @@
+'use strict'
+import { ShaderLib, RecordingContext } from '../../lib/core'
+import test from 'tape'
+
+test("ShaderLib.defaults(ctx: Context) -> Object",
+  ({ok, end}) => {
+    ok('100' == ShaderLib.defaults().version,
+      "Defaults to GLSL version '100'.")
+    ok('100' == ShaderLib.defaults(new RecordingContext()).version,
+      "Uses GLSL version '100' for WebGL1 contexts.")
+    ok('300 es' == ShaderLib.defaults(new RecordingContext({version: 2})).version,
+      "Uses GLSL version '300 es' for WebGL2 contexts.")
+    end()
+  })
+
+
+test("shaderLib.compile(name: String, source: String, opts: Object) -> String",
+  ({ok, end}) => {
+    const vertex = { defines: { GLSL_VERTEX_SHADER: 1 } }
+    const fragment = { defines: { GLSL_FRAGMENT_SHADER: 1 } }
+    const compile = (version, source, opts) => {
+      const shaderLib = new ShaderLib({version})
+      return shaderLib.preprocess(shaderLib.compile('test', source, opts))
+    }
+
+    let source = compile('100', '#include <vertex/attributes/uv>', vertex)
+    ok(-1 == source.indexOf('#version'),
+      "Does not add a version directive for GLSL version '100'.")
+    ok(-1 != source.indexOf('attribute vec2 uv;'),
+      "Declares attributes with 'attribute' for GLSL version '100'.")
+
+    source = compile('300 es', '#include <vertex/attributes/uv>', vertex)
+    ok(0 == source.indexOf('#version 300 es\n'),
+      "Adds a version directive as the first line for GLSL version '300 es'.")
+    ok(-1 != source.indexOf('in vec2 uv;'),
+      "Declares attributes with 'in' for GLSL version '300 es'.")
+
+    source = compile('300 es', '#include <varying/uv>', vertex)
+    ok(-1 != source.indexOf('out vec2 vUv;'),
+      "Declares varyings with 'out' in vertex shaders.")
+
+    source = compile('300 es', '#include <varying/uv>', fragment)
+    ok(-1 != source.indexOf('in vec2 vUv;'),
+      "Declares varyings with 'in' in fragment shaders.")
+
+    source = compile('300 es', '#include <fragment/main>', fragment)
+    ok(-1 != source.indexOf('out vec4 fragmentColor;') &&
+       -1 == source.indexOf('gl_FragColor'),
+      "Writes to an output variable in fragment shaders.")
+
+    source = compile('100', '#include <fragment/main>', fragment)
+    ok(-1 != source.indexOf('gl_FragColor'),
+      "Writes to 'gl_FragColor' for GLSL version '100'.")
+    end()
+  })
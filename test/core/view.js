@@ -0,0 +1,158 @@
+'use strict'
+import { RecordingContext, View } from '../../lib/core'
+import { Frame } from '../../lib/frame'
+import test from 'tape'
+
+test("new View(ctx: Context, target: Object, opts: Object = {}) -> View",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext({width: 200, height: 100, pixelRatio: 2})
+    const view = new View(ctx, {x: 50, y: 0, width: 100, height: 50})
+
+    ok('function' == typeof View, "View is constructor.")
+    throws(() => { new View() }, TypeError, "Throws without a context.")
+    throws(() => { new View(ctx, 1) }, TypeError,
+      "Second argument cannot be a Number.")
+
+    ok(100 == view.width && 50 == view.height, "Has size in CSS pixels.")
+    ok('100,100,200,100' == [
+      view.viewport.x, view.viewport.y,
+      view.viewport.width, view.viewport.height,
+    ].join(), "Computes viewport in drawing buffer pixels from bottom left.")
+
+    view.setRect({x: 150, y: 0, width: 100, height: 50})
+    ok(200 == view.viewport.width && 100 == view.scissor.width,
+      "Clips scissor box to the drawing buffer.")
+
+    view.setRect({x: 300, y: 0, width: 100, height: 50})
+    ok(false === view.isVisible, "Is not visible outside of drawing buffer.")
+    end()
+  })
+
+
+test("context.addView(target: Object) -> View",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const view = ctx.addView({width: 10, height: 10})
+    ok(view instanceof View, "Returns a View.")
+    ok(1 == ctx.views.length && view == ctx.views[0], "Adds view to context.")
+    ok(ctx == ctx.removeView(view) && 0 == ctx.views.length,
+      "context.removeView() removes view.")
+    ok(view.isDestroyed, "Removed views are destroyed.")
+    end()
+  })
+
+
+test("frame({view: View}, callback: Function) -> void",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 200, height: 100})
+    const left = ctx.addView({x: 0, y: 0, width: 100, height: 100})
+    const right = ctx.addView({x: 100, y: 0, width: 100, height: 100})
+    const frame = Frame(ctx)
+    const draw = ctx.regl({})
+    const views = []
+
+    frame({view: left}, ({view, viewportWidth}) => {
+      views.push([view, viewportWidth])
+      draw()
+    })
+
+    frame({view: right}, ({view, viewportWidth}) => {
+      views.push([view, viewportWidth])
+      draw()
+    })
+
+    ctx.step()
+    ok(left == views[0][0] && right == views[1][0],
+      "Injects view into context.")
+    ok(100 == views[0][1], "Sets viewport to view.")
+    ok(100 == ctx.draws[1].state.viewport.x &&
+       true == ctx.draws[1].state.scissor.enable &&
+       100 == ctx.draws[1].state.scissor.box.x,
+      "Sets scissor box to view.")
+
+    right.setRect({x: 300, y: 0, width: 100, height: 100})
+    ctx.reset().step()
+    ok(1 == ctx.draws.length, "Skips views outside of drawing buffer.")
+
+    left.destroy()
+    ctx.reset().step()
+    ok(0 == ctx.draws.length, "Cancels callbacks of destroyed views.")
+    end()
+  })
+
+
+test("context.removeView(view: View) keeps callbacks of other views.",
+  ({deepEqual, end}) => {
+    const ctx = new RecordingContext({width: 300, height: 100})
+    const frame = Frame(ctx)
+    const counts = {a: 0, b: 0, c: 0}
+    const views = {}
+
+    for (const name of Object.keys(counts)) {
+      const x = 100*Object.keys(views).length
+      views[name] = ctx.addView({x, y: 0, width: 100, height: 100})
+      frame({view: views[name]}, () => { ++counts[name] })
+    }
+
+    ctx.step()
+    ctx.removeView(views.b)
+    ctx.step(3)
+    deepEqual(counts, {a: 4, b: 1, c: 4},
+      "Draws remaining views after a view is removed.")
+
+    ctx.removeView(views.a)
+    ctx.step()
+    deepEqual(counts, {a: 4, b: 1, c: 5},
+      "Draws remaining views after the first view is removed.")
+    end()
+  })
+
+
+test("view.update() is called when the context is resized.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 200, height: 100})
+    const view = ctx.addView({x: 0, y: 0, width: 100, height: 50})
+    const frame = Frame(ctx)
+    const update = view.update
+    let updates = 0
+    view.update = function() { ++updates; return update.call(this) }
+
+    frame({view}, () => void 0)
+    ctx.step(3)
+    ok(0 == updates, "Does not measure views on every frame.")
+
+    ctx.resize(200, 200)
+    ok(1 == updates, "Measures views when the context is resized.")
+    ok(150 == view.viewport.y, "Moves viewport with the drawing buffer.")
+
+    ctx.removeView(view)
+    ctx.resize(200, 100)
+    ok(1 == updates, "Stops measuring removed views.")
+    end()
+  })
+
+
+test("frame({view: View}) uses one command for all views.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 200, height: 100})
+    const left = ctx.addView({x: 0, y: 0, width: 100, height: 100})
+    const right = ctx.addView({x: 100, y: 0, width: 100, height: 100})
+    const frame = Frame(ctx)
+    const draw = ctx.regl({})
+
+    frame({view: left}, () => draw())
+    frame({view: right}, () => draw())
+    ctx.step()
+
+    // command ids are sequential, so probes created before and after
+    // the boxes change are one apart if no command was created between
+    const probe = () => { ctx.regl({})(); return ctx.draws.pop().command }
+    const before = probe()
+    right.setRect({x: 50, y: 0, width: 100, height: 100})
+    ctx.reset().step()
+    ok(before + 1 == probe(), "Does not create commands for new boxes.")
+    ok(50 == ctx.draws[1].state.viewport.x &&
+       50 == ctx.draws[1].state.scissor.box.x,
+      "Reads boxes from the view.")
+    end()
+  })
@@ -0,0 +1,114 @@
+'use strict'
+import { RecordingContext, Geometry } from '../../lib/core'
+import { GLTFExporter } from '../../lib/exporter'
+import { GLTFLoader } from '../../lib/loader'
+import { SphereGeometry } from '../../lib/geometry'
+import test from 'tape'
+
+// compares arrays of vectors within float precision
+const near = (a, b) => a.length == b.length && a.every((v, i) => {
+  return v.every((c, j) => Math.abs(c - b[i][j]) < 1e-6)
+})
+
+test("new GLTFExporter(opts: Object = {}) -> GLTFExporter",
+  ({ok, throws, end}) => {
+    const exporter = new GLTFExporter()
+    ok('function' == typeof exporter.serialize, "Has serialize method.")
+    throws(() => exporter.serialize(new Geometry()), TypeError,
+      "Throws TypeError for geometry without positions.")
+    end()
+  })
+
+
+test("gltfExporter.serialize(geometry: Geometry) -> ArrayBuffer: writes binary glTF.",
+  ({ok, end}) => {
+    const geometry = new SphereGeometry({segments: 8})
+    const buffer = new GLTFExporter().serialize(geometry)
+    const view = new DataView(buffer)
+    ok(buffer instanceof ArrayBuffer, "Returns an ArrayBuffer.")
+    ok(0x46546C67 == view.getUint32(0, true) && 2 == view.getUint32(4, true),
+      "Writes binary glTF header.")
+    ok(buffer.byteLength == view.getUint32(8, true), "Writes total length.")
+    ok(0 == view.getUint32(12, true) % 4, "Aligns JSON chunk.")
+    const json = JSON.parse(Buffer.from(buffer, 20, view.getUint32(12, true)))
+    const {attributes} = json.meshes[0].primitives[0]
+    const position = json.accessors[attributes.POSITION]
+    ok(Array.isArray(position.min) && Array.isArray(position.max),
+      "Writes position bounds.")
+    ok(json.bufferViews.every(({byteOffset}) => 0 == byteOffset % 4),
+      "Aligns buffer views.")
+    end()
+  })
+
+
+test("gltfExporter.serialize(geometry: Geometry) -> ArrayBuffer: writes points without cells.",
+  ({ok, end}) => {
+    const geometry = new Geometry({complex: {
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      cells: [],
+    }})
+    const buffer = new GLTFExporter().serialize(geometry)
+    const view = new DataView(buffer)
+    const json = JSON.parse(Buffer.from(buffer, 20, view.getUint32(12, true)))
+    const [primitive] = json.meshes[0].primitives
+    ok(0 == primitive.mode, "Writes a POINTS primitive.")
+    ok(null == primitive.indices, "Does not write indices.")
+    ok(json.accessors.every(({count}) => count > 0),
+      "Does not write empty accessors.")
+    end()
+  })
+
+
+test("gltfExporter.serialize(geometry: Geometry, opts: Object) -> ArrayBuffer: round-trips through GLTFLoader.",
+  ({ok, deepEqual, end}) => {
+    const geometry = new SphereGeometry({segments: 8})
+    geometry.computeTangents()
+    geometry.complex.colors = geometry.positions.map(() => [1, 0.5, 0, 1])
+    const material = {
+      name: 'orange',
+      color: [1, 0.5, 0],
+      opacity: 0.5,
+      metallic: 0.25,
+      roughness: 0.75,
+      emissive: [0, 0, 1],
+      culling: {enable: false},
+      maps: {diffuse: 'orange.png'},
+    }
+
+    const buffer = new GLTFExporter().serialize(geometry, {
+      name: 'sphere',
+      material,
+      position: [1, 2, 3],
+      rotation: [0, 0, 0, 1],
+      scale: [2, 2, 2],
+    })
+
+    const ctx = new RecordingContext()
+    new GLTFLoader(ctx).parse(buffer).then((scene) => {
+      const [loaded] = scene.geometries
+      ok(near(loaded.positions, geometry.positions), "Preserves positions.")
+      ok(near(loaded.normals, geometry.normals), "Preserves normals.")
+      ok(near(loaded.uvs, geometry.uvs), "Preserves texture coordinates.")
+      ok(near(loaded.tangents, geometry.tangents), "Preserves tangents.")
+      ok(near(loaded.colors, geometry.colors), "Preserves vertex colors.")
+      deepEqual(loaded.cells, geometry.cells, "Preserves cells.")
+
+      const [state] = scene.materials
+      ok('orange' == state.name, "Preserves material name.")
+      deepEqual(state.color, [1, 0.5, 0], "Preserves color.")
+      ok(0.5 == state.opacity && state.blending.enable,
+        "Blends transparent materials.")
+      ok(0.25 == state.metallic && 0.75 == state.roughness,
+        "Preserves metallic and roughness.")
+      deepEqual(state.emissive, [0, 0, 1], "Preserves emissive color.")
+      ok(false === state.culling.enable, "Preserves double sided materials.")
+      ok('orange.png' == state.maps.diffuse, "Preserves texture map URIs.")
+
+      const [node] = scene.nodes
+      ok('sphere' == node.name, "Preserves node name.")
+      deepEqual(node.position, [1, 2, 3], "Preserves translation.")
+      deepEqual(node.scale, [2, 2, 2], "Preserves scale.")
+      scene.destroy()
+      end()
+    }).catch(end)
+  })
@@ -0,0 +1,3 @@
+import './obj'
+import './stl'
+import './gltf'
@@ -0,0 +1,48 @@
+'use strict'
+import { OBJLoader } from '../../lib/loader'
+import { exportOBJ } from '../../lib/exporter'
+import { Geometry } from '../../lib/core'
+import { BoxGeometry } from '../../lib/geometry'
+import test from 'tape'
+
+// vertex data of each triangle, independent of vertex order
+const triangles = (geometry, name) => {
+  return geometry.cells.map((cell) => cell.map((i) => geometry[name][i]))
+}
+
+test("exportOBJ(geometry: Geometry, opts: Object = {}) -> String",
+  ({ok, throws, end}) => {
+    throws(() => exportOBJ(new Geometry()), TypeError,
+      "Throws TypeError for geometry without positions.")
+    const text = exportOBJ(new BoxGeometry(), {name: 'box'})
+    ok('string' == typeof text, "Returns a string.")
+    ok(/^o box$/m.test(text), "Writes object name.")
+    ok(/^f \d+\/\d+\/\d+ \d+\/\d+\/\d+ \d+\/\d+\/\d+$/m.test(text),
+      "Writes faces with texture coordinate and normal indices.")
+    end()
+  })
+
+
+test("geometry.toOBJ() -> String: round-trips through OBJLoader.",
+  ({ok, deepEqual, end}) => {
+    const geometry = new BoxGeometry({x: 2, y: 1, z: 3})
+    const [group] = new OBJLoader().parse(geometry.toOBJ()).groups
+    const loaded = group.geometry
+    for (const name of [ 'positions', 'normals', 'uvs' ]) {
+      deepEqual(triangles(loaded, name), triangles(geometry, name),
+        `Preserves ${name} of each triangle.`)
+    }
+    ok(loaded.positions.length == geometry.positions.length,
+      "Preserves vertex count.")
+
+    const bare = new Geometry({
+      positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      cells: [[0, 1, 2]],
+    })
+    delete bare.complex.uvs
+    delete bare.complex.normals
+    const text = bare.toOBJ()
+    ok(/^f 1 2 3$/m.test(text) && !/^v[tn] /m.test(text),
+      "Writes only vertex indices for geometry without UVs and normals.")
+    end()
+  })
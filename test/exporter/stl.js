@@ -0,0 +1,44 @@
+'use strict'
+import { STLLoader } from '../../lib/loader'
+import { exportSTL } from '../../lib/exporter'
+import { Geometry } from '../../lib/core'
+import { BoxGeometry } from '../../lib/geometry'
+import test from 'tape'
+
+// unique positions of a geometry in a stable order
+const sorted = (positions) => positions.map((p) => p.join()).sort()
+
+test("exportSTL(geometry: Geometry, opts: Object = {}) -> String|ArrayBuffer",
+  ({ok, throws, end}) => {
+    throws(() => exportSTL(null), TypeError,
+      "Throws TypeError for missing geometry.")
+    const geometry = new Geometry({
+      positions: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]],
+      cells: [[0, 1, 2, 3]],
+    })
+    const text = exportSTL(geometry, {name: 'quad'})
+    ok(/^solid quad\n/.test(text) && /endsolid quad\n$/.test(text),
+      "Writes solid name.")
+    ok(2 == text.match(/facet normal 0 0 1/g).length,
+      "Triangulates polygons and writes face normals.")
+    const binary = exportSTL(geometry, {binary: true})
+    ok(binary instanceof ArrayBuffer && 84 + 2*50 == binary.byteLength,
+      "Writes binary STL.")
+    end()
+  })
+
+
+test("geometry.toSTL(opts: Object) -> String|ArrayBuffer: round-trips through STLLoader.",
+  ({ok, deepEqual, end}) => {
+    const geometry = new BoxGeometry({x: 2, y: 1, z: 4})
+    const expected = sorted(new STLLoader().parse(geometry.toSTL()).positions)
+    ok(8 == expected.length, "Merges shared corners when loaded.")
+    for (const binary of [ false, true ]) {
+      const loaded = new STLLoader().parse(geometry.toSTL({binary}))
+      const label = binary ? 'binary' : 'ASCII'
+      deepEqual(sorted(loaded.positions), expected, `Preserves ${label} positions.`)
+      ok(geometry.cells.length == loaded.cells.length,
+        `Preserves ${label} triangles.`)
+    }
+    end()
+  })
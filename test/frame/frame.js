@@ -0,0 +1,64 @@
+'use strict'
+import { RecordingContext } from '../../lib/core'
+import { Frame } from '../../lib/frame'
+import test from 'tape'
+
+test("Frame(ctx: Context, initialState: Object) -> Function",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    ok('function' == typeof Frame, "Frame is a function.")
+    ok('function' == typeof Frame(ctx), "Returns a function.")
+    end()
+  })
+
+
+test("frame(callback: Function) pauses while the context is lost.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const frame = Frame(ctx)
+    let frames = 0
+    frame(() => ++frames)
+    ctx.step()
+    ok(1 == frames, "Calls callback every frame.")
+    ctx.loseContext()
+    ctx.step()
+    ok(1 == frames, "Pauses while context is lost.")
+    ctx.restoreContext()
+    ctx.step()
+    ok(2 == frames, "Resumes after context is restored.")
+    end()
+  })
+
+
+test("frame.destroy() removes context listeners and cancels the loop.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const events = [ 'contextlost', 'contextrestored' ]
+    const count = () => events.map((e) => ctx.listenerCount(e)).join()
+    const before = count()
+    const frame = Frame(ctx)
+    let frames = 0
+    ok(before != count(), "Listens for context loss.")
+    frame(() => ++frames)
+    ctx.step()
+    frame.destroy()
+    ok(before == count(), "Removes context listeners.")
+    ctx.step()
+    ok(1 == frames, "Cancels frame loop.")
+    end()
+  })
+
+
+test("frame(callback: Function) draws again when the context is resized.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 100, height: 50})
+    const frame = Frame(ctx)
+    let frames = 0
+    frame(() => ++frames)
+    ctx.step()
+    ctx.resize(20, 10)
+    ok(2 == frames, "Calls callbacks when the context is resized.")
+    ctx.resize(20, 10)
+    ok(2 == frames, "Does not draw again for an unchanged size.")
+    end()
+  })
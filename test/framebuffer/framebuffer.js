@@ -0,0 +1,39 @@
+'use strict'
+import { FrameBuffer } from '../../lib/framebuffer'
+import { RecordingContext } from '../../lib/core'
+import { Frame } from '../../lib/frame'
+import test from 'tape'
+
+test("FrameBuffer(ctx: Context, initialState: Object) -> Function",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    ok('function' == typeof FrameBuffer, "FrameBuffer is a function.")
+    ok('function' == typeof FrameBuffer(ctx), "Returns a function.")
+    end()
+  })
+
+
+test("FrameBuffer(ctx) follows the size of the drawing buffer.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 100, height: 50})
+    const frame = Frame(ctx)
+    const framebuffer = FrameBuffer(ctx)
+    const sized = FrameBuffer(ctx)
+    const [fbo] = ctx.resources.list()
+      .filter(({type, owner}) => 'framebuffer' == type && framebuffer.entityId == owner)
+      .map(({resource}) => resource)
+    const [sizedFbo] = ctx.resources.list()
+      .filter(({type, owner}) => 'framebuffer' == type && sized.entityId == owner)
+      .map(({resource}) => resource)
+
+    frame(() => { framebuffer(); sized({width: 16}) })
+    ctx.step()
+    ok(100 == fbo.width && 50 == fbo.height,
+      "Is sized to the drawing buffer.")
+    ctx.resize(40, 20)
+    ok(40 == fbo.width && 20 == fbo.height,
+      "Resizes attachments when the context is resized.")
+    ok(16 == sizedFbo.width && 20 == sizedFbo.height,
+      "Keeps a given size when the context is resized.")
+    end()
+  })
@@ -0,0 +1,179 @@
+'use strict'
+import { Geometry } from '../../lib/core'
+import {
+  BoxGeometry,
+  CapsuleGeometry,
+  ConeGeometry,
+  CylinderGeometry,
+  PlaneGeometry,
+  SphereGeometry,
+  TorusGeometry,
+} from '../../lib/geometry'
+import test from 'tape'
+
+const primitives = {
+  BoxGeometry,
+  CapsuleGeometry,
+  ConeGeometry,
+  CylinderGeometry,
+  PlaneGeometry,
+  SphereGeometry,
+  TorusGeometry,
+}
+
+const epsilon = 1e-6
+const length = (v) => Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2])
+const sub = (a, b) => [ a[0] - b[0], a[1] - b[1], a[2] - b[2] ]
+const dot = (a, b) => a[0]*b[0] + a[1]*b[1] + a[2]*b[2]
+const cross = (a, b) => [
+  a[1]*b[2] - a[2]*b[1],
+  a[2]*b[0] - a[0]*b[2],
+  a[0]*b[1] - a[1]*b[0],
+]
+
+// checks indices, unit normals, uvs in [0, 1] and that every triangle
+// winds counter clockwise when seen from the side its normals face
+function validate(geometry) {
+  const {positions, normals, uvs, cells} = geometry
+  const errors = []
+  if (positions.length != normals.length || positions.length != uvs.length) {
+    errors.push('attribute lengths differ')
+  }
+  normals.forEach((n, i) => {
+    if (Math.abs(1 - length(n)) > epsilon) { errors.push(`normal ${i}`) }
+  })
+  uvs.forEach((uv, i) => {
+    if (uv.some((c) => c < -epsilon || c > 1 + epsilon)) {
+      errors.push(`uv ${i}`)
+    }
+  })
+  cells.forEach((cell, i) => {
+    if (cell.some((index) => !(index >= 0 && index < positions.length))) {
+      return errors.push(`cell ${i} index`)
+    }
+    const [a, b, c] = cell.map((index) => positions[index])
+    const face = cross(sub(b, a), sub(c, a))
+    const normal = cell
+      .map((index) => normals[index])
+      .reduce((sum, n) => [ sum[0] + n[0], sum[1] + n[1], sum[2] + n[2] ])
+    if (length(face) < epsilon || dot(face, normal) <= 0) {
+      errors.push(`cell ${i} winding`)
+    }
+  })
+  return errors
+}
+
+for (const name of Object.keys(primitives)) {
+  const Primitive = primitives[name]
+  test(`new ${name}(opts: Object = {}) -> Geometry`,
+    ({ok, deepEqual, throws, end}) => {
+      ok(new Primitive() instanceof Geometry, "Extends Geometry.")
+      ok(new Primitive(null), "Accepts null options.")
+      throws(() => new Primitive(1), TypeError,
+        "Throws TypeError for non object options.")
+      throws(() => new Primitive({segments: 'many'}), TypeError,
+        "Throws TypeError for bad segments.")
+      throws(() => new Primitive({segments: 0}), TypeError,
+        "Throws TypeError for zero segments.")
+      deepEqual(validate(new Primitive()), [],
+        "Has valid cells, unit normals, UVs and outward faces.")
+      deepEqual(validate(new Primitive({segments: 5})), [],
+        "Has valid cells, unit normals, UVs and outward faces with segments.")
+      ok(new Primitive({flatten: true}).flatten, "Accepts flatten option.")
+      end()
+    })
+}
+
+
+test("new BoxGeometry({x, y, z, segments}) -> BoxGeometry",
+  ({ok, deepEqual, end}) => {
+    const box = new BoxGeometry({x: 2, y: 4, z: 6})
+    deepEqual(box.computeBoundingBox(), [[-1, -2, -3], [1, 2, 3]],
+      "Has given dimensions.")
+    ok(24 == box.positions.length && 12 == box.cells.length,
+      "Has four vertices and two triangles per face.")
+    const segmented = new BoxGeometry({segments: {x: 2, y: 3, z: 4}})
+    ok(2*(2*3 + 2*4 + 3*4)*2 == segmented.cells.length,
+      "Accepts segments per axis.")
+    end()
+  })
+
+
+test("new PlaneGeometry({x, y, segments}) -> PlaneGeometry",
+  ({ok, deepEqual, end}) => {
+    const plane = new PlaneGeometry({x: 4, y: 2, segments: {x: 4, y: 2}})
+    deepEqual(plane.computeBoundingBox(), [[-2, -1, 0], [2, 1, 0]],
+      "Has given dimensions in the XY plane.")
+    ok(15 == plane.positions.length && 16 == plane.cells.length,
+      "Has grid of given segments.")
+    ok(plane.normals.every((n) => 1 == n[2]), "Faces positive Z axis.")
+    end()
+  })
+
+
+test("new SphereGeometry({radius, segments}) -> SphereGeometry",
+  ({ok, end}) => {
+    const sphere = new SphereGeometry({radius: 2, segments: {x: 8, y: 4}})
+    ok(sphere.positions.every((p) => Math.abs(2 - length(p)) < epsilon),
+      "Vertices lie on sphere of radius.")
+    ok(sphere.positions.every((p, i) => {
+      return length(sub(sphere.normals[i], p.map((c) => c/2))) < epsilon
+    }), "Normals point away from center.")
+    ok(2*8*2 + 8 + 8 == sphere.cells.length, "Skips collapsed triangles at poles.")
+    end()
+  })
+
+
+test("new CylinderGeometry({radiusTop, radiusBottom, height, capped}) -> CylinderGeometry",
+  ({ok, deepEqual, end}) => {
+    const cylinder = new CylinderGeometry({
+      radiusTop: 1, radiusBottom: 2, height: 3, segments: {radial: 8, height: 2}
+    })
+    const [min, max] = cylinder.computeBoundingBox()
+    ok(Math.abs(-1.5 - min[1]) < epsilon && Math.abs(1.5 - max[1]) < epsilon,
+      "Is centered along the Y axis.")
+    ok(Math.abs(2 - max[2]) < epsilon, "Has bottom radius.")
+    ok(2*8*2 + 8 + 8 == cylinder.cells.length, "Has side and caps.")
+    const open = new CylinderGeometry({capped: false, segments: 8})
+    ok(2*8*8 == open.cells.length, "Omits caps if not capped.")
+    ok(cylinder.normals.some((n) => 1 == n[1]) &&
+       cylinder.normals.some((n) => -1 == n[1]), "Caps face up and down.")
+    end()
+  })
+
+
+test("new ConeGeometry({radius, height}) -> ConeGeometry",
+  ({ok, end}) => {
+    const cone = new ConeGeometry({radius: 2, height: 2, segments: {radial: 8}})
+    const [min, max] = cone.computeBoundingBox()
+    ok(Math.abs(2 - max[0]) < epsilon && Math.abs(1 - max[1]) < epsilon,
+      "Has base radius and apex.")
+    ok(8 + 8 == cone.cells.length, "Has side and base without apex cap.")
+    ok(cone.normals.slice(0, 9).every((n) => n[1] > 0),
+      "Side normals are tilted towards the apex.")
+    end()
+  })
+
+
+test("new TorusGeometry({radius, tube, segments}) -> TorusGeometry",
+  ({ok, end}) => {
+    const torus = new TorusGeometry({radius: 2, tube: 0.5, segments: 8})
+    const [min, max] = torus.computeBoundingBox()
+    ok(Math.abs(2.5 - max[0]) < epsilon && Math.abs(0.5 - max[2]) < epsilon,
+      "Has radius and tube radius.")
+    ok(2*8*8 == torus.cells.length, "Has given segments.")
+    end()
+  })
+
+
+test("new CapsuleGeometry({radius, height, segments}) -> CapsuleGeometry",
+  ({ok, end}) => {
+    const capsule = new CapsuleGeometry({radius: 1, height: 2})
+    const [min, max] = capsule.computeBoundingBox()
+    ok(Math.abs(-2 - min[1]) < epsilon && Math.abs(2 - max[1]) < epsilon,
+      "Total height includes hemispheres.")
+    ok(Math.abs(1 - max[0]) < epsilon, "Has radius.")
+    ok(capsule.uvs.some(([, v]) => 1 == v) && capsule.uvs.some(([, v]) => 0 == v),
+      "UVs span the texture from top to bottom.")
+    end()
+  })
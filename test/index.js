@@ -1,2 +1,10 @@
 import './core'
+import './exporter'
+import './frame'
+import './framebuffer'
+import './geometry'
+import './input'
+import './loader'
+import './mesh'
 import './object3d'
+import './picker'
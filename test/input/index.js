@@ -0,0 +1,3 @@
+import './keyboard'
+import './mouse'
+import './touch'
@@ -0,0 +1,71 @@
+'use strict'
+import { MissingContextError } from '../../lib/errors'
+import { RecordingContext } from '../../lib/core'
+import { createEventTarget } from '../utils'
+import { Keyboard } from '../../lib/input'
+import test from 'tape'
+
+test("Keyboard(ctx: Context, initialState: Object) -> Function",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    ok('function' == typeof Keyboard, "Keyboard is a function.")
+    ok('function' == typeof Keyboard(ctx, {element: createEventTarget()}),
+      "Returns a function.")
+    throws(() => Keyboard(), MissingContextError,
+      "Throws MissingContextError without context.")
+    end()
+  })
+
+
+test("Keyboard(ctx) injects pressed keys while context has focus.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const element = createEventTarget()
+    const keyboard = Keyboard(ctx, {element})
+    const read = () => {
+      let state = null
+      keyboard(({keyboard}) => { state = keyboard })
+      return state
+    }
+
+    element.dispatch('keydown', {key: 'a', code: 'KeyA'})
+    ok(!read().isKeyDown('a'), "Ignores keys without focus.")
+
+    ctx.focus()
+    element.dispatch('keydown', {key: 'A', code: 'KeyA', shiftKey: true})
+    let state = read()
+    ok(state.keys.a && state.codes.KeyA, "Tracks keys and codes.")
+    ok(state.isKeyDown('a') && state.isKeyDown('KeyA'),
+      "isKeyDown() accepts keys or codes.")
+    ok(state.shift && false == state.ctrl, "Tracks modifier keys.")
+    ok('a' == state.pressed.join(), "Lists pressed keys.")
+
+    element.dispatch('keyup', {key: 'a', code: 'KeyA'})
+    ok(false == read().isKeyDown('a'), "Releases keys on keyup.")
+
+    element.dispatch('keydown', {key: 'ArrowUp', code: 'ArrowUp'})
+    ctx.blur()
+    ok(0 == read().pressed.length, "Releases keys on blur.")
+
+    ctx.focus()
+    ctx.destroy()
+    ok(0 == element.listeners.keydown.length && 0 == element.listeners.keyup.length,
+      "Removes event listeners when context is destroyed.")
+    end()
+  })
+
+
+test("keyboard.destroy() removes event listeners.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const element = createEventTarget()
+    const count = () => ctx.listenerCount('blur') + ctx.listenerCount('beforedestroy')
+    const before = count()
+    const keyboard = Keyboard(ctx, {element})
+    keyboard.destroy()
+    ok([ 'keydown', 'keyup' ]
+      .every((type) => 0 == element.listeners[type].length),
+      "Removes DOM event listeners.")
+    ok(before == count(), "Removes context listeners.")
+    end()
+  })
@@ -0,0 +1,84 @@
+'use strict'
+import { MissingContextError } from '../../lib/errors'
+import { RecordingContext } from '../../lib/core'
+import { createEventTarget } from '../utils'
+import { Mouse } from '../../lib/input'
+import test from 'tape'
+
+test("Mouse(ctx: Context, initialState: Object) -> Function",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    ok('function' == typeof Mouse, "Mouse is a function.")
+    ok('function' == typeof Mouse(ctx, {element: createEventTarget()}),
+      "Returns a function.")
+    throws(() => Mouse(), MissingContextError,
+      "Throws MissingContextError without context.")
+    end()
+  })
+
+
+test("Mouse(ctx) injects pointer position, buttons and deltas.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 200, height: 100})
+    const element = createEventTarget()
+    const mouse = Mouse(ctx, {element})
+    const states = []
+    ctx.regl.frame(() => mouse(({mouse}) => {
+      states.push({...mouse, buttons: mouse.buttons.slice()})
+    }))
+
+    element.dispatch('mousemove', {clientX: 50, clientY: 50})
+    ctx.step()
+    ok(0 == states[0].position[0], "Ignores events without focus.")
+
+    ctx.focus()
+    element.dispatch('mousemove', {clientX: 50, clientY: 25})
+    ctx.step()
+    let state = states[1]
+    ok(50 == state.position[0] && 25 == state.position[1],
+      "Injects position in pixels.")
+    ok(-0.5 == state.ndc[0] && 0.5 == state.ndc[1],
+      "Injects position in normalized device coordinates.")
+    ok(0 == state.delta[0] && 0 == state.delta[1],
+      "First move has no delta.")
+
+    element.dispatch('mousedown', {clientX: 60, clientY: 25, button: 0})
+    element.dispatch('mousemove', {clientX: 70, clientY: 30})
+    element.dispatch('wheel', {deltaY: 3, deltaMode: 1})
+    ctx.step()
+    state = states[2]
+    ok(state.isDown && state.buttons[0], "Injects pressed buttons.")
+    ok(20 == state.delta[0] && 5 == state.delta[1],
+      "Accumulates movement since previous frame.")
+    ok(48 == state.wheel[1], "Accumulates wheel deltas in pixels.")
+
+    ctx.step()
+    state = states[3]
+    ok(0 == state.delta[0] && 0 == state.wheel[1],
+      "Deltas are reset each frame.")
+
+    element.dispatch('mouseup', {clientX: 70, clientY: 30, button: 0})
+    ctx.step()
+    ok(false == states[4].isDown, "Releases buttons on mouseup.")
+
+    ctx.destroy()
+    ok(0 == element.listeners.mousemove.length,
+      "Removes event listeners when context is destroyed.")
+    end()
+  })
+
+
+test("mouse.destroy() removes event listeners.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const element = createEventTarget()
+    const count = () => ctx.listenerCount('blur') + ctx.listenerCount('beforedestroy')
+    const before = count()
+    const mouse = Mouse(ctx, {element})
+    mouse.destroy()
+    ok([ 'mousedown', 'mouseup', 'mousemove', 'wheel' ]
+      .every((type) => 0 == element.listeners[type].length),
+      "Removes DOM event listeners.")
+    ok(before == count(), "Removes context listeners.")
+    end()
+  })
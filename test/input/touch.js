@@ -0,0 +1,79 @@
+'use strict'
+import { MissingContextError } from '../../lib/errors'
+import { RecordingContext } from '../../lib/core'
+import { createEventTarget } from '../utils'
+import { Touch } from '../../lib/input'
+import test from 'tape'
+
+const touches = (...points) => points.map(([clientX, clientY], identifier) => {
+  return {identifier, clientX, clientY}
+})
+
+test("Touch(ctx: Context, initialState: Object) -> Function",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    ok('function' == typeof Touch, "Touch is a function.")
+    ok('function' == typeof Touch(ctx, {element: createEventTarget()}),
+      "Returns a function.")
+    throws(() => Touch(), MissingContextError,
+      "Throws MissingContextError without context.")
+    end()
+  })
+
+
+test("Touch(ctx) injects touches, center deltas and pinch scale.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 200, height: 100})
+    const element = createEventTarget()
+    const touch = Touch(ctx, {element})
+    const states = []
+    ctx.regl.frame(() => touch(({touch}) => { states.push({...touch}) }))
+
+    element.dispatch('touchstart', {touches: touches([10, 10])})
+    ctx.step()
+    ok(0 == states[0].count, "Ignores events without focus.")
+
+    ctx.focus()
+    element.dispatch('touchstart', {touches: touches([90, 50], [110, 50])})
+    ctx.step()
+    let state = states[1]
+    ok(2 == state.count && state.isTouching, "Injects active touches.")
+    ok(100 == state.position[0] && 50 == state.position[1],
+      "Injects center of touches in pixels.")
+    ok(0 == state.ndc[0] && 0 == state.ndc[1],
+      "Injects center of touches in normalized device coordinates.")
+    ok(1 == state.pinch, "Pinch scale is 1 without moves.")
+
+    element.dispatch('touchmove', {touches: touches([80, 60], [120, 60])})
+    ctx.step()
+    state = states[2]
+    ok(2 == state.pinch, "Injects pinch scale since previous frame.")
+    ok(0 == state.delta[0] && 10 == state.delta[1],
+      "Injects center movement since previous frame.")
+
+    element.dispatch('touchend', {touches: []})
+    ctx.step()
+    ok(false == states[3].isTouching && 1 == states[3].pinch,
+      "Resets on touchend.")
+
+    ctx.destroy()
+    ok(0 == element.listeners.touchmove.length,
+      "Removes event listeners when context is destroyed.")
+    end()
+  })
+
+
+test("touch.destroy() removes event listeners.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const element = createEventTarget()
+    const count = () => ctx.listenerCount('blur') + ctx.listenerCount('beforedestroy')
+    const before = count()
+    const touch = Touch(ctx, {element})
+    touch.destroy()
+    ok([ 'touchstart', 'touchmove', 'touchend', 'touchcancel' ]
+      .every((type) => 0 == element.listeners[type].length),
+      "Removes DOM event listeners.")
+    ok(before == count(), "Removes context listeners.")
+    end()
+  })
@@ -0,0 +1,207 @@
+'use strict'
+import { MissingContextError, ParseError } from '../../lib/errors'
+import { RecordingContext, Geometry } from '../../lib/core'
+import { GLTFLoader } from '../../lib/loader'
+import test from 'tape'
+
+const translation = (matrix) => Array.from(matrix.slice(12, 15))
+
+// a triangle with indices and texture coordinates in one buffer
+function createBuffer() {
+  const bytes = new Uint8Array(68)
+  const view = new DataView(bytes.buffer)
+  const positions = [0, 0, 0, 1, 0, 0, 0, 1, 0]
+  const uvs = [0, 0, 1, 0, 0, 1]
+  positions.forEach((value, i) => view.setFloat32(i*4, value, true))
+  ;[0, 1, 2].forEach((value, i) => view.setUint16(36 + i*2, value, true))
+  uvs.forEach((value, i) => view.setFloat32(44 + i*4, value, true))
+  return bytes
+}
+
+function createAsset(buffer) {
+  return {
+    asset: {version: '2.0'},
+    scene: 0,
+    scenes: [{nodes: [0]}],
+    nodes: [
+      {name: 'root', translation: [0, 10, 0], children: [1, 2]},
+      {name: 'child', mesh: 0, translation: [1, 0, 0]},
+      {name: 'matrix', mesh: 0, matrix: [
+        2, 0, 0, 0,
+        0, 2, 0, 0,
+        0, 0, 2, 0,
+        0, 0, 5, 1,
+      ]},
+    ],
+    meshes: [{primitives: [
+      {attributes: {POSITION: 0, TEXCOORD_0: 2}, indices: 1, material: 0},
+    ]}],
+    materials: [{
+      name: 'red',
+      doubleSided: true,
+      alphaMode: 'BLEND',
+      pbrMetallicRoughness: {
+        baseColorFactor: [1, 0, 0, 0.5],
+        baseColorTexture: {index: 0},
+      },
+    }],
+    textures: [{source: 0}],
+    images: [{uri: 'red.png'}],
+    buffers: [buffer],
+    bufferViews: [
+      {buffer: 0, byteOffset: 0, byteLength: 36},
+      {buffer: 0, byteOffset: 36, byteLength: 6},
+      {buffer: 0, byteOffset: 44, byteLength: 24},
+    ],
+    accessors: [
+      {bufferView: 0, componentType: 5126, count: 3, type: 'VEC3'},
+      {bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR'},
+      {bufferView: 2, componentType: 5126, count: 3, type: 'VEC2'},
+    ],
+  }
+}
+
+function createGLB(json, binary) {
+  const pad = (length) => (length + 3) & ~3
+  const text = Buffer.from(JSON.stringify(json))
+  const jsonLength = pad(text.length)
+  const binLength = pad(binary.length)
+  const bytes = new Uint8Array(12 + 8 + jsonLength + 8 + binLength)
+  const view = new DataView(bytes.buffer)
+  view.setUint32(0, 0x46546C67, true)
+  view.setUint32(4, 2, true)
+  view.setUint32(8, bytes.length, true)
+  view.setUint32(12, jsonLength, true)
+  view.setUint32(16, 0x4E4F534A, true)
+  bytes.fill(0x20, 20, 20 + jsonLength)
+  bytes.set(text, 20)
+  view.setUint32(20 + jsonLength, binLength, true)
+  view.setUint32(24 + jsonLength, 0x004E4942, true)
+  bytes.set(binary, 28 + jsonLength)
+  return bytes.buffer
+}
+
+const embedded = () => ({
+  uri: 'data:application/octet-stream;base64,' +
+    Buffer.from(createBuffer()).toString('base64'),
+  byteLength: 68,
+})
+
+
+test("new GLTFLoader(ctx: Context, opts: Object = {}) -> GLTFLoader",
+  ({ok, throws, end}) => {
+    throws(() => new GLTFLoader(), MissingContextError,
+      "Throws MissingContextError without context.")
+    const loader = new GLTFLoader(new RecordingContext())
+    ok('function' == typeof loader.load && 'function' == typeof loader.parse,
+      "Has load and parse methods.")
+    end()
+  })
+
+
+test("gltfLoader.parse(json: Object) -> Promise<Function>: builds a scene.",
+  ({ok, deepEqual, end}) => {
+    const ctx = new RecordingContext()
+    new GLTFLoader(ctx).parse(createAsset(embedded())).then((scene) => {
+      ok('function' == typeof scene, "Resolves a function.")
+      ok(1 == scene.geometries.length &&
+         scene.geometries[0] instanceof Geometry, "Creates geometries.")
+      const [geometry] = scene.geometries
+      deepEqual(geometry.positions, [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+        "Reads positions.")
+      deepEqual(geometry.cells, [[0, 1, 2]], "Reads indices.")
+      deepEqual(geometry.uvs, [[0, 1], [1, 1], [0, 0]],
+        "Flips texture coordinates.")
+
+      const [material] = scene.materials
+      deepEqual(material.color, [1, 0, 0], "Reads base color.")
+      ok(0.5 == material.opacity && material.blending.enable,
+        "Blends transparent materials.")
+      ok(false === material.culling.enable, "Disables culling when double sided.")
+      ok('red.png' == material.maps.diffuse, "Reads texture map URIs.")
+
+      const [root, child, matrix] = scene.nodes
+      ok('root' == root.name && [child, matrix].every((n) => -1 != root.children.indexOf(n)),
+        "Creates node hierarchy.")
+      deepEqual(matrix.position, [0, 0, 5], "Decomposes matrix translation.")
+      deepEqual(matrix.scale, [2, 2, 2], "Decomposes matrix scale.")
+      deepEqual(matrix.rotation, [0, 0, 0, 1], "Decomposes matrix rotation.")
+
+      scene()
+      const {draws} = ctx
+      ok(2 == draws.length, "Draws every mesh in the scene.")
+      deepEqual(translation(draws[0].uniforms['mesh.model']), [1, 10, 0],
+        "Applies node transforms to children.")
+      deepEqual(translation(draws[1].uniforms['mesh.model']), [0, 10, 5],
+        "Applies decomposed matrices.")
+
+      ctx.reset()
+      scene({position: [0, 0, 1]})
+      deepEqual(translation(ctx.draws[0].uniforms['mesh.model']), [1, 10, 1],
+        "Transforms whole scene with arguments.")
+
+      scene.destroy()
+      ok(scene.meshes.every((mesh) => mesh.isDestroyed),
+        "Destroys meshes with scene.")
+      end()
+    }).catch(end)
+  })
+
+
+test("gltfLoader.parse(glb: ArrayBuffer) -> Promise<Function>: reads binary glTF.",
+  ({ok, deepEqual, end}) => {
+    const ctx = new RecordingContext()
+    const json = createAsset({byteLength: 68})
+    json.images = [{bufferView: 1, mimeType: 'image/png'}]
+    new GLTFLoader(ctx).parse(createGLB(json, createBuffer())).then((scene) => {
+      deepEqual(scene.geometries[0].positions[1], [1, 0, 0],
+        "Reads binary chunk.")
+      ok(0 == scene.materials[0].maps.diffuse.indexOf('data:image/png;base64,'),
+        "Embeds images stored in buffer views as data URIs.")
+      end()
+    }).catch(end)
+  })
+
+
+test("gltfLoader.load(url: String) -> Promise<Function>: fetches resources.",
+  ({ok, deepEqual, end}) => {
+    const ctx = new RecordingContext()
+    const requests = []
+    const files = {
+      'models/scene.gltf': Buffer.from(JSON.stringify(
+        createAsset({uri: 'scene.bin', byteLength: 68}))),
+      'models/scene.bin': createBuffer(),
+    }
+    const fetch = (url) => {
+      requests.push(url)
+      return Promise.resolve(files[url])
+    }
+    new GLTFLoader(ctx, {fetch}).load('models/scene.gltf').then((scene) => {
+      deepEqual(requests, ['models/scene.gltf', 'models/scene.bin'],
+        "Fetches external buffers relative to asset.")
+      ok('models/red.png' == scene.materials[0].maps.diffuse,
+        "Resolves image URIs relative to asset.")
+      deepEqual(scene.geometries[0].positions[2], [0, 1, 0],
+        "Reads external buffers.")
+      end()
+    }).catch(end)
+  })
+
+
+test("gltfLoader.parse(data) rejects malformed assets with ParseError.",
+  ({ok, end}) => {
+    const loader = new GLTFLoader(new RecordingContext())
+    const asset = createAsset(embedded())
+    asset.accessors[0].count = 100
+    Promise.all([
+      loader.parse('{'),
+      loader.parse({asset: {version: '1.0'}}),
+      loader.parse(asset),
+    ].map((promise) => promise.then(() => null, (err) => err)))
+      .then((errors) => {
+        ok(errors.every((err) => err instanceof ParseError),
+          "Rejects malformed JSON, unsupported versions and bad ranges.")
+        end()
+      })
+      .catch(end)
+  })
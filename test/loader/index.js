@@ -0,0 +1,4 @@
+import './obj'
+import './gltf'
+import './stl'
+import './ply'
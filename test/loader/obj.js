@@ -0,0 +1,148 @@
+'use strict'
+import { OBJLoader, MTLLoader } from '../../lib/loader'
+import { ParseError } from '../../lib/errors'
+import { Geometry } from '../../lib/core'
+import test from 'tape'
+
+const cube = `
+# two faces of a cube
+mtllib cube.mtl
+o cube
+v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+v 1 0 -1
+v 1 1 -1
+vt 0 0
+vt 1 0
+vt 1 1
+vt 0 1
+g front
+usemtl red
+f 1/1 2/2 3/3 4/4
+g side
+usemtl blue
+f -5/1 -2/2 -1/3 -4/4
+`
+
+const mtl = `
+newmtl red
+Kd 1 0 0
+d 0.5
+map_Kd -s 2 2 1 -clamp on textures/red wall.png
+map_bump -bm 0.3 bump.png
+
+newmtl blue
+Kd 0 0 1
+Tr 0.25
+Ks 0.5
+`
+
+test("new OBJLoader(opts: Object = {}) -> OBJLoader",
+  ({ok, throws, end}) => {
+    const loader = new OBJLoader()
+    ok('function' == typeof loader.parse, "Has parse method.")
+    throws(() => loader.parse(null), TypeError,
+      "Throws TypeError for data that is not text or binary.")
+    end()
+  })
+
+
+test("objLoader.parse(data: String) -> Object: parses groups.",
+  ({ok, deepEqual, end}) => {
+    const {groups, materialLibraries} = new OBJLoader().parse(cube)
+    deepEqual(materialLibraries, ['cube.mtl'], "Collects material libraries.")
+    deepEqual(groups.map(({name}) => name), ['front', 'side'],
+      "Creates one geometry per group.")
+    ok(groups.every(({geometry}) => geometry instanceof Geometry),
+      "Creates Geometry instances.")
+    const [front, side] = groups
+    deepEqual(front.geometry.cells, [[0, 1, 2], [0, 2, 3]],
+      "Triangulates n-gons as fans.")
+    deepEqual(front.geometry.uvs, [[0, 0], [1, 0], [1, 1], [0, 1]],
+      "Reads texture coordinates.")
+    deepEqual(side.geometry.positions, [[1, 0, 0], [1, 0, -1], [1, 1, -1], [1, 1, 0]],
+      "Resolves negative indices.")
+    ok(side.geometry.normals.every((n) => '1,0,0' == n.join()),
+      "Computes face normals.")
+    deepEqual(groups.map(({materialName}) => materialName), ['red', 'blue'],
+      "Records material names.")
+    end()
+  })
+
+
+test("objLoader.parse(data: String) -> Object: shades smoothing groups.",
+  ({ok, deepEqual, end}) => {
+    const ridge = (smoothing) => `
+      v -1 0 1
+      v 0 1 1
+      v 0 1 -1
+      v -1 0 -1
+      v 1 0 1
+      v 1 0 -1
+      s ${smoothing}
+      f 1 2 3 4
+      f 2 5 6 3
+    `
+    const [flat] = new OBJLoader().parse(ridge('off')).groups
+    ok(8 == flat.geometry.positions.length, "Does not share vertices in flat faces.")
+    const [smooth] = new OBJLoader().parse(ridge(1)).groups
+    ok(6 == smooth.geometry.positions.length, "Shares vertices in smoothing groups.")
+    const [on] = new OBJLoader().parse(ridge('on')).groups
+    ok(6 == on.geometry.positions.length, "Treats 's on' as a smoothing group.")
+    const n = smooth.geometry.normals[1]
+    ok(Math.abs(n[0]) < 1e-6 && Math.abs(1 - n[1]) < 1e-6,
+      "Averages normals of faces sharing a vertex.")
+
+    const [given] = new OBJLoader().parse(`
+      v 0 0 0
+      v 1 0 0
+      v 0 1 0
+      vn 0 0 2
+      f 1//1 2//1 3//1
+    `).groups
+    deepEqual(given.geometry.normals, [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+      "Uses given normals.")
+    ok(given.geometry.uvs.length == 3 && 'default' == given.name,
+      "Projects UVs for groups without texture coordinates.")
+    end()
+  })
+
+
+test("objLoader.parse(data: ArrayBuffer, mtl: String) -> Object: parses materials.",
+  ({ok, deepEqual, end}) => {
+    const bytes = new Uint8Array(Buffer.from(cube))
+    const loader = new OBJLoader({baseUrl: 'assets/'})
+    const {groups, materials} = loader.parse(bytes.buffer, mtl)
+    ok(2 == groups.length, "Parses ArrayBuffer data.")
+    const [front, side] = groups
+    ok(front.material == materials.red, "Resolves group materials.")
+    deepEqual(front.material.color, [1, 0, 0], "Reads diffuse color.")
+    ok(0.5 == front.material.opacity, "Reads dissolve as opacity.")
+    ok(0.75 == side.material.opacity, "Reads transparency as opacity.")
+    deepEqual(side.material.specular, [0.5, 0.5, 0.5],
+      "Expands single component colors.")
+    deepEqual(front.material.maps, {
+      diffuse: 'assets/textures/red wall.png',
+      bump: 'assets/bump.png',
+    }, "Reads texture map paths without options.")
+    end()
+  })
+
+
+test("objLoader.parse(data: String) throws ParseError for malformed data.",
+  ({throws, ok, end}) => {
+    const loader = new OBJLoader()
+    throws(() => loader.parse('v 0 0 0\nf 1 2 3'), ParseError,
+      "Throws for indices out of range.")
+    throws(() => loader.parse('v 0 0 0\nv 1 0 0\nf 1 2'), ParseError,
+      "Throws for faces with less than three vertices.")
+    throws(() => loader.parse('v a b c'), ParseError,
+      "Throws for malformed numbers.")
+    try { loader.parse('\n\nv 0 0 0\nf 1 1 4') }
+    catch (err) { ok(4 == err.line && /line 4/.test(err.message), "Reports line.") }
+    throws(() => new MTLLoader().parse('Kd 1 1 1'), ParseError,
+      "Throws for MTL statements before newmtl.")
+    end()
+  })
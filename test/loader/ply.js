@@ -0,0 +1,164 @@
+'use strict'
+import { PLYLoader } from '../../lib/loader'
+import { ParseError } from '../../lib/errors'
+import { Geometry } from '../../lib/core'
+import test from 'tape'
+
+const text = `ply
+format ascii 1.0
+comment a colored quad
+element vertex 4
+property float x
+property float y
+property float z
+property float nx
+property float ny
+property float nz
+property float s
+property float t
+property uchar red
+property uchar green
+property uchar blue
+element face 1
+property list uchar int vertex_indices
+end_header
+0 0 0 0 0 1 0 0 255 0 0
+1 0 0 0 0 1 1 0 0 255 0
+1 1 0 0 0 1 1 1 0 0 255
+0 1 0 0 0 1 0 1 255 255 255
+4 0 1 2 3
+`
+
+function createBinary(littleEndian, comments = []) {
+  const header = new TextEncoder().encode([
+    'ply',
+    `format binary_${littleEndian ? 'little' : 'big'}_endian 1.0`,
+    ...comments.map((comment) => `comment ${comment}`),
+    'element vertex 3',
+    'property float x',
+    'property float y',
+    'property float z',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'property uchar alpha',
+    'element face 1',
+    'property list uchar uint vertex_indices',
+    'end_header',
+    ''
+  ].join('\n'))
+  const vertices = [ [0, 0, 0], [1, 0, 0], [0, 1, 0] ]
+  const size = header.length + 3*(12 + 4) + 1 + 3*4
+  const bytes = new Uint8Array(size)
+  const view = new DataView(bytes.buffer)
+  bytes.set(header)
+  let offset = header.length
+  for (const vertex of vertices) {
+    for (const c of vertex) {
+      view.setFloat32(offset, c, littleEndian)
+      offset += 4
+    }
+    for (const c of [ 255, 0, 0, 51 ]) { view.setUint8(offset++, c) }
+  }
+  view.setUint8(offset++, 3)
+  for (const index of [ 0, 1, 2 ]) {
+    view.setUint32(offset, index, littleEndian)
+    offset += 4
+  }
+  return bytes.buffer
+}
+
+test("new PLYLoader(opts: Object = {}) -> PLYLoader",
+  ({ok, throws, end}) => {
+    const loader = new PLYLoader()
+    ok('function' == typeof loader.parse, "Has parse method.")
+    throws(() => loader.parse(null), TypeError,
+      "Throws TypeError for data that is not text or binary.")
+    end()
+  })
+
+
+test("plyLoader.parse(data: String) -> Geometry: parses ASCII data.",
+  ({ok, deepEqual, end}) => {
+    const geometry = new PLYLoader().parse(text)
+    ok(geometry instanceof Geometry, "Creates a Geometry.")
+    deepEqual(geometry.positions,
+      [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]],
+      "Reads vertex positions.")
+    deepEqual(geometry.cells, [[0, 1, 2], [0, 2, 3]],
+      "Triangulates faces as fans.")
+    ok(geometry.normals.every((n) => '0,0,1' == n.join()),
+      "Reads vertex normals.")
+    deepEqual(geometry.uvs, [[0, 0], [1, 0], [1, 1], [0, 1]],
+      "Reads texture coordinates.")
+    deepEqual(geometry.colors,
+      [[1, 0, 0, 1], [0, 1, 0, 1], [0, 0, 1, 1], [1, 1, 1, 1]],
+      "Reads vertex colors.")
+    const bytes = new Uint8Array(Buffer.from(text))
+    deepEqual(new PLYLoader().parse(bytes).colors, geometry.colors,
+      "Parses ASCII data in buffers.")
+    end()
+  })
+
+
+test("plyLoader.parse(data: ArrayBuffer) -> Geometry: parses binary data.",
+  ({ok, deepEqual, end}) => {
+    for (const littleEndian of [ true, false ]) {
+      const label = littleEndian ? 'little endian' : 'big endian'
+      const geometry = new PLYLoader().parse(createBinary(littleEndian))
+      deepEqual(geometry.positions, [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+        `Reads ${label} vertex positions.`)
+      deepEqual(geometry.cells, [[0, 1, 2]], `Reads ${label} faces.`)
+      deepEqual(geometry.colors[0], [1, 0, 0, 0.2],
+        `Reads ${label} vertex colors with alpha.`)
+      ok(geometry.normals.every((n) => '0,0,1' == n.join()),
+        `Computes ${label} vertex normals.`)
+    }
+
+    const long = createBinary(true, Array(200).fill('x'.repeat(40)))
+    deepEqual(new PLYLoader().parse(long).cells, [[0, 1, 2]],
+      "Reads binary data after headers longer than 4096 bytes.")
+    const utf8 = createBinary(true, [ 'scanned by Jürgen – ©' ])
+    deepEqual(new PLYLoader().parse(utf8).positions,
+      [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+      "Reads binary data after multibyte characters in the header.")
+    end()
+  })
+
+
+test("plyLoader.parse(data: String) -> Geometry: parses point clouds.",
+  ({deepEqual, end}) => {
+    const geometry = new PLYLoader().parse([
+      'ply',
+      'format ascii 1.0',
+      'element vertex 2',
+      'property double x',
+      'property double y',
+      'property double z',
+      'end_header',
+      '0 0 0',
+      '1 2 3',
+    ].join('\r\n'))
+    deepEqual(geometry.positions, [[0, 0, 0], [1, 2, 3]], "Reads positions.")
+    deepEqual(geometry.cells, [], "Has no cells.")
+    end()
+  })
+
+
+test("plyLoader.parse(data: String) throws ParseError for malformed data.",
+  ({ok, throws, end}) => {
+    const loader = new PLYLoader()
+    throws(() => loader.parse('format ascii 1.0'), ParseError,
+      "Throws for data without 'ply'.")
+    throws(() => loader.parse('ply\nformat ascii 1.0\n'), ParseError,
+      "Throws for data without 'end_header'.")
+    throws(() => loader.parse(text.replace('uchar red', 'byte red')),
+      ParseError, "Throws for unknown property types.")
+    throws(() => loader.parse(text.replace('4 0 1 2 3', '4 0 1 2 9')),
+      ParseError, "Throws for indices out of range.")
+    throws(() => loader.parse(createBinary(true).slice(0, -4)), ParseError,
+      "Throws for truncated binary data.")
+    try { loader.parse(text.replace('1 0 0 0 0 1 1 0', '1 0 0 0 0 1 a 0')) }
+    catch (err) { ok(20 == err.line, "Reports line of malformed elements.") }
+    end()
+  })
@@ -0,0 +1,103 @@
+'use strict'
+import { STLLoader } from '../../lib/loader'
+import { ParseError } from '../../lib/errors'
+import { Geometry } from '../../lib/core'
+import test from 'tape'
+
+// two facets of a unit square sharing an edge
+const square = [
+  [ [0, 0, 0], [1, 0, 0], [1, 1, 0] ],
+  [ [0, 0, 0], [1, 1, 0], [0, 1, 0] ],
+]
+
+const text = `solid square
+${square.map((facet) => `  facet normal 0 0 1
+    outer loop
+${facet.map((v) => `      vertex ${v.join(' ')}`).join('\n')}
+    endloop
+  endfacet`).join('\n')}
+endsolid square
+`
+
+function createBinary(facets, header = '') {
+  const buffer = new ArrayBuffer(84 + 50*facets.length)
+  const view = new DataView(buffer)
+  for (let i = 0; i < header.length; ++i) {
+    view.setUint8(i, header.charCodeAt(i))
+  }
+  view.setUint32(80, facets.length, true)
+  facets.forEach((facet, i) => {
+    const offset = 84 + 50*i
+    view.setFloat32(offset + 8, 1, true)
+    facet.forEach((vertex, j) => vertex.forEach((c, k) => {
+      view.setFloat32(offset + 12 + 12*j + 4*k, c, true)
+    }))
+  })
+  return buffer
+}
+
+test("new STLLoader(opts: Object = {}) -> STLLoader",
+  ({ok, throws, end}) => {
+    const loader = new STLLoader()
+    ok('function' == typeof loader.parse, "Has parse method.")
+    throws(() => loader.parse(null), TypeError,
+      "Throws TypeError for data that is not text or binary.")
+    end()
+  })
+
+
+test("stlLoader.parse(data: String) -> Geometry: parses ASCII data.",
+  ({ok, deepEqual, end}) => {
+    const geometry = new STLLoader().parse(text)
+    ok(geometry instanceof Geometry, "Creates a Geometry.")
+    deepEqual(geometry.positions,
+      [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]],
+      "Merges vertices with identical positions.")
+    deepEqual(geometry.cells, [[0, 1, 2], [0, 2, 3]],
+      "Indexes cells into shared vertices.")
+    ok(geometry.normals.every((n) => '0,0,1' == n.join()),
+      "Computes vertex normals.")
+    ok(4 == geometry.uvs.length, "Projects UVs.")
+    const bytes = new Uint8Array(Buffer.from(text))
+    deepEqual(new STLLoader().parse(bytes.buffer).cells, geometry.cells,
+      "Detects ASCII data in buffers.")
+    end()
+  })
+
+
+test("stlLoader.parse(data: ArrayBuffer) -> Geometry: parses binary data.",
+  ({ok, deepEqual, end}) => {
+    const geometry = new STLLoader().parse(createBinary(square))
+    deepEqual(geometry.positions,
+      [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]],
+      "Merges vertices with identical positions.")
+    deepEqual(geometry.cells, [[0, 1, 2], [0, 2, 3]],
+      "Indexes cells into shared vertices.")
+    const solid = new STLLoader().parse(createBinary(square, 'solid exported'))
+    deepEqual(solid.cells, geometry.cells,
+      "Detects binary data with a header starting with 'solid'.")
+    const flat = new STLLoader({flatten: true}).parse(createBinary(square))
+    ok(6 == flat.positions.length, "Flattens geometry.")
+    end()
+  })
+
+
+test("stlLoader.parse(data: String) throws ParseError for malformed data.",
+  ({ok, throws, end}) => {
+    const loader = new STLLoader()
+    throws(() => loader.parse('facet normal 0 0 1'), ParseError,
+      "Throws for ASCII data without 'solid'.")
+    throws(() => loader.parse(text.replace('vertex 1 0 0', 'vertex 1 a 0')),
+      ParseError, "Throws for malformed numbers.")
+    try {
+      loader.parse(text.replace('      vertex 1 0 0\n', ''))
+    } catch (err) {
+      ok(err instanceof ParseError && 6 == err.line,
+        "Throws for facets without three vertices.")
+    }
+    const truncated = createBinary(square).slice(0, 120)
+    new DataView(truncated).setUint32(80, 2, true)
+    throws(() => loader.parse(truncated), ParseError,
+      "Throws for truncated binary data.")
+    end()
+  })
@@ -0,0 +1,88 @@
+'use strict'
+import { RecordingContext, Geometry } from '../../lib/core'
+import { Object3D } from '../../lib/object3d'
+import { Mesh } from '../../lib/mesh'
+import test from 'tape'
+
+const complex = {
+  positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+  normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+  uvs: [[0, 0], [1, 0], [0, 1]],
+  cells: [[0, 1, 2]],
+}
+
+const translation = (matrix) => Array.from(matrix.slice(12, 15))
+
+test("mesh(batch: Array<Object>) -> void: draws with one batch call.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    mesh([{position: [1, 0, 0]}, {position: [2, 0, 0], scale: 2}])
+    const {draws} = ctx
+    ok(2 == draws.length, "Draws every object.")
+    ok(draws[0].command == draws[1].command, "Draws with one command.")
+    ok(0 == draws[0].batchId && 1 == draws[1].batchId,
+      "Draws in regl batch mode.")
+    ok(draws.every(({vert, frag}) => vert && frag), "Draws with mesh shaders.")
+    ok('1,0,0' == translation(draws[0].uniforms['mesh.model']).join() &&
+       '2,0,0' == translation(draws[1].uniforms['mesh.model']).join(),
+      "Sets model matrix of each object.")
+    ok(0.5 == draws[1].uniforms['mesh.modelNormal'][0],
+      "Sets normal matrix of each object.")
+    ok(0 == draws[0].uniforms['picking.batchId'] &&
+       1 == draws[1].uniforms['picking.batchId'],
+      "Sets picking batch id uniform.")
+    ok(draws.every(({uniforms}) => mesh.entityId == uniforms['picking.entityId']),
+      "Sets picking entity id uniform.")
+    end()
+  })
+
+
+test("mesh(batch: Array<Object>) -> void: enters the mesh scope once.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    let updates = 0
+    mesh.insertSlot('count', (args, next) => { ++updates; next() },
+      {before: 'draw'})
+    mesh(Array(100).fill(0).map((_, i) => ({position: [i, 0, 0]})))
+    ok(1 == updates, "Components are run once.")
+    ok(100 == ctx.draws.length, "Draws every object.")
+    end()
+  })
+
+
+test("mesh(batch: Array<Object>) -> void: transforms objects by parent.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const parent = Object3D(ctx)
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    parent({position: [0, 10, 0]}, () => {
+      mesh([{position: [1, 0, 0]}, {}])
+    })
+    const [first, second] = ctx.draws
+    ok('1,10,0' == translation(first.uniforms['mesh.model']).join(),
+      "Multiplies parent transform.")
+    ok('0,10,0' == translation(second.uniforms['mesh.model']).join(),
+      "Uses initial state for missing arguments.")
+    end()
+  })
+
+
+test("mesh(batch: Array<Object>, scope: Function) -> void: " +
+  "runs a scope for each object.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const batchIds = []
+    mesh([{position: [1, 0, 0]}, {position: [2, 0, 0]}], ({batchId}) => {
+      batchIds.push(batchId)
+    })
+    const {draws} = ctx
+    ok('0,1' == batchIds.join(), "Calls scope with batch id.")
+    ok(2 == draws.length && draws.every(({vert, frag}) => vert && frag),
+      "Draws each object with initial state merged in.")
+    ok('2,0,0' == translation(draws[1].uniforms['mesh.model']).join(),
+      "Draws each object with its arguments.")
+    end()
+  })
@@ -0,0 +1,2 @@
+import './batch'
+import './tangent'
@@ -0,0 +1,28 @@
+'use strict'
+import { RecordingContext, Geometry } from '../../lib/core'
+import { PlaneGeometry } from '../../lib/geometry'
+import { Mesh } from '../../lib/mesh'
+import test from 'tape'
+
+test("Mesh(ctx, {geometry}) uploads geometry tangents.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const geometry = new PlaneGeometry()
+    geometry.computeTangents()
+    const mesh = Mesh(ctx, {geometry})
+    mesh()
+    const [draw] = ctx.draws
+    ok(/attribute\s+vec4\s+tangent/.test(draw.vert),
+      "Declares tangent attribute.")
+    ok(/varying\s+vec4\s+vTangent/.test(draw.vert) &&
+       /varying\s+vec4\s+vTangent/.test(draw.frag),
+      "Declares tangent varyings.")
+    ok(draw.attributes && draw.attributes.tangent, "Uploads tangent buffer.")
+
+    ctx.reset()
+    Mesh(ctx, {geometry: new PlaneGeometry()})()
+    const {vert} = ctx.draws[0]
+    ok(!/attribute\s+vec4\s+tangent/.test(vert) && !/varying\s+vec4\s+vTangent/.test(vert),
+      "Omits tangent attribute and varyings without tangents.")
+    end()
+  })
@@ -0,0 +1 @@
+import './picker'
@@ -0,0 +1,158 @@
+'use strict'
+import { MissingContextError } from '../../lib/errors'
+import { RecordingContext, Geometry } from '../../lib/core'
+import { Picker } from '../../lib/picker'
+import { Mesh } from '../../lib/mesh'
+import test from 'tape'
+
+const complex = {
+  positions: [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+  normals: [[0, 0, 1], [0, 0, 1], [0, 0, 1]],
+  uvs: [[0, 0], [1, 0], [0, 1]],
+  cells: [[0, 1, 2]],
+}
+
+test("Picker(ctx: Context, initialState: Object) -> Function",
+  ({ok, throws, end}) => {
+    const ctx = new RecordingContext()
+    ok('function' == typeof Picker, "Picker is a function.")
+    ok('function' == typeof Picker(ctx), "Returns a function.")
+    throws(() => Picker(), MissingContextError,
+      "Throws MissingContextError without context.")
+    end()
+  })
+
+
+test("picker(block) renders meshes into a picking framebuffer.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 100, height: 50})
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const picker = Picker(ctx)
+    ok(null == picker.framebuffer, "Creates framebuffer on first render.")
+
+    picker(() => { mesh(); mesh() })
+    const [clear] = ctx.calls.filter(({type}) => 'clear' == type)
+    const draws = ctx.draws
+    ok(picker.framebuffer, "Creates framebuffer.")
+    ok('float' == picker.encoding, "Uses float encoding if supported.")
+    ok(clear && picker.framebuffer == clear.framebuffer,
+      "Clears picking framebuffer.")
+    ok(2 == draws.length && draws.every(({framebuffer}) => {
+      return picker.framebuffer == framebuffer
+    }), "Draws into picking framebuffer.")
+    ok(draws.every(({frag}) => /EncodePicking/.test(frag)),
+      "Draws with picking fragment shader.")
+    ok(draws.every(({uniforms}) => mesh.entityId == uniforms['picking.entityId']),
+      "Sets entity id uniform.")
+    ok(draws.every(({uniforms}) => 0 === uniforms['picking.batchId']),
+      "Sets batch id uniform.")
+    ok(draws.every(({state}) => false === state.blend.enable),
+      "Disables blending.")
+    ok(ctx.stats().owners[picker.entityId],
+      "Picking resources are owned by picker.")
+
+    ctx.reset()
+    mesh()
+    ok(false == /EncodePicking/.test(ctx.draws[0].frag),
+      "Meshes drawn outside of picker use their own shader.")
+    end()
+  })
+
+
+test("picker.pick(x: Number, y: Number) -> Object|null",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({width: 100, height: 50, pixelRatio: 2})
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const picker = Picker(ctx, {entities: [mesh]})
+    ok(null == picker.pick(10, 10), "Returns null before rendering.")
+    picker(() => mesh())
+
+    let read = null
+    ctx.regl.read = (opts) => {
+      read = opts
+      return new Float32Array([mesh.entityId, 1, 3, 0.5])
+    }
+    const hit = picker.pick(10, 10)
+    ok(read && picker.framebuffer == read.framebuffer,
+      "Reads from picking framebuffer.")
+    ok(20 == read.x && 79 == read.y,
+      "Reads drawing buffer pixel with bottom left origin.")
+    ok(hit && mesh.entityId == hit.entityId, "Resolves entity id.")
+    ok(mesh == hit.entity, "Resolves entity.")
+    ok(1 == hit.batchId && 3 == hit.instanceId && 0.5 == hit.depth,
+      "Resolves batch id, instance id and depth.")
+    ok(hit.entityId == picker.pick([10, 10]).entityId,
+      "Accepts position array.")
+    ok(null == picker.pick(200, 10), "Returns null outside of framebuffer.")
+    ctx.regl.read = () => new Float32Array(4)
+    ok(null == picker.pick(10, 10), "Returns null for empty pixels.")
+    end()
+  })
+
+
+test("picker.pick(x: Number, y: Number) decodes byte colors.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext({limits: {extensions: []}})
+    const mesh = Mesh(ctx, {geometry: new Geometry({complex})})
+    const picker = Picker(ctx)
+    picker(() => mesh())
+    ok('uint8' == picker.encoding,
+      "Uses byte encoding without float textures.")
+    ok(2 == picker.framebuffers.length && 2 == ctx.draws.length &&
+      ctx.draws.every(({framebuffer}, i) => picker.framebuffers[i] == framebuffer),
+      "Draws block into an entity and an instance framebuffer.")
+    ok(/picking\.batchId/.test(ctx.draws[1].frag) &&
+      !/picking\.batchId/.test(ctx.draws[0].frag),
+      "Encodes instance and batch ids in second pass.")
+    ctx.regl.read = ({framebuffer}) => picker.framebuffer == framebuffer
+      ? new Uint8Array([0, 1, 2, 255])
+      : new Uint8Array([1, 7, 0, 3])
+    const hit = picker.pick(1, 1)
+    ok(258 == hit.entityId, "Decodes 24 bit entity id.")
+    ok(263 == hit.instanceId && 3 == hit.batchId,
+      "Decodes 16 bit instance and batch ids.")
+    ok(null == hit.depth && null == hit.entity,
+      "Depth and unknown entities are null.")
+    end()
+  })
+
+
+test("Picker(ctx) uses float encoding with a color buffer extension.",
+  ({ok, end}) => {
+    const encoding = (extensions) => {
+      const ctx = new RecordingContext({limits: {extensions}})
+      const picker = Picker(ctx)
+      picker()
+      return picker.encoding
+    }
+    ok('uint8' == encoding([ 'oes_texture_float' ]),
+      "Uses byte encoding without a color buffer float extension.")
+    ok('float' == encoding([ 'oes_texture_float', 'webgl_color_buffer_float' ]),
+      "Uses float encoding with WEBGL_color_buffer_float.")
+    ok('float' == encoding([ 'oes_texture_float', 'ext_color_buffer_float' ]),
+      "Uses float encoding with EXT_color_buffer_float.")
+    end()
+  })
+
+
+test("Mesh(ctx, {attributes: {instanceId}}) identifies instances.",
+  ({ok, end}) => {
+    const ctx = new RecordingContext()
+    const mesh = Mesh(ctx, {
+      geometry: new Geometry({complex}),
+      attributes: {
+        instanceId: {buffer: ctx.regl.buffer([0, 1, 2]), divisor: 1}
+      },
+    })
+    const picker = Picker(ctx)
+    picker(() => mesh())
+    ok(/attribute\s+float\s+instanceId/.test(ctx.draws[0].vert),
+      "Declares instance id attribute when picking.")
+    ok(/varying\s+float\s+vPickingInstanceId/.test(ctx.draws[0].vert),
+      "Emits instance id varying when picking.")
+    ctx.reset()
+    mesh()
+    ok(!/instanceId|vPickingInstanceId/.test(ctx.draws[0].vert),
+      "Omits instance id attribute and varying outside of picker.")
+    end()
+  })
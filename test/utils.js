@@ -1,8 +1,8 @@
 import compareFloat from 'float-equal'
-import { Context } from '../lib/core/context'
+import { RecordingContext } from '../lib/core/recording'
 import quat from 'gl-quat'
 
-export const sharedContext = new Context()
+export const sharedContext = new RecordingContext()
 export const xtest = (name, test) => {
   setTimeout(() => console.warn('\tSkipping test %s', name))
 }
@@ -28,3 +28,22 @@ function compareValue(a, b) {
     return a == b
   }
 }
+
+export const createEventTarget = () => {
+  const listeners = {}
+  return {
+    listeners,
+    addEventListener(type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener)
+    },
+    removeEventListener(type, listener) {
+      const list = listeners[type] || []
+      if (-1 != list.indexOf(listener)) { list.splice(list.indexOf(listener), 1) }
+    },
+    dispatch(type, event = {}) {
+      for (const listener of (listeners[type] || []).slice()) {
+        listener({type, ...event})
+      }
+    },
+  }
+}